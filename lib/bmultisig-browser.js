@@ -26,5 +26,13 @@ bmultisig.MultisigClient = require('./client');
 bmultisig.Cosigner = require('./primitives/cosigner');
 bmultisig.Proposal = require('./primitives/proposal');
 bmultisig.MultisigMTX = require('./primitives/mtx');
+bmultisig.PSBT = require('./primitives/psbt');
+bmultisig.SpendingPolicy = require('./primitives/policy');
+bmultisig.AddressEntry = require('./primitives/addressentry');
+bmultisig.Comment = require('./primitives/comment');
+bmultisig.AuditEntry = require('./primitives/auditentry');
+bmultisig.Schedule = require('./primitives/schedule');
+bmultisig.Draft = require('./primitives/draft');
+bmultisig.Invite = require('./primitives/invite');
 
 bmultisig.pkg = require('./pkg');
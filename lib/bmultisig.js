@@ -50,6 +50,14 @@ bmultisig.define('MultisigClient', './client');
 bmultisig.define('Cosigner', './primitives/cosigner');
 bmultisig.define('Proposal', './primitives/proposal');
 bmultisig.define('MultisigMTX', './primitives/mtx');
+bmultisig.define('PSBT', './primitives/psbt');
+bmultisig.define('SpendingPolicy', './primitives/policy');
+bmultisig.define('AddressEntry', './primitives/addressentry');
+bmultisig.define('Comment', './primitives/comment');
+bmultisig.define('AuditEntry', './primitives/auditentry');
+bmultisig.define('Schedule', './primitives/schedule');
+bmultisig.define('Draft', './primitives/draft');
+bmultisig.define('Invite', './primitives/invite');
 
 bmultisig.define('MultisigDB', './multisigdb');
 bmultisig.define('ProposalDB', './proposaldb');
@@ -10,6 +10,7 @@
 const assert = require('bsert');
 const EventEmitter = require('events');
 const {WalletClient} = require('bcoin/lib/client');
+const {verifyAddressProof} = require('./utils/addressproof');
 
 /**
  * Hex encoded buffer.
@@ -39,10 +40,22 @@ class MultisigClient extends WalletClient {
       this.dispatch(id, 'join', cosigner);
     });
 
+    this.bind('leave', (id, cosigner) => {
+      this.dispatch(id, 'leave', cosigner);
+    });
+
+    this.bind('abandoned', (id, details) => {
+      this.dispatch(id, 'abandoned', details);
+    });
+
     this.bind('proposal created', (id, details) => {
       this.dispatch(id, 'proposal created', details);
     });
 
+    this.bind('proposal amended', (id, details) => {
+      this.dispatch(id, 'proposal amended', details);
+    });
+
     this.bind('proposal rejected', (id, details) => {
       this.dispatch(id, 'proposal rejected', details);
     });
@@ -50,6 +63,14 @@ class MultisigClient extends WalletClient {
     this.bind('proposal approved', (id, details) => {
       this.dispatch(id, 'proposal approved', details);
     });
+
+    this.bind('approval revoked', (id, details) => {
+      this.dispatch(id, 'approval revoked', details);
+    });
+
+    this.bind('proposal comment', (id, details) => {
+      this.dispatch(id, 'proposal comment', details);
+    });
   }
 
   /**
@@ -125,6 +146,62 @@ class MultisigClient extends WalletClient {
     return removed.success;
   }
 
+  /**
+   * Remove abandoned multisig wallet (Admin only)
+   * @param {Number|String} id
+   * @returns {Promise<Boolean>}
+   */
+
+  async purgeWallet(id) {
+    const purged = await this.post(`/multisig/${id}/purge`);
+
+    if (!purged)
+      return false;
+
+    return purged.success;
+  }
+
+  /**
+   * Get derivation proof of the wallet address.
+   * @param {String} id
+   * @param {Object} options - `{address}` or `{branch, index}`.
+   * @returns {Promise<Object>} - address proof
+   */
+
+  getAddressProof(id, options) {
+    return this.get(`/multisig/${id}/address/proof`, options);
+  }
+
+  /**
+   * Fetch address proof and recompute the address locally
+   * from the account keys of the cosigners.
+   * @param {String} id
+   * @param {Object} options - `{address}` or `{branch, index}`.
+   * @param {Object} wallet - wallet details known by the cosigner
+   * (not fetched from the server).
+   * @param {Object[]} wallet.cosigners - cosigners JSON (with accountKey).
+   * @param {Number} wallet.m - expected threshold.
+   * @param {Boolean} wallet.witness
+   * @returns {Promise<Object?>} - `{valid, address, script, mismatches}`
+   */
+
+  async verifyAddress(id, options, wallet) {
+    assert(wallet && typeof wallet === 'object', 'Wallet is required.');
+    assert(Array.isArray(wallet.cosigners), 'Cosigners are required.');
+
+    const proof = await this.getAddressProof(id, options);
+
+    if (!proof)
+      return null;
+
+    return verifyAddressProof(proof, wallet.cosigners, {
+      m: wallet.m,
+      witness: wallet.witness,
+      nested: options.branch != null ? options.branch === 2 : null,
+      address: options.address
+    });
+  }
+
   /**
    * Join wallet
    * @param {String} id
@@ -136,6 +213,49 @@ class MultisigClient extends WalletClient {
     return this.post(`/multisig/${id}/join`, cosignerOptions);
   }
 
+  /**
+   * Rotate cosigner key, create successor wallet
+   * (Admin or approved by m cosigners).
+   * @param {String} id
+   * @param {Object} options - successor `id`, `joinPubKey`,
+   * `joinSignature`, replacement `cosigner` and optional `joinDeadline`.
+   * @param {Object} options.migration - {successor, joinPubKey, accountKey,
+   * nonce, timestamp}, nonce is `migrations` of the wallet.
+   * @param {Object[]} options.signatures - {cosigner, signature}.
+   * @returns {Promise<MultisigWallet>} - successor wallet.
+   */
+
+  migrateWallet(id, options) {
+    return this.post(`/multisig/${id}/migrate`, options);
+  }
+
+  /**
+   * Cancel key rotation (Admin or approved by m cosigners).
+   * @param {String} id
+   * @param {Object} [options]
+   * @param {Object} options.migration - {successor, cancel, nonce,
+   * timestamp}, nonce is `migrations` of the wallet.
+   * @param {Object[]} options.signatures - {cosigner, signature}.
+   * @returns {Promise<Object>}
+   */
+
+  cancelMigration(id, options) {
+    return this.del(`/multisig/${id}/migrate`, options);
+  }
+
+  /**
+   * Create proposal sweeping coins to the successor wallet
+   * @param {String} id
+   * @param {Object} options
+   * @param {Object} options.proposal - {memo, timestamp, successor, txoptions}
+   * @param {HexString} options.signature
+   * @returns {Promise<Proposal>}
+   */
+
+  createSweepProposal(id, options) {
+    return this.post(`/multisig/${id}/migrate/sweep`, options);
+  }
+
   /**
    * Get wallet transaction history.
    * @param {String} id
@@ -484,6 +604,269 @@ class MultisigClient extends WalletClient {
     });
   }
 
+  /**
+   * Get spending policy.
+   * @param {String} id - wallet id
+   * @returns {Promise<Object>} - {policy}
+   */
+
+  getPolicy(id) {
+    return this.get(`/multisig/${id}/policy`);
+  }
+
+  /**
+   * Set spending policy (Admin only).
+   * @param {String} id - wallet id
+   * @param {Object} policy
+   * @param {Object[]} policy.thresholds - [{value, m}]
+   * @param {Number} policy.dailyLimit
+   * @param {String[]} policy.allowlist - addresses
+   * @param {String[]} policy.forbiddenTypes - script types
+   * @returns {Promise<Object>} - {policy}
+   */
+
+  setPolicy(id, policy) {
+    return this.put(`/multisig/${id}/policy`, policy);
+  }
+
+  /**
+   * Set cosigner weight, role and veto (Admin only).
+   * @param {String} id - wallet id
+   * @param {Number} cosignerId
+   * @param {Object} options
+   * @param {Number} [options.weight]
+   * @param {String} [options.role]
+   * @param {Boolean} [options.veto]
+   * @returns {Promise<Object>} - cosigner
+   */
+
+  setCosignerRole(id, cosignerId, options) {
+    return this.put(`/multisig/${id}/cosigner/${cosignerId}`, options);
+  }
+
+  /**
+   * Remove cosigner before the wallet is initialized
+   * (Admin or the wallet creator).
+   * @param {String} id - wallet id
+   * @param {Number} cosignerId
+   * @param {Object} [options]
+   * @param {Object} options.removal - {cosigner, accountKey, nonce,
+   * timestamp}, nonce is `removals` of the wallet.
+   * @param {HexString} options.signature - signature of the removal.
+   * @returns {Promise<Object>} - removed cosigner
+   */
+
+  removeCosigner(id, cosignerId, options) {
+    return this.del(`/multisig/${id}/cosigner/${cosignerId}`, options);
+  }
+
+  /**
+   * Get join invites.
+   * @param {String} id - wallet id
+   * @returns {Promise<Object>} - {invites}
+   */
+
+  getInvites(id) {
+    return this.get(`/multisig/${id}/invite`);
+  }
+
+  /**
+   * Issue one-time join invites (Admin or the wallet creator).
+   * @param {String} id - wallet id
+   * @param {Object[]} invites - list of
+   * `{joinPubKey, name, expiresAt, ttl}`.
+   * @returns {Promise<Object>} - {invites}
+   */
+
+  createInvites(id, invites) {
+    return this.post(`/multisig/${id}/invite`, { invites });
+  }
+
+  /**
+   * Revoke unused join invite (Admin or the wallet creator).
+   * @param {String} id - wallet id
+   * @param {Number} iid - invite id
+   * @returns {Promise<Object>} - {success}
+   */
+
+  removeInvite(id, iid) {
+    return this.del(`/multisig/${id}/invite/${iid}`);
+  }
+
+  /**
+   * Get address book.
+   * @param {String} id - wallet id
+   * @returns {Promise<Object>} - {entries}
+   */
+
+  getAddressBook(id) {
+    return this.get(`/multisig/${id}/addressbook`);
+  }
+
+  /**
+   * Add address to the address book.
+   * @param {String} id - wallet id
+   * @param {Object} options
+   * @param {Object} options.entry - {address, label, timestamp}
+   * @param {HexString} options.signature - signature of the entry.
+   * @returns {Promise<Object>} - address entry
+   */
+
+  addAddressEntry(id, options) {
+    return this.post(`/multisig/${id}/addressbook`, options);
+  }
+
+  /**
+   * Remove address from the address book (Admin or signed removal).
+   * @param {String} id - wallet id
+   * @param {String} address
+   * @param {Object} [options]
+   * @param {Object} options.removal - {address, entry, timestamp}
+   * @param {HexString} options.signature - signature of the removal.
+   * @returns {Promise<Object>} - {success}
+   */
+
+  removeAddressEntry(id, address, options) {
+    return this.del(`/multisig/${id}/addressbook/${address}`, options);
+  }
+
+  /**
+   * Get proposal schedules.
+   * @param {String} id - wallet id
+   * @returns {Promise<Object>} - {schedules}
+   */
+
+  getSchedules(id) {
+    return this.get(`/multisig/${id}/schedule`);
+  }
+
+  /**
+   * Get proposal schedule.
+   * @param {String} id - wallet id
+   * @param {Number} sid - schedule id
+   * @returns {Promise<Object>} - schedule
+   */
+
+  getSchedule(id, sid) {
+    return this.get(`/multisig/${id}/schedule/${sid}`);
+  }
+
+  /**
+   * Create recurring proposal schedule.
+   * @param {String} id - wallet id
+   * @param {Object} options
+   * @param {Object} options.schedule - {memo, timestamp, txoptions,
+   *  interval or cron, start, ttl}
+   * @param {HexString} options.signature - `SCHEDULE` signature.
+   * @returns {Promise<Object>} - schedule
+   */
+
+  createSchedule(id, options) {
+    return this.post(`/multisig/${id}/schedule`, options);
+  }
+
+  /**
+   * Pause proposal schedule (Admin or author).
+   * @param {String} id - wallet id
+   * @param {Number} sid - schedule id
+   * @returns {Promise<Object>} - schedule
+   */
+
+  pauseSchedule(id, sid) {
+    return this.put(`/multisig/${id}/schedule/${sid}`, { paused: true });
+  }
+
+  /**
+   * Resume proposal schedule (Admin or author).
+   * @param {String} id - wallet id
+   * @param {Number} sid - schedule id
+   * @returns {Promise<Object>} - schedule
+   */
+
+  resumeSchedule(id, sid) {
+    return this.put(`/multisig/${id}/schedule/${sid}`, { paused: false });
+  }
+
+  /**
+   * Remove proposal schedule (Admin or author).
+   * @param {String} id - wallet id
+   * @param {Number} sid - schedule id
+   * @returns {Promise<Object>} - {success}
+   */
+
+  removeSchedule(id, sid) {
+    return this.del(`/multisig/${id}/schedule/${sid}`);
+  }
+
+  /**
+   * Get proposal drafts.
+   * @param {String} id - wallet id
+   * @returns {Promise<Object>} - {drafts}
+   */
+
+  getDrafts(id) {
+    return this.get(`/multisig/${id}/draft`);
+  }
+
+  /**
+   * Get proposal draft.
+   * @param {String} id - wallet id
+   * @param {Number} did - draft id
+   * @returns {Promise<Object>} - draft
+   */
+
+  getDraft(id, did) {
+    return this.get(`/multisig/${id}/draft/${did}`);
+  }
+
+  /**
+   * Create proposal draft.
+   * @param {String} id - wallet id
+   * @param {Object} options - {memo, txoptions}
+   * @returns {Promise<Object>} - draft
+   */
+
+  createDraft(id, options) {
+    return this.post(`/multisig/${id}/draft`, options);
+  }
+
+  /**
+   * Update proposal draft (Author).
+   * @param {String} id - wallet id
+   * @param {Number} did - draft id
+   * @param {Object} options - {memo, txoptions}
+   * @returns {Promise<Object>} - draft
+   */
+
+  updateDraft(id, did, options) {
+    return this.put(`/multisig/${id}/draft/${did}`, options);
+  }
+
+  /**
+   * Remove proposal draft (Admin or author).
+   * @param {String} id - wallet id
+   * @param {Number} did - draft id
+   * @returns {Promise<Object>} - {success}
+   */
+
+  removeDraft(id, did) {
+    return this.del(`/multisig/${id}/draft/${did}`);
+  }
+
+  /**
+   * Finalize draft into the funded proposal (Author).
+   * @param {String} id - wallet id
+   * @param {Number} did - draft id
+   * @param {Object} options
+   * @param {Object} options.proposal - {memo, timestamp, txoptions}
+   * @param {HexString} options.signature - `CREATE` signature.
+   * @returns {Promise<Object>} - proposal
+   */
+
+  finalizeDraft(id, did, options) {
+    return this.post(`/multisig/${id}/draft/${did}/finalize`, options);
+  }
+
   /**
    * Lock wallet.
    * @returns {Promise}
@@ -568,15 +951,30 @@ class MultisigClient extends WalletClient {
 
   /**
    * Get proposals
+   * Next page can be requested using id of the last
+   * proposal as the `cursor`.
    * @param {String} id
-   * @param {Boolean} [pending=true]
+   * @param {Boolean|Object} [options=true] - pending or list options.
+   * @param {Boolean} [options.pending=true]
+   * @param {Number} [options.cursor]
+   * @param {Number} [options.limit]
+   * @param {Boolean} [options.reverse]
+   * @param {String} [options.status] - pending, approved or rejected.
+   * @param {String} [options.reason] - rejection reason.
+   * @param {Number} [options.author]
+   * @param {Number} [options.createdAfter]
+   * @param {Number} [options.createdBefore]
+   * @param {Number} [options.closedAfter]
+   * @param {Number} [options.closedBefore]
    * @returns {Promise<Proposal[]>}
    */
 
-  async getProposals(id, pending = true) {
-    const proposalsObject = await this.get(`/multisig/${id}/proposal`, {
-      pending
-    });
+  async getProposals(id, options = true) {
+    if (typeof options === 'boolean')
+      options = {pending: options};
+
+    const proposalsObject = await this.get(`/multisig/${id}/proposal`,
+      options);
 
     if (!proposalsObject)
       return proposalsObject;
@@ -595,6 +993,31 @@ class MultisigClient extends WalletClient {
     return this.post(`/multisig/${id}/proposal`, options);
   }
 
+  /**
+   * Estimate proposal fee and size (dry run)
+   * @param {String} id
+   * @param {Object} options
+   * @param {Object} options.proposal - {txoptions, replaces}
+   * @returns {Promise<Object>}
+   */
+
+  estimateProposal(id, options) {
+    return this.post(`/multisig/${id}/proposal/estimate`, options);
+  }
+
+  /**
+   * Create batch payout proposal
+   * @param {String} id
+   * @param {Object} options
+   * @param {Object} options.proposal - {memo, timestamp, payouts, txoptions}
+   * @param {HexString} options.signature
+   * @returns {Promise<Proposal>}
+   */
+
+  createBatchProposal(id, options) {
+    return this.post(`/multisig/${id}/proposal/batch`, options);
+  }
+
   /**
    * Get proposal info
    * @param {String} id
@@ -624,6 +1047,17 @@ class MultisigClient extends WalletClient {
     return this.get(`/multisig/${id}/proposal/${pid}/tx`, options);
   }
 
+  /**
+   * Get proposal transaction as PSBT (BIP174)
+   * @param {String} id
+   * @param {String} pid - proposal id
+   * @returns {Promise<Object>} - {psbt: base64}
+   */
+
+  getProposalPSBT(id, pid) {
+    return this.get(`/multisig/${id}/proposal/${pid}/psbt`);
+  }
+
   /**
    * Get proposal by UTXO.
    * @param {String} id
@@ -642,6 +1076,7 @@ class MultisigClient extends WalletClient {
    * @param {String} pid - proposal id
    * @param {Object} options
    * @param {HexString[]} options.signatures
+   * @param {Base64String} options.psbt - signed PSBT instead of signatures
    * @param {Boolean} options.broadcast
    * @returns {Promise<Proposal>}
    */
@@ -663,6 +1098,72 @@ class MultisigClient extends WalletClient {
     return this.post(`/multisig/${id}/proposal/${pid}/reject`, options);
   }
 
+  /**
+   * Withdraw proposal (author only)
+   * @param {String} id
+   * @param {String} pid - proposal id
+   * @param {Object} options
+   * @param {HexString} options.signature
+   * @returns {Promise<Proposal>}
+   */
+
+  withdrawProposal(id, pid, options) {
+    return this.post(`/multisig/${id}/proposal/${pid}/withdraw`, options);
+  }
+
+  /**
+   * Amend pending proposal (author only)
+   * @param {String} id
+   * @param {String} pid - proposal id
+   * @param {Object} options
+   * @param {Object} options.proposal - {memo, timestamp, txoptions}
+   * @param {HexString} options.signature - `CREATE` signature.
+   * @returns {Promise<Proposal>}
+   */
+
+  amendProposal(id, pid, options) {
+    return this.post(`/multisig/${id}/proposal/${pid}/amend`, options);
+  }
+
+  /**
+   * Revoke approval of the pending proposal
+   * @param {String} id
+   * @param {String} pid - proposal id
+   * @param {Object} options
+   * @param {HexString} options.signature
+   * @param {HexString} [options.rejectSignature] - also reject the proposal.
+   * @returns {Promise<Proposal>}
+   */
+
+  revokeApproval(id, pid, options) {
+    return this.post(`/multisig/${id}/proposal/${pid}/revoke`, options);
+  }
+
+  /**
+   * Get proposal comments
+   * @param {String} id
+   * @param {String} pid - proposal id
+   * @returns {Promise<Object>} - {comments}
+   */
+
+  getComments(id, pid) {
+    return this.get(`/multisig/${id}/proposal/${pid}/comments`);
+  }
+
+  /**
+   * Comment on proposal
+   * @param {String} id
+   * @param {String} pid - proposal id
+   * @param {Object} options
+   * @param {Object} options.comment - {proposal, message, timestamp}
+   * @param {HexString} options.signature
+   * @returns {Promise<Object>} - comment
+   */
+
+  addComment(id, pid, options) {
+    return this.post(`/multisig/${id}/proposal/${pid}/comments`, options);
+  }
+
   /**
    * Send proposal tx
    * @param {String} id
@@ -674,6 +1175,21 @@ class MultisigClient extends WalletClient {
     return this.post(`/multisig/${id}/proposal/${pid}/send`);
   }
 
+  /**
+   * Get proposal audit log
+   * @param {String} id
+   * @param {Object} [options]
+   * @param {Number} [options.start] - timestamp (seconds)
+   * @param {Number} [options.end] - timestamp (seconds)
+   * @param {Number} [options.cursor] - entry id at `start` to list after.
+   * @param {Number} [options.limit]
+   * @returns {Promise<Object>} - {entries, next}
+   */
+
+  getAuditLog(id, options) {
+    return this.get(`/multisig/${id}/audit`, options);
+  }
+
   /**
    * Set a new token.
    * @param {String} id
@@ -759,6 +1275,37 @@ class MultisigWallet extends EventEmitter {
     return this.client.removeWallet(this.id);
   }
 
+  /**
+   * Remove abandoned multisig wallet (Admin only)
+   * @returns {Promise<Boolean>}
+   */
+
+  purgeWallet() {
+    return this.client.purgeWallet(this.id);
+  }
+
+  /**
+   * Get derivation proof of the wallet address.
+   * @param {Object} options - `{address}` or `{branch, index}`.
+   * @returns {Promise<Object>} - address proof
+   */
+
+  getAddressProof(options) {
+    return this.client.getAddressProof(this.id, options);
+  }
+
+  /**
+   * Fetch address proof and recompute the address locally
+   * from the account keys of the cosigners.
+   * @param {Object} options - `{address}` or `{branch, index}`.
+   * @param {Object} wallet - known `{cosigners, m, witness}`.
+   * @returns {Promise<Object?>} - `{valid, address, script, mismatches}`
+   */
+
+  verifyAddress(options, wallet) {
+    return this.client.verifyAddress(this.id, options, wallet);
+  }
+
   /**
    * Join wallet
    * @param {Object} cosignerOptions
@@ -769,6 +1316,36 @@ class MultisigWallet extends EventEmitter {
     return this.client.joinWallet(this.id, cosignerOptions);
   }
 
+  /**
+   * Rotate cosigner key, create successor wallet
+   * @param {Object} options
+   * @returns {Promise<MultisigWallet>} - successor wallet.
+   */
+
+  migrateWallet(options) {
+    return this.client.migrateWallet(this.id, options);
+  }
+
+  /**
+   * Cancel key rotation
+   * @param {Object} [options] - {migration, signatures}
+   * @returns {Promise<Object>}
+   */
+
+  cancelMigration(options) {
+    return this.client.cancelMigration(this.id, options);
+  }
+
+  /**
+   * Create proposal sweeping coins to the successor wallet
+   * @param {Object} options - {proposal, signature}
+   * @returns {Promise<Proposal>}
+   */
+
+  createSweepProposal(options) {
+    return this.client.createSweepProposal(this.id, options);
+  }
+
   /**
    * Get wallet transaction history.
    * @returns {Promise}
@@ -1077,6 +1654,232 @@ class MultisigWallet extends EventEmitter {
     return this.client.getLocked(this.id, filterProposal);
   }
 
+  /**
+   * Get spending policy.
+   * @returns {Promise<Object>} - {policy}
+   */
+
+  getPolicy() {
+    return this.client.getPolicy(this.id);
+  }
+
+  /**
+   * Set spending policy (Admin only).
+   * @param {Object} policy
+   * @returns {Promise<Object>} - {policy}
+   */
+
+  setPolicy(policy) {
+    return this.client.setPolicy(this.id, policy);
+  }
+
+  /**
+   * Set cosigner weight, role and veto (Admin only).
+   * @param {Number} cosignerId
+   * @param {Object} options - {weight, role, veto}
+   * @returns {Promise<Object>} - cosigner
+   */
+
+  setCosignerRole(cosignerId, options) {
+    return this.client.setCosignerRole(this.id, cosignerId, options);
+  }
+
+  /**
+   * Remove cosigner before the wallet is initialized
+   * (Admin or the wallet creator).
+   * @param {Number} cosignerId
+   * @param {Object} [options] - {removal, signature}
+   * @returns {Promise<Object>} - removed cosigner
+   */
+
+  removeCosigner(cosignerId, options) {
+    return this.client.removeCosigner(this.id, cosignerId, options);
+  }
+
+  /**
+   * Get join invites.
+   * @returns {Promise<Object>} - {invites}
+   */
+
+  getInvites() {
+    return this.client.getInvites(this.id);
+  }
+
+  /**
+   * Issue one-time join invites (Admin or the wallet creator).
+   * @param {Object[]} invites - list of
+   * `{joinPubKey, name, expiresAt, ttl}`.
+   * @returns {Promise<Object>} - {invites}
+   */
+
+  createInvites(invites) {
+    return this.client.createInvites(this.id, invites);
+  }
+
+  /**
+   * Revoke unused join invite (Admin or the wallet creator).
+   * @param {Number} iid - invite id
+   * @returns {Promise<Object>} - {success}
+   */
+
+  removeInvite(iid) {
+    return this.client.removeInvite(this.id, iid);
+  }
+
+  /**
+   * Get address book.
+   * @returns {Promise<Object>} - {entries}
+   */
+
+  getAddressBook() {
+    return this.client.getAddressBook(this.id);
+  }
+
+  /**
+   * Add address to the address book.
+   * @param {Object} options
+   * @param {Object} options.entry - {address, label, timestamp}
+   * @param {HexString} options.signature - signature of the entry.
+   * @returns {Promise<Object>} - address entry
+   */
+
+  addAddressEntry(options) {
+    return this.client.addAddressEntry(this.id, options);
+  }
+
+  /**
+   * Remove address from the address book (Admin or signed removal).
+   * @param {String} address
+   * @param {Object} [options]
+   * @param {Object} options.removal - {address, entry, timestamp}
+   * @param {HexString} options.signature - signature of the removal.
+   * @returns {Promise<Object>} - {success}
+   */
+
+  removeAddressEntry(address, options) {
+    return this.client.removeAddressEntry(this.id, address, options);
+  }
+
+  /**
+   * Get proposal schedules.
+   * @returns {Promise<Object>} - {schedules}
+   */
+
+  getSchedules() {
+    return this.client.getSchedules(this.id);
+  }
+
+  /**
+   * Get proposal schedule.
+   * @param {Number} sid - schedule id
+   * @returns {Promise<Object>} - schedule
+   */
+
+  getSchedule(sid) {
+    return this.client.getSchedule(this.id, sid);
+  }
+
+  /**
+   * Create recurring proposal schedule.
+   * @param {Object} options - {schedule, signature}
+   * @returns {Promise<Object>} - schedule
+   */
+
+  createSchedule(options) {
+    return this.client.createSchedule(this.id, options);
+  }
+
+  /**
+   * Pause proposal schedule (Admin or author).
+   * @param {Number} sid - schedule id
+   * @returns {Promise<Object>} - schedule
+   */
+
+  pauseSchedule(sid) {
+    return this.client.pauseSchedule(this.id, sid);
+  }
+
+  /**
+   * Resume proposal schedule (Admin or author).
+   * @param {Number} sid - schedule id
+   * @returns {Promise<Object>} - schedule
+   */
+
+  resumeSchedule(sid) {
+    return this.client.resumeSchedule(this.id, sid);
+  }
+
+  /**
+   * Remove proposal schedule (Admin or author).
+   * @param {Number} sid - schedule id
+   * @returns {Promise<Object>} - {success}
+   */
+
+  removeSchedule(sid) {
+    return this.client.removeSchedule(this.id, sid);
+  }
+
+  /**
+   * Get proposal drafts.
+   * @returns {Promise<Object>} - {drafts}
+   */
+
+  getDrafts() {
+    return this.client.getDrafts(this.id);
+  }
+
+  /**
+   * Get proposal draft.
+   * @param {Number} did - draft id
+   * @returns {Promise<Object>} - draft
+   */
+
+  getDraft(did) {
+    return this.client.getDraft(this.id, did);
+  }
+
+  /**
+   * Create proposal draft.
+   * @param {Object} options - {memo, txoptions}
+   * @returns {Promise<Object>} - draft
+   */
+
+  createDraft(options) {
+    return this.client.createDraft(this.id, options);
+  }
+
+  /**
+   * Update proposal draft (Author).
+   * @param {Number} did - draft id
+   * @param {Object} options - {memo, txoptions}
+   * @returns {Promise<Object>} - draft
+   */
+
+  updateDraft(did, options) {
+    return this.client.updateDraft(this.id, did, options);
+  }
+
+  /**
+   * Remove proposal draft (Admin or author).
+   * @param {Number} did - draft id
+   * @returns {Promise<Object>} - {success}
+   */
+
+  removeDraft(did) {
+    return this.client.removeDraft(this.id, did);
+  }
+
+  /**
+   * Finalize draft into the funded proposal (Author).
+   * @param {Number} did - draft id
+   * @param {Object} options - {proposal, signature}
+   * @returns {Promise<Object>} - proposal
+   */
+
+  finalizeDraft(did, options) {
+    return this.client.finalizeDraft(this.id, did, options);
+  }
+
   /**
    * Lock wallet.
    * @returns {Promise}
@@ -1155,13 +1958,12 @@ class MultisigWallet extends EventEmitter {
 
   /**
    * Get proposals
-   * @param {String} id
-   * @param {Boolean} [pending=true]
+   * @param {Boolean|Object} [options=true] - pending or list options.
    * @returns {Promise<Proposal[]>}
    */
 
-  getProposals(pending = true) {
-    return this.client.getProposals(this.id, pending);
+  getProposals(options = true) {
+    return this.client.getProposals(this.id, options);
   }
 
   /**
@@ -1174,6 +1976,26 @@ class MultisigWallet extends EventEmitter {
     return this.client.createProposal(this.id, options);
   }
 
+  /**
+   * Estimate proposal fee and size (dry run)
+   * @param {Object} options - {proposal}
+   * @returns {Promise<Object>}
+   */
+
+  estimateProposal(options) {
+    return this.client.estimateProposal(this.id, options);
+  }
+
+  /**
+   * Create batch payout proposal
+   * @param {Object} options - {proposal, signature}
+   * @returns {Promise<Proposal>}
+   */
+
+  createBatchProposal(options) {
+    return this.client.createBatchProposal(this.id, options);
+  }
+
   /**
    * Get proposal info
    * @param {String} pid - proposal id
@@ -1198,6 +2020,16 @@ class MultisigWallet extends EventEmitter {
     return this.client.getProposalMTX(this.id, pid, options);
   }
 
+  /**
+   * Get proposal transaction as PSBT (BIP174)
+   * @param {String} pid - proposal id
+   * @returns {Promise<Object>} - {psbt: base64}
+   */
+
+  getProposalPSBT(pid) {
+    return this.client.getProposalPSBT(this.id, pid);
+  }
+
   /**
    * Get proposal by UTXO.
    * @param {Hash} hash
@@ -1214,6 +2046,7 @@ class MultisigWallet extends EventEmitter {
    * @param {String} pid - proposal id
    * @param {Object} options
    * @param {HexString[]} options.signatures
+   * @param {Base64String} options.psbt - signed PSBT instead of signatures
    * @param {Boolean} options.broadcast
    * @returns {Promise<Proposal>}
    */
@@ -1234,6 +2067,67 @@ class MultisigWallet extends EventEmitter {
     return this.client.rejectProposal(this.id, pid, options);
   }
 
+  /**
+   * Withdraw proposal (author only)
+   * @param {String} pid - proposal id
+   * @param {Object} options
+   * @param {HexString} options.signature
+   * @returns {Promise<Proposal>}
+   */
+
+  withdrawProposal(pid, options) {
+    return this.client.withdrawProposal(this.id, pid, options);
+  }
+
+  /**
+   * Amend pending proposal (author only)
+   * @param {String} pid - proposal id
+   * @param {Object} options
+   * @param {Object} options.proposal - {memo, timestamp, txoptions}
+   * @param {HexString} options.signature - `CREATE` signature.
+   * @returns {Promise<Proposal>}
+   */
+
+  amendProposal(pid, options) {
+    return this.client.amendProposal(this.id, pid, options);
+  }
+
+  /**
+   * Revoke approval of the pending proposal
+   * @param {String} pid - proposal id
+   * @param {Object} options
+   * @param {HexString} options.signature
+   * @param {HexString} [options.rejectSignature] - also reject the proposal.
+   * @returns {Promise<Proposal>}
+   */
+
+  revokeApproval(pid, options) {
+    return this.client.revokeApproval(this.id, pid, options);
+  }
+
+  /**
+   * Get proposal comments
+   * @param {String} pid - proposal id
+   * @returns {Promise<Object>} - {comments}
+   */
+
+  getComments(pid) {
+    return this.client.getComments(this.id, pid);
+  }
+
+  /**
+   * Comment on proposal
+   * @param {String} pid - proposal id
+   * @param {Object} options
+   * @param {Object} options.comment - {proposal, message, timestamp}
+   * @param {HexString} options.signature
+   * @returns {Promise<Object>} - comment
+   */
+
+  addComment(pid, options) {
+    return this.client.addComment(this.id, pid, options);
+  }
+
   /**
    * Force reject proposal (admin)
    * @param {String|Number} - proposal id
@@ -1254,6 +2148,20 @@ class MultisigWallet extends EventEmitter {
     return this.client.sendProposal(this.id, pid);
   }
 
+  /**
+   * Get proposal audit log
+   * @param {Object} [options]
+   * @param {Number} [options.start] - timestamp (seconds)
+   * @param {Number} [options.end] - timestamp (seconds)
+   * @param {Number} [options.cursor] - entry id at `start` to list after.
+   * @param {Number} [options.limit]
+   * @returns {Promise<Object>} - {entries, next}
+   */
+
+  getAuditLog(options) {
+    return this.client.getAuditLog(this.id, options);
+  }
+
   /**
    * Set a new token.
    * @param {Object} options
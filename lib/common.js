@@ -21,7 +21,55 @@ exports.payloadType = {
    * When signing proposal rejection.
    */
 
-  REJECT: 1
+  REJECT: 1,
+
+  /*
+   * When signing proposal withdrawal (author only).
+   */
+
+  WITHDRAW: 2,
+
+  /*
+   * When signing address book entry.
+   */
+
+  ADDRESS: 3,
+
+  /*
+   * When signing proposal comment.
+   */
+
+  COMMENT: 4,
+
+  /*
+   * When signing approval revocation.
+   */
+
+  REVOKE: 5,
+
+  /*
+   * When signing recurring proposal schedule.
+   */
+
+  SCHEDULE: 6,
+
+  /*
+   * When signing cosigner removal (wallet creator only).
+   */
+
+  REMOVE: 7,
+
+  /*
+   * When signing address book entry removal.
+   */
+
+  ADDRESS_REMOVE: 8,
+
+  /*
+   * When signing key rotation start or cancel (m cosigners).
+   */
+
+  MIGRATE: 9
 };
 
 /**
@@ -31,5 +79,13 @@ exports.payloadType = {
 
 exports.payloadTypeByVal = {
   0: 'CREATE',
-  1: 'REJECT'
+  1: 'REJECT',
+  2: 'WITHDRAW',
+  3: 'ADDRESS',
+  4: 'COMMENT',
+  5: 'REVOKE',
+  6: 'SCHEDULE',
+  7: 'REMOVE',
+  8: 'ADDRESS_REMOVE',
+  9: 'MIGRATE'
 };
@@ -8,6 +8,7 @@
 
 const assert = require('bsert');
 const Struct = require('bufio/lib/struct');
+const {encoding} = require('bufio');
 const wcommon = require('bcoin/lib/wallet/common');
 const HDPublicKey = require('bcoin/lib/hd/public');
 const Account = require('bcoin/lib/wallet/account');
@@ -311,18 +312,36 @@ class WalletDetails extends Struct {
       size += account.getSize();
 
     size += 1; // cosigners length
-    for (const cosigner of this.cosigners)
-      size += cosigner.getSize();
+    for (const cosigner of this.cosigners) {
+      if (this.isFramed())
+        size += encoding.sizeVarlen(cosigner.getSize());
+      else
+        size += cosigner.getSize();
+    }
 
     return size;
   }
 
+  /**
+   * Whether cosigners need length prefix (have optional fields).
+   * @returns {Boolean}
+   */
+
+  isFramed() {
+    return this.cosigners.some(details => details.cosigner.hasExtra());
+  }
+
   write(bw, network) {
     let flags = 0;
 
     if (this.watchOnly)
       flags |= 1;
 
+    // cosigners with optional fields are length prefixed,
+    // others keep the original framing.
+    if (this.isFramed())
+      flags |= 2;
+
     bw.writeU8(flags);
     bw.writeU32(this.accountDepth);
     bw.writeBytes(this.token);
@@ -337,8 +356,12 @@ class WalletDetails extends Struct {
       account.toWriter(bw);
 
     bw.writeU8(this.cosigners.length);
-    for (const cosigner of this.cosigners)
-      cosigner.toWriter(bw, network);
+    for (const cosigner of this.cosigners) {
+      if (flags & 2)
+        bw.writeVarBytes(cosigner.encode(network));
+      else
+        cosigner.toWriter(bw, network);
+    }
 
     return bw;
   }
@@ -367,9 +390,17 @@ class WalletDetails extends Struct {
     const cosigners = br.readU8();
 
     for (let i = 0; i < cosigners; i++) {
-      const cosigner = new CosignerDetails();
+      let cosigner;
+
+      // exports without the flag are not length prefixed.
+      if (flags & 2) {
+        const data = br.readVarBytes();
+        cosigner = CosignerDetails.decode(data, network);
+      } else {
+        cosigner = new CosignerDetails();
+        cosigner.fromReader(br, network);
+      }
 
-      cosigner.fromReader(br, network);
       this.cosigners.push(cosigner);
     }
 
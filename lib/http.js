@@ -8,7 +8,7 @@
 
 const assert = require('bsert');
 const bcoin = require('bcoin');
-const {Outpoint, Script, Address, Network} = bcoin;
+const {Outpoint, Address, Network} = bcoin;
 const HDPublicKey = bcoin.hd.HDPublicKey;
 const Validator = require('bval');
 const Logger = require('blgr');
@@ -20,11 +20,25 @@ const {Server} = require('bweb');
 const MultisigDB = require('./multisigdb');
 const Cosigner = require('./primitives/cosigner');
 const Proposal = require('./primitives/proposal');
+const AuditEntry = require('./primitives/auditentry');
+const PSBT = require('./primitives/psbt');
+const ProposalDB = require('./proposaldb');
+const SpendingPolicy = require('./primitives/policy');
 const RouteList = require('./utils/routelist');
+const util = require('./utils/common');
+const {enforce} = util;
+const {parseTXOptions} = require('./utils/txoptions');
 const {WalletDetails} = require('./export');
 
 const {FORCE} = Proposal.status;
 
+/**
+ * Proposal status filters for listing.
+ * @const {Set}
+ */
+
+const STATUS_FILTERS = new Set(['pending', 'approved', 'rejected']);
+
 /**
  * Multisig HTTP server
  * @alias module:multisig.HTTP
@@ -229,6 +243,95 @@ class MultisigHTTP extends Server {
       res.json(404);
   }
 
+  /*
+   * Parse joining cosigner and verify account key proof
+   */
+
+  parseCosigner(valid, id) {
+    const joinSignature = valid.buf('joinSignature');
+
+    // cosigner options
+    const cosignerVal = new Validator(valid.obj('cosigner'), false);
+    const name = cosignerVal.str('name');
+    const purpose = cosignerVal.u32('purpose');
+    const fingerPrint = cosignerVal.u32('fingerPrint');
+    const data = cosignerVal.buf('data');
+    const accountKey = cosignerVal.str('accountKey');
+    const key = HDPublicKey.fromBase58(accountKey, this.network);
+    const keyProof = cosignerVal.buf('accountKeyProof');
+
+    // multisig auth/validation options
+    const token = cosignerVal.buf('token');
+    const authPubKey = cosignerVal.buf('authPubKey');
+
+    const cosigner = Cosigner.fromOptions({
+      name,
+      purpose,
+      fingerPrint,
+      data,
+      authPubKey,
+      joinSignature,
+      token,
+      key
+    });
+
+    if (keyProof) {
+      const validKeyProof = cosigner.verifyProof(
+        keyProof,
+        id,
+        this.network
+      );
+
+      enforce(validKeyProof, 'accountKeyProof is not valid.');
+    }
+
+    return cosigner;
+  }
+
+  /**
+   * Verify key rotation options signed by m cosigners.
+   * @param {Validator} valid
+   * @param {MultisigWallet} mswallet
+   * @param {Object} expected - values of the signed options.
+   * @returns {Number} - nonce of the migration.
+   */
+
+  verifyMigration(valid, mswallet, expected) {
+    const options = valid.obj('migration');
+    const items = valid.array('signatures');
+
+    enforce(options, 'Migration is required.');
+    enforce(items && items.length > 0, 'Signatures are required.');
+
+    const migration = new Validator(options, false);
+
+    for (const key of Object.keys(expected)) {
+      enforce(options[key] === expected[key],
+        `Migration ${key} does not match.`);
+    }
+
+    enforce(migration.u32('nonce') === mswallet.migrations,
+      'Migration nonce does not match.');
+    enforce(migration.u64('timestamp'), 'Timestamp not found.');
+
+    const signatures = items.map((item, i) => {
+      enforce(item && typeof item === 'object', `Invalid signature ${i}.`);
+
+      const sig = new Validator(item, false);
+      const cosigner = sig.u8('cosigner');
+      const signature = sig.buf('signature');
+
+      enforce(cosigner != null && signature, `Invalid signature ${i}.`);
+
+      return { cosigner, signature };
+    });
+
+    enforce(mswallet.verifyMigration(options, signatures),
+      'Migration is not approved by m cosigners.');
+
+    return migration.u32('nonce');
+  }
+
   /*
    * Initialize routes.
    */
@@ -289,7 +392,8 @@ class MultisigHTTP extends Server {
     this.get('/:id', async (req, res) => {
       const balance = await req.wallet.getBalance();
       const stats = await req.mswallet.getStats();
-      res.json(200, req.mswallet.getJSON({ balance, stats }));
+      const outflow = await req.mswallet.getOutflowStats();
+      res.json(200, req.mswallet.getJSON({ balance, stats, outflow }));
     });
 
     // Create multisig wallet
@@ -297,8 +401,11 @@ class MultisigHTTP extends Server {
       const valid = Validator.fromRequest(req);
 
       const id = valid.str('id');
-      const joinSignature = valid.buf('joinSignature');
       const joinPubKey = valid.buf('joinPubKey');
+      const joinDeadline = valid.u64('joinDeadline');
+
+      enforce(joinDeadline == null || joinDeadline > util.now(),
+        'joinDeadline must be in the future.');
 
       // wallet options
       const walletOptions = {
@@ -306,44 +413,12 @@ class MultisigHTTP extends Server {
         m: valid.u32('m'),
         n: valid.u32('n'),
         witness: valid.bool('witness', true),
-        joinPubKey: joinPubKey
+        joinPubKey: joinPubKey,
+        joinDeadline: joinDeadline,
+        inviteOnly: valid.bool('inviteOnly', false)
       };
 
-      // cosigner options
-      const cosignerVal = new Validator(valid.obj('cosigner'), false);
-      const name = cosignerVal.str('name');
-      const purpose = cosignerVal.u32('purpose');
-      const fingerPrint = cosignerVal.u32('fingerPrint');
-      const data = cosignerVal.buf('data');
-      const accountKey = cosignerVal.str('accountKey');
-      const key = HDPublicKey.fromBase58(accountKey, this.network);
-      const keyProof = cosignerVal.buf('accountKeyProof');
-
-      // multisig auth/validation options
-      const token = cosignerVal.buf('token');
-      const authPubKey = cosignerVal.buf('authPubKey');
-
-      const cosigner = Cosigner.fromOptions({
-        name,
-        purpose,
-        fingerPrint,
-        data,
-        authPubKey,
-        joinSignature,
-        token,
-        key
-      });
-
-      if (keyProof) {
-        const validKeyProof = cosigner.verifyProof(
-          keyProof,
-          id,
-          this.network
-        );
-
-        enforce(validKeyProof, 'accountKeyProof is not valid.');
-      }
-
+      const cosigner = this.parseCosigner(valid, id);
       const mswallet = await this.msdb.create(walletOptions, cosigner);
       const stats = await mswallet.getStats();
 
@@ -362,6 +437,60 @@ class MultisigHTTP extends Server {
       res.json(200, { success: removed });
     });
 
+    // Removes abandoned wallet from WDB and MSDB
+    this.post('/:id/purge', async (req, res) => {
+      if (!req.admin) {
+        res.json(403);
+        return;
+      }
+
+      enforce(req.mswallet.abandoned, 'Wallet is not abandoned.');
+
+      const removed = await req.mswallet.purge();
+
+      res.json(200, { success: removed });
+    });
+
+    // Get derivation proof of the address
+    this.get('/:id/address/proof', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const address = valid.str('address');
+      const branch = valid.u32('branch');
+      const index = valid.u32('index');
+
+      enforce(address || (branch != null && index != null),
+        'address or branch and index are required.');
+
+      let addr = null;
+
+      if (address) {
+        try {
+          addr = Address.fromString(address, this.network);
+        } catch (e) {
+          enforce(false, 'Invalid address.');
+        }
+      }
+
+      let proof;
+
+      try {
+        proof = await req.mswallet.getAddressProof({
+          address: addr,
+          branch,
+          index
+        });
+      } catch (e) {
+        enforce(false, e.message);
+      }
+
+      if (!proof) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, proof);
+    });
+
     // Get locked coins in TXDB
     this.get('/:id/locked', async (req, res) => {
       const valid = Validator.fromRequest(req);
@@ -409,87 +538,808 @@ class MultisigHTTP extends Server {
         return;
       }
 
-      await req.mswallet.unlockCoin(outpoint);
+      await req.mswallet.unlockCoin(outpoint);
+
+      res.json(200, { success: true });
+    });
+
+    // Get spending policy
+    this.get('/:id/policy', async (req, res) => {
+      const policy = req.mswallet.policy;
+
+      res.json(200, {
+        policy: policy ? policy.getJSON(this.network) : null
+      });
+    });
+
+    // Set spending policy (Admin Only)
+    this.put('/:id/policy', async (req, res) => {
+      if (!req.admin) {
+        res.json(403);
+        return;
+      }
+
+      const valid = Validator.fromRequest(req);
+      const {m, n} = req.mswallet;
+
+      let policy;
+
+      try {
+        policy = SpendingPolicy.fromJSON({
+          thresholds: valid.array('thresholds', []),
+          dailyLimit: valid.u64('dailyLimit', 0),
+          allowlist: valid.array('allowlist', []),
+          forbiddenTypes: valid.array('forbiddenTypes', []),
+          addressBook: valid.bool('addressBook', false),
+          velocity: valid.obj('velocity'),
+          unanimous: valid.bool('unanimous', false),
+          weight: valid.u16('weight', 0),
+          roles: valid.obj('roles')
+        }, this.network);
+
+        policy.verify(m, n, req.mswallet.getQuorumCosigners());
+      } catch (e) {
+        enforce(false, `Invalid policy: ${e.message}`);
+      }
+
+      policy = await req.mswallet.setPolicy(policy);
+
+      res.json(200, {
+        policy: policy ? policy.getJSON(this.network) : null
+      });
+    });
+
+    // Set cosigner weight, role and veto (Admin Only)
+    this.put('/:id/cosigner/:cid', async (req, res) => {
+      if (!req.admin) {
+        res.json(403);
+        return;
+      }
+
+      const valid = Validator.fromRequest(req);
+      const cid = valid.u8('cid');
+      const weight = valid.u8('weight');
+      const role = valid.str('role');
+      const veto = valid.bool('veto');
+
+      enforce(cid != null, 'Cosigner id is required.');
+      enforce(weight != null || role != null || veto != null,
+        'weight, role or veto is required.');
+
+      let cosigner = req.mswallet.cosigners[cid];
+
+      enforce(cosigner, 'Cosigner not found.');
+
+      if (weight != null || role != null) {
+        try {
+          cosigner = await req.mswallet.setCosignerRole(cid, weight, role);
+        } catch (e) {
+          enforce(false, `Invalid role: ${e.message}`);
+        }
+      }
+
+      if (veto != null)
+        cosigner = await req.mswallet.setCosignerVeto(cid, veto);
+
+      res.json(200, cosigner.getJSON(false, this.network));
+    });
+
+    // Remove cosigner before the wallet is initialized
+    // (Admin or the wallet creator)
+    this.del('/:id/cosigner/:cid', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const cid = valid.u8('cid');
+
+      enforce(cid != null, 'Cosigner id is required.');
+
+      const cosigner = req.mswallet.cosigners[cid];
+
+      enforce(cosigner, 'Cosigner not found.');
+
+      let nonce = null;
+
+      if (!req.admin) {
+        if (!req.cosigner || req.cosigner.id !== 0) {
+          res.json(403);
+          return;
+        }
+
+        const signature = valid.buf('signature');
+        const options = valid.obj('removal');
+
+        enforce(signature, 'Signature is required.');
+        enforce(options, 'Removal is required.');
+
+        const removal = new Validator(options, false);
+        const accountKey = cosigner.key.xpubkey(this.network);
+
+        enforce(removal.u8('cosigner') === cid,
+          'Removal cosigner does not match.');
+        enforce(removal.str('accountKey') === accountKey,
+          'Removal accountKey does not match.');
+        enforce(removal.u32('nonce') === req.mswallet.removals,
+          'Removal nonce does not match.');
+        enforce(removal.u64('timestamp'), 'Timestamp not found.');
+        enforce(req.mswallet.verifyRemoval(options, signature),
+          'Removal signature is not valid.');
+
+        nonce = removal.u32('nonce');
+      }
+
+      let removed;
+
+      try {
+        removed = await req.mswallet.leave(cid, nonce);
+      } catch (e) {
+        enforce(false, e.message);
+      }
+
+      res.json(200, removed.getJSON(false, this.network));
+    });
+
+    // List join invites
+    this.get('/:id/invite', async (req, res) => {
+      const invites = await req.mswallet.getInvites();
+
+      res.json(200, {
+        invites: invites.map(invite => invite.getJSON())
+      });
+    });
+
+    // Issue one-time join invites (Admin or the wallet creator)
+    this.post('/:id/invite', async (req, res) => {
+      if (!req.admin && (!req.cosigner || req.cosigner.id !== 0)) {
+        res.json(403);
+        return;
+      }
+
+      const valid = Validator.fromRequest(req);
+      const items = valid.array('invites');
+
+      enforce(items && items.length > 0, 'Invites are required.');
+
+      const options = items.map((item, i) => {
+        enforce(item && typeof item === 'object', `Invalid invite ${i}.`);
+
+        const invite = new Validator(item, false);
+        const joinPubKey = invite.buf('joinPubKey');
+        const expiresAt = invite.u64('expiresAt');
+        const ttl = invite.u32('ttl');
+
+        enforce(joinPubKey, `joinPubKey of invite ${i} is required.`);
+        enforce(expiresAt == null || ttl == null,
+          'Can not use both expiresAt and ttl.');
+
+        return {
+          joinPubKey,
+          name: invite.str('name'),
+          expiresAt,
+          ttl
+        };
+      });
+
+      let invites;
+
+      try {
+        invites = await req.mswallet.createInvites(options);
+      } catch (e) {
+        enforce(false, `Invalid invites: ${e.message}`);
+      }
+
+      res.json(200, {
+        invites: invites.map(invite => invite.getJSON())
+      });
+    });
+
+    // Revoke unused join invite (Admin or the wallet creator)
+    this.del('/:id/invite/:iid', async (req, res) => {
+      if (!req.admin && (!req.cosigner || req.cosigner.id !== 0)) {
+        res.json(403);
+        return;
+      }
+
+      const valid = Validator.fromRequest(req);
+      const iid = valid.u32('iid');
+
+      enforce(iid != null, 'Invite id is required.');
+
+      let removed;
+
+      try {
+        removed = await req.mswallet.removeInvite(iid);
+      } catch (e) {
+        enforce(false, e.message);
+      }
+
+      if (!removed) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, { success: removed });
+    });
+
+    // Get address book
+    this.get('/:id/addressbook', async (req, res) => {
+      const entries = await req.mswallet.getAddressBook();
+
+      res.json(200, {
+        entries: entries.map(entry => entry.getJSON(this.network))
+      });
+    });
+
+    // Add address to the address book
+    this.post('/:id/addressbook', async (req, res) => {
+      enforce(req.cosigner, 'Cosigner not found.');
+
+      const requestValid = Validator.fromRequest(req);
+
+      const signature = requestValid.buf('signature');
+      const options = requestValid.obj('entry');
+
+      enforce(signature, 'Signature is required.');
+      enforce(options, 'Entry is required.');
+
+      const valid = new Validator(options, false);
+      const address = valid.str('address');
+      const label = valid.str('label');
+      const timestamp = valid.u64('timestamp');
+
+      enforce(address, 'Address is required.');
+      enforce(label, 'Label is required.');
+      enforce(timestamp, 'Timestamp not found.');
+
+      try {
+        Address.fromString(address, this.network);
+      } catch (e) {
+        enforce(false, 'Invalid address.');
+      }
+
+      const entry = await req.mswallet.addAddressEntry(
+        options,
+        req.cosigner,
+        signature
+      );
+
+      res.json(200, entry.getJSON(this.network));
+    });
+
+    // Remove address from the address book
+    this.del('/:id/addressbook/:address', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const address = valid.str('address');
+
+      enforce(address, 'Address is required.');
+
+      let addr;
+
+      try {
+        addr = Address.fromString(address, this.network);
+      } catch (e) {
+        enforce(false, 'Invalid address.');
+      }
+
+      let cosigner = null;
+      let signature = null;
+      let removal = null;
+
+      // Admin can remove without signature.
+      if (!req.admin) {
+        enforce(req.cosigner, 'Cosigner not found.');
+
+        signature = valid.buf('signature');
+        removal = valid.obj('removal');
+
+        enforce(signature, 'Signature is required.');
+        enforce(removal, 'Removal is required.');
+
+        const removalValid = new Validator(removal, false);
+
+        enforce(removalValid.str('address'), 'Removal address is required.');
+        enforce(removalValid.str('entry'), 'Removal entry is required.');
+        enforce(removalValid.u64('timestamp'), 'Timestamp not found.');
+
+        cosigner = req.cosigner;
+      }
+
+      let removed;
+
+      try {
+        removed = await req.mswallet.removeAddressEntry(
+          addr,
+          cosigner,
+          removal,
+          signature
+        );
+      } catch (e) {
+        enforce(false, e.message);
+      }
+
+      res.json(200, { success: removed });
+    });
+
+    // List proposal schedules
+    this.get('/:id/schedule', async (req, res) => {
+      const schedules = await req.mswallet.getSchedules();
+
+      res.json(200, {
+        schedules: schedules.map(schedule => schedule.getJSON())
+      });
+    });
+
+    // Get proposal schedule
+    this.get('/:id/schedule/:sid', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const sid = valid.u32('sid');
+
+      enforce(sid != null, 'Schedule id is required.');
+
+      const schedule = await req.mswallet.getSchedule(sid);
+
+      if (!schedule) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, schedule.getJSON());
+    });
+
+    // Create recurring proposal schedule
+    this.post('/:id/schedule', async (req, res) => {
+      enforce(req.cosigner, 'Cosigner not found.');
+
+      const requestValid = Validator.fromRequest(req);
+
+      const signature = requestValid.buf('signature');
+      const options = requestValid.obj('schedule');
+
+      enforce(signature, 'Signature is required.');
+      enforce(options, 'Schedule is required.');
+
+      const valid = new Validator(options, false);
+      const interval = valid.u32('interval');
+      const cron = valid.str('cron');
+
+      enforce(valid.str('memo'), 'Memo not found.');
+      enforce(valid.u64('timestamp'), 'Timestamp not found.');
+      enforce(valid.obj('txoptions'), 'txoptions are required.');
+      enforce((interval == null) !== (cron == null),
+        'Either interval or cron is required.');
+
+      parseTXOptions(new Validator(valid.obj('txoptions'), false),
+        this.network);
+
+      let schedule;
+
+      try {
+        schedule = await req.mswallet.createSchedule(
+          options,
+          req.cosigner,
+          signature
+        );
+      } catch (e) {
+        enforce(false, `Invalid schedule: ${e.message}`);
+      }
+
+      res.json(200, schedule.getJSON());
+    });
+
+    // Pause or resume proposal schedule (Admin or author)
+    this.put('/:id/schedule/:sid', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const sid = valid.u32('sid');
+      const paused = valid.bool('paused');
+
+      enforce(sid != null, 'Schedule id is required.');
+      enforce(paused != null, 'paused is required.');
+
+      const schedule = await req.mswallet.getSchedule(sid);
+
+      if (!schedule) {
+        res.json(404);
+        return;
+      }
+
+      if (!req.admin && req.cosigner.id !== schedule.author) {
+        res.json(403);
+        return;
+      }
+
+      const updated = await req.mswallet.pauseSchedule(sid, paused);
+
+      res.json(200, updated.getJSON());
+    });
+
+    // Remove proposal schedule (Admin or author)
+    this.del('/:id/schedule/:sid', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const sid = valid.u32('sid');
+
+      enforce(sid != null, 'Schedule id is required.');
+
+      const schedule = await req.mswallet.getSchedule(sid);
+
+      if (!schedule) {
+        res.json(404);
+        return;
+      }
+
+      if (!req.admin && req.cosigner.id !== schedule.author) {
+        res.json(403);
+        return;
+      }
+
+      const removed = await req.mswallet.removeSchedule(sid);
+
+      res.json(200, { success: removed });
+    });
+
+    // List proposal drafts
+    this.get('/:id/draft', async (req, res) => {
+      const drafts = await req.mswallet.getDrafts();
+
+      res.json(200, {
+        drafts: drafts.map(draft => draft.getJSON())
+      });
+    });
+
+    // Get proposal draft
+    this.get('/:id/draft/:did', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const did = valid.u32('did');
+
+      enforce(did != null, 'Draft id is required.');
+
+      const draft = await req.mswallet.getDraft(did);
+
+      if (!draft) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, draft.getJSON());
+    });
+
+    // Create proposal draft, coins are not selected or locked.
+    this.post('/:id/draft', async (req, res) => {
+      enforce(req.cosigner, 'Cosigner not found.');
+
+      const valid = Validator.fromRequest(req);
+      const memo = valid.str('memo');
+      const txoptions = valid.obj('txoptions');
+
+      enforce(memo, 'Memo not found.');
+      enforce(txoptions, 'txoptions are required.');
+
+      parseTXOptions(new Validator(txoptions, false), this.network);
+
+      let draft;
+
+      try {
+        draft = await req.mswallet.createDraft({
+          memo,
+          txoptions
+        }, req.cosigner);
+      } catch (e) {
+        enforce(false, `Invalid draft: ${e.message}`);
+      }
+
+      res.json(200, draft.getJSON());
+    });
+
+    // Update proposal draft (Author)
+    this.put('/:id/draft/:did', async (req, res) => {
+      enforce(req.cosigner, 'Cosigner not found.');
+
+      const valid = Validator.fromRequest(req);
+      const did = valid.u32('did');
+      const memo = valid.str('memo');
+      const txoptions = valid.obj('txoptions');
+
+      enforce(did != null, 'Draft id is required.');
+      enforce(memo != null || txoptions != null,
+        'memo or txoptions is required.');
+
+      if (txoptions)
+        parseTXOptions(new Validator(txoptions, false), this.network);
+
+      const draft = await req.mswallet.getDraft(did);
+
+      if (!draft) {
+        res.json(404);
+        return;
+      }
+
+      if (req.cosigner.id !== draft.author) {
+        res.json(403);
+        return;
+      }
+
+      let updated;
+
+      try {
+        updated = await req.mswallet.updateDraft(did, { memo, txoptions });
+      } catch (e) {
+        enforce(false, `Invalid draft: ${e.message}`);
+      }
+
+      res.json(200, updated.getJSON());
+    });
+
+    // Remove proposal draft (Admin or author)
+    this.del('/:id/draft/:did', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const did = valid.u32('did');
+
+      enforce(did != null, 'Draft id is required.');
+
+      const draft = await req.mswallet.getDraft(did);
+
+      if (!draft) {
+        res.json(404);
+        return;
+      }
+
+      if (!req.admin && req.cosigner.id !== draft.author) {
+        res.json(403);
+        return;
+      }
+
+      const removed = await req.mswallet.removeDraft(did);
+
+      res.json(200, { success: removed });
+    });
+
+    // Finalize draft into the funded proposal (Author)
+    this.post('/:id/draft/:did/finalize', async (req, res) => {
+      enforce(req.cosigner, 'Cosigner not found.');
+
+      const requestValid = Validator.fromRequest(req);
+      const did = requestValid.u32('did');
+      const signature = requestValid.buf('signature');
+      const options = requestValid.obj('proposal');
+
+      enforce(did != null, 'Draft id is required.');
+      enforce(signature, 'Signature is required.');
+      enforce(options, 'Proposal is required.');
+
+      const valid = new Validator(options, false);
+
+      enforce(valid.str('memo'), 'Memo not found.');
+      enforce(valid.u64('timestamp'), 'Timestamp not found.');
+      enforce(valid.u64('expiresAt') == null || valid.u32('ttl') == null,
+        'Can not use both expiresAt and ttl.');
+
+      const draft = await req.mswallet.getDraft(did);
+
+      if (!draft) {
+        res.json(404);
+        return;
+      }
+
+      if (req.cosigner.id !== draft.author) {
+        res.json(403);
+        return;
+      }
+
+      enforce(draft.matches(options), 'Proposal does not match the draft.');
+
+      const result = await req.mswallet.finalizeDraft(
+        did,
+        options,
+        req.cosigner,
+        signature
+      );
+
+      // draft was removed in the meantime.
+      if (!result) {
+        res.json(404);
+        return;
+      }
+
+      const [proposal, tx] = result;
+
+      enforce(proposal, 'Could not create proposal.');
+
+      res.json(200, proposal.getJSON(tx, req.mswallet.cosigners, this.network));
+    });
+
+    // Export wallet.
+    this.get('/:id/export', async (req, res) => {
+      if (!req.admin) {
+        res.json(403);
+        return;
+      }
+
+      const id = req.mswallet.id;
+      const info = await this.msdb.export(id);
+
+      const json = info.getJSON(this.network);
+      res.json(200, json);
+    });
+
+    // Proposal audit log.
+    this.get('/:id/audit', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const start = valid.u32('start');
+      const end = valid.u32('end');
+      const cursor = valid.u32('cursor');
+      const limit = valid.u32('limit');
+      const format = valid.str('format', 'json');
+
+      enforce(format === 'json' || format === 'csv', 'Unknown format.');
+      enforce(start == null || end == null || start <= end,
+        'start must be before end.');
+      enforce(cursor == null || start != null,
+        'cursor must be used with start.');
+      enforce(limit == null || (limit > 0 && limit <= ProposalDB.MAX_LIMIT),
+        `Limit must be between 1 and ${ProposalDB.MAX_LIMIT}.`);
+
+      // one more entry tells if there is a next page.
+      const entries = await req.mswallet.getAuditLog({
+        start: start,
+        end: end,
+        cursor: cursor,
+        limit: limit != null ? limit + 1 : null
+      });
+
+      let next = null;
+
+      if (limit != null && entries.length > limit) {
+        entries.length = limit;
+
+        const last = entries[limit - 1];
+
+        next = {
+          start: last.time,
+          cursor: last.id
+        };
+      }
+
+      if (format === 'csv') {
+        const rows = [AuditEntry.CSV_HEADER.join(',')];
+
+        for (const entry of entries)
+          rows.push(entry.getCSV());
+
+        res.send(200, rows.join('\n') + '\n', 'csv');
+        return;
+      }
+
+      res.json(200, {
+        entries: entries.map(entry => entry.getJSON()),
+        next: next
+      });
+    });
+
+    // Import wallet.
+    this.post('/import', async (req, res) => {
+      if (!req.admin) {
+        res.json(403);
+        return;
+      }
+
+      const valid = Validator.fromRequest(req);
+      const id = valid.str('id');
+      const options = valid.obj('importOptions');
+
+      const importDetails = WalletDetails.fromJSON(options);
+      const mswallet = await this.msdb.import(id, importDetails);
+
+      res.json(200, mswallet.getJSON({ cosignerIndex: 0 }));
+    });
+
+    // Join multisig wallet
+    this.post('/:id/join', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const cosigner = this.parseCosigner(valid, req.mswallet.id);
+
+      const joined = await req.mswallet.join(cosigner);
+      const cosignerIndex = joined.cosigners.length - 1;
+
+      res.json(200, joined.getJSON({ cosignerIndex }));
+    });
+
+    // Rotate cosigner key, create successor wallet.
+    this.post('/:id/migrate', async (req, res) => {
+      enforce(req.admin || req.cosigner, 'Cosigner not found.');
+
+      const valid = Validator.fromRequest(req);
+      const id = valid.str('id');
+      const joinPubKey = valid.buf('joinPubKey');
+      const joinDeadline = valid.u64('joinDeadline');
+
+      enforce(id, 'Successor id is required.');
+      enforce(joinPubKey, 'joinPubKey is required.');
+      enforce(joinDeadline == null || joinDeadline > util.now(),
+        'joinDeadline must be in the future.');
+
+      const cosigner = this.parseCosigner(valid, id);
+
+      // Admin can migrate without signatures.
+      let nonce = null;
+
+      if (!req.admin) {
+        nonce = this.verifyMigration(valid, req.mswallet, {
+          successor: id,
+          joinPubKey: joinPubKey.toString('hex'),
+          accountKey: cosigner.key.xpubkey(this.network)
+        });
+      }
+
+      let successor;
+
+      try {
+        successor = await req.mswallet.migrate({
+          id,
+          joinPubKey,
+          joinDeadline,
+          nonce
+        }, cosigner);
+      } catch (e) {
+        enforce(false, e.message);
+      }
+
+      const stats = await successor.getStats();
+
+      res.json(200, successor.getJSON({ stats, cosignerIndex: 0 }));
+    });
+
+    // Cancel key rotation.
+    this.del('/:id/migrate', async (req, res) => {
+      enforce(req.admin || req.cosigner, 'Cosigner not found.');
+
+      const valid = Validator.fromRequest(req);
 
-      res.json(200, { success: true });
-    });
+      let nonce = null;
 
-    // Export wallet.
-    this.get('/:id/export', async (req, res) => {
       if (!req.admin) {
-        res.json(403);
-        return;
+        enforce(req.mswallet.successor, 'Wallet is not migrating.');
+
+        nonce = this.verifyMigration(valid, req.mswallet, {
+          successor: req.mswallet.successor,
+          cancel: true
+        });
       }
 
-      const id = req.mswallet.id;
-      const info = await this.msdb.export(id);
+      try {
+        await req.mswallet.cancelMigration(nonce);
+      } catch (e) {
+        enforce(false, e.message);
+      }
 
-      const json = info.getJSON(this.network);
-      res.json(200, json);
+      res.json(200, { success: true });
     });
 
-    // Import wallet.
-    this.post('/import', async (req, res) => {
-      if (!req.admin) {
-        res.json(403);
-        return;
-      }
-
-      const valid = Validator.fromRequest(req);
-      const id = valid.str('id');
-      const options = valid.obj('importOptions');
+    // Create proposal sweeping coins to the successor wallet.
+    this.post('/:id/migrate/sweep', async (req, res) => {
+      enforce(req.cosigner, 'Cosigner not found.');
 
-      const importDetails = WalletDetails.fromJSON(options);
-      const mswallet = await this.msdb.import(id, importDetails);
+      const requestValid = Validator.fromRequest(req);
 
-      res.json(200, mswallet.getJSON({ cosignerIndex: 0 }));
-    });
+      const signature = requestValid.buf('signature');
+      const options = requestValid.obj('proposal');
 
-    // Join multisig wallet
-    this.post('/:id/join', async (req, res) => {
-      const valid = Validator.fromRequest(req);
+      enforce(signature, 'Signature is required.');
+      enforce(options, 'Proposal is required.');
 
-      const joinSignature = valid.buf('joinSignature');
-
-      // cosigner options
-      const cosignerVal = new Validator(valid.obj('cosigner'), false);
-      const name = cosignerVal.str('name');
-      const purpose = cosignerVal.u32('purpose');
-      const fingerPrint = cosignerVal.u32('fingerPrint');
-      const data = cosignerVal.buf('data');
-      const accountKey = cosignerVal.str('accountKey');
-      const key = HDPublicKey.fromBase58(accountKey, this.network);
-      const keyProof = cosignerVal.buf('accountKeyProof');
-
-      // multisig auth/validation options
-      const token = cosignerVal.buf('token');
-      const authPubKey = cosignerVal.buf('authPubKey');
-
-      const cosigner = Cosigner.fromOptions({
-        name,
-        purpose,
-        fingerPrint,
-        data,
-        authPubKey,
-        joinSignature,
-        token,
-        key
-      });
+      const valid = new Validator(options, false);
 
-      if (keyProof) {
-        const validKeyProof = cosigner.verifyProof(
-          keyProof,
-          req.mswallet.id,
-          this.network
-        );
+      enforce(valid.str('memo'), 'Memo not found.');
+      enforce(valid.u64('timestamp'), 'Timestamp not found.');
+      enforce(valid.str('successor'), 'Successor not found.');
+      enforce(valid.u64('expiresAt') == null || valid.u32('ttl') == null,
+        'Can not use both expiresAt and ttl.');
 
-        enforce(validKeyProof, 'accountKeyProof is not valid.');
-      }
+      const [proposal, tx] = await req.mswallet.createSweepProposal(
+        options,
+        req.cosigner,
+        signature
+      );
 
-      const joined = await req.mswallet.join(cosigner, key);
-      const cosignerIndex = joined.cosigners.length - 1;
+      enforce(proposal, 'Could not create proposal.');
 
-      res.json(200, joined.getJSON({ cosignerIndex }));
+      res.json(200, proposal.getJSON(tx, req.mswallet.cosigners, this.network));
     });
 
     // List accounts (compatibility).
@@ -537,23 +1387,48 @@ class MultisigHTTP extends Server {
     });
 
     // Get list of proposals.
-    // TODO: Add limits.
     this.get('/:id/proposal', async (req, res) => {
       const valid = Validator.fromRequest(req);
       const pending = valid.bool('pending', true);
+      const reasonName = valid.str('reason');
+      const limit = valid.u32('limit');
+      const defaultStatus = pending && reasonName == null ? 'pending' : null;
+      const status = valid.str('status', defaultStatus);
 
-      let proposals;
+      enforce(status == null || STATUS_FILTERS.has(status),
+        'Unknown proposal status.');
+      enforce(limit == null || (limit > 0 && limit <= ProposalDB.MAX_LIMIT),
+        `Limit must be between 1 and ${ProposalDB.MAX_LIMIT}.`);
 
-      if (pending) {
-        proposals = await req.mswallet.getPendingProposals();
-      } else {
-        proposals = await req.mswallet.getProposals();
+      let reason = null;
+
+      if (reasonName != null) {
+        reason = Proposal.status[reasonName.toUpperCase()];
+
+        enforce(reason != null && Proposal.statusIsRejected(reason),
+          'Unknown rejection reason.');
+        enforce(status == null || status === 'rejected',
+          'Rejection reason can only be used with rejected status.');
       }
 
+      const {proposals, next} = await req.mswallet.listProposals({
+        cursor: valid.u32('cursor'),
+        limit: limit,
+        reverse: valid.bool('reverse', false),
+        status: status,
+        reason: reason,
+        author: valid.u8('author'),
+        createdAfter: valid.u32('createdAfter'),
+        createdBefore: valid.u32('createdBefore'),
+        closedAfter: valid.u32('closedAfter'),
+        closedBefore: valid.u32('closedBefore')
+      });
+
       return res.json(200, {
         proposals: proposals.map((p) => {
           return p.getJSON(null, req.mswallet.cosigners, this.network);
-        })
+        }),
+        next: next
       });
     });
 
@@ -573,8 +1448,16 @@ class MultisigHTTP extends Server {
       const memo = valid.str('memo');
       const timestamp = valid.u64('timestamp');
 
+      const expiresAt = valid.u64('expiresAt');
+      const ttl = valid.u32('ttl');
+      const replaces = valid.u32('replaces');
+
       enforce(memo, 'Memo not found.');
       enforce(timestamp, 'Timestamp not found.');
+      enforce(expiresAt == null || ttl == null,
+        'Can not use both expiresAt and ttl.');
+      enforce(replaces == null || txoptions.rate != null,
+        'Fee rate is required for the replacement.');
 
       const [proposal, tx] = await req.mswallet.createProposal(
         options,
@@ -588,6 +1471,70 @@ class MultisigHTTP extends Server {
       res.json(200, proposal.getJSON(tx, req.mswallet.cosigners, this.network));
     });
 
+    // Estimate proposal fee and size without creating it (dry run).
+    this.post('/:id/proposal/estimate', async (req, res) => {
+      enforce(req.cosigner, 'Cosigner not found.');
+
+      const requestValid = Validator.fromRequest(req);
+      const options = requestValid.obj('proposal');
+
+      enforce(options, 'Proposal is required.');
+
+      const valid = new Validator(options, false);
+      const txValid = new Validator(valid.obj('txoptions'), false);
+      const txoptions = parseTXOptions(txValid, this.network);
+      const replaces = valid.u32('replaces');
+
+      enforce(replaces == null || txoptions.rate != null,
+        'Fee rate is required for the replacement.');
+
+      let estimate;
+
+      try {
+        estimate = await req.mswallet.estimateProposal(txoptions, replaces);
+      } catch (e) {
+        enforce(false, `Could not estimate proposal: ${e.message}`);
+      }
+
+      res.json(200, {
+        ...estimate,
+        coins: estimate.coins.map(coin => coin.getJSON(this.network))
+      });
+    });
+
+    // Create batch payout proposal from CSV or JSON list.
+    this.post('/:id/proposal/batch', async (req, res) => {
+      enforce(req.cosigner, 'Cosigner not found.');
+
+      const requestValid = Validator.fromRequest(req);
+
+      const signature = requestValid.buf('signature');
+      const options = requestValid.obj('proposal');
+
+      enforce(signature, 'Signature is required.');
+      enforce(options, 'Proposal is required.');
+
+      const valid = new Validator(options, false);
+      const payouts = options.payouts;
+
+      enforce(valid.str('memo'), 'Memo not found.');
+      enforce(valid.u64('timestamp'), 'Timestamp not found.');
+      enforce(typeof payouts === 'string' || Array.isArray(payouts),
+        'Payouts must be CSV or an array.');
+      enforce(valid.u64('expiresAt') == null || valid.u32('ttl') == null,
+        'Can not use both expiresAt and ttl.');
+
+      const [proposal, tx] = await req.mswallet.createBatchProposal(
+        options,
+        req.cosigner,
+        signature
+      );
+
+      enforce(proposal, 'Could not create proposal.');
+
+      res.json(200, proposal.getJSON(tx, req.mswallet.cosigners, this.network));
+    });
+
     // Get proposal info
     this.get('/:id/proposal/:pid', async (req, res) => {
       const valid = Validator.fromRequest(req);
@@ -670,22 +1617,60 @@ class MultisigHTTP extends Server {
       });
     });
 
+    // Get proposal mtx as PSBT
+    this.get('/:id/proposal/:pid/psbt', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const pid = valid.u32('pid');
+
+      const psbt = await req.mswallet.getProposalPSBT(pid);
+
+      if (!psbt) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, {
+        psbt: psbt.toBase64()
+      });
+    });
+
     // Approve proposal
     this.post('/:id/proposal/:pid/approve', async (req, res) => {
       const valid = Validator.fromRequest(req);
       const pid = valid.u32('pid');
       const hexSigs = valid.array('signatures', []);
+      const rawPSBT = valid.str('psbt');
       const broadcast = valid.bool('broadcast', true);
 
       enforce(req.cosigner, 'Cosigner not found.');
-      enforce(hexSigs.length, 'Could not find signatures');
 
-      const sigs = hexSigs.map((sig) => {
-        if (!sig)
-          return null;
+      let sigs;
 
-        return Buffer.from(sig, 'hex');
-      });
+      if (rawPSBT) {
+        let psbt;
+
+        try {
+          psbt = PSBT.fromBase64(rawPSBT);
+        } catch (e) {
+          enforce(false, `Invalid PSBT: ${e.message}`);
+        }
+
+        sigs = await req.mswallet.getPSBTSignatures(pid, req.cosigner, psbt);
+
+        if (!sigs) {
+          res.json(404);
+          return;
+        }
+      } else {
+        enforce(hexSigs.length, 'Could not find signatures');
+
+        sigs = hexSigs.map((sig) => {
+          if (!sig)
+            return null;
+
+          return Buffer.from(sig, 'hex');
+        });
+      }
 
       enforce(sigs && sigs.length > 0, 'Signatures not found.');
 
@@ -758,6 +1743,135 @@ class MultisigHTTP extends Server {
       res.json(200, proposal.toJSON());
     });
 
+    // Withdraw proposal (author)
+    this.post('/:id/proposal/:pid/withdraw', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const pid = valid.u32('pid');
+      const signature = valid.buf('signature');
+
+      enforce(req.cosigner, 'Cosigner not found.');
+      enforce(signature, 'Signature is required.');
+
+      const proposal = await req.mswallet.withdrawProposal(
+        pid,
+        req.cosigner,
+        signature
+      );
+
+      if (!proposal) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, proposal.toJSON());
+    });
+
+    // Amend pending proposal (Author)
+    this.post('/:id/proposal/:pid/amend', async (req, res) => {
+      enforce(req.cosigner, 'Cosigner not found.');
+
+      const requestValid = Validator.fromRequest(req);
+      const pid = requestValid.u32('pid');
+      const signature = requestValid.buf('signature');
+      const options = requestValid.obj('proposal');
+
+      enforce(pid != null, 'Proposal id is required.');
+      enforce(signature, 'Signature is required.');
+      enforce(options, 'Proposal is required.');
+
+      const valid = new Validator(options, false);
+      const txValid = new Validator(valid.obj('txoptions'), false);
+      const txoptions = parseTXOptions(txValid, this.network);
+
+      enforce(valid.str('memo'), 'Memo not found.');
+      enforce(valid.u64('timestamp'), 'Timestamp not found.');
+
+      const [proposal, tx] = await req.mswallet.amendProposal(
+        pid,
+        options,
+        req.cosigner,
+        txoptions,
+        signature
+      );
+
+      res.json(200, proposal.getJSON(tx, req.mswallet.cosigners, this.network));
+    });
+
+    // Revoke approval
+    this.post('/:id/proposal/:pid/revoke', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const pid = valid.u32('pid');
+      const signature = valid.buf('signature');
+      const rejectSignature = valid.buf('rejectSignature');
+
+      enforce(req.cosigner, 'Cosigner not found.');
+      enforce(signature, 'Signature is required.');
+
+      const proposal = await req.mswallet.revokeApproval(
+        pid,
+        req.cosigner,
+        signature,
+        rejectSignature
+      );
+
+      if (!proposal) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, proposal.toJSON());
+    });
+
+    // Get proposal comments
+    this.get('/:id/proposal/:pid/comments', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const pid = valid.u32('pid');
+
+      enforce(pid != null, 'Proposal id is required.');
+
+      const comments = await req.mswallet.getComments(pid);
+
+      if (!comments) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, {
+        comments: comments.map(comment => comment.getJSON())
+      });
+    });
+
+    // Comment on proposal
+    this.post('/:id/proposal/:pid/comments', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const pid = valid.u32('pid');
+      const signature = valid.buf('signature');
+      const options = valid.obj('comment');
+
+      enforce(req.cosigner, 'Cosigner not found.');
+      enforce(pid != null, 'Proposal id is required.');
+      enforce(signature, 'Signature is required.');
+      enforce(options, 'Comment is required.');
+
+      const commentValid = new Validator(options, false);
+      const message = commentValid.str('message');
+      const timestamp = commentValid.u64('timestamp');
+
+      enforce(message, 'Message is required.');
+      enforce(timestamp, 'Timestamp not found.');
+      enforce(commentValid.u32('proposal') === pid,
+        'Comment is signed for another proposal.');
+
+      const comment = await req.mswallet.addComment(
+        pid,
+        req.cosigner,
+        options,
+        signature
+      );
+
+      res.json(200, comment.getJSON());
+    });
+
     // Get proposal by coin (Admin or Cosigner)
     this.get('/:id/proposal/coin/:hash/:index', async (req, res) => {
       const valid = Validator.fromRequest(req);
@@ -817,12 +1931,34 @@ class MultisigHTTP extends Server {
       handleEvent('join', wallet, json);
     });
 
+    this.msdb.on('leave', (wallet, cosigner) => {
+      const json = cosigner.getJSON(false, this.network);
+
+      handleEvent('leave', wallet, json);
+    });
+
+    this.msdb.on('abandoned', (wallet) => {
+      const json = {
+        joinDeadline: wallet.joinDeadline,
+        cosigners: wallet.cosigners.length,
+        n: wallet.n
+      };
+
+      handleEvent('abandoned', wallet, json);
+    });
+
     this.msdb.on('proposal created', (wallet, proposal, tx) => {
       const json = proposal.getJSON(tx, wallet.cosigners, this.network);
 
       handleEvent('proposal created', wallet, json);
     });
 
+    this.msdb.on('proposal amended', (wallet, proposal, tx) => {
+      const json = proposal.getJSON(tx, wallet.cosigners, this.network);
+
+      handleEvent('proposal amended', wallet, json);
+    });
+
     this.msdb.on('proposal rejected', (wallet, proposal, cosigner) => {
       const json = {
         proposal: proposal.getJSON(),
@@ -840,6 +1976,25 @@ class MultisigHTTP extends Server {
 
       handleEvent('proposal approved', wallet, json);
     });
+
+    this.msdb.on('approval revoked', (wallet, proposal, cosigner) => {
+      const json = {
+        proposal: proposal.getJSON(),
+        cosigner: cosigner.getJSON(false, this.network)
+      };
+
+      handleEvent('approval revoked', wallet, json);
+    });
+
+    this.msdb.on('proposal comment', (wallet, proposal, comment, cosigner) => {
+      const json = {
+        proposal: proposal.getJSON(),
+        comment: comment.getJSON(),
+        cosigner: cosigner.getJSON(false, this.network)
+      };
+
+      handleEvent('proposal comment', wallet, json);
+    });
   }
 
   handleSocket(socket) {
@@ -993,52 +2148,6 @@ class MultisigHTTPOptions {
  * Helpers
  */
 
-/**
- * Parse transaction options.
- * @ignore
- * @param {Validator} valid
- * @param {Network} network
- * @returns {Object}
- */
-
-function parseTXOptions(valid, network) {
-  const outputs = valid.array('outputs', []);
-
-  const options = {
-    rate: valid.u64('rate'),
-    blocks: valid.u32('blocks'),
-    maxFee: valid.u64('maxFee'),
-    selection: valid.str('selection'),
-    smart: valid.bool('smart'),
-    sort: valid.bool('sort'),
-    subtractFee: valid.bool('subtractFee'),
-    subtractIndex: valid.i32('subtractIndex'),
-    depth: valid.u32(['confirmations', 'depth']),
-    outputs: []
-  };
-
-  for (const output of outputs) {
-    const valid = new Validator(output);
-
-    let addr = valid.str('address');
-    let script = valid.buf('script');
-
-    if (addr)
-      addr = Address.fromString(addr, network);
-
-    if (script)
-      script = Script.fromRaw(script);
-
-    options.outputs.push({
-      address: addr,
-      script: script,
-      value: valid.u64('value')
-    });
-  }
-
-  return options;
-}
-
 function error(statusCode, msg) {
   const err = new Error(msg);
   err.statusCode = statusCode;
@@ -1046,11 +2155,6 @@ function error(statusCode, msg) {
   throw err;
 }
 
-function enforce(value, msg) {
-  if (!value)
-    error(400, msg);
-}
-
 /*
  * Expose
  */
@@ -15,7 +15,20 @@ const bdb = require('bdb');
  *  w[wid] -> wallet
  *  W[wid] -> wallet id
  *  l[id] -> wid
+ *  j[time][wid] -> dummy (wallets waiting for cosigners by join deadline)
  *  p[wid]* -> proposaldb
+ *  a[wid][script] -> address book entry
+ *  S[wid] -> schedule id depth
+ *  s[wid][sid] -> proposal schedule
+ *  n[time][wid][sid] -> dummy (active schedules by the next attempt)
+ *  D[wid] -> draft id depth
+ *  d[wid][did] -> proposal draft
+ *  I[wid] -> invite id depth
+ *  i[wid][iid] -> join invite
+ *  k[wid] -> dummy (wallets with locked coins)
+ *  K -> dummy (locked coins index is built)
+ *  x[time][wid][pid] -> dummy (pending proposals by expiration)
+ *  X -> dummy (expiration index is built)
  */
 
 exports.msdb = {
@@ -24,7 +37,20 @@ exports.msdb = {
   w: bdb.key('w', ['uint32']),
   W: bdb.key('W', ['uint32']),
   l: bdb.key('l', ['ascii']),
-  p: bdb.key('p', ['uint32'])
+  j: bdb.key('j', ['uint32', 'uint32']),
+  p: bdb.key('p', ['uint32']),
+  a: bdb.key('a', ['uint32', 'buffer']),
+  S: bdb.key('S', ['uint32']),
+  s: bdb.key('s', ['uint32', 'uint32']),
+  n: bdb.key('n', ['uint32', 'uint32', 'uint32']),
+  D: bdb.key('D', ['uint32']),
+  d: bdb.key('d', ['uint32', 'uint32']),
+  I: bdb.key('I', ['uint32']),
+  i: bdb.key('i', ['uint32', 'uint32']),
+  k: bdb.key('k', ['uint32']),
+  K: bdb.key('K'),
+  x: bdb.key('x', ['uint32', 'uint32', 'uint32']),
+  X: bdb.key('X')
 };
 
 /*
@@ -36,8 +62,17 @@ exports.msdb = {
  *  e[pid] -> dummy (pending proposals)
  *  f[pid] -> dummy (finished proposals)
  *  c[hash][index] -> dummy (locked coins)
- *  C[pid][hash][index] -> dummy (locked coins by proposal)
+ *  C[pid][hash][index] -> value (locked coins by proposal)
  *  P[hash][index] -> pid (proposals by coins)
+ *  o[time][pid] -> value (approved outflow)
+ *  m[pid][index] -> comment
+ *  I -> dummy (secondary indexes are built)
+ *  s[status][pid] -> dummy (proposals by status)
+ *  a[author][pid] -> dummy (proposals by author)
+ *  T[time][pid] -> dummy (proposals by creation time)
+ *  F[time][pid] -> dummy (finished proposals by close time)
+ *  A -> audit depth
+ *  L[time][id] -> audit entry
  */
 
 exports.proposaldb = {
@@ -51,5 +86,14 @@ exports.proposaldb = {
   f: bdb.key('f', ['uint32']),
   c: bdb.key('c', ['hash256', 'uint32']),
   C: bdb.key('C', ['uint32', 'hash256', 'uint32']),
-  P: bdb.key('P', ['hash256', 'uint32'])
+  P: bdb.key('P', ['hash256', 'uint32']),
+  o: bdb.key('o', ['uint32', 'uint32']),
+  m: bdb.key('m', ['uint32', 'uint32']),
+  I: bdb.key('I'),
+  s: bdb.key('s', ['uint8', 'uint32']),
+  a: bdb.key('a', ['uint8', 'uint32']),
+  T: bdb.key('T', ['uint32', 'uint32']),
+  F: bdb.key('F', ['uint32', 'uint32']),
+  A: bdb.key('A'),
+  L: bdb.key('L', ['uint32', 'uint32'])
 };
@@ -19,8 +19,22 @@ const {Account} = wallet;
 const {WalletDetails, AccountDetails, CosignerDetails} = require('./export');
 
 const MultisigWallet = require('./wallet');
+const AddressEntry = require('./primitives/addressentry');
+const AuditEntry = require('./primitives/auditentry');
+const Schedule = require('./primitives/schedule');
+const Draft = require('./primitives/draft');
+const Invite = require('./primitives/invite');
+const Proposal = require('./primitives/proposal');
+const util = require('./utils/common');
 const layout = require('./layout').msdb;
 
+/**
+ * Default join deadline of the successor wallet (seconds).
+ * @const {Number}
+ */
+
+const MIGRATION_DEADLINE = 7 * 24 * 60 * 60;
+
 /**
  * MultisigDB
  * @alias module:multisig.MultisigDB
@@ -33,6 +47,10 @@ const layout = require('./layout').msdb;
  * @property {Map<string, MultisigWallet>} Map - map of loaded wallets.
  * @property {bmutex.MapLock} readLock - wallet specific lock.
  * @property {bmutex.Lock} writeLock - lock for atomic writes.
+ * @property {Timeout?} expireTimer - proposal and join deadline
+ * expiration sweep.
+ * @property {Timeout?} scheduleTimer - recurring proposal scheduler.
+ * @property {Timeout?} checkTimer - locked coin consistency check.
  */
 
 class MultisigDB extends EventEmitter {
@@ -53,6 +71,15 @@ class MultisigDB extends EventEmitter {
 
     // write lock
     this.writeLock = new Lock();
+
+    this.expireTimer = null;
+    this.expiring = false;
+
+    this.scheduleTimer = null;
+    this.scheduling = false;
+
+    this.checkTimer = null;
+    this.checking = false;
   }
 
   /**
@@ -118,9 +145,22 @@ class MultisigDB extends EventEmitter {
 
     await this.db.verify(layout.V.encode(), 'multisig', 1);
     await this.verifyNetwork();
+    await this.indexLockedWallets();
+    await this.indexExpiringProposals();
 
     await this.client.open();
 
+    this.startExpireTimer();
+    this.startScheduleTimer();
+
+    try {
+      await this.checkLockedCoins();
+    } catch (e) {
+      this.emit('error', e);
+    }
+
+    this.startCheckTimer();
+
     this.logger.info('MultisigDB loaded.');
   }
 
@@ -130,6 +170,10 @@ class MultisigDB extends EventEmitter {
    */
 
   async close() {
+    this.stopExpireTimer();
+    this.stopScheduleTimer();
+    this.stopCheckTimer();
+
     for (const wallet of this.wallets.values()) {
       await wallet.destroy();
       this.unregister(wallet);
@@ -139,6 +183,403 @@ class MultisigDB extends EventEmitter {
     await this.client.close();
   }
 
+  /**
+   * Start periodic sweep of expired proposals
+   * and wallets past the join deadline.
+   * @private
+   */
+
+  startExpireTimer() {
+    assert(!this.expireTimer, 'Expire timer is already running.');
+
+    if (this.options.expireInterval === 0)
+      return;
+
+    this.expireTimer = setInterval(async () => {
+      try {
+        await this.expireProposals();
+        await this.abandonWallets();
+      } catch (e) {
+        this.emit('error', e);
+      }
+    }, this.options.expireInterval);
+
+    if (this.expireTimer.unref)
+      this.expireTimer.unref();
+  }
+
+  /**
+   * Stop periodic sweep of expired proposals
+   * and wallets past the join deadline.
+   * @private
+   */
+
+  stopExpireTimer() {
+    if (!this.expireTimer)
+      return;
+
+    clearInterval(this.expireTimer);
+    this.expireTimer = null;
+  }
+
+  /**
+   * Reject expired proposals in all wallets,
+   * this will unlock their coins. Only proposals
+   * indexed by the expiration are loaded.
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Promise<Number>} - number of expired proposals
+   */
+
+  async expireProposals(now = util.now()) {
+    if (this.expiring)
+      return 0;
+
+    this.expiring = true;
+
+    let total = 0;
+
+    try {
+      for (const [wid, pid] of await this.getExpiring(now)) {
+        const mswallet = await this.getWallet(wid);
+
+        if (!mswallet)
+          continue;
+
+        const proposal = await mswallet.expireProposal(pid, now);
+
+        if (!proposal)
+          continue;
+
+        this.logger.info('Proposal %d expired in wallet %s.',
+          proposal.id, mswallet.id);
+
+        total += 1;
+      }
+    } finally {
+      this.expiring = false;
+    }
+
+    return total;
+  }
+
+  /**
+   * Get pending proposals expired by the time.
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Promise<Array>} - [wid, pid] pairs.
+   */
+
+  getExpiring(now = util.now()) {
+    return this.db.keys({
+      gte: layout.x.min(),
+      lte: layout.x.max(util.toTime(now)),
+      parse: key => layout.x.decode(key).slice(1)
+    });
+  }
+
+  /**
+   * Mark wallets that were not initialized
+   * before the join deadline as abandoned,
+   * only wallets indexed by the deadline are loaded.
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Promise<Number>} - number of abandoned wallets
+   */
+
+  async abandonWallets(now = util.now()) {
+    let total = 0;
+
+    const wids = await this.db.keys({
+      gte: layout.j.min(),
+      lte: layout.j.max(util.toTime(now)),
+      parse: key => layout.j.decode(key)[1]
+    });
+
+    for (const wid of wids) {
+      if (await this.abandon(wid, now))
+        total += 1;
+    }
+
+    return total;
+  }
+
+  /**
+   * Start periodic check of the proposal schedules.
+   * @private
+   */
+
+  startScheduleTimer() {
+    assert(!this.scheduleTimer, 'Schedule timer is already running.');
+
+    if (this.options.scheduleInterval === 0)
+      return;
+
+    this.scheduleTimer = setInterval(async () => {
+      try {
+        await this.runSchedules();
+      } catch (e) {
+        this.emit('error', e);
+      }
+    }, this.options.scheduleInterval);
+
+    if (this.scheduleTimer.unref)
+      this.scheduleTimer.unref();
+  }
+
+  /**
+   * Stop periodic check of the proposal schedules.
+   * @private
+   */
+
+  stopScheduleTimer() {
+    if (!this.scheduleTimer)
+      return;
+
+    clearInterval(this.scheduleTimer);
+    this.scheduleTimer = null;
+  }
+
+  /**
+   * Create proposals for the due schedules in all wallets,
+   * only schedules indexed by the due time are loaded.
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Promise<Number>} - number of created proposals
+   */
+
+  async runSchedules(now = util.now()) {
+    if (this.scheduling)
+      return 0;
+
+    this.scheduling = true;
+
+    let total = 0;
+
+    try {
+      const due = await this.db.keys({
+        gte: layout.n.min(),
+        lte: layout.n.max(util.toTime(now)),
+        parse: key => layout.n.decode(key)
+      });
+
+      for (const [, wid, sid] of due) {
+        const mswallet = await this.getWallet(wid);
+
+        if (!mswallet)
+          continue;
+
+        const schedule = await this.getSchedule(wid, sid);
+
+        if (!schedule)
+          continue;
+
+        const proposal = await mswallet.runSchedule(schedule, now);
+
+        if (!proposal)
+          continue;
+
+        this.logger.info('Scheduled proposal %d created in wallet %s.',
+          proposal.id, mswallet.id);
+
+        total += 1;
+      }
+    } finally {
+      this.scheduling = false;
+    }
+
+    return total;
+  }
+
+  /**
+   * Start periodic consistency check of the locked coins.
+   * @private
+   */
+
+  startCheckTimer() {
+    assert(!this.checkTimer, 'Check timer is already running.');
+
+    if (this.options.checkInterval === 0)
+      return;
+
+    this.checkTimer = setInterval(async () => {
+      try {
+        await this.checkLockedCoins();
+      } catch (e) {
+        this.emit('error', e);
+      }
+    }, this.options.checkInterval);
+
+    if (this.checkTimer.unref)
+      this.checkTimer.unref();
+  }
+
+  /**
+   * Stop periodic consistency check of the locked coins.
+   * @private
+   */
+
+  stopCheckTimer() {
+    if (!this.checkTimer)
+      return;
+
+    clearInterval(this.checkTimer);
+    this.checkTimer = null;
+  }
+
+  /**
+   * Verify locked coins of the wallets still exist in the txdb,
+   * only wallets indexed with locked coins are loaded.
+   * Pending proposals with missing coins are rejected
+   * as double spent.
+   * @returns {Promise<Number>} - number of rejected proposals
+   */
+
+  async checkLockedCoins() {
+    if (this.checking)
+      return 0;
+
+    this.checking = true;
+
+    let total = 0;
+
+    try {
+      const wids = await this.db.keys({
+        gte: layout.k.min(),
+        lte: layout.k.max(),
+        parse: key => layout.k.decode(key)[0]
+      });
+
+      for (const wid of wids) {
+        const mswallet = await this.getWallet(wid);
+
+        if (!mswallet)
+          continue;
+
+        const rejected = await mswallet.checkLockedCoins();
+
+        for (const proposal of rejected) {
+          this.logger.info('Proposal %d lost coins in wallet %s.',
+            proposal.id, mswallet.id);
+        }
+
+        total += rejected.length;
+      }
+    } finally {
+      this.checking = false;
+    }
+
+    return total;
+  }
+
+  /**
+   * Index wallets with locked coins, if the
+   * database was created without the index.
+   * @private
+   * @returns {Promise}
+   */
+
+  async indexLockedWallets() {
+    if (await this.db.has(layout.K.encode()))
+      return;
+
+    const wids = await this.db.keys({
+      gte: layout.W.min(),
+      lte: layout.W.max(),
+      parse: key => layout.W.decode(key)[0]
+    });
+
+    const b = this.db.batch();
+
+    for (const wid of wids) {
+      const bucket = this.db.bucket(layout.p.encode(wid));
+      const outpoints = await Proposal.getOutpoints(bucket);
+
+      if (outpoints.length > 0)
+        this.addLockedWallet(b, wid);
+    }
+
+    b.put(layout.K.encode());
+
+    await b.write();
+  }
+
+  /**
+   * Add wallet to the index of the wallets with locked coins.
+   * @param {bdb#Batch} b - root batch.
+   * @param {Number} wid
+   */
+
+  addLockedWallet(b, wid) {
+    b.put(layout.k.encode(wid));
+  }
+
+  /**
+   * Remove wallet from the index of the wallets with locked coins.
+   * @param {bdb#Batch} b - root batch.
+   * @param {Number} wid
+   */
+
+  removeLockedWallet(b, wid) {
+    b.del(layout.k.encode(wid));
+  }
+
+  /**
+   * Index pending proposals by the expiration, if the
+   * database was created without the index.
+   * @private
+   * @returns {Promise}
+   */
+
+  async indexExpiringProposals() {
+    if (await this.db.has(layout.X.encode()))
+      return;
+
+    const wids = await this.db.keys({
+      gte: layout.W.min(),
+      lte: layout.W.max(),
+      parse: key => layout.W.decode(key)[0]
+    });
+
+    const b = this.db.batch();
+
+    for (const wid of wids) {
+      const bucket = this.db.bucket(layout.p.encode(wid));
+      const pids = await Proposal.getPendingProposalIDs(bucket);
+
+      for (const pid of pids) {
+        const proposal = await Proposal.getProposal(bucket, pid);
+
+        if (proposal.expiresAt)
+          this.addExpiring(b, wid, proposal);
+      }
+    }
+
+    b.put(layout.X.encode());
+
+    await b.write();
+  }
+
+  /**
+   * Add pending proposal to the expiration index.
+   * @param {bdb#Batch} b - root batch.
+   * @param {Number} wid
+   * @param {Proposal} proposal
+   */
+
+  addExpiring(b, wid, proposal) {
+    const time = util.toTime(proposal.expiresAt);
+    b.put(layout.x.encode(time, wid, proposal.id));
+  }
+
+  /**
+   * Remove proposal from the expiration index.
+   * @param {bdb#Batch} b - root batch.
+   * @param {Number} wid
+   * @param {Proposal} proposal
+   */
+
+  removeExpiring(b, wid, proposal) {
+    const time = util.toTime(proposal.expiresAt);
+    b.del(layout.x.encode(time, wid, proposal.id));
+  }
+
   /**
    * Verify network.
    * @returns {Promise}
@@ -160,118 +601,925 @@ class MultisigDB extends EventEmitter {
     if (magic !== this.network.magic)
       throw new Error('Network mismatch for MultisigDB.');
 
-    return undefined;
+    return undefined;
+  }
+
+  /**
+   * Register an object with the multisigdb.
+   * @param {Object} object
+   */
+
+  register(wallet) {
+    assert(!this.wallets.has(wallet.wid),
+      'wallet is already registered.'
+    );
+    this.wallets.set(wallet.wid, wallet);
+  }
+
+  /**
+   * Unregister a object with the multisigdb.
+   * @param {Object} object
+   * @returns {Boolean}
+   */
+
+  unregister(wallet) {
+    assert(this.wallets.has(wallet.wid),
+      'wallet is not registered.'
+    );
+    this.wallets.delete(wallet.wid);
+  }
+
+  /**
+   * Create multisig wallet
+   * @async
+   * @param {Object} options
+   * @param {Number} options.n
+   * @param {Number} options.m
+   * @param {Boolean} options.witness
+   * @param {String} options.id
+   * @param {Cosigner} cosigner
+   * @returns {Promise<MultisigWallet>} multisig wallet info
+   */
+
+  async create(options, cosigner) {
+    const unlock = await this.writeLock.lock();
+
+    try {
+      return await this._create(options, cosigner);
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Create multisig wallet (without lock)
+   * @async
+   * @param {Object} options {@link MultisigDB#create}
+   * @param {Cosigner} cosigner
+   * @returns {Promise<MultisigWallet>}
+   */
+
+  async _create(options, cosigner) {
+    assert(options.id, 'walletName must be a string.');
+
+    const walletOptions = {
+      m: options.m,
+      n: options.n,
+      witness: options.witness,
+      id: options.id,
+      accountKey: cosigner.key,
+      watchOnly: true,
+      type: Account.types.MULTISIG
+    };
+
+    // validate
+    const mswallet = MultisigWallet.fromOptions(this, options);
+    mswallet.addCosigner(cosigner);
+
+    const wallet = await this.client.create(walletOptions);
+    mswallet.fromWalletOptions(wallet);
+
+    const b = this.db.batch();
+    MultisigWallet.save(b, mswallet);
+    await b.write();
+
+    this.logger.info('Created wallet %s/%d, cosigner: %s',
+      mswallet.id,
+      mswallet.wid,
+      mswallet.cosigners[0].name
+    );
+
+    await mswallet.open();
+    this.register(mswallet);
+
+    return mswallet;
+  }
+
+  /**
+   * Remove multisig wallet
+   * @async
+   * @param {Number|String} id
+   * @returns {Promise<Boolean>}
+   */
+
+  async remove(id) {
+    const wid = await this.ensureWID(id);
+
+    if (wid === -1)
+      return false;
+
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._remove(wid);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Remove multisig wallet (without lock)
+   * @param {Number} wid
+   * @param {bdb#Batch} [b] - batch with related changes.
+   * @returns {Promise<Boolean>}
+   */
+
+  async _remove(wid, b = this.db.batch()) {
+    const id = await this.getID(wid);
+
+    if (!id)
+      return false;
+
+    const mswallet = await this._getWallet(wid);
+
+    const removed = await this.client.remove(wid);
+    assert(removed, 'Could not remove wallet from WDB');
+
+    MultisigWallet.remove(b, mswallet);
+
+    const entries = await this.db.keys({
+      gte: layout.a.min(wid),
+      lte: layout.a.max(wid)
+    });
+
+    for (const key of entries)
+      b.del(key);
+
+    for (const schedule of await this.getSchedules(wid)) {
+      unindexSchedule(b, wid, schedule);
+      b.del(layout.s.encode(wid, schedule.id));
+    }
+
+    b.del(layout.S.encode(wid));
+
+    const drafts = await this.db.keys({
+      gte: layout.d.min(wid),
+      lte: layout.d.max(wid)
+    });
+
+    for (const key of drafts)
+      b.del(key);
+
+    b.del(layout.D.encode(wid));
+
+    const invites = await this.db.keys({
+      gte: layout.i.min(wid),
+      lte: layout.i.max(wid)
+    });
+
+    for (const key of invites)
+      b.del(key);
+
+    b.del(layout.I.encode(wid));
+
+    this.removeLockedWallet(b, wid);
+
+    for (const proposal of await mswallet.getPendingProposals()) {
+      if (proposal.expiresAt)
+        this.removeExpiring(b, wid, proposal);
+    }
+
+    await b.write();
+
+    await mswallet.destroy();
+    this.unregister(mswallet);
+
+    return true;
+  }
+
+  /**
+   * Mark wallet abandoned, if it was not
+   * initialized before the join deadline.
+   * @param {Number|String} id
+   * @param {Number} [now] - timestamp (seconds)
+   * @returns {Promise<Boolean>}
+   */
+
+  async abandon(id, now) {
+    const wid = await this.ensureWID(id);
+
+    if (wid === -1)
+      return false;
+
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._abandon(wid, now);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Mark wallet abandoned (without lock).
+   * @param {Number} wid
+   * @param {Number} [now] - timestamp (seconds)
+   * @returns {Promise<Boolean>}
+   */
+
+  async _abandon(wid, now) {
+    const mswallet = await this._getWallet(wid);
+
+    if (!mswallet || mswallet.abandoned || !mswallet.isJoinExpired(now))
+      return false;
+
+    mswallet.abandoned = true;
+
+    const b = this.db.batch();
+    MultisigWallet.save(b, mswallet);
+    await b.write();
+
+    this.logger.info('Wallet %s was abandoned, %d/%d cosigners joined.',
+      mswallet.id, mswallet.cosigners.length, mswallet.n);
+
+    mswallet.emit('abandoned');
+    this.emit('abandoned', mswallet);
+
+    return true;
+  }
+
+  /**
+   * Remove abandoned wallet from the WDB and MSDB.
+   * @param {Number|String} id
+   * @returns {Promise<Boolean>}
+   */
+
+  async purge(id) {
+    const wid = await this.ensureWID(id);
+
+    if (wid === -1)
+      return false;
+
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      const mswallet = await this._getWallet(wid);
+
+      if (!mswallet)
+        return false;
+
+      if (!mswallet.abandoned)
+        throw new Error('Wallet is not abandoned.');
+
+      this.logger.info('Purging abandoned wallet %s.', mswallet.id);
+
+      const b = this.db.batch();
+
+      // predecessor can migrate again.
+      if (mswallet.predecessor) {
+        const prevWID = await this.getWID(mswallet.predecessor);
+        const prev = prevWID !== -1 ? await this._getWallet(prevWID) : null;
+
+        if (prev && prev.successor === mswallet.id) {
+          prev.successor = null;
+          MultisigWallet.save(b, prev);
+        }
+      }
+
+      return await this._remove(wid, b);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Cosigner joins wallet
+   * @param {Number|String} id
+   * @param {Cosigner} cosigner {@link Cosigner#constructor}
+   * @returns {Promise<MultisigWallet>}
+   */
+
+  async join(id, cosigner) {
+    const wid = await this.ensureWID(id);
+
+    if (wid === -1)
+      return null;
+
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._join(wid, cosigner);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Join cosigner to wallet
+   * @param {Number} wid
+   * @param {Cosigner} cosigner
+   * @returns {Promise<MultisigWallet>}
+   */
+
+  async _join(wid, cosigner) {
+    const mswallet = await this._getWallet(wid);
+
+    if (!mswallet)
+      throw new Error('Multisig Wallet not found.');
+
+    if (mswallet.abandoned || mswallet.isJoinExpired())
+      throw new Error('Join deadline has passed.');
+
+    const invite = await this.getJoinInvite(mswallet, cosigner);
+
+    if (invite) {
+      mswallet.addCosigner(cosigner, invite.joinPubKey);
+      invite.use(cosigner.id);
+    } else {
+      mswallet.addCosigner(cosigner);
+    }
+
+    try {
+      const res = await this.client.addSharedKey(mswallet.id, 0, cosigner.key);
+
+      if (!res)
+        throw new Error('Can not add duplicate keys.');
+    } catch (e) {
+      mswallet.popCosigner();
+      throw e;
+    }
+
+    const b = this.db.batch();
+    MultisigWallet.save(b, mswallet);
+
+    if (invite)
+      b.put(layout.i.encode(wid, invite.id), invite.encode());
+
+    await b.write();
+
+    mswallet.emit('join', cosigner);
+    this.emit('join', mswallet, cosigner);
+
+    return mswallet;
+  }
+
+  /**
+   * Find invite signing the join of the cosigner.
+   * @param {MultisigWallet} mswallet
+   * @param {Cosigner} cosigner
+   * @returns {Promise<Invite?>} - null if cosigner joins
+   * with the shared join key.
+   * @throws {Error} - if invite can not be used or
+   * wallet only accepts invites.
+   */
+
+  async getJoinInvite(mswallet, cosigner) {
+    const invites = await this.getInvites(mswallet.wid);
+
+    for (const invite of invites) {
+      const valid = cosigner.verifyJoinSignature(
+        invite.joinPubKey,
+        mswallet.id,
+        this.network
+      );
+
+      if (!valid)
+        continue;
+
+      if (invite.isUsed())
+        throw new Error('Invite was already used.');
+
+      if (invite.isExpired())
+        throw new Error('Invite has expired.');
+
+      if (invite.name && invite.name !== cosigner.name)
+        throw new Error('Invite is for another cosigner.');
+
+      return invite;
+    }
+
+    if (mswallet.inviteOnly || invites.length > 0)
+      throw new Error('Join requires an invite.');
+
+    return null;
+  }
+
+  /**
+   * Remove cosigner from the wallet that is not initialized.
+   * @param {Number|String} id
+   * @param {Number} cid - cosigner id.
+   * @param {Number} [nonce] - must match removals of the wallet.
+   * @returns {Promise<Cosigner>} - removed cosigner.
+   */
+
+  async leave(id, cid, nonce) {
+    const wid = await this.ensureWID(id);
+
+    if (wid === -1)
+      return null;
+
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._leave(wid, cid, nonce);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Remove cosigner from the wallet (without lock).
+   * @param {Number} wid
+   * @param {Number} cid - cosigner id.
+   * @param {Number} [nonce]
+   * @returns {Promise<Cosigner>}
+   */
+
+  async _leave(wid, cid, nonce) {
+    const mswallet = await this._getWallet(wid);
+
+    if (!mswallet)
+      throw new Error('Multisig Wallet not found.');
+
+    if (mswallet.isInitialized())
+      throw new Error('Can not remove cosigner from initialized wallet.');
+
+    if (cid === 0)
+      throw new Error('Can not remove wallet creator.');
+
+    const cosigner = mswallet.cosigners[cid];
+
+    if (!cosigner)
+      throw new Error('Cosigner not found.');
+
+    if (nonce != null && nonce !== mswallet.removals)
+      throw new Error('Removal nonce does not match.');
+
+    mswallet._removeCosigner(cid);
+    mswallet.removals += 1;
+
+    try {
+      await this._save(mswallet);
+    } catch (e) {
+      mswallet._restoreCosigner(cosigner);
+      mswallet.removals -= 1;
+      throw e;
+    }
+
+    // msdb is written first, cosigner is restored
+    // if the shared key stays in the account.
+    try {
+      const res = await this.client.removeSharedKey(mswallet.id, 0,
+        cosigner.key);
+
+      if (!res)
+        throw new Error('Could not remove shared key.');
+    } catch (e) {
+      mswallet._restoreCosigner(cosigner);
+      mswallet.removals -= 1;
+      await this._save(mswallet);
+      throw e;
+    }
+
+    this.logger.info('Cosigner %s left wallet %s.', cosigner.name,
+      mswallet.id);
+
+    mswallet.emit('leave', cosigner);
+    this.emit('leave', mswallet, cosigner);
+
+    return cosigner;
+  }
+
+  /**
+   * Create successor of the wallet for the key rotation.
+   * @param {Number|String} id
+   * @param {Object} options
+   * @param {String} options.id - successor wallet id.
+   * @param {Buffer} options.joinPubKey - successor join key.
+   * @param {Number} [options.joinDeadline] - successor join deadline,
+   * by default `MIGRATION_DEADLINE` from now.
+   * @param {Number} [options.nonce] - must match migrations of the wallet.
+   * @param {Cosigner} cosigner - replacement cosigner.
+   * @returns {Promise<MultisigWallet>} - successor wallet.
+   */
+
+  async migrate(id, options, cosigner) {
+    const wid = await this.ensureWID(id);
+
+    if (wid === -1)
+      return null;
+
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._migrate(wid, options, cosigner);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Create successor of the wallet (without lock).
+   * @param {Number} wid
+   * @param {Object} options
+   * @param {Cosigner} cosigner
+   * @returns {Promise<MultisigWallet>}
+   */
+
+  async _migrate(wid, options, cosigner) {
+    const mswallet = await this._getWallet(wid);
+
+    if (!mswallet)
+      throw new Error('Multisig Wallet not found.');
+
+    if (!mswallet.isInitialized())
+      throw new Error('Wallet is not initialized.');
+
+    mswallet.ensureWritable();
+
+    if (mswallet.successor)
+      throw new Error('Wallet already has a successor.');
+
+    if (options.nonce != null && options.nonce !== mswallet.migrations)
+      throw new Error('Migration nonce does not match.');
+
+    const joinDeadline = options.joinDeadline != null
+      ? options.joinDeadline
+      : util.now() + MIGRATION_DEADLINE;
+
+    const successor = await this._create({
+      id: options.id,
+      m: mswallet.m,
+      n: mswallet.n,
+      witness: mswallet.witness,
+      joinPubKey: options.joinPubKey,
+      joinDeadline: joinDeadline,
+      predecessor: mswallet.id
+    }, cosigner);
+
+    mswallet.successor = successor.id;
+    mswallet.migrations += 1;
+    await this._save(mswallet);
+
+    this.logger.info('Wallet %s is migrating to %s.',
+      mswallet.id, successor.id);
+
+    return successor;
+  }
+
+  /**
+   * Cancel key rotation of the wallet.
+   * @param {Number|String} id
+   * @param {Number} [nonce] - must match migrations of the wallet.
+   * @returns {Promise<MultisigWallet>}
+   */
+
+  async cancelMigration(id, nonce) {
+    const wid = await this.ensureWID(id);
+
+    if (wid === -1)
+      return null;
+
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._cancelMigration(wid, nonce);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Cancel key rotation (without lock), successor that was
+   * not initialized is removed, otherwise it is unlinked.
+   * @param {Number} wid
+   * @param {Number} [nonce]
+   * @returns {Promise<MultisigWallet>}
+   */
+
+  async _cancelMigration(wid, nonce) {
+    const mswallet = await this._getWallet(wid);
+
+    if (!mswallet)
+      throw new Error('Multisig Wallet not found.');
+
+    if (!mswallet.successor)
+      throw new Error('Wallet is not migrating.');
+
+    mswallet.ensureWritable();
+
+    if (nonce != null && nonce !== mswallet.migrations)
+      throw new Error('Migration nonce does not match.');
+
+    if (mswallet.sweepPID !== -1) {
+      const sweep = await mswallet.getProposal(mswallet.sweepPID);
+
+      if (sweep && !sweep.isRejected())
+        throw new Error('Sweep proposal must be rejected first.');
+    }
+
+    const b = this.db.batch();
+    const nextWID = await this.getWID(mswallet.successor);
+    const next = nextWID !== -1 ? await this._getWallet(nextWID) : null;
+    const successor = mswallet.successor;
+
+    mswallet.successor = null;
+    mswallet.sweepPID = -1;
+    mswallet.migrations += 1;
+    MultisigWallet.save(b, mswallet);
+
+    const linked = next != null && next.predecessor === mswallet.id;
+
+    if (linked && !next.isInitialized()) {
+      await this._remove(nextWID, b);
+    } else {
+      if (linked) {
+        next.predecessor = null;
+        MultisigWallet.save(b, next);
+      }
+
+      await b.write();
+    }
+
+    this.logger.info('Wallet %s cancelled migration to %s.',
+      mswallet.id, successor);
+
+    return mswallet;
+  }
+
+  /**
+   * Save multisig wallet
+   * @param {MultisigWallet} mswallet
+   * @returns {Promise<MultisigWallet>}
+   */
+
+  async save(mswallet) {
+    const unlock1 = await this.readLock.lock(mswallet.wid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._save(mswallet);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Save multisig wallet without lock
+   * @param {MultisigWallet} mswallet
+   * @returns {Promise<MultisigWallet>}
+   */
+
+  async _save(mswallet) {
+    const b = this.db.batch();
+    MultisigWallet.save(b, mswallet);
+    await b.write();
+
+    return mswallet;
+  }
+
+  /**
+   * Get address book of the wallet.
+   * @param {Number} wid
+   * @returns {Promise<AddressEntry[]>}
+   */
+
+  async getAddressBook(wid) {
+    return this.db.values({
+      gte: layout.a.min(wid),
+      lte: layout.a.max(wid),
+      parse: data => AddressEntry.decode(data)
+    });
+  }
+
+  /**
+   * Get address book entry.
+   * @param {Number} wid
+   * @param {Script} script - output script of the address.
+   * @returns {Promise<AddressEntry?>}
+   */
+
+  async getAddressEntry(wid, script) {
+    const data = await this.db.get(layout.a.encode(wid, script.toRaw()));
+
+    if (!data)
+      return null;
+
+    return AddressEntry.decode(data);
+  }
+
+  /**
+   * Add entry to the address book.
+   * @param {Number} wid
+   * @param {AddressEntry} entry
+   * @returns {Promise<AddressEntry>}
+   * @throws {Error}
+   */
+
+  async addAddressEntry(wid, entry) {
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._addAddressEntry(wid, entry);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Add entry to the address book without lock.
+   * @param {Number} wid
+   * @param {AddressEntry} entry
+   * @returns {Promise<AddressEntry>}
+   * @throws {Error}
+   */
+
+  async _addAddressEntry(wid, entry) {
+    const key = layout.a.encode(wid, entry.script.toRaw());
+
+    if (await this.db.has(key))
+      throw new Error('Address is already in the address book.');
+
+    const mswallet = await this._getWallet(wid);
+    const {pdb} = mswallet;
+    const unlock = await pdb.writeLock.lock();
+
+    try {
+      const b = this.db.batch();
+      const pb = pdb.bucket.wrap(b);
+
+      b.put(key, entry.encode());
+
+      pdb.auditWallet(pb, AuditEntry.action.ADDRESS_ADD,
+        mswallet.cosigners[entry.author], [entry.signature]);
+
+      await pdb.commit(pb);
+    } finally {
+      unlock();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remove entry from the address book.
+   * @param {Number} wid
+   * @param {Script} script - output script of the address.
+   * @param {Cosigner?} cosigner - removing cosigner, null for admin.
+   * @param {Buffer?} signature - removal signature of the cosigner.
+   * @returns {Promise<Boolean>}
+   */
+
+  async removeAddressEntry(wid, script, cosigner, signature) {
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._removeAddressEntry(wid, script, cosigner, signature);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Remove entry from the address book without lock.
+   * @param {Number} wid
+   * @param {Script} script - output script of the address.
+   * @param {Cosigner?} cosigner - removing cosigner, null for admin.
+   * @param {Buffer?} signature - removal signature of the cosigner.
+   * @returns {Promise<Boolean>}
+   */
+
+  async _removeAddressEntry(wid, script, cosigner, signature) {
+    const key = layout.a.encode(wid, script.toRaw());
+
+    if (!await this.db.has(key))
+      return false;
+
+    const mswallet = await this._getWallet(wid);
+    const {pdb} = mswallet;
+    const unlock = await pdb.writeLock.lock();
+
+    try {
+      const b = this.db.batch();
+      const pb = pdb.bucket.wrap(b);
+
+      b.del(key);
+
+      pdb.auditWallet(pb, AuditEntry.action.ADDRESS_REMOVE,
+        cosigner, signature ? [signature] : []);
+
+      await pdb.commit(pb);
+    } finally {
+      unlock();
+    }
+
+    return true;
   }
 
   /**
-   * Register an object with the multisigdb.
-   * @param {Object} object
+   * Get proposal schedules of the wallet.
+   * @param {Number} wid
+   * @returns {Promise<Schedule[]>}
    */
 
-  register(wallet) {
-    assert(!this.wallets.has(wallet.wid),
-      'wallet is already registered.'
-    );
-    this.wallets.set(wallet.wid, wallet);
+  async getSchedules(wid) {
+    return this.db.values({
+      gte: layout.s.min(wid),
+      lte: layout.s.max(wid),
+      parse: data => Schedule.decode(data)
+    });
   }
 
   /**
-   * Unregister a object with the multisigdb.
-   * @param {Object} object
-   * @returns {Boolean}
+   * Get proposal schedule.
+   * @param {Number} wid
+   * @param {Number} sid - schedule id.
+   * @returns {Promise<Schedule?>}
    */
 
-  unregister(wallet) {
-    assert(this.wallets.has(wallet.wid),
-      'wallet is not registered.'
-    );
-    this.wallets.delete(wallet.wid);
+  async getSchedule(wid, sid) {
+    const data = await this.db.get(layout.s.encode(wid, sid));
+
+    if (!data)
+      return null;
+
+    return Schedule.decode(data);
   }
 
   /**
-   * Create multisig wallet
-   * @async
-   * @param {Object} options
-   * @param {Number} options.n
-   * @param {Number} options.m
-   * @param {Boolean} options.witness
-   * @param {String} options.id
-   * @param {Cosigner} cosigner
-   * @returns {Promise<MultisigWallet>} multisig wallet info
+   * Add proposal schedule, this will assign the id.
+   * @param {Number} wid
+   * @param {Schedule} schedule
+   * @returns {Promise<Schedule>}
    */
 
-  async create(options, cosigner) {
-    const unlock = await this.writeLock.lock();
+  async addSchedule(wid, schedule) {
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
 
     try {
-      return await this._create(options, cosigner);
+      return await this._addSchedule(wid, schedule);
     } finally {
-      unlock();
+      unlock2();
+      unlock1();
     }
   }
 
   /**
-   * Create multisig wallet (without lock)
-   * @async
-   * @param {Object} options {@link MultisigDB#create}
-   * @param {Cosigner} cosigner
-   * @returns {Promise<MultisigWallet>}
+   * Add proposal schedule without lock.
+   * @param {Number} wid
+   * @param {Schedule} schedule
+   * @returns {Promise<Schedule>}
    */
 
-  async _create(options, cosigner) {
-    assert(options.id, 'walletName must be a string.');
-
-    const walletOptions = {
-      m: options.m,
-      n: options.n,
-      witness: options.witness,
-      id: options.id,
-      accountKey: cosigner.key,
-      watchOnly: true,
-      type: Account.types.MULTISIG
-    };
-
-    // validate
-    const mswallet = MultisigWallet.fromOptions(this, options);
-    mswallet.addCosigner(cosigner);
+  async _addSchedule(wid, schedule) {
+    const data = await this.db.get(layout.S.encode(wid));
+    const depth = data ? data.readUInt32LE(0) : 0;
 
-    const wallet = await this.client.create(walletOptions);
-    mswallet.fromWalletOptions(wallet);
+    schedule.id = depth;
 
     const b = this.db.batch();
-    MultisigWallet.save(b, mswallet);
+    b.put(layout.S.encode(wid), fromU32(depth + 1));
+    b.put(layout.s.encode(wid, schedule.id), schedule.encode());
+    indexSchedule(b, wid, schedule);
     await b.write();
 
-    this.logger.info('Created wallet %s/%d, cosigner: %s',
-      mswallet.id,
-      mswallet.wid,
-      mswallet.cosigners[0].name
-    );
-
-    await mswallet.open();
-    this.register(mswallet);
-
-    return mswallet;
+    return schedule;
   }
 
   /**
-   * Remove multisig wallet
-   * @async
-   * @param {Number|String} id
-   * @returns {Promise<Boolean>}
+   * Update proposal schedule.
+   * @param {Number} wid
+   * @param {Schedule} schedule
+   * @returns {Promise<Schedule>}
    */
 
-  async remove(id) {
-    const wid = await this.ensureWID(id);
-
-    if (wid === -1)
-      return false;
-
+  async saveSchedule(wid, schedule) {
     const unlock1 = await this.readLock.lock(wid);
     const unlock2 = await this.writeLock.lock();
 
     try {
-      return await this._remove(wid);
+      const prev = await this.getSchedule(wid, schedule.id);
+
+      if (!prev)
+        throw new Error('Schedule not found.');
+
+      const b = this.db.batch();
+      unindexSchedule(b, wid, prev);
+      b.put(layout.s.encode(wid, schedule.id), schedule.encode());
+      indexSchedule(b, wid, schedule);
+      await b.write();
+
+      return schedule;
     } finally {
       unlock2();
       unlock1();
@@ -279,52 +1527,87 @@ class MultisigDB extends EventEmitter {
   }
 
   /**
-   * Remove multisig wallet (without lock)
+   * Remove proposal schedule.
    * @param {Number} wid
+   * @param {Number} sid - schedule id.
    * @returns {Promise<Boolean>}
    */
 
-  async _remove(wid) {
-    const id = await this.getID(wid);
-
-    if (!id)
-      return false;
+  async removeSchedule(wid, sid) {
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
 
-    const removed = await this.client.remove(wid);
-    assert(removed, 'Could not remove wallet from WDB');
+    try {
+      const schedule = await this.getSchedule(wid, sid);
 
-    const b = this.db.batch();
-    MultisigWallet.remove(b, wid, id);
-    await b.write();
+      if (!schedule)
+        return false;
 
-    const wallet = this.wallets.get(wid);
+      const b = this.db.batch();
+      unindexSchedule(b, wid, schedule);
+      b.del(layout.s.encode(wid, sid));
+      await b.write();
 
-    if (wallet) {
-      await wallet.destroy();
-      this.unregister(wallet);
+      return true;
+    } finally {
+      unlock2();
+      unlock1();
     }
+  }
 
-    return true;
+  /**
+   * Get proposal drafts of the wallet.
+   * @param {Number} wid
+   * @returns {Promise<Draft[]>}
+   */
+
+  async getDrafts(wid) {
+    return this.db.values({
+      gte: layout.d.min(wid),
+      lte: layout.d.max(wid),
+      parse: data => Draft.decode(data)
+    });
   }
 
   /**
-   * Cosigner joins wallet
-   * @param {Number|String} id
-   * @param {Cosigner} cosigner {@link Cosigner#constructor}
-   * @returns {Promise<MultisigWallet>}
+   * Get proposal draft.
+   * @param {Number} wid
+   * @param {Number} did - draft id.
+   * @returns {Promise<Draft?>}
    */
 
-  async join(id, cosigner) {
-    const wid = await this.ensureWID(id);
+  async getDraft(wid, did) {
+    const data = await this.db.get(layout.d.encode(wid, did));
 
-    if (wid === -1)
+    if (!data)
       return null;
 
+    return Draft.decode(data);
+  }
+
+  /**
+   * Add proposal draft, this will assign the id.
+   * @param {Number} wid
+   * @param {Draft} draft
+   * @returns {Promise<Draft>}
+   */
+
+  async addDraft(wid, draft) {
     const unlock1 = await this.readLock.lock(wid);
     const unlock2 = await this.writeLock.lock();
 
     try {
-      return await this._join(wid, cosigner);
+      const data = await this.db.get(layout.D.encode(wid));
+      const depth = data ? data.readUInt32LE(0) : 0;
+
+      draft.id = depth;
+
+      const b = this.db.batch();
+      b.put(layout.D.encode(wid), fromU32(depth + 1));
+      b.put(layout.d.encode(wid, draft.id), draft.encode());
+      await b.write();
+
+      return draft;
     } finally {
       unlock2();
       unlock1();
@@ -332,52 +1615,135 @@ class MultisigDB extends EventEmitter {
   }
 
   /**
-   * Join cosigner to wallet
+   * Update proposal draft.
    * @param {Number} wid
-   * @param {Cosigner} cosigner
-   * @returns {Promise<MultisigWallet>}
+   * @param {Draft} draft
+   * @returns {Promise<Draft>}
    */
 
-  async _join(wid, cosigner) {
-    const mswallet = await this._getWallet(wid);
+  async saveDraft(wid, draft) {
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
 
-    if (!mswallet)
-      throw new Error('Multisig Wallet not found.');
+    try {
+      const key = layout.d.encode(wid, draft.id);
 
-    mswallet.addCosigner(cosigner);
+      if (!await this.db.has(key))
+        throw new Error('Draft not found.');
+
+      const b = this.db.batch();
+      b.put(key, draft.encode());
+      await b.write();
+
+      return draft;
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Remove proposal draft.
+   * @param {Number} wid
+   * @param {Number} did - draft id.
+   * @returns {Promise<Boolean>}
+   */
+
+  async removeDraft(wid, did) {
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
 
     try {
-      const res = await this.client.addSharedKey(mswallet.id, 0, cosigner.key);
+      const key = layout.d.encode(wid, did);
 
-      if (!res)
-        throw new Error('Can not add duplicate keys.');
-    } catch (e) {
-      mswallet.popCosigner();
-      throw e;
+      if (!await this.db.has(key))
+        return false;
+
+      const b = this.db.batch();
+      b.del(key);
+      await b.write();
+
+      return true;
+    } finally {
+      unlock2();
+      unlock1();
     }
+  }
 
-    const b = this.db.batch();
-    MultisigWallet.save(b, mswallet);
-    await b.write();
+  /**
+   * Get join invites of the wallet.
+   * @param {Number} wid
+   * @returns {Promise<Invite[]>}
+   */
 
-    mswallet.emit('join', cosigner);
-    this.emit('join', mswallet, cosigner);
+  async getInvites(wid) {
+    return this.db.values({
+      gte: layout.i.min(wid),
+      lte: layout.i.max(wid),
+      parse: data => Invite.decode(data)
+    });
+  }
 
-    return mswallet;
+  /**
+   * Get join invite.
+   * @param {Number} wid
+   * @param {Number} iid - invite id.
+   * @returns {Promise<Invite?>}
+   */
+
+  async getInvite(wid, iid) {
+    const data = await this.db.get(layout.i.encode(wid, iid));
+
+    if (!data)
+      return null;
+
+    return Invite.decode(data);
   }
 
   /**
-   * Save multisig wallet
-   * @param {MultisigWallet} mswallet
-   * @returns {Promise<MultisigWallet>}
+   * Add join invites, this will assign the ids.
+   * Wallet no longer accepts the shared join key.
+   * @param {Number} wid
+   * @param {Invite[]} invites
+   * @returns {Promise<Invite[]>}
+   * @throws {Error} - if there are more invites than open slots.
    */
 
-  async save(mswallet) {
-    const unlock1 = await this.readLock.lock(mswallet.wid);
+  async addInvites(wid, invites) {
+    const unlock1 = await this.readLock.lock(wid);
     const unlock2 = await this.writeLock.lock();
 
     try {
-      return await this._save(mswallet);
+      const mswallet = await this._getWallet(wid);
+
+      if (!mswallet)
+        throw new Error('Multisig Wallet not found.');
+
+      const issued = await this.getInvites(wid);
+      const usable = issued.filter(invite => invite.isUsable());
+      const slots = mswallet.n - mswallet.cosigners.length;
+
+      if (usable.length + invites.length > slots)
+        throw new Error('Too many invites.');
+
+      const data = await this.db.get(layout.I.encode(wid));
+      let depth = data ? data.readUInt32LE(0) : 0;
+
+      const b = this.db.batch();
+
+      for (const invite of invites) {
+        invite.id = depth++;
+        b.put(layout.i.encode(wid, invite.id), invite.encode());
+      }
+
+      b.put(layout.I.encode(wid), fromU32(depth));
+
+      mswallet.inviteOnly = true;
+      MultisigWallet.save(b, mswallet);
+
+      await b.write();
+
+      return invites;
     } finally {
       unlock2();
       unlock1();
@@ -385,17 +1751,34 @@ class MultisigDB extends EventEmitter {
   }
 
   /**
-   * Save multisig wallet without lock
-   * @param {MultisigWallet} mswallet
-   * @returns {Promise<MultisigWallet>}
+   * Remove unused join invite.
+   * @param {Number} wid
+   * @param {Number} iid - invite id.
+   * @returns {Promise<Boolean>}
    */
 
-  async _save(mswallet) {
-    const b = this.db.batch();
-    MultisigWallet.save(b, mswallet);
-    await b.write();
+  async removeInvite(wid, iid) {
+    const unlock1 = await this.readLock.lock(wid);
+    const unlock2 = await this.writeLock.lock();
 
-    return mswallet;
+    try {
+      const invite = await this.getInvite(wid, iid);
+
+      if (!invite)
+        return false;
+
+      if (invite.isUsed())
+        throw new Error('Used invite can not be removed.');
+
+      const b = this.db.batch();
+      b.del(layout.i.encode(wid, iid));
+      await b.write();
+
+      return true;
+    } finally {
+      unlock2();
+      unlock1();
+    }
   }
 
   /**
@@ -665,6 +2048,15 @@ class MultisigDBOptions {
     this.cacheSize = 8 << 20;
     this.maxFiles = 64;
 
+    // proposal expiration sweep interval (ms), 0 disables
+    this.expireInterval = 60 * 1000;
+
+    // proposal schedule check interval (ms), 0 disables
+    this.scheduleInterval = 60 * 1000;
+
+    // locked coin consistency check interval (ms), 0 disables
+    this.checkInterval = 10 * 60 * 1000;
+
     this.fromOptions(options);
   }
 
@@ -707,6 +2099,27 @@ class MultisigDBOptions {
       assert(typeof options.compression === 'boolean');
       this.compression = options.compression;
     }
+
+    if (options.expireInterval != null) {
+      assert(Number.isSafeInteger(options.expireInterval)
+        && options.expireInterval >= 0,
+        'expireInterval must be a positive integer.');
+      this.expireInterval = options.expireInterval;
+    }
+
+    if (options.scheduleInterval != null) {
+      assert(Number.isSafeInteger(options.scheduleInterval)
+        && options.scheduleInterval >= 0,
+        'scheduleInterval must be a positive integer.');
+      this.scheduleInterval = options.scheduleInterval;
+    }
+
+    if (options.checkInterval != null) {
+      assert(Number.isSafeInteger(options.checkInterval)
+        && options.checkInterval >= 0,
+        'checkInterval must be a positive integer.');
+      this.checkInterval = options.checkInterval;
+    }
   }
 }
 
@@ -726,6 +2139,17 @@ function toString(buf) {
   return buf.toString('ascii', 1, buf.length);
 }
 
+function indexSchedule(b, wid, schedule) {
+  if (schedule.paused)
+    return;
+
+  b.put(layout.n.encode(util.toTime(schedule.getDueAt()), wid, schedule.id));
+}
+
+function unindexSchedule(b, wid, schedule) {
+  b.del(layout.n.encode(util.toTime(schedule.getDueAt()), wid, schedule.id));
+}
+
 /*
  * Expose
  */
@@ -54,7 +54,10 @@ class Plugin extends EventEmitter {
       client: this.client,
 
       prefix: this.config.prefix,
-      memory: this.config.bool('memory', node.memory)
+      memory: this.config.bool('memory', node.memory),
+      expireInterval: this.config.uint('expire-interval'),
+      scheduleInterval: this.config.uint('schedule-interval'),
+      checkInterval: this.config.uint('check-interval')
     });
 
     const httpOptions = node.http.options;
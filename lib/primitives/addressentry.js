@@ -0,0 +1,223 @@
+/*!
+ * addressentry.js - address book entry
+ * Copyright (c) 2019, The Bcoin Developers (MIT License).
+ * https://github.com/bcoin-org/bmultisig
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {encoding, Struct} = require('bufio');
+const Address = require('bcoin/lib/primitives/address');
+const Script = require('bcoin/lib/script/script');
+const util = require('../utils/common');
+const sigUtils = require('../utils/sig');
+const common = require('../common');
+const {ADDRESS} = common.payloadType;
+
+const ZERO_SIG = Buffer.alloc(65, 0);
+
+/**
+ * Address book entry
+ * @alias module:primitives.AddressEntry
+ * @extends {Struct}
+ * @property {Script} script - output script of the address.
+ * @property {String} label
+ * @property {Number} author - cosigner id that added the entry.
+ * @property {Buffer} signature - authors signature of the options.
+ * @property {String} options - json stringified signed options.
+ * @property {Number} timestamp - authors timestamp.
+ * @property {Number} createdAt
+ */
+
+class AddressEntry extends Struct {
+  /**
+   * Create address book entry
+   * @param {Object} [options]
+   */
+
+  constructor(options) {
+    super();
+
+    this.script = new Script();
+    this.label = '';
+    this.author = 0;
+
+    // authors signature
+    this.signature = ZERO_SIG;
+
+    // json stringified object of options.
+    this.options = '';
+
+    // authors timestamp.
+    this.timestamp = util.now();
+    this.createdAt = util.now();
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {Address} options.address
+   * @param {String} options.label
+   * @param {Number} options.author
+   * @param {Number} options.timestamp
+   * @param {Buffer} options.signature
+   * @param {Object} options.options - signed options.
+   * @returns {AddressEntry}
+   */
+
+  fromOptions(options) {
+    assert(options && typeof options === 'object', 'Options are required.');
+    assert(options.address instanceof Address, 'Bad address.');
+    assert(typeof options.label === 'string', 'Bad label.');
+    assert(options.label.length > 0 && options.label.length < 100,
+      'label must be under 100 bytes.');
+    assert((options.author & 0xff) === options.author, 'Author must be an u8.');
+
+    assert(Number.isSafeInteger(options.timestamp) && options.timestamp >= 0,
+      'timestamp must be an uint64.');
+
+    assert(Buffer.isBuffer(options.signature), 'Signature must be a buffer.');
+    assert(options.signature.length === 65, 'Signature must be 65 bytes.');
+
+    assert(options.options && typeof options.options === 'object',
+      'entry options must be an object.');
+
+    if (options.createdAt != null) {
+      assert(Number.isSafeInteger(options.createdAt) && options.createdAt >= 0,
+        'createdAt must be uint64.');
+      this.createdAt = options.createdAt;
+    }
+
+    this.script = Script.fromAddress(options.address);
+    this.label = options.label;
+    this.author = options.author;
+    this.timestamp = options.timestamp;
+    this.signature = options.signature;
+    this.options = JSON.stringify(options.options);
+
+    return this;
+  }
+
+  /**
+   * Get address of the entry.
+   * @returns {Address}
+   */
+
+  getAddress() {
+    return this.script.getAddress();
+  }
+
+  /**
+   * Get entry hash for signing.
+   * @param {String} walletName
+   * @returns {Buffer}
+   */
+
+  getSignatureHash(walletName) {
+    return sigUtils.getProposalHash(walletName, ADDRESS, this.options);
+  }
+
+  /**
+   * Verify authors signature.
+   * @param {String} walletName
+   * @param {CompressedPublicKey} authPubKey
+   * @returns {Boolean}
+   */
+
+  verifySignature(walletName, authPubKey) {
+    const hash = this.getSignatureHash(walletName);
+
+    return sigUtils.verifyHash(hash, this.signature, authPubKey);
+  }
+
+  /**
+   * Get JSON
+   * @param {Network} network
+   * @returns {Object}
+   */
+
+  getJSON(network) {
+    return {
+      address: this.getAddress().toString(network),
+      label: this.label,
+      author: this.author,
+      signature: this.signature.toString('hex'),
+      options: JSON.parse(this.options),
+      timestamp: this.timestamp,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Get serialization size
+   * @returns {Number}
+   */
+
+  getSize() {
+    let size = encoding.sizeVarBytes(this.script.toRaw());
+    size += encoding.sizeVarString(this.label, 'utf8');
+    size += 1; // author
+    size += 65; // signature
+    size += encoding.sizeVarString(this.options, 'utf8');
+    size += 8; // timestamp
+    size += 8; // createdAt
+
+    return size;
+  }
+
+  /**
+   * Serialize entry
+   * @param {bufio.BufferWriter} bw
+   * @returns {bufio.BufferWriter}
+   */
+
+  write(bw) {
+    bw.writeVarBytes(this.script.toRaw());
+    bw.writeVarString(this.label, 'utf8');
+    bw.writeU8(this.author);
+    bw.writeBytes(this.signature);
+    bw.writeVarString(this.options, 'utf8');
+    bw.writeU64(this.timestamp);
+    bw.writeU64(this.createdAt);
+
+    return bw;
+  }
+
+  /**
+   * Deserialize entry
+   * @param {bufio.BufferReader} br
+   * @returns {AddressEntry}
+   */
+
+  read(br) {
+    this.script = Script.fromRaw(br.readVarBytes());
+    this.label = br.readVarString('utf8');
+    this.author = br.readU8();
+    this.signature = br.readBytes(65);
+    this.options = br.readVarString('utf8');
+    this.timestamp = br.readU64();
+    this.createdAt = br.readU64();
+
+    return this;
+  }
+
+  /**
+   * Test whether an object is an AddressEntry.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isAddressEntry(obj) {
+    return obj instanceof AddressEntry;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = AddressEntry;
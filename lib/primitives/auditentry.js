@@ -0,0 +1,328 @@
+/*!
+ * auditentry.js - proposal audit log entry
+ * Copyright (c) 2019, The Bcoin Developers (MIT License).
+ * https://github.com/bcoin-org/bmultisig
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {encoding, Struct} = require('bufio');
+const util = require('../utils/common');
+const layout = require('../layout').proposaldb;
+
+/**
+ * Audit actions
+ * @enum {Number}
+ */
+
+const action = {
+  CREATE: 0,         // cosigner created the proposal.
+  APPROVE: 1,        // cosigner approved (signed) the proposal.
+  REJECT: 2,         // cosigner rejected the proposal.
+  WITHDRAW: 3,       // author withdrew the proposal.
+  CLOSE: 4,          // proposal was rejected by the wallet (see status).
+  BROADCAST: 5,      // approved transaction was broadcast.
+  REVOKE: 6,         // cosigner revoked the approval.
+  AMEND: 7,          // author amended the proposal.
+  ADDRESS_ADD: 8,    // cosigner added the address book entry.
+  ADDRESS_REMOVE: 9  // address book entry was removed.
+};
+
+const actionByVal = [
+  'CREATE',
+  'APPROVE',
+  'REJECT',
+  'WITHDRAW',
+  'CLOSE',
+  'BROADCAST',
+  'REVOKE',
+  'AMEND',
+  'ADDRESS_ADD',
+  'ADDRESS_REMOVE'
+];
+
+/**
+ * Proposal id of the wallet entries.
+ * @const {Number}
+ */
+
+const NONE = 0xffffffff;
+
+/**
+ * CSV columns.
+ * @const {String[]}
+ */
+
+const CSV_HEADER = [
+  'id',
+  'time',
+  'proposal',
+  'action',
+  'status',
+  'cosigner',
+  'signatures'
+];
+
+/**
+ * Proposal audit log entry
+ * @alias module:primitives.AuditEntry
+ * @extends {Struct}
+ * @property {Number} id - sequence number in the wallet.
+ * @property {Number} time - timestamp (seconds)
+ * @property {Number?} proposal - proposal id, null for wallet entries.
+ * @property {Number} action
+ * @property {Number} status - proposal status after the action.
+ * @property {Number?} cosigner - acting cosigner id, null for wallet.
+ * @property {Buffer[]} signatures - signatures that authorized the action.
+ */
+
+class AuditEntry extends Struct {
+  /**
+   * Create audit entry
+   * @param {Object} [options]
+   */
+
+  constructor(options) {
+    super();
+
+    this.id = 0;
+    this.time = util.now();
+    this.proposal = null;
+    this.action = action.CREATE;
+    this.status = 0;
+    this.cosigner = null;
+    this.signatures = [];
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {Number} options.id
+   * @param {Number} [options.time]
+   * @param {Number?} [options.proposal]
+   * @param {Number} options.action
+   * @param {Number} options.status
+   * @param {Number?} [options.cosigner]
+   * @param {Buffer[]} [options.signatures]
+   * @returns {AuditEntry}
+   */
+
+  fromOptions(options) {
+    assert(options && typeof options === 'object', 'Options are required.');
+    assert((options.id >>> 0) === options.id, 'ID must be an u32.');
+    assert(actionByVal[options.action] != null, 'Unknown action.');
+    assert((options.status & 0xff) === options.status, 'status must be an u8.');
+
+    if (options.time != null) {
+      assert((options.time >>> 0) === options.time, 'time must be an u32.');
+      this.time = options.time;
+    }
+
+    if (options.cosigner != null) {
+      assert((options.cosigner & 0xff) === options.cosigner,
+        'cosigner must be an u8.');
+      this.cosigner = options.cosigner;
+    }
+
+    if (options.signatures != null) {
+      assert(Array.isArray(options.signatures), 'signatures must be an array.');
+      assert(options.signatures.length <= 0xff, 'Too many signatures.');
+
+      for (const signature of options.signatures) {
+        assert(signature == null || Buffer.isBuffer(signature),
+          'signature must be a buffer.');
+      }
+
+      this.signatures = options.signatures;
+    }
+
+    if (options.proposal != null) {
+      assert((options.proposal >>> 0) === options.proposal
+        && options.proposal !== NONE, 'proposal must be an u32.');
+      this.proposal = options.proposal;
+    }
+
+    this.id = options.id;
+    this.action = options.action;
+    this.status = options.status;
+
+    return this;
+  }
+
+  /**
+   * Get JSON
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return {
+      id: this.id,
+      time: this.time,
+      proposal: this.proposal,
+      action: actionByVal[this.action],
+      statusCode: this.status,
+      cosigner: this.cosigner,
+      signatures: this.signatures.map(sig => sig ? sig.toString('hex') : null)
+    };
+  }
+
+  /**
+   * Get CSV row
+   * @returns {String}
+   */
+
+  getCSV() {
+    const json = this.getJSON();
+
+    return [
+      json.id,
+      json.time,
+      json.proposal != null ? json.proposal : '',
+      json.action,
+      json.statusCode,
+      json.cosigner != null ? json.cosigner : '',
+      json.signatures.map(sig => sig || '').join(' ')
+    ].join(',');
+  }
+
+  /**
+   * Get serialization size
+   * @returns {Number}
+   */
+
+  getSize() {
+    let size = 4; // id
+    size += 8; // time
+    size += 4; // proposal
+    size += 1; // action
+    size += 1; // status
+    size += 1; // has cosigner
+    size += 1; // cosigner
+
+    size += 1; // signature count
+    for (const signature of this.signatures)
+      size += encoding.sizeVarBytes(signature || Buffer.alloc(0));
+
+    return size;
+  }
+
+  /**
+   * Serialize entry
+   * @param {bufio.BufferWriter} bw
+   * @returns {bufio.BufferWriter}
+   */
+
+  write(bw) {
+    bw.writeU32(this.id);
+    bw.writeU64(this.time);
+    bw.writeU32(this.proposal != null ? this.proposal : NONE);
+    bw.writeU8(this.action);
+    bw.writeU8(this.status);
+    bw.writeU8(this.cosigner != null ? 1 : 0);
+    bw.writeU8(this.cosigner != null ? this.cosigner : 0);
+
+    bw.writeU8(this.signatures.length);
+    for (const signature of this.signatures)
+      bw.writeVarBytes(signature || Buffer.alloc(0));
+
+    return bw;
+  }
+
+  /**
+   * Deserialize entry
+   * @param {bufio.BufferReader} br
+   * @returns {AuditEntry}
+   */
+
+  read(br) {
+    this.id = br.readU32();
+    this.time = br.readU64();
+    const proposal = br.readU32();
+
+    this.proposal = proposal !== NONE ? proposal : null;
+    this.action = br.readU8();
+    this.status = br.readU8();
+
+    const hasCosigner = br.readU8() === 1;
+    const cosigner = br.readU8();
+
+    this.cosigner = hasCosigner ? cosigner : null;
+
+    const count = br.readU8();
+
+    this.signatures = [];
+
+    for (let i = 0; i < count; i++) {
+      const signature = br.readVarBytes();
+      this.signatures.push(signature.length > 0 ? signature : null);
+    }
+
+    return this;
+  }
+
+  /*
+   * layout
+   */
+
+  /**
+   * Get audit entries in the time range.
+   * @param {bdb.DB} db
+   * @param {Number} start - timestamp (seconds)
+   * @param {Number} end - timestamp (seconds)
+   * @param {Number?} [cursor] - list entries after this id at `start`.
+   * @param {Number?} [limit]
+   * @returns {Promise<AuditEntry[]>}
+   */
+
+  static getEntries(db, start, end, cursor, limit) {
+    const range = {
+      gte: layout.L.min(start),
+      lte: layout.L.max(end),
+      parse: data => AuditEntry.decode(data)
+    };
+
+    if (cursor != null) {
+      range.gte = null;
+      range.gt = layout.L.encode(start, cursor);
+    }
+
+    if (limit != null)
+      range.limit = limit;
+
+    return db.values(range);
+  }
+
+  /**
+   * Save audit entry.
+   * @param {bdb.Batch} b
+   * @param {AuditEntry} entry
+   */
+
+  static saveEntry(b, entry) {
+    b.put(layout.L.encode(entry.time, entry.id), entry.encode());
+  }
+
+  /**
+   * Test whether an object is an AuditEntry.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isAuditEntry(obj) {
+    return obj instanceof AuditEntry;
+  }
+}
+
+/*
+ * Expose
+ */
+
+AuditEntry.action = action;
+AuditEntry.actionByVal = actionByVal;
+AuditEntry.CSV_HEADER = CSV_HEADER;
+
+module.exports = AuditEntry;
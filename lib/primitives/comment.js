@@ -0,0 +1,280 @@
+/*!
+ * comment.js - proposal comment
+ * Copyright (c) 2019, The Bcoin Developers (MIT License).
+ * https://github.com/bcoin-org/bmultisig
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {encoding, Struct} = require('bufio');
+const util = require('../utils/common');
+const sigUtils = require('../utils/sig');
+const layout = require('../layout').proposaldb;
+const common = require('../common');
+const {COMMENT} = common.payloadType;
+
+const ZERO_SIG = Buffer.alloc(65, 0);
+
+/**
+ * Max comment message size.
+ * @const {Number}
+ */
+
+const MAX_MESSAGE_SIZE = 500;
+
+/**
+ * Proposal comment
+ * @alias module:primitives.Comment
+ * @extends {Struct}
+ * @property {Number} id - comment index in the proposal thread.
+ * @property {Number} proposal - proposal id.
+ * @property {Number} author - cosigner id.
+ * @property {String} message
+ * @property {Buffer} signature - authors signature of the options.
+ * @property {String} options - json stringified signed options.
+ * @property {Number} timestamp - authors timestamp.
+ * @property {Number} createdAt
+ */
+
+class Comment extends Struct {
+  /**
+   * Create comment
+   * @param {Object} [options]
+   */
+
+  constructor(options) {
+    super();
+
+    this.id = 0;
+    this.proposal = 0;
+    this.author = 0;
+    this.message = '';
+
+    // authors signature
+    this.signature = ZERO_SIG;
+
+    // json stringified object of options.
+    this.options = '';
+
+    // authors timestamp.
+    this.timestamp = util.now();
+    this.createdAt = util.now();
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {Number} options.id
+   * @param {Number} options.proposal
+   * @param {Number} options.author
+   * @param {Buffer} options.signature
+   * @param {Object} options.options - signed options.
+   * @param {String} options.options.message
+   * @param {Number} options.options.timestamp
+   * @returns {Comment}
+   */
+
+  fromOptions(options) {
+    assert(options && typeof options === 'object', 'Options are required.');
+    assert((options.id >>> 0) === options.id, 'ID must be an u32.');
+    assert((options.proposal >>> 0) === options.proposal,
+      'proposal must be an u32.');
+    assert((options.author & 0xff) === options.author, 'Author must be an u8.');
+
+    assert(Buffer.isBuffer(options.signature), 'Signature must be a buffer.');
+    assert(options.signature.length === 65, 'Signature must be 65 bytes.');
+
+    const signed = options.options;
+
+    assert(signed && typeof signed === 'object',
+      'comment options must be an object.');
+    assert(signed.proposal === options.proposal,
+      'Comment is signed for another proposal.');
+    assert(typeof signed.message === 'string', 'Bad comment message.');
+    assert(signed.message.length > 0
+      && Buffer.byteLength(signed.message, 'utf8') <= MAX_MESSAGE_SIZE,
+      `message must be under ${MAX_MESSAGE_SIZE} bytes.`);
+    assert(Number.isSafeInteger(signed.timestamp) && signed.timestamp >= 0,
+      'timestamp must be an uint64.');
+
+    if (options.createdAt != null) {
+      assert(Number.isSafeInteger(options.createdAt) && options.createdAt >= 0,
+        'createdAt must be uint64.');
+      this.createdAt = options.createdAt;
+    }
+
+    this.id = options.id;
+    this.proposal = options.proposal;
+    this.author = options.author;
+    this.message = signed.message;
+    this.timestamp = signed.timestamp;
+    this.signature = options.signature;
+    this.options = JSON.stringify(signed);
+
+    return this;
+  }
+
+  /**
+   * Get comment hash for signing.
+   * @param {String} walletName
+   * @returns {Buffer}
+   */
+
+  getSignatureHash(walletName) {
+    return sigUtils.getProposalHash(walletName, COMMENT, this.options);
+  }
+
+  /**
+   * Verify authors signature.
+   * @param {String} walletName
+   * @param {CompressedPublicKey} authPubKey
+   * @returns {Boolean}
+   */
+
+  verifySignature(walletName, authPubKey) {
+    const hash = this.getSignatureHash(walletName);
+
+    return sigUtils.verifyHash(hash, this.signature, authPubKey);
+  }
+
+  /**
+   * Get JSON
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return {
+      id: this.id,
+      proposal: this.proposal,
+      author: this.author,
+      message: this.message,
+      signature: this.signature.toString('hex'),
+      options: JSON.parse(this.options),
+      timestamp: this.timestamp,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Get serialization size
+   * @returns {Number}
+   */
+
+  getSize() {
+    let size = 4; // id
+    size += 4; // proposal
+    size += 1; // author
+    size += encoding.sizeVarString(this.message, 'utf8');
+    size += 65; // signature
+    size += encoding.sizeVarString(this.options, 'utf8');
+    size += 8; // timestamp
+    size += 8; // createdAt
+
+    return size;
+  }
+
+  /**
+   * Serialize comment
+   * @param {bufio.BufferWriter} bw
+   * @returns {bufio.BufferWriter}
+   */
+
+  write(bw) {
+    bw.writeU32(this.id);
+    bw.writeU32(this.proposal);
+    bw.writeU8(this.author);
+    bw.writeVarString(this.message, 'utf8');
+    bw.writeBytes(this.signature);
+    bw.writeVarString(this.options, 'utf8');
+    bw.writeU64(this.timestamp);
+    bw.writeU64(this.createdAt);
+
+    return bw;
+  }
+
+  /**
+   * Deserialize comment
+   * @param {bufio.BufferReader} br
+   * @returns {Comment}
+   */
+
+  read(br) {
+    this.id = br.readU32();
+    this.proposal = br.readU32();
+    this.author = br.readU8();
+    this.message = br.readVarString('utf8');
+    this.signature = br.readBytes(65);
+    this.options = br.readVarString('utf8');
+    this.timestamp = br.readU64();
+    this.createdAt = br.readU64();
+
+    return this;
+  }
+
+  /*
+   * layout
+   */
+
+  /**
+   * Get comments of the proposal.
+   * @param {bdb.DB} db
+   * @param {Number} pid
+   * @returns {Promise<Comment[]>}
+   */
+
+  static getComments(db, pid) {
+    return db.values({
+      gte: layout.m.min(pid),
+      lte: layout.m.max(pid),
+      parse: data => Comment.decode(data)
+    });
+  }
+
+  /**
+   * Get number of comments of the proposal.
+   * @param {bdb.DB} db
+   * @param {Number} pid
+   * @returns {Promise<Number>}
+   */
+
+  static async countComments(db, pid) {
+    const keys = await db.keys({
+      gte: layout.m.min(pid),
+      lte: layout.m.max(pid)
+    });
+
+    return keys.length;
+  }
+
+  /**
+   * Save comment.
+   * @param {bdb.Batch} b
+   * @param {Comment} comment
+   */
+
+  static saveComment(b, comment) {
+    b.put(layout.m.encode(comment.proposal, comment.id), comment.encode());
+  }
+
+  /**
+   * Test whether an object is a Comment.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isComment(obj) {
+    return obj instanceof Comment;
+  }
+}
+
+/*
+ * Expose
+ */
+
+Comment.MAX_MESSAGE_SIZE = MAX_MESSAGE_SIZE;
+
+module.exports = Comment;
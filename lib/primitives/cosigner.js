@@ -11,6 +11,8 @@ const bufio = require('bufio');
 const {Struct} = bufio;
 const wcommon = require('bcoin/lib/wallet/common');
 const HDPublicKey = require('bcoin/lib/hd/public');
+const Network = require('bcoin/lib/protocol/network');
+const hash160 = require('bcrypto/lib/hash160');
 const secp256k1 = require('bcrypto/lib/secp256k1');
 const sigUtils = require('../utils/sig');
 const common = require('../utils/common');
@@ -19,6 +21,31 @@ const ZERO_SIG = Buffer.alloc(65);
 const ZERO_KEY = Buffer.alloc(33);
 const NULL_TOKEN = Buffer.alloc(32);
 const EMPTY = Buffer.alloc(0);
+const HARDENED = 0x80000000;
+
+/**
+ * Max role name size.
+ * @const {Number}
+ */
+
+const MAX_ROLE_SIZE = 32;
+
+/**
+ * Cosigner flags.
+ * @enum {Number}
+ */
+
+const flags = {
+  VETO: 1
+};
+
+/**
+ * Set in the data length byte when weight,
+ * role and flags follow the cosigner (data is at most 100 bytes).
+ * @const {Number}
+ */
+
+const EXTRA_FLAG = 0x80;
 
 /**
  * Cosigner for proposal
@@ -35,6 +62,9 @@ const EMPTY = Buffer.alloc(0);
  * @property {Buffer} authPubKey - compressed public key
  * @property {Buffer} joinSignature
  * @property {bcoin.HDPublicKey?} key
+ * @property {Number} weight - approval weight for the quorum rules.
+ * @property {String} role - role for the quorum rules (e.g. officer).
+ * @property {Boolean} veto - single rejection rejects the proposal.
  */
 class Cosigner extends Struct {
   /**
@@ -49,6 +79,9 @@ class Cosigner extends Struct {
    * @param {Buffer?} options.data - data up to 100 bytes.
    * @param {Number} [options.tokenDepth = 0] - token change counter
    * @param {Number} [options.purpose=0]
+   * @param {Number} [options.weight=1]
+   * @param {String} [options.role='']
+   * @param {Boolean} [options.veto=false]
    */
 
   constructor(options) {
@@ -66,6 +99,10 @@ class Cosigner extends Struct {
     this.authPubKey = ZERO_KEY;
     this.joinSignature = ZERO_SIG;
 
+    this.weight = 1;
+    this.role = '';
+    this.veto = false;
+
     if (options)
       this.fromOptions(options);
   }
@@ -132,9 +169,66 @@ class Cosigner extends Struct {
       this.data = options.data;
     }
 
+    if (options.weight != null || options.role != null)
+      this.setRole(options.weight, options.role);
+
+    if (options.veto != null)
+      this.setVeto(options.veto);
+
+    return this;
+  }
+
+  /**
+   * Set weight and role of the cosigner.
+   * @param {Number} [weight] - keep current if null.
+   * @param {String} [role] - keep current if null.
+   * @returns {Cosigner}
+   */
+
+  setRole(weight, role) {
+    if (weight != null) {
+      assert((weight & 0xff) === weight, 'weight must be an u8.');
+      this.weight = weight;
+    }
+
+    if (role != null) {
+      assert(isRole(role), 'Bad cosigner role.');
+      this.role = role;
+    }
+
+    return this;
+  }
+
+  /**
+   * Set veto flag of the cosigner.
+   * @param {Boolean} veto
+   * @returns {Cosigner}
+   */
+
+  setVeto(veto) {
+    assert(typeof veto === 'boolean', 'veto must be a boolean.');
+    this.veto = veto;
     return this;
   }
 
+  /**
+   * Whether weight or role is set.
+   * @returns {Boolean}
+   */
+
+  hasRole() {
+    return this.weight !== 1 || this.role.length > 0;
+  }
+
+  /**
+   * Whether optional fields need to be serialized.
+   * @returns {Boolean}
+   */
+
+  hasExtra() {
+    return this.hasRole() || this.veto;
+  }
+
   /**
    * Get http options from cosigner.
    * NOTE: This will return token.
@@ -189,7 +283,10 @@ class Cosigner extends Struct {
       fingerPrint: this.fingerPrint,
       accountKey: this.key.xpubkey(network),
       authPubKey: this.authPubKey.toString('hex'),
-      joinSignature: this.joinSignature.toString('hex')
+      joinSignature: this.joinSignature.toString('hex'),
+      weight: this.weight,
+      role: this.role,
+      veto: this.veto
     };
 
     if (showDetails) {
@@ -228,6 +325,11 @@ class Cosigner extends Struct {
     this.joinSignature = joinSignature;
     this.key = key;
 
+    this.setRole(json.weight, json.role);
+
+    if (json.veto != null)
+      this.setVeto(json.veto);
+
     if (!details)
       return this;
 
@@ -277,6 +379,13 @@ class Cosigner extends Struct {
     size += 33; // authPubKey
     size += 65; // joinSignature
 
+    if (this.hasExtra()) {
+      size += 1; // weight
+      size += 1; // role length
+      size += this.role.length; // role
+      size += 1; // flags
+    }
+
     return size;
   }
 
@@ -296,7 +405,7 @@ class Cosigner extends Struct {
     bw.writeString(this.name, 'latin1');
     bw.writeU32BE(this.purpose);
     bw.writeU32BE(this.fingerPrint);
-    bw.writeU8(this.data.length);
+    bw.writeU8(this.data.length | (this.hasExtra() ? EXTRA_FLAG : 0));
     bw.writeBytes(this.data);
 
     // this.key.toWriter(bw, network) -- will cause hash256 digest
@@ -305,6 +414,15 @@ class Cosigner extends Struct {
     bw.writeBytes(this.authPubKey);
     bw.writeBytes(this.joinSignature);
 
+    // optional, cosigners without role keep the
+    // original serialization (see EXTRA_FLAG).
+    if (this.hasExtra()) {
+      bw.writeU8(this.weight);
+      bw.writeU8(this.role.length);
+      bw.writeString(this.role, 'ascii');
+      bw.writeU8(this.veto ? flags.VETO : 0);
+    }
+
     return bw;
   }
 
@@ -327,8 +445,10 @@ class Cosigner extends Struct {
     this.purpose = br.readU32BE();
     this.fingerPrint = br.readU32BE();
 
-    const dataLength = br.readU8();
-    this.data = br.readBytes(dataLength);
+    const dataField = br.readU8();
+    const extra = (dataField & EXTRA_FLAG) !== 0;
+
+    this.data = br.readBytes(dataField & ~EXTRA_FLAG);
 
     const key = br.readBytes(this.key.getSize());
     this.key = HDPublicKey.fromRaw(key, network);
@@ -336,6 +456,14 @@ class Cosigner extends Struct {
     this.authPubKey = br.readBytes(33);
     this.joinSignature = br.readBytes(65);
 
+    if (extra) {
+      this.weight = br.readU8();
+
+      const roleSize = br.readU8();
+      this.role = br.readBytes(roleSize).toString('ascii');
+      this.veto = (br.readU8() & flags.VETO) !== 0;
+    }
+
     return this;
   }
 
@@ -350,12 +478,18 @@ class Cosigner extends Struct {
     if (!details)
       return this.id === cosigner.id
         && this.name === cosigner.name
+        && this.weight === cosigner.weight
+        && this.role === cosigner.role
+        && this.veto === cosigner.veto
         && this.authPubKey.equals(cosigner.authPubKey)
         && this.joinSignature.equals(cosigner.joinSignature)
         && this.key.equals(cosigner.key);
 
     return this.id === cosigner.id
       && this.name === cosigner.name
+      && this.weight === cosigner.weight
+      && this.role === cosigner.role
+      && this.veto === cosigner.veto
       && this.purpose === cosigner.purpose
       && this.fingerPrint === cosigner.fingerPrint
       && this.data.equals(cosigner.data)
@@ -378,6 +512,9 @@ class Cosigner extends Struct {
     this.purpose = cosigner.purpose;
     this.fingerPrint = cosigner.fingerPrint;
     this.tokenDepth = cosigner.tokenDepth;
+    this.weight = cosigner.weight;
+    this.role = cosigner.role;
+    this.veto = cosigner.veto;
 
     this.token = cosigner.token.slice();
     this.data = cosigner.data.slice();
@@ -448,6 +585,44 @@ class Cosigner extends Struct {
     return this.key.derive(branch).derive(index);
   }
 
+  /**
+   * Get BIP32 derivation of the key.
+   * Full path from the master key is only known for
+   * BIP44 style account keys (depth 3 with purpose),
+   * otherwise path is relative to the account key.
+   * @param {Number} branch
+   * @param {Number} index
+   * @param {(Network|String)?} network
+   * @returns {Object} - {fingerPrint, path}
+   */
+
+  getDerivation(branch, index, network) {
+    assert((branch >>> 0) === branch, 'branch must be a u32.');
+    assert((index >>> 0) === index, 'index must be a u32.');
+
+    if (this.purpose && this.key.depth === 3) {
+      const {coinType} = Network.get(network).keyPrefix;
+
+      return {
+        fingerPrint: this.fingerPrint,
+        path: [
+          (this.purpose | HARDENED) >>> 0,
+          (coinType | HARDENED) >>> 0,
+          this.key.childIndex >>> 0,
+          branch,
+          index
+        ]
+      };
+    }
+
+    const hash = hash160.digest(this.key.publicKey);
+
+    return {
+      fingerPrint: hash.readUInt32BE(0),
+      path: [branch, index]
+    };
+  }
+
   /**
    * Test whether an object is a Cosigner.
    * @param {Object} obj
@@ -459,4 +634,26 @@ class Cosigner extends Struct {
   }
 }
 
+/*
+ * Helpers
+ */
+
+function isRole(role) {
+  if (typeof role !== 'string')
+    return false;
+
+  if (role.length > MAX_ROLE_SIZE)
+    return false;
+
+  return /^[a-z0-9_\-]*$/.test(role);
+}
+
+/*
+ * Expose
+ */
+
+Cosigner.MAX_ROLE_SIZE = MAX_ROLE_SIZE;
+Cosigner.flags = flags;
+Cosigner.isRole = isRole;
+
 module.exports = Cosigner;
@@ -0,0 +1,214 @@
+/*!
+ * draft.js - proposal draft
+ * Copyright (c) 2019, The Bcoin Developers (MIT License).
+ * https://github.com/bcoin-org/bmultisig
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {encoding, Struct} = require('bufio');
+const util = require('../utils/common');
+
+/**
+ * Proposal draft, outputs and memo shared for
+ * discussion. Drafts don't select or lock coins.
+ * @alias module:primitives.Draft
+ * @extends {Struct}
+ * @property {Number} id
+ * @property {Number} author - cosigner id.
+ * @property {String} memo
+ * @property {String} txoptions - json stringified http transaction options.
+ * @property {Number} createdAt
+ * @property {Number} updatedAt
+ */
+
+class Draft extends Struct {
+  /**
+   * Create draft
+   * @param {Object} [options]
+   */
+
+  constructor(options) {
+    super();
+
+    this.id = 0;
+    this.author = 0;
+    this.memo = '';
+    this.txoptions = '{}';
+    this.createdAt = util.now();
+    this.updatedAt = this.createdAt;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {Number} options.id
+   * @param {Number} options.author
+   * @param {String} options.memo
+   * @param {Object} options.txoptions
+   * @param {Number} [options.createdAt]
+   * @returns {Draft}
+   */
+
+  fromOptions(options) {
+    assert(options && typeof options === 'object', 'Options are required.');
+    assert((options.id >>> 0) === options.id, 'ID must be an u32.');
+    assert((options.author & 0xff) === options.author, 'Author must be an u8.');
+
+    if (options.createdAt != null) {
+      assert(Number.isSafeInteger(options.createdAt) && options.createdAt >= 0,
+        'createdAt must be uint64.');
+      this.createdAt = options.createdAt;
+      this.updatedAt = options.createdAt;
+    }
+
+    this.id = options.id;
+    this.author = options.author;
+    this.update(options);
+
+    return this;
+  }
+
+  /**
+   * Update memo and/or transaction options.
+   * @param {Object} options
+   * @param {String} [options.memo]
+   * @param {Object} [options.txoptions]
+   * @param {Number} [options.updatedAt]
+   * @returns {Draft}
+   */
+
+  update(options) {
+    assert(options && typeof options === 'object', 'Options are required.');
+
+    if (options.memo != null) {
+      assert(typeof options.memo === 'string', 'Bad draft memo.');
+      assert(options.memo.length > 1 && options.memo.length < 100,
+        'memo must be under 100 bytes');
+      this.memo = options.memo;
+    }
+
+    if (options.txoptions != null) {
+      assert(typeof options.txoptions === 'object',
+        'txoptions must be an object.');
+      this.txoptions = JSON.stringify(options.txoptions);
+    }
+
+    assert(this.memo.length > 0, 'Draft memo is required.');
+
+    this.updatedAt = options.updatedAt != null
+      ? options.updatedAt
+      : Math.max(util.now(), this.createdAt);
+
+    return this;
+  }
+
+  /**
+   * Get transaction options.
+   * @returns {Object}
+   */
+
+  getTXOptions() {
+    return JSON.parse(this.txoptions);
+  }
+
+  /**
+   * Test whether proposal options match the draft.
+   * @param {Object} options - proposal options.
+   * @returns {Boolean}
+   */
+
+  matches(options) {
+    if (!options || typeof options !== 'object')
+      return false;
+
+    return options.memo === this.memo
+      && JSON.stringify(options.txoptions) === this.txoptions;
+  }
+
+  /**
+   * Get JSON
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return {
+      id: this.id,
+      author: this.author,
+      memo: this.memo,
+      txoptions: this.getTXOptions(),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Get serialization size
+   * @returns {Number}
+   */
+
+  getSize() {
+    let size = 4; // id
+    size += 1; // author
+    size += encoding.sizeVarString(this.memo, 'utf8');
+    size += encoding.sizeVarString(this.txoptions, 'utf8');
+    size += 8; // createdAt
+    size += 8; // updatedAt
+
+    return size;
+  }
+
+  /**
+   * Serialize draft
+   * @param {bufio.BufferWriter} bw
+   * @returns {bufio.BufferWriter}
+   */
+
+  write(bw) {
+    bw.writeU32(this.id);
+    bw.writeU8(this.author);
+    bw.writeVarString(this.memo, 'utf8');
+    bw.writeVarString(this.txoptions, 'utf8');
+    bw.writeU64(this.createdAt);
+    bw.writeU64(this.updatedAt);
+
+    return bw;
+  }
+
+  /**
+   * Deserialize draft
+   * @param {bufio.BufferReader} br
+   * @returns {Draft}
+   */
+
+  read(br) {
+    this.id = br.readU32();
+    this.author = br.readU8();
+    this.memo = br.readVarString('utf8');
+    this.txoptions = br.readVarString('utf8');
+    this.createdAt = br.readU64();
+    this.updatedAt = br.readU64();
+
+    return this;
+  }
+
+  /**
+   * Test whether an object is a Draft.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isDraft(obj) {
+    return obj instanceof Draft;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Draft;
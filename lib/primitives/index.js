@@ -12,3 +12,11 @@
 exports.Proposal = require('./proposal');
 exports.MultisigMTX = require('./mtx');
 exports.Cosigner = require('./cosigner');
+exports.PSBT = require('./psbt');
+exports.SpendingPolicy = require('./policy');
+exports.AddressEntry = require('./addressentry');
+exports.Comment = require('./comment');
+exports.AuditEntry = require('./auditentry');
+exports.Schedule = require('./schedule');
+exports.Draft = require('./draft');
+exports.Invite = require('./invite');
@@ -0,0 +1,243 @@
+/*!
+ * invite.js - one-time join invitation
+ * Copyright (c) 2019, The Bcoin Developers (MIT License).
+ * https://github.com/bcoin-org/bmultisig
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {encoding, Struct} = require('bufio');
+const util = require('../utils/common');
+
+/**
+ * Unused cosigner id.
+ * @const {Number}
+ */
+
+const NONE = 0xff;
+
+/**
+ * Join invitation, cosigner joins with the signature
+ * of the invite key instead of the shared join key.
+ * Invites can only be used once.
+ * @alias module:primitives.Invite
+ * @extends {Struct}
+ * @property {Number} id
+ * @property {Buffer} joinPubKey
+ * @property {String} name - expected cosigner name, empty for any.
+ * @property {Number} createdAt
+ * @property {Number} expiresAt - timestamp (seconds) / 0 if never expires.
+ * @property {Number} usedBy - cosigner id / 0xff if unused.
+ * @property {Number} usedAt
+ */
+
+class Invite extends Struct {
+  /**
+   * Create invite
+   * @param {Object} [options]
+   */
+
+  constructor(options) {
+    super();
+
+    this.id = 0;
+    this.joinPubKey = null;
+    this.name = '';
+    this.createdAt = util.now();
+    this.expiresAt = 0;
+    this.usedBy = NONE;
+    this.usedAt = 0;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {Number} options.id
+   * @param {Buffer} options.joinPubKey
+   * @param {String} [options.name]
+   * @param {Number} [options.createdAt]
+   * @param {Number} [options.expiresAt]
+   * @param {Number} [options.ttl] - seconds
+   * @returns {Invite}
+   */
+
+  fromOptions(options) {
+    assert(options && typeof options === 'object', 'Options are required.');
+    assert((options.id >>> 0) === options.id, 'ID must be an u32.');
+    assert(Buffer.isBuffer(options.joinPubKey),
+      'joinPubKey must be a buffer.');
+    assert(options.joinPubKey.length === 33,
+      'joinPubKey must be 33 bytes long.');
+
+    this.id = options.id;
+    this.joinPubKey = options.joinPubKey;
+
+    if (options.name != null) {
+      assert(typeof options.name === 'string', 'Bad invite name.');
+      assert(options.name.length < 100, 'name must be under 100 bytes');
+      this.name = options.name;
+    }
+
+    if (options.createdAt != null) {
+      assert(Number.isSafeInteger(options.createdAt) && options.createdAt >= 0,
+        'createdAt must be uint64.');
+      this.createdAt = options.createdAt;
+    }
+
+    if (options.expiresAt != null) {
+      assert(options.ttl == null, 'Can not use both expiresAt and ttl.');
+      assert(Number.isSafeInteger(options.expiresAt) && options.expiresAt >= 0,
+        'expiresAt must be uint64.');
+      this.expiresAt = options.expiresAt;
+    }
+
+    if (options.ttl != null) {
+      assert((options.ttl >>> 0) === options.ttl, 'ttl must be an u32.');
+      assert(options.ttl > 0, 'ttl must be positive.');
+      this.expiresAt = this.createdAt + options.ttl;
+    }
+
+    return this;
+  }
+
+  /**
+   * Check if invite was used.
+   * @returns {Boolean}
+   */
+
+  isUsed() {
+    return this.usedBy !== NONE;
+  }
+
+  /**
+   * Check if invite has expired.
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Boolean}
+   */
+
+  isExpired(now = util.now()) {
+    if (!this.expiresAt)
+      return false;
+
+    return now >= this.expiresAt;
+  }
+
+  /**
+   * Check if invite can be used.
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Boolean}
+   */
+
+  isUsable(now = util.now()) {
+    return !this.isUsed() && !this.isExpired(now);
+  }
+
+  /**
+   * Mark invite as used.
+   * @param {Number} cosignerId
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Invite}
+   */
+
+  use(cosignerId, now = util.now()) {
+    assert((cosignerId & 0xff) === cosignerId && cosignerId !== NONE,
+      'Cosigner id must be an u8.');
+    assert(!this.isUsed(), 'Invite was already used.');
+
+    this.usedBy = cosignerId;
+    this.usedAt = now;
+
+    return this;
+  }
+
+  /**
+   * Get JSON
+   * @returns {Object}
+   */
+
+  getJSON() {
+    return {
+      id: this.id,
+      joinPubKey: this.joinPubKey.toString('hex'),
+      name: this.name,
+      createdAt: this.createdAt,
+      expiresAt: this.expiresAt ? this.expiresAt : null,
+      expired: this.isExpired(),
+      usedBy: this.isUsed() ? this.usedBy : null,
+      usedAt: this.isUsed() ? this.usedAt : null
+    };
+  }
+
+  /**
+   * Get serialization size
+   * @returns {Number}
+   */
+
+  getSize() {
+    let size = 4; // id
+    size += 33; // joinPubKey
+    size += encoding.sizeVarString(this.name, 'utf8');
+    size += 8; // createdAt
+    size += 8; // expiresAt
+    size += 1; // usedBy
+    size += 8; // usedAt
+
+    return size;
+  }
+
+  /**
+   * Serialize invite
+   * @param {bufio.BufferWriter} bw
+   * @returns {bufio.BufferWriter}
+   */
+
+  write(bw) {
+    bw.writeU32(this.id);
+    bw.writeBytes(this.joinPubKey);
+    bw.writeVarString(this.name, 'utf8');
+    bw.writeU64(this.createdAt);
+    bw.writeU64(this.expiresAt);
+    bw.writeU8(this.usedBy);
+    bw.writeU64(this.usedAt);
+
+    return bw;
+  }
+
+  /**
+   * Deserialize invite
+   * @param {bufio.BufferReader} br
+   * @returns {Invite}
+   */
+
+  read(br) {
+    this.id = br.readU32();
+    this.joinPubKey = br.readBytes(33);
+    this.name = br.readVarString('utf8');
+    this.createdAt = br.readU64();
+    this.expiresAt = br.readU64();
+    this.usedBy = br.readU8();
+    this.usedAt = br.readU64();
+
+    return this;
+  }
+
+  /**
+   * Test whether an object is an Invite.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isInvite(obj) {
+    return obj instanceof Invite;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Invite;
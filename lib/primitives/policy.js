@@ -0,0 +1,708 @@
+/*!
+ * policy.js - spending policy for multisig wallet
+ * Copyright (c) 2019, The Bcoin Developers (MIT License).
+ * https://github.com/bcoin-org/bmultisig
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {encoding, Struct} = require('bufio');
+const {BufferSet} = require('buffer-map');
+const Address = require('bcoin/lib/primitives/address');
+const Script = require('bcoin/lib/script/script');
+const Cosigner = require('./cosigner');
+
+/**
+ * Seconds in the daily limit window.
+ * @const {Number}
+ */
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Rolling windows for outflow velocity limits (seconds).
+ * @const {Object}
+ */
+
+const windows = {
+  hour: 60 * 60,
+  day: DAY,
+  week: 7 * DAY
+};
+
+/**
+ * Policy rules
+ * @readonly
+ * @enum {String}
+ */
+
+const rules = {
+  DAILY_LIMIT: 'dailyLimit',
+  ALLOWLIST: 'allowlist',
+  SCRIPT_TYPE: 'scriptType',
+  ADDRESS_BOOK: 'addressBook',
+  VELOCITY: 'velocity'
+};
+
+/**
+ * Policy flags
+ * @enum {Number}
+ */
+
+const flags = {
+  ADDRESS_BOOK: 1 << 0,
+  UNANIMOUS: 1 << 1
+};
+
+/**
+ * Policy violation error
+ * @alias module:primitives.PolicyError
+ * @extends {Error}
+ * @property {String} type
+ * @property {String} code - failed rule.
+ * @property {Number} statusCode - http status code.
+ */
+
+class PolicyError extends Error {
+  /**
+   * Create policy error.
+   * @param {rules} rule
+   * @param {String} message
+   */
+
+  constructor(rule, message) {
+    super();
+
+    this.type = 'PolicyError';
+    this.code = rule;
+    this.statusCode = 403;
+    this.message = `Policy violation (${rule}): ${message}`;
+
+    if (Error.captureStackTrace)
+      Error.captureStackTrace(this, PolicyError);
+  }
+}
+
+/**
+ * Spending policy
+ * @alias module:primitives.SpendingPolicy
+ * @extends {Struct}
+ * @property {Object[]} thresholds - [{value, m}] sorted by value.
+ * @property {Number} dailyLimit - max outflow per day / 0 if no limit.
+ * @property {BufferSet} allowlist - allowed destination scripts.
+ * @property {Number[]} forbiddenTypes - forbidden output script types.
+ * @property {Boolean} addressBook - destinations must be in the address book.
+ * @property {Object} velocity - approved outflow limits per window
+ *  (0 if no limit).
+ * @property {Boolean} unanimous - require all approvals instead of failing
+ *  when velocity limit is exceeded.
+ * @property {Number} weight - min weight of approving cosigners
+ *  (0 if no rule).
+ * @property {Map} roles - min number of approving cosigners per role.
+ */
+
+class SpendingPolicy extends Struct {
+  /**
+   * Create spending policy.
+   * @param {Object} [options]
+   */
+
+  constructor(options) {
+    super();
+
+    this.thresholds = [];
+    this.dailyLimit = 0;
+    this.allowlist = new BufferSet();
+    this.forbiddenTypes = [];
+    this.addressBook = false;
+    this.velocity = { hour: 0, day: 0, week: 0 };
+    this.unanimous = false;
+    this.weight = 0;
+    this.roles = new Map();
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {Object[]} [options.thresholds] - [{value, m}]
+   * @param {Number} [options.dailyLimit]
+   * @param {Address[]} [options.allowlist]
+   * @param {Number[]} [options.forbiddenTypes] - script types.
+   * @param {Boolean} [options.addressBook]
+   * @param {Object} [options.velocity] - {hour, day, week}
+   * @param {Boolean} [options.unanimous]
+   * @param {Number} [options.weight]
+   * @param {Object} [options.roles] - {role: count}
+   * @returns {SpendingPolicy}
+   */
+
+  fromOptions(options) {
+    assert(options && typeof options === 'object', 'Options are required.');
+
+    if (options.thresholds != null) {
+      assert(Array.isArray(options.thresholds), 'thresholds must be array.');
+
+      for (const {value, m} of options.thresholds)
+        this.addThreshold(value, m);
+    }
+
+    if (options.dailyLimit != null) {
+      assert(Number.isSafeInteger(options.dailyLimit)
+        && options.dailyLimit >= 0, 'dailyLimit must be uint64.');
+      this.dailyLimit = options.dailyLimit;
+    }
+
+    if (options.allowlist != null) {
+      assert(Array.isArray(options.allowlist), 'allowlist must be array.');
+
+      for (const addr of options.allowlist) {
+        assert(addr instanceof Address, 'allowlist must contain addresses.');
+        this.allowlist.add(Script.fromAddress(addr).toRaw());
+      }
+    }
+
+    if (options.forbiddenTypes != null) {
+      assert(Array.isArray(options.forbiddenTypes),
+        'forbiddenTypes must be array.');
+
+      for (const type of options.forbiddenTypes) {
+        assert(Script.typesByVal[type], 'Unknown script type.');
+
+        if (this.forbiddenTypes.indexOf(type) === -1)
+          this.forbiddenTypes.push(type);
+      }
+    }
+
+    if (options.addressBook != null) {
+      assert(typeof options.addressBook === 'boolean',
+        'addressBook must be a boolean.');
+      this.addressBook = options.addressBook;
+    }
+
+    if (options.velocity != null) {
+      assert(typeof options.velocity === 'object', 'velocity must be object.');
+
+      for (const name of Object.keys(windows)) {
+        const limit = options.velocity[name];
+
+        if (limit == null)
+          continue;
+
+        assert(Number.isSafeInteger(limit) && limit >= 0,
+          `velocity ${name} limit must be uint64.`);
+        this.velocity[name] = limit;
+      }
+    }
+
+    if (options.unanimous != null) {
+      assert(typeof options.unanimous === 'boolean',
+        'unanimous must be a boolean.');
+      this.unanimous = options.unanimous;
+    }
+
+    if (options.weight != null) {
+      assert((options.weight & 0xffff) === options.weight,
+        'weight must be an u16.');
+      this.weight = options.weight;
+    }
+
+    if (options.roles != null) {
+      assert(typeof options.roles === 'object', 'roles must be object.');
+
+      for (const role of Object.keys(options.roles)) {
+        const count = options.roles[role];
+
+        assert(role.length > 0 && Cosigner.isRole(role), 'Bad role.');
+        assert((count & 0xff) === count, `role ${role} count must be an u8.`);
+
+        if (count > 0)
+          this.roles.set(role, count);
+      }
+    }
+
+    assert(this.thresholds.length <= 0xff, 'Too many thresholds.');
+    assert(this.roles.size <= 0xff, 'Too many roles.');
+    assert(this.allowlist.size <= 0xff, 'Too many allowed destinations.');
+
+    return this;
+  }
+
+  /**
+   * Add approval threshold.
+   * @param {Number} value - amount above which threshold applies.
+   * @param {Number} m - required approvals.
+   */
+
+  addThreshold(value, m) {
+    assert(Number.isSafeInteger(value) && value >= 0,
+      'threshold value must be uint64.');
+    assert((m & 0xff) === m && m >= 1, 'threshold m must be an u8.');
+
+    this.thresholds.push({ value, m });
+    this.thresholds.sort((a, b) => a.value - b.value);
+  }
+
+  /**
+   * Whether policy has any rules.
+   * @returns {Boolean}
+   */
+
+  isEmpty() {
+    return this.thresholds.length === 0
+      && this.dailyLimit === 0
+      && this.allowlist.size === 0
+      && this.forbiddenTypes.length === 0
+      && !this.addressBook
+      && !this.hasVelocity()
+      && !this.hasQuorumRule();
+  }
+
+  /**
+   * Whether policy has weight or role rules.
+   * @returns {Boolean}
+   */
+
+  hasQuorumRule() {
+    return this.weight !== 0 || this.roles.size !== 0;
+  }
+
+  /**
+   * Check whether cosigners satisfy the quorum rules.
+   * @param {Cosigner[]} cosigners - approving cosigners.
+   * @returns {Boolean}
+   */
+
+  checkQuorum(cosigners) {
+    let weight = 0;
+
+    const counts = new Map();
+
+    for (const cosigner of cosigners) {
+      weight += cosigner.weight;
+
+      const count = counts.get(cosigner.role) || 0;
+      counts.set(cosigner.role, count + 1);
+    }
+
+    if (weight < this.weight)
+      return false;
+
+    for (const [role, required] of this.roles) {
+      if ((counts.get(role) || 0) < required)
+        return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Whether policy has any velocity limits.
+   * @returns {Boolean}
+   */
+
+  hasVelocity() {
+    for (const name of Object.keys(windows)) {
+      if (this.velocity[name] !== 0)
+        return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Verify policy against wallet.
+   * @param {Number} m
+   * @param {Number} n
+   * @param {Cosigner[]} [cosigners] - check quorum rules can be satisfied.
+   * @throws {Error}
+   */
+
+  verify(m, n, cosigners) {
+    for (const threshold of this.thresholds) {
+      if (threshold.m > n)
+        throw new Error('Threshold approvals can not be more than n.');
+
+      if (threshold.m < m)
+        throw new Error('Threshold approvals can not be less than m.');
+    }
+
+    let roles = 0;
+
+    for (const count of this.roles.values())
+      roles += count;
+
+    if (roles > n)
+      throw new Error('Role approvals can not be more than n.');
+
+    if (cosigners && !this.checkQuorum(cosigners))
+      throw new Error('Quorum rules can not be satisfied by cosigners.');
+  }
+
+  /**
+   * Get number of approvals required
+   * to spend the value.
+   * @param {Number} value - outgoing value
+   * @param {Number} m - wallet m
+   * @returns {Number}
+   */
+
+  getRequired(value, m) {
+    let required = m;
+
+    for (const threshold of this.thresholds) {
+      if (value > threshold.value && threshold.m > required)
+        required = threshold.m;
+    }
+
+    return required;
+  }
+
+  /**
+   * Check outgoing outputs.
+   * @param {Output[]} outputs - outputs not owned by the wallet.
+   * @param {Network} network
+   * @throws {PolicyError}
+   */
+
+  checkOutputs(outputs, network) {
+    for (const output of outputs) {
+      const type = output.script.getType();
+
+      if (this.forbiddenTypes.indexOf(type) !== -1) {
+        const name = Script.typesByVal[type].toLowerCase();
+
+        throw new PolicyError(rules.SCRIPT_TYPE,
+          `Output script type ${name} is not allowed.`);
+      }
+
+      if (this.allowlist.size === 0)
+        continue;
+
+      if (!this.allowlist.has(output.script.toRaw())) {
+        const dest = getDestination(output, network);
+
+        throw new PolicyError(rules.ALLOWLIST,
+          `Destination ${dest} is not in the allowlist.`);
+      }
+    }
+  }
+
+  /**
+   * Check outgoing outputs against the address book.
+   * @param {Output[]} outputs - outputs not owned by the wallet.
+   * @param {AddressEntry[]} entries - address book of the wallet.
+   * @param {Network} network
+   * @throws {PolicyError}
+   */
+
+  checkAddressBook(outputs, entries, network) {
+    if (!this.addressBook)
+      return;
+
+    const book = new BufferSet();
+
+    for (const entry of entries)
+      book.add(entry.script.toRaw());
+
+    for (const output of outputs) {
+      if (!book.has(output.script.toRaw())) {
+        const dest = getDestination(output, network);
+
+        throw new PolicyError(rules.ADDRESS_BOOK,
+          `Destination ${dest} is not in the address book.`);
+      }
+    }
+  }
+
+  /**
+   * Check daily outflow limit.
+   * @param {Number} spent - outflow in the last day.
+   * @param {Number} value - outgoing value.
+   * @throws {PolicyError}
+   */
+
+  checkDailyLimit(spent, value) {
+    if (this.dailyLimit === 0)
+      return;
+
+    if (spent + value > this.dailyLimit) {
+      throw new PolicyError(rules.DAILY_LIMIT,
+        `Daily limit of ${this.dailyLimit} exceeded`
+        + ` (spent=${spent}, value=${value}).`);
+    }
+  }
+
+  /**
+   * Check approved outflow velocity limits.
+   * @param {Object} outflow - approved outflow per window.
+   * @param {Number} value - outgoing value.
+   * @returns {Boolean} - limit exceeded and unanimous approval is required.
+   * @throws {PolicyError}
+   */
+
+  checkVelocity(outflow, value) {
+    for (const name of Object.keys(windows)) {
+      const limit = this.velocity[name];
+
+      if (limit === 0 || outflow[name] + value <= limit)
+        continue;
+
+      if (this.unanimous)
+        return true;
+
+      throw new PolicyError(rules.VELOCITY,
+        `Limit of ${limit} per ${name} exceeded`
+        + ` (spent=${outflow[name]}, value=${value}).`);
+    }
+
+    return false;
+  }
+
+  /**
+   * Get JSON
+   * @param {Network} network
+   * @returns {Object}
+   */
+
+  getJSON(network) {
+    const allowlist = [];
+
+    for (const raw of this.allowlist) {
+      const addr = Script.fromRaw(raw).getAddress();
+      allowlist.push(addr.toString(network));
+    }
+
+    return {
+      thresholds: this.thresholds.map(({value, m}) => ({ value, m })),
+      dailyLimit: this.dailyLimit,
+      allowlist: allowlist,
+      forbiddenTypes: this.forbiddenTypes.map((type) => {
+        return Script.typesByVal[type].toLowerCase();
+      }),
+      addressBook: this.addressBook,
+      velocity: {
+        hour: this.velocity.hour,
+        day: this.velocity.day,
+        week: this.velocity.week
+      },
+      unanimous: this.unanimous,
+      weight: this.weight,
+      roles: mapToObject(this.roles)
+    };
+  }
+
+  /**
+   * Inject properties from JSON.
+   * @param {Object} json
+   * @param {Network} network
+   * @returns {SpendingPolicy}
+   */
+
+  fromJSON(json, network) {
+    assert(json && typeof json === 'object', 'Bad policy.');
+
+    const options = {
+      thresholds: json.thresholds,
+      dailyLimit: json.dailyLimit,
+      addressBook: json.addressBook,
+      velocity: json.velocity,
+      unanimous: json.unanimous,
+      weight: json.weight,
+      roles: json.roles
+    };
+
+    if (json.allowlist != null) {
+      assert(Array.isArray(json.allowlist), 'allowlist must be array.');
+      options.allowlist = json.allowlist.map((addr) => {
+        return Address.fromString(addr, network);
+      });
+    }
+
+    if (json.forbiddenTypes != null) {
+      assert(Array.isArray(json.forbiddenTypes),
+        'forbiddenTypes must be array.');
+
+      options.forbiddenTypes = json.forbiddenTypes.map((name) => {
+        assert(typeof name === 'string', 'script type must be a string.');
+
+        const type = Script.types[name.toUpperCase()];
+        assert(type != null, `Unknown script type ${name}.`);
+
+        return type;
+      });
+    }
+
+    return this.fromOptions(options);
+  }
+
+  /**
+   * Get serialization size
+   * @returns {Number}
+   */
+
+  getSize() {
+    let size = 1; // thresholds count
+    size += this.thresholds.length * 9; // value + m
+    size += 8; // dailyLimit
+    size += 1; // allowlist count
+
+    for (const raw of this.allowlist)
+      size += encoding.sizeVarBytes(raw);
+
+    size += 1; // forbidden types count
+    size += this.forbiddenTypes.length;
+    size += 8 * 3; // velocity limits
+    size += 1; // flags
+    size += 2; // weight
+    size += 1; // roles count
+
+    for (const role of this.roles.keys())
+      size += 1 + role.length + 1; // role + count
+
+    return size;
+  }
+
+  /**
+   * Serialize policy
+   * @param {bufio.BufferWriter} bw
+   * @returns {bufio.BufferWriter}
+   */
+
+  write(bw) {
+    bw.writeU8(this.thresholds.length);
+
+    for (const {value, m} of this.thresholds) {
+      bw.writeU64(value);
+      bw.writeU8(m);
+    }
+
+    bw.writeU64(this.dailyLimit);
+
+    bw.writeU8(this.allowlist.size);
+
+    for (const raw of this.allowlist)
+      bw.writeVarBytes(raw);
+
+    bw.writeU8(this.forbiddenTypes.length);
+
+    for (const type of this.forbiddenTypes)
+      bw.writeU8(type);
+
+    bw.writeU64(this.velocity.hour);
+    bw.writeU64(this.velocity.day);
+    bw.writeU64(this.velocity.week);
+
+    let bits = 0;
+
+    if (this.addressBook)
+      bits |= flags.ADDRESS_BOOK;
+
+    if (this.unanimous)
+      bits |= flags.UNANIMOUS;
+
+    bw.writeU8(bits);
+
+    bw.writeU16(this.weight);
+    bw.writeU8(this.roles.size);
+
+    for (const [role, count] of this.roles) {
+      bw.writeU8(role.length);
+      bw.writeString(role, 'ascii');
+      bw.writeU8(count);
+    }
+
+    return bw;
+  }
+
+  /**
+   * Deserialize policy
+   * @param {bufio.BufferReader} br
+   * @returns {SpendingPolicy}
+   */
+
+  read(br) {
+    const thresholds = br.readU8();
+
+    for (let i = 0; i < thresholds; i++) {
+      const value = br.readU64();
+      const m = br.readU8();
+      this.thresholds.push({ value, m });
+    }
+
+    this.dailyLimit = br.readU64();
+
+    const allowed = br.readU8();
+
+    for (let i = 0; i < allowed; i++)
+      this.allowlist.add(br.readVarBytes());
+
+    const types = br.readU8();
+
+    for (let i = 0; i < types; i++)
+      this.forbiddenTypes.push(br.readU8());
+
+    this.velocity.hour = br.readU64();
+    this.velocity.day = br.readU64();
+    this.velocity.week = br.readU64();
+
+    const bits = br.readU8();
+
+    this.addressBook = (bits & flags.ADDRESS_BOOK) !== 0;
+    this.unanimous = (bits & flags.UNANIMOUS) !== 0;
+
+    this.weight = br.readU16();
+
+    const roles = br.readU8();
+
+    for (let i = 0; i < roles; i++) {
+      const size = br.readU8();
+      const role = br.readString(size, 'ascii');
+      this.roles.set(role, br.readU8());
+    }
+
+    return this;
+  }
+
+  /**
+   * Test whether an object is a SpendingPolicy.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isSpendingPolicy(obj) {
+    return obj instanceof SpendingPolicy;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function getDestination(output, network) {
+  const addr = output.getAddress();
+  return addr ? addr.toString(network) : 'script';
+}
+
+function mapToObject(map) {
+  const obj = {};
+
+  for (const [key, value] of map)
+    obj[key] = value;
+
+  return obj;
+}
+
+/*
+ * Expose
+ */
+
+SpendingPolicy.DAY = DAY;
+SpendingPolicy.windows = windows;
+SpendingPolicy.rules = rules;
+SpendingPolicy.PolicyError = PolicyError;
+
+module.exports = SpendingPolicy;
@@ -15,7 +15,7 @@ const util = require('../utils/common');
 const sigUtils = require('../utils/sig');
 const layout = require('../layout').proposaldb;
 const common = require('../common');
-const {CREATE, REJECT} = common.payloadType;
+const {CREATE, REJECT, WITHDRAW, REVOKE, SCHEDULE} = common.payloadType;
 
 const ZERO_SIG = Buffer.alloc(65, 0);
 
@@ -36,7 +36,10 @@ const status = {
   DBLSPEND: 3,  // double spend
   VERIFY: 4,    // transaction verification failure
   FORCE: 5,     // transaction was rejected by the admin.
-  UNLOCK: 6     // transaction was rejected by force unlock of coin.
+  UNLOCK: 6,    // transaction was rejected by force unlock of coin.
+  EXPIRED: 7,   // proposal was not finished before expiration.
+  WITHDRAWN: 8, // author withdrew the proposal.
+  REPLACED: 9   // transaction was replaced by the bump proposal.
 };
 
 const statusByVal = [
@@ -47,7 +50,10 @@ const statusByVal = [
   'DBLSPEND',
   'VERIFY',
   'FORCE',
-  'UNLOCK'
+  'UNLOCK',
+  'EXPIRED',
+  'WITHDRAWN',
+  'REPLACED'
 ];
 
 const statusMessages = [
@@ -59,7 +65,10 @@ const statusMessages = [
   'Coins used in the proposal were double spent',
   'Rejected due to non-signed transaction.',
   'Proposal has been rejected manually.',
-  'Proposal has been rejected by unlocked coin.'
+  'Proposal has been rejected by unlocked coin.',
+  'Proposal has expired.',
+  'Proposal has been withdrawn by the author.',
+  'Proposal transaction has been replaced.'
 ];
 
 const statusIsPending = (s) => {
@@ -71,13 +80,33 @@ const statusIsRejected = (s) => {
     || s === status.VERIFY
     || s === status.DBLSPEND
     || s === status.FORCE
-    || s === status.UNLOCK;
+    || s === status.UNLOCK
+    || s === status.EXPIRED
+    || s === status.WITHDRAWN
+    || s === status.REPLACED;
 };
 
 const statusIsApproved = (s) => {
   return s === status.APPROVED;
 };
 
+/**
+ * Optional fields, serialized after
+ * the rejections when present.
+ * @readonly
+ * @enum {Number}
+ */
+
+const flags = {
+  EXPIRES: 1 << 0,
+  REPLACES: 1 << 1,
+  REPLACED_BY: 1 << 2,
+  QUORUM: 1 << 3,
+  SCHEDULE: 1 << 4,
+  AMENDED: 1 << 5,
+  LABELS: 1 << 6
+};
+
 /**
  * Payment proposal
  * @alias module:primitives.Proposal
@@ -91,6 +120,15 @@ const statusIsApproved = (s) => {
  * @property {Number} timestamp - user assigned timestamp.
  * @property {Number} createdAt - timestamp (seconds)
  * @property {Number} closedAt - timestamp (seconds) / rejected or approved.
+ * @property {Number} expiresAt - timestamp (seconds) / 0 if never expires.
+ * @property {Number} replaces - id of the bumped proposal / -1 if none.
+ * @property {Number} replacedBy - id of the bump proposal / -1 if none.
+ * @property {Number} quorum - approvals required by the spending policy
+ * (0 - wallet m).
+ * @property {Number} schedule - id of the schedule that created
+ * the proposal / -1 if none.
+ * @property {AmendmentRecord[]} history - previous versions of the proposal.
+ * @property {String[]} labels - labels of the transaction outputs.
  * @property {Number} m
  * @property {Number} n
  * @property {Number[]} approvals
@@ -125,6 +163,24 @@ class Proposal extends Struct {
 
     this.createdAt = util.now();
     this.closedAt = 0;
+    this.expiresAt = 0;
+
+    // fee bumping (RBF)
+    this.replaces = -1;
+    this.replacedBy = -1;
+
+    // spending policy
+    this.quorum = 0;
+
+    // recurring proposals, signature is
+    // schedule authorization.
+    this.schedule = -1;
+
+    // previous versions, amended by the author.
+    this.history = [];
+
+    // batch payouts, by output index.
+    this.labels = [];
 
     this.status = status.PROGRESS;
 
@@ -187,6 +243,40 @@ class Proposal extends Struct {
       this.closedAt = options.closedAt;
     }
 
+    if (options.expiresAt != null) {
+      assert(options.ttl == null, 'Can not use both expiresAt and ttl.');
+      assert(Number.isSafeInteger(options.expiresAt) && options.expiresAt >= 0,
+        'expiresAt must be uint64.');
+      this.expiresAt = options.expiresAt;
+    }
+
+    if (options.ttl != null) {
+      assert((options.ttl >>> 0) === options.ttl && options.ttl > 0,
+        'ttl must be a positive u32.');
+      this.expiresAt = this.createdAt + options.ttl;
+    }
+
+    if (options.replaces != null) {
+      assert((options.replaces >>> 0) === options.replaces,
+        'replaces must be an u32.');
+      assert(options.replaces !== options.id,
+        'Proposal can not replace itself.');
+      this.replaces = options.replaces;
+    }
+
+    if (options.schedule != null) {
+      assert((options.schedule >>> 0) === options.schedule,
+        'schedule must be an u32.');
+      this.schedule = options.schedule;
+    }
+
+    if (options.labels != null) {
+      assert(Array.isArray(options.labels), 'labels must be an array.');
+      assert(options.labels.every(label => typeof label === 'string'),
+        'label must be a string.');
+      this.labels = options.labels.slice();
+    }
+
     this.id = options.id;
     this.memo = options.memo;
     this.author = options.author;
@@ -197,6 +287,14 @@ class Proposal extends Struct {
     this.m = options.m;
     this.n = options.n;
 
+    if (options.quorum != null) {
+      assert((options.quorum & 0xff) === options.quorum,
+        'quorum must be an u8.');
+      assert(options.quorum <= this.n, 'quorum can not be more than n.');
+      this.quorum = options.quorum;
+      this.m = Math.max(this.m, this.quorum);
+    }
+
     return this;
   }
 
@@ -240,6 +338,13 @@ class Proposal extends Struct {
       createdAt: this.createdAt,
       rejectedAt: this.isRejected() ? this.closedAt : null,
       approvedAt: this.isApproved() ? this.closedAt : null,
+      expiresAt: this.expiresAt ? this.expiresAt : null,
+      replaces: this.replaces !== -1 ? this.replaces : null,
+      replacedBy: this.replacedBy !== -1 ? this.replacedBy : null,
+      schedule: this.schedule !== -1 ? this.schedule : null,
+      version: this.history.length + 1,
+      history: this.history.map(record => record.getJSON()),
+      labels: this.labels.length > 0 ? this.labels.slice() : null,
       m: this.m,
       n: this.n,
       statusCode: this.status,
@@ -298,6 +403,40 @@ class Proposal extends Struct {
       this.closedAt = json.approvedAt;
     }
 
+    if (json.expiresAt != null) {
+      assert(Number.isSafeInteger(json.expiresAt) && json.expiresAt >= 0,
+        'expiresAt must be uint64.');
+      this.expiresAt = json.expiresAt;
+    }
+
+    if (json.replaces != null) {
+      assert((json.replaces >>> 0) === json.replaces,
+        'replaces must be u32.');
+      this.replaces = json.replaces;
+    }
+
+    if (json.replacedBy != null) {
+      assert((json.replacedBy >>> 0) === json.replacedBy,
+        'replacedBy must be u32.');
+      this.replacedBy = json.replacedBy;
+    }
+
+    if (json.schedule != null) {
+      assert((json.schedule >>> 0) === json.schedule,
+        'schedule must be u32.');
+      this.schedule = json.schedule;
+    }
+
+    if (json.history != null) {
+      assert(Array.isArray(json.history), 'history must be an array.');
+      this.history = json.history.map(r => AmendmentRecord.fromJSON(r));
+    }
+
+    if (json.labels != null) {
+      assert(Array.isArray(json.labels), 'labels must be an array.');
+      this.labels = json.labels.slice();
+    }
+
     this.id = json.id;
     this.memo = json.memo;
     this.n = json.n;
@@ -335,9 +474,74 @@ class Proposal extends Struct {
     size += this.approvals.getSize();
     size += this.rejections.getSize();
 
+    if (this.getFlags()) {
+      size += 1; // flags
+
+      if (this.expiresAt)
+        size += 8; // expiresAt
+
+      if (this.replaces !== -1)
+        size += 4; // replaces
+
+      if (this.replacedBy !== -1)
+        size += 4; // replacedBy
+
+      if (this.quorum)
+        size += 1; // quorum
+
+      if (this.schedule !== -1)
+        size += 4; // schedule
+
+      if (this.history.length > 0) {
+        size += encoding.sizeVarint(this.history.length);
+
+        for (const record of this.history)
+          size += record.getSize();
+      }
+
+      if (this.labels.length > 0) {
+        size += encoding.sizeVarint(this.labels.length);
+
+        for (const label of this.labels)
+          size += encoding.sizeVarString(label, 'utf8');
+      }
+    }
+
     return size;
   }
 
+  /**
+   * Get flags for the optional fields.
+   * @returns {Number}
+   */
+
+  getFlags() {
+    let bits = 0;
+
+    if (this.expiresAt)
+      bits |= flags.EXPIRES;
+
+    if (this.replaces !== -1)
+      bits |= flags.REPLACES;
+
+    if (this.replacedBy !== -1)
+      bits |= flags.REPLACED_BY;
+
+    if (this.quorum)
+      bits |= flags.QUORUM;
+
+    if (this.schedule !== -1)
+      bits |= flags.SCHEDULE;
+
+    if (this.history.length > 0)
+      bits |= flags.AMENDED;
+
+    if (this.labels.length > 0)
+      bits |= flags.LABELS;
+
+    return bits;
+  }
+
   /**
    * Write raw representation to buffer writer.
    * @override
@@ -359,6 +563,44 @@ class Proposal extends Struct {
     this.approvals.toWriter(bw);
     this.rejections.toWriter(bw);
 
+    // Proposals without optional fields
+    // keep the original serialization.
+    const bits = this.getFlags();
+
+    if (!bits)
+      return bw;
+
+    bw.writeU8(bits);
+
+    if (bits & flags.EXPIRES)
+      bw.writeU64(this.expiresAt);
+
+    if (bits & flags.REPLACES)
+      bw.writeU32(this.replaces);
+
+    if (bits & flags.REPLACED_BY)
+      bw.writeU32(this.replacedBy);
+
+    if (bits & flags.QUORUM)
+      bw.writeU8(this.quorum);
+
+    if (bits & flags.SCHEDULE)
+      bw.writeU32(this.schedule);
+
+    if (bits & flags.AMENDED) {
+      bw.writeVarint(this.history.length);
+
+      for (const record of this.history)
+        record.write(bw);
+    }
+
+    if (bits & flags.LABELS) {
+      bw.writeVarint(this.labels.length);
+
+      for (const label of this.labels)
+        bw.writeVarString(label, 'utf8');
+    }
+
     return bw;
   }
 
@@ -383,6 +625,40 @@ class Proposal extends Struct {
     this.approvals.fromReader(br);
     this.rejections.fromReader(br);
 
+    if (br.left() === 0)
+      return this;
+
+    const bits = br.readU8();
+
+    if (bits & flags.EXPIRES)
+      this.expiresAt = br.readU64();
+
+    if (bits & flags.REPLACES)
+      this.replaces = br.readU32();
+
+    if (bits & flags.REPLACED_BY)
+      this.replacedBy = br.readU32();
+
+    if (bits & flags.QUORUM)
+      this.quorum = br.readU8();
+
+    if (bits & flags.SCHEDULE)
+      this.schedule = br.readU32();
+
+    if (bits & flags.AMENDED) {
+      const count = br.readVarint();
+
+      for (let i = 0; i < count; i++)
+        this.history.push(AmendmentRecord.fromReader(br));
+    }
+
+    if (bits & flags.LABELS) {
+      const count = br.readVarint();
+
+      for (let i = 0; i < count; i++)
+        this.labels.push(br.readVarString('utf8'));
+    }
+
     return this;
   }
 
@@ -407,6 +683,14 @@ class Proposal extends Struct {
       && this.timestamp === proposal.timestamp
       && this.createdAt === proposal.createdAt
       && this.closedAt === proposal.closedAt
+      && this.expiresAt === proposal.expiresAt
+      && this.replaces === proposal.replaces
+      && this.replacedBy === proposal.replacedBy
+      && this.schedule === proposal.schedule
+      && this.history.length === proposal.history.length
+      && this.history.every((r, i) => r.equals(proposal.history[i]))
+      && this.labels.length === proposal.labels.length
+      && this.labels.every((l, i) => l === proposal.labels[i])
       && this.signature.equals(proposal.signature)
       && this.approvals.equals(proposal.approvals)
       && this.rejections.equals(proposal.rejections);
@@ -439,24 +723,87 @@ class Proposal extends Struct {
     return statusIsApproved(this.status);
   }
 
+  /**
+   * Check if proposal has expired
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Boolean}
+   */
+
+  isExpired(now = util.now()) {
+    if (!this.expiresAt)
+      return false;
+
+    return now >= this.expiresAt;
+  }
+
+  /**
+   * Check if proposal bumps the fee
+   * of another proposal.
+   * @returns {Boolean}
+   */
+
+  isReplacement() {
+    return this.replaces !== -1;
+  }
+
+  /**
+   * Check if proposal was created by the schedule.
+   * @returns {Boolean}
+   */
+
+  isScheduled() {
+    return this.schedule !== -1;
+  }
+
+  /**
+   * Check if proposal was amended by the author.
+   * @returns {Boolean}
+   */
+
+  isAmended() {
+    return this.history.length > 0;
+  }
+
   /**
    * Update status of the proposal
+   * @param {Function} [hasQuorum] - check off-chain quorum rules
+   *  for the cosigner ids.
+   * @param {Boolean} [veto=false] - rejected by the veto holder.
    * @throws {Error}
    */
 
-  updateStatus() {
+  updateStatus(hasQuorum, veto = false) {
     assert(this.isPending(), 'Can not update non pending proposal.');
 
     const rejections = this.rejections.size;
     const critical = this.n - this.m + 1;
 
-    if (rejections >= critical) {
+    if (veto || rejections >= critical) {
       this.status = status.REJECTED;
       this.closedAt = util.now();
       return;
     }
 
-    if (this.approvals.size === this.m) {
+    if (hasQuorum) {
+      const remaining = [];
+
+      for (let id = 0; id < this.n; id++) {
+        if (!this.rejections.has(id))
+          remaining.push(id);
+      }
+
+      // quorum rules can no longer be satisfied.
+      if (!hasQuorum(remaining)) {
+        this.status = status.REJECTED;
+        this.closedAt = util.now();
+        return;
+      }
+    }
+
+    if (this.approvals.size >= this.m) {
+      if (hasQuorum && !hasQuorum(this.approvals.keys()))
+        return;
+
       this.status = status.APPROVED;
       this.closedAt = util.now();
       return;
@@ -467,10 +814,11 @@ class Proposal extends Struct {
    * Reject proposal
    * @param {Cosigner} cosigner
    * @param {Buffer} signature
+   * @param {Function} [hasQuorum]
    * @throws {Error}
    */
 
-  reject(cosigner, signature) {
+  reject(cosigner, signature, hasQuorum) {
     assert(cosigner instanceof Cosigner, 'cosigner is not correct.');
     assert(this.isPending(), 'Can not reject non pending proposal.');
     assert(Buffer.isBuffer(signature), 'Signature must be a buffer.');
@@ -483,7 +831,34 @@ class Proposal extends Struct {
       throw new Error('Cosigner already rejected.');
 
     this.rejections.set(cosigner.id, signature);
-    this.updateStatus();
+    this.updateStatus(hasQuorum, cosigner.veto);
+  }
+
+  /**
+   * Revoke approval of the cosigner
+   * @param {Cosigner} cosigner
+   * @param {Buffer} [signature] - rejection signature.
+   * @param {Function} [hasQuorum]
+   * @throws {Error}
+   */
+
+  revoke(cosigner, signature, hasQuorum) {
+    assert(cosigner instanceof Cosigner, 'cosigner is not correct.');
+    assert(this.isPending(),
+      'Can not revoke approval of non pending proposal.');
+
+    if (!this.approvals.has(cosigner.id))
+      throw new Error('Cosigner has not approved.');
+
+    this.approvals.delete(cosigner.id);
+
+    if (signature) {
+      assert(Buffer.isBuffer(signature), 'Signature must be a buffer.');
+      assert(signature.length === 65, 'Signature must be 65 bytes.');
+      this.rejections.set(cosigner.id, signature);
+    }
+
+    this.updateStatus(hasQuorum, signature != null && cosigner.veto);
   }
 
   /**
@@ -501,14 +876,112 @@ class Proposal extends Struct {
     this.status = status;
   }
 
+  /**
+   * Withdraw proposal by the author
+   * @param {Cosigner} cosigner
+   * @throws {Error}
+   */
+
+  withdraw(cosigner) {
+    assert(cosigner instanceof Cosigner, 'cosigner is not correct.');
+    assert(this.isPending(), 'Can not withdraw non pending proposal.');
+
+    if (cosigner.id !== this.author)
+      throw new Error('Only author can withdraw the proposal.');
+
+    this.status = status.WITHDRAWN;
+    this.closedAt = util.now();
+  }
+
+  /**
+   * Amend pending proposal by the author. Current version
+   * is moved to the history and all approvals are invalidated.
+   * @param {Cosigner} cosigner
+   * @param {Object} options - new signed proposal options.
+   * @param {String} options.memo
+   * @param {Number} options.timestamp
+   * @param {Buffer} signature - `CREATE` signature of the options.
+   * @throws {Error}
+   */
+
+  amend(cosigner, options, signature) {
+    assert(cosigner instanceof Cosigner, 'cosigner is not correct.');
+    assert(this.isPending(), 'Can not amend non pending proposal.');
+    assert(options && typeof options === 'object', 'Options are required.');
+    assert(typeof options.memo === 'string', 'Bad proposal memo.');
+    assert(options.memo.length > 1 && options.memo.length < 100,
+      'memo must be under 100 bytes');
+    assert(Number.isSafeInteger(options.timestamp) && options.timestamp >= 0,
+      'timestamp must be an uint64.');
+    assert(Buffer.isBuffer(signature), 'Signature must be a buffer.');
+    assert(signature.length === 65, 'Signature must be 65 bytes.');
+
+    if (cosigner.id !== this.author)
+      throw new Error('Only author can amend the proposal.');
+
+    if (this.isReplacement())
+      throw new Error('Can not amend replacement proposal.');
+
+    if (options.expiresAt != null || options.ttl != null
+      || options.replaces != null) {
+      throw new Error('Amendment can not change expiration or replaces.');
+    }
+
+    const raw = JSON.stringify(options);
+
+    if (raw === this.options)
+      throw new Error('Amendment does not change the proposal.');
+
+    this.history.push(AmendmentRecord.fromProposal(this));
+
+    this.memo = options.memo;
+    this.timestamp = options.timestamp;
+    this.signature = signature;
+    this.options = raw;
+    this.approvals.clear();
+
+    // outputs have changed.
+    this.labels = [];
+  }
+
+  /**
+   * Mark approved proposal as replaced
+   * by the bump proposal.
+   * @param {Number} id - bump proposal id
+   * @throws {Error}
+   */
+
+  replace(id) {
+    assert((id >>> 0) === id, 'id must be an u32.');
+    assert(this.isApproved(), 'Can not replace non approved proposal.');
+
+    this.status = status.REPLACED;
+    this.replacedBy = id;
+    this.closedAt = util.now();
+  }
+
+  /**
+   * Reject approved proposal, its coins were spent by
+   * the conflicting transaction (e.g. bumped transaction
+   * was confirmed before the replacement).
+   */
+
+  doubleSpend() {
+    assert(this.isApproved(), 'Can not double spend non approved proposal.');
+
+    this.status = status.DBLSPEND;
+    this.closedAt = util.now();
+  }
+
   /**
    * Approve proposal
    * @param {Cosigner} cosigner
    * @param {SignatureOption[]} signatures
+   * @param {Function} [hasQuorum]
    * @throws {Error}
    */
 
-  approve(cosigner, signatures) {
+  approve(cosigner, signatures, hasQuorum) {
     enforce(cosigner instanceof Cosigner, 'cosigner', 'Cosigner');
     enforce(Array.isArray(signatures), 'signatures', 'SignatureOption');
     assert(this.isPending(), 'Can not approve non pending proposal.');
@@ -521,7 +994,7 @@ class Proposal extends Struct {
 
     const signaturesRecord = SignaturesRecord.fromSignatures(signatures);
     this.approvals.set(cosigner.id, signaturesRecord);
-    this.updateStatus();
+    this.updateStatus(hasQuorum);
   }
 
   /**
@@ -578,6 +1051,30 @@ class Proposal extends Struct {
     return this.verifySignature(walletName, REJECT, signature, authPubKey);
   }
 
+  /**
+   * Verify withdrawal signature.
+   * @param {String} walletName
+   * @param {Signature} signature
+   * @param {CompressedPublicKey} authPubKey
+   * @returns {Boolean}
+   */
+
+  verifyWithdrawSignature(walletName, signature, authPubKey) {
+    return this.verifySignature(walletName, WITHDRAW, signature, authPubKey);
+  }
+
+  /**
+   * Verify approval revocation signature.
+   * @param {String} walletName
+   * @param {Signature} signature
+   * @param {CompressedPublicKey} authPubKey
+   * @returns {Boolean}
+   */
+
+  verifyRevokeSignature(walletName, signature, authPubKey) {
+    return this.verifySignature(walletName, REVOKE, signature, authPubKey);
+  }
+
   /**
    * Verify author proposal signature
    * @param {CompressedPublicKey} authPubKey
@@ -585,7 +1082,12 @@ class Proposal extends Struct {
    */
 
   verifyCreateSignature(walletName, authPubKey) {
-    return this.verifySignature(walletName, CREATE, this.signature, authPubKey);
+    // scheduled proposals are authorized by the schedule,
+    // amendments are signed by the author.
+    const scheduled = this.isScheduled() && !this.isAmended();
+    const type = scheduled ? SCHEDULE : CREATE;
+
+    return this.verifySignature(walletName, type, this.signature, authPubKey);
   }
 
   /*
@@ -655,6 +1157,24 @@ class Proposal extends Struct {
     });
   }
 
+  /**
+   * Get value of the coin locked by the proposal.
+   * Coins locked before values were stored return null.
+   * @param {Number} pid
+   * @param {Outpoint} outpoint
+   * @returns {Promise<Number?>}
+   */
+
+  static async getLockedValue(db, pid, outpoint) {
+    const key = layout.C.encode(pid, outpoint.hash, outpoint.index);
+    const raw = await db.get(key);
+
+    if (!raw || raw.length !== 8)
+      return null;
+
+    return encoding.readU64(raw, 0);
+  }
+
   /**
    * Get pending proposals
    * @returns {Promise<Number[]>} - proposal IDs.
@@ -668,6 +1188,72 @@ class Proposal extends Struct {
     });
   }
 
+  /**
+   * Get all proposal IDs.
+   * @param {bdb.Bucket} db
+   * @returns {Promise<Number[]>}
+   */
+
+  static getProposalIDs(db) {
+    return db.keys({
+      gte: layout.p.min(),
+      lte: layout.p.max(),
+      parse: key => layout.p.decode(key)[0]
+    });
+  }
+
+  /**
+   * Get proposal IDs in id order after the cursor,
+   * until `count` of them pass the filter.
+   * @param {bdb.Bucket} db
+   * @param {bdb.Key} key - layout.p or index key (value, pid).
+   * @param {Number?} value - indexed value, null for layout.p.
+   * @param {Object} options
+   * @param {Number?} options.cursor - pid to start after.
+   * @param {Boolean} options.reverse
+   * @param {Number} options.count - -1 for all.
+   * @param {Function} [options.filter] - async filter by pid.
+   * @returns {Promise<Number[]>}
+   */
+
+  static async scanIDs(db, key, value, options) {
+    const {cursor, reverse, count, filter} = options;
+    const prefix = value != null ? [value] : [];
+    const pidIndex = prefix.length;
+
+    const range = {
+      gte: key.min(...prefix),
+      lte: key.max(...prefix),
+      reverse: reverse,
+      keys: true,
+      values: false
+    };
+
+    if (cursor != null && reverse) {
+      range.lte = null;
+      range.lt = key.encode(...prefix, cursor);
+    }
+
+    if (cursor != null && !reverse) {
+      range.gte = null;
+      range.gt = key.encode(...prefix, cursor);
+    }
+
+    const pids = [];
+    const iter = db.iterator(range);
+
+    await iter.each(async (k) => {
+      const pid = key.decode(k)[pidIndex];
+
+      if (!filter || await filter(pid))
+        pids.push(pid);
+
+      return pids.length !== count;
+    });
+
+    return pids;
+  }
+
   /**
    * Get proposals
    * @returns {Promise<Proposal[]>}
@@ -751,8 +1337,11 @@ class Proposal extends Struct {
    */
 
   static lockCoin(b, proposal, coin) {
+    const value = Buffer.allocUnsafe(8);
+    encoding.writeU64(value, coin.value, 0);
+
     b.put(layout.c.encode(coin.hash, coin.index));
-    b.put(layout.C.encode(proposal.id, coin.hash, coin.index));
+    b.put(layout.C.encode(proposal.id, coin.hash, coin.index), value);
   }
 
   /**
@@ -791,7 +1380,28 @@ class Proposal extends Struct {
     } else {
       b.del(layout.e.encode(pid));
       b.put(layout.f.encode(pid));
+      b.put(layout.F.encode(proposal.closedAt, pid));
     }
+
+    for (const code of Object.values(status)) {
+      if (code !== proposal.status)
+        b.del(layout.s.encode(code, pid));
+    }
+
+    b.put(layout.s.encode(proposal.status, pid));
+    b.put(layout.a.encode(proposal.author, pid));
+    b.put(layout.T.encode(proposal.createdAt, pid));
+  }
+
+  /**
+   * Remove close time index,
+   * before closed proposal changes status.
+   * @param {bdb.Batch} b
+   * @param {Proposal} proposal
+   */
+
+  static removeClosedAt(b, proposal) {
+    b.del(layout.F.encode(proposal.closedAt, proposal.id));
   }
 
   /**
@@ -1374,6 +1984,127 @@ class SignaturesRecord extends Struct {
   }
 }
 
+/**
+ * Previous version of the amended proposal
+ * @ignore
+ * @property {String} memo
+ * @property {String} options - json stringified signed options.
+ * @property {Buffer} signature
+ * @property {Number} timestamp - authors timestamp.
+ * @property {Number} amendedAt - timestamp (seconds)
+ * @property {Number[]} approvals - invalidated approvals.
+ */
+
+class AmendmentRecord extends Struct {
+  constructor() {
+    super();
+
+    this.memo = '';
+    this.options = '';
+    this.signature = ZERO_SIG;
+    this.timestamp = 0;
+    this.amendedAt = util.now();
+    this.approvals = [];
+  }
+
+  fromProposal(proposal) {
+    this.memo = proposal.memo;
+    this.options = proposal.options;
+    this.signature = proposal.signature;
+    this.timestamp = proposal.timestamp;
+    this.approvals = Array.from(proposal.approvals.keys());
+
+    return this;
+  }
+
+  getJSON() {
+    return {
+      memo: this.memo,
+      options: JSON.parse(this.options),
+      signature: this.signature.toString('hex'),
+      timestamp: this.timestamp,
+      amendedAt: this.amendedAt,
+      approvals: this.approvals.slice()
+    };
+  }
+
+  fromJSON(json) {
+    enforce(json && typeof json === 'object', 'json', 'object');
+    assert(typeof json.memo === 'string', 'Bad proposal memo.');
+    assert(typeof json.signature === 'string',
+      'signature must be a hex string.');
+    assert(json.signature.length === 130, 'signature must be 65 bytes.');
+    assert(Number.isSafeInteger(json.timestamp) && json.timestamp >= 0,
+      'timestamp must be uint64');
+    assert(Number.isSafeInteger(json.amendedAt) && json.amendedAt >= 0,
+      'amendedAt must be uint64');
+    assert(Array.isArray(json.approvals), 'approvals must be an array.');
+
+    this.memo = json.memo;
+    this.options = JSON.stringify(json.options);
+    this.signature = Buffer.from(json.signature, 'hex');
+    this.timestamp = json.timestamp;
+    this.amendedAt = json.amendedAt;
+    this.approvals = json.approvals.slice();
+
+    return this;
+  }
+
+  getSize() {
+    let size = encoding.sizeVarString(this.memo, 'utf8');
+    size += encoding.sizeVarString(this.options, 'utf8');
+    size += 65; // signature
+    size += 8; // timestamp
+    size += 8; // amendedAt
+    size += 1 + this.approvals.length;
+
+    return size;
+  }
+
+  write(bw) {
+    bw.writeVarString(this.memo, 'utf8');
+    bw.writeVarString(this.options, 'utf8');
+    bw.writeBytes(this.signature);
+    bw.writeU64(this.timestamp);
+    bw.writeU64(this.amendedAt);
+    bw.writeU8(this.approvals.length);
+
+    for (const id of this.approvals)
+      bw.writeU8(id);
+
+    return bw;
+  }
+
+  read(br) {
+    this.memo = br.readVarString('utf8');
+    this.options = br.readVarString('utf8');
+    this.signature = br.readBytes(65);
+    this.timestamp = br.readU64();
+    this.amendedAt = br.readU64();
+
+    const count = br.readU8();
+
+    for (let i = 0; i < count; i++)
+      this.approvals.push(br.readU8());
+
+    return this;
+  }
+
+  equals(record) {
+    return this.memo === record.memo
+      && this.options === record.options
+      && this.signature.equals(record.signature)
+      && this.timestamp === record.timestamp
+      && this.amendedAt === record.amendedAt
+      && this.approvals.length === record.approvals.length
+      && this.approvals.every((id, i) => id === record.approvals[i]);
+  }
+
+  static fromProposal(proposal) {
+    return new this().fromProposal(proposal);
+  }
+}
+
 /*
  * Helpers
  */
@@ -1402,10 +2133,13 @@ function toU32BE(buf) {
 Proposal.statusMessages = statusMessages;
 Proposal.statussByVal = statusByVal;
 Proposal.status = status;
+Proposal.statusIsRejected = statusIsRejected;
+Proposal.flags = flags;
 Proposal.payloadType = common.payloadType;
 Proposal.payloadTypeByVal = common.payloadTypeByVal;
 Proposal.ApprovalsMapRecord = ApprovalsMapRecord;
 Proposal.SignaturesRecord = SignaturesRecord;
 Proposal.RejectionsMapRecord = RejectionsMapRecord;
+Proposal.AmendmentRecord = AmendmentRecord;
 
 module.exports = Proposal;
@@ -0,0 +1,526 @@
+/*!
+ * psbt.js - partially signed bitcoin transaction (BIP174)
+ * Copyright (c) 2019, The Bcoin Developers (MIT License).
+ * https://github.com/bcoin-org/bmultisig
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {enforce} = assert;
+const bufio = require('bufio');
+const {Struct} = bufio;
+const {BufferMap} = require('buffer-map');
+const {TX, Output, Script} = require('bcoin');
+
+const MAGIC = Buffer.from('70736274ff', 'hex');
+const EMPTY = Buffer.alloc(0);
+
+/**
+ * Global key types
+ * @readonly
+ * @enum {Number}
+ */
+
+const globalTypes = {
+  UNSIGNED_TX: 0x00
+};
+
+/**
+ * Input key types
+ * @readonly
+ * @enum {Number}
+ */
+
+const inputTypes = {
+  NON_WITNESS_UTXO: 0x00,
+  WITNESS_UTXO: 0x01,
+  PARTIAL_SIG: 0x02,
+  SIGHASH_TYPE: 0x03,
+  REDEEM_SCRIPT: 0x04,
+  WITNESS_SCRIPT: 0x05,
+  BIP32_DERIVATION: 0x06
+};
+
+/**
+ * Output key types
+ * @readonly
+ * @enum {Number}
+ */
+
+const outputTypes = {
+  REDEEM_SCRIPT: 0x00,
+  WITNESS_SCRIPT: 0x01,
+  BIP32_DERIVATION: 0x02
+};
+
+/**
+ * Partially Signed Bitcoin Transaction
+ * @alias module:primitives.PSBT
+ * @extends {Struct}
+ * @property {TX} tx - unsigned transaction.
+ * @property {PSBTInput[]} inputs
+ * @property {PSBTOutput[]} outputs
+ * @property {Array[]} unknown - unknown global [key, value] pairs.
+ */
+
+class PSBT extends Struct {
+  /**
+   * Create PSBT
+   * @param {TX} [tx] - unsigned transaction.
+   */
+
+  constructor(tx) {
+    super();
+
+    this.tx = new TX();
+    this.inputs = [];
+    this.outputs = [];
+    this.unknown = [];
+
+    if (tx)
+      this.fromTX(tx);
+  }
+
+  /**
+   * Inject unsigned transaction and create
+   * empty input and output maps.
+   * @param {TX} tx
+   * @returns {PSBT}
+   */
+
+  fromTX(tx) {
+    enforce(TX.isTX(tx), 'tx', 'TX');
+
+    for (const input of tx.inputs) {
+      assert(input.script.length === 0 && input.witness.length === 0,
+        'PSBT transaction must be unsigned.');
+    }
+
+    this.tx = tx;
+    this.inputs = tx.inputs.map(() => new PSBTInput());
+    this.outputs = tx.outputs.map(() => new PSBTOutput());
+
+    return this;
+  }
+
+  /**
+   * Serialize to buffer writer.
+   * @param {BufferWriter} bw
+   * @returns {BufferWriter}
+   */
+
+  write(bw) {
+    bw.writeBytes(MAGIC);
+
+    writePair(bw, [globalTypes.UNSIGNED_TX], this.tx.toRaw());
+    writeUnknown(bw, this.unknown);
+    bw.writeU8(0);
+
+    for (const input of this.inputs)
+      input.write(bw);
+
+    for (const output of this.outputs)
+      output.write(bw);
+
+    return bw;
+  }
+
+  /**
+   * Deserialize from buffer reader.
+   * @param {BufferReader} br
+   * @returns {PSBT}
+   */
+
+  read(br) {
+    if (!br.readBytes(5).equals(MAGIC))
+      throw new Error('Invalid PSBT magic.');
+
+    let tx = null;
+
+    for (const [key, value] of readMap(br)) {
+      if (key.length === 1 && key[0] === globalTypes.UNSIGNED_TX) {
+        if (tx)
+          throw new Error('Duplicate unsigned transaction.');
+
+        tx = TX.fromRaw(value);
+        continue;
+      }
+
+      this.unknown.push([key, value]);
+    }
+
+    if (!tx)
+      throw new Error('PSBT unsigned transaction not found.');
+
+    this.fromTX(tx);
+
+    for (let i = 0; i < tx.inputs.length; i++)
+      this.inputs[i] = PSBTInput.fromReader(br);
+
+    for (let i = 0; i < tx.outputs.length; i++)
+      this.outputs[i] = PSBTOutput.fromReader(br);
+
+    return this;
+  }
+
+  /**
+   * Serialize PSBT to base64 string.
+   * @returns {String}
+   */
+
+  toBase64() {
+    return this.encode().toString('base64');
+  }
+
+  /**
+   * Deserialize PSBT from base64 string.
+   * @param {String} str
+   * @returns {PSBT}
+   */
+
+  fromBase64(str) {
+    enforce(typeof str === 'string', 'str', 'string');
+    return this.decode(Buffer.from(str, 'base64'));
+  }
+
+  /**
+   * Get partial signatures for the public keys.
+   * @param {Buffer[]} keys - public key per input (or null).
+   * @returns {Buffer[]} - signature per input (or null).
+   */
+
+  getSignatures(keys) {
+    assert(Array.isArray(keys));
+    assert(keys.length === this.inputs.length,
+      'Keys do not match PSBT inputs.');
+
+    const signatures = [];
+
+    for (const [i, input] of this.inputs.entries()) {
+      const key = keys[i];
+
+      if (!key) {
+        signatures.push(null);
+        continue;
+      }
+
+      const signature = input.partialSigs.get(key);
+      signatures.push(signature ? signature : null);
+    }
+
+    return signatures;
+  }
+
+  /**
+   * Create PSBT from unsigned transaction.
+   * @param {TX} tx
+   * @returns {PSBT}
+   */
+
+  static fromTX(tx) {
+    return new this().fromTX(tx);
+  }
+
+  /**
+   * Deserialize PSBT from base64 string.
+   * @param {String} str
+   * @returns {PSBT}
+   */
+
+  static fromBase64(str) {
+    return new this().fromBase64(str);
+  }
+
+  /**
+   * Test whether an object is a PSBT.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isPSBT(obj) {
+    return obj instanceof PSBT;
+  }
+}
+
+/**
+ * PSBT Input map
+ * @alias module:primitives.PSBTInput
+ * @property {TX?} nonWitnessUTXO
+ * @property {Output?} witnessUTXO
+ * @property {BufferMap} partialSigs - public key -> signature
+ * @property {Number} sighash - -1 if not set.
+ * @property {Script?} redeemScript
+ * @property {Script?} witnessScript
+ * @property {BufferMap} derivations - public key -> Derivation
+ * @property {Array[]} unknown - unknown [key, value] pairs.
+ */
+
+class PSBTInput extends Struct {
+  constructor() {
+    super();
+
+    this.nonWitnessUTXO = null;
+    this.witnessUTXO = null;
+    this.partialSigs = new BufferMap();
+    this.sighash = -1;
+    this.redeemScript = null;
+    this.witnessScript = null;
+    this.derivations = new BufferMap();
+    this.unknown = [];
+  }
+
+  write(bw) {
+    if (this.nonWitnessUTXO) {
+      writePair(bw, [inputTypes.NON_WITNESS_UTXO],
+        this.nonWitnessUTXO.toNormal());
+    }
+
+    if (this.witnessUTXO)
+      writePair(bw, [inputTypes.WITNESS_UTXO], this.witnessUTXO.toRaw());
+
+    for (const [key, signature] of this.partialSigs)
+      writePair(bw, [inputTypes.PARTIAL_SIG, key], signature);
+
+    if (this.sighash !== -1) {
+      const value = Buffer.allocUnsafe(4);
+      value.writeUInt32LE(this.sighash, 0);
+      writePair(bw, [inputTypes.SIGHASH_TYPE], value);
+    }
+
+    if (this.redeemScript)
+      writePair(bw, [inputTypes.REDEEM_SCRIPT], this.redeemScript.toRaw());
+
+    if (this.witnessScript)
+      writePair(bw, [inputTypes.WITNESS_SCRIPT], this.witnessScript.toRaw());
+
+    for (const [key, derivation] of this.derivations)
+      writePair(bw, [inputTypes.BIP32_DERIVATION, key], derivation.encode());
+
+    writeUnknown(bw, this.unknown);
+    bw.writeU8(0);
+
+    return bw;
+  }
+
+  read(br) {
+    for (const [key, value] of readMap(br)) {
+      const type = key[0];
+      const data = key.slice(1);
+
+      switch (type) {
+        case inputTypes.NON_WITNESS_UTXO:
+          this.nonWitnessUTXO = TX.fromRaw(value);
+          break;
+        case inputTypes.WITNESS_UTXO:
+          this.witnessUTXO = Output.fromRaw(value);
+          break;
+        case inputTypes.PARTIAL_SIG:
+          assert(data.length === 33 || data.length === 65,
+            'Bad partial signature key.');
+          this.partialSigs.set(data, value);
+          break;
+        case inputTypes.SIGHASH_TYPE:
+          assert(value.length === 4, 'Bad sighash type.');
+          this.sighash = value.readUInt32LE(0);
+          break;
+        case inputTypes.REDEEM_SCRIPT:
+          this.redeemScript = Script.fromRaw(value);
+          break;
+        case inputTypes.WITNESS_SCRIPT:
+          this.witnessScript = Script.fromRaw(value);
+          break;
+        case inputTypes.BIP32_DERIVATION:
+          assert(data.length === 33 || data.length === 65,
+            'Bad derivation key.');
+          this.derivations.set(data, Derivation.decode(value));
+          break;
+        default:
+          this.unknown.push([key, value]);
+          break;
+      }
+    }
+
+    return this;
+  }
+}
+
+/**
+ * PSBT Output map
+ * @alias module:primitives.PSBTOutput
+ * @property {Script?} redeemScript
+ * @property {Script?} witnessScript
+ * @property {BufferMap} derivations - public key -> Derivation
+ * @property {Array[]} unknown - unknown [key, value] pairs.
+ */
+
+class PSBTOutput extends Struct {
+  constructor() {
+    super();
+
+    this.redeemScript = null;
+    this.witnessScript = null;
+    this.derivations = new BufferMap();
+    this.unknown = [];
+  }
+
+  write(bw) {
+    if (this.redeemScript)
+      writePair(bw, [outputTypes.REDEEM_SCRIPT], this.redeemScript.toRaw());
+
+    if (this.witnessScript)
+      writePair(bw, [outputTypes.WITNESS_SCRIPT], this.witnessScript.toRaw());
+
+    for (const [key, derivation] of this.derivations)
+      writePair(bw, [outputTypes.BIP32_DERIVATION, key], derivation.encode());
+
+    writeUnknown(bw, this.unknown);
+    bw.writeU8(0);
+
+    return bw;
+  }
+
+  read(br) {
+    for (const [key, value] of readMap(br)) {
+      const type = key[0];
+      const data = key.slice(1);
+
+      switch (type) {
+        case outputTypes.REDEEM_SCRIPT:
+          this.redeemScript = Script.fromRaw(value);
+          break;
+        case outputTypes.WITNESS_SCRIPT:
+          this.witnessScript = Script.fromRaw(value);
+          break;
+        case outputTypes.BIP32_DERIVATION:
+          assert(data.length === 33 || data.length === 65,
+            'Bad derivation key.');
+          this.derivations.set(data, Derivation.decode(value));
+          break;
+        default:
+          this.unknown.push([key, value]);
+          break;
+      }
+    }
+
+    return this;
+  }
+}
+
+/**
+ * BIP32 Derivation
+ * @alias module:primitives.Derivation
+ * @property {Number} fingerPrint - uint32be
+ * @property {Number[]} path
+ */
+
+class Derivation extends Struct {
+  /**
+   * Create derivation
+   * @param {Number} [fingerPrint=0]
+   * @param {Number[]} [path=[]]
+   */
+
+  constructor(fingerPrint, path) {
+    super();
+
+    this.fingerPrint = 0;
+    this.path = [];
+
+    if (fingerPrint != null) {
+      enforce((fingerPrint >>> 0) === fingerPrint, 'fingerPrint', 'u32');
+      this.fingerPrint = fingerPrint;
+    }
+
+    if (path != null) {
+      enforce(Array.isArray(path), 'path', 'array');
+      this.path = path;
+    }
+  }
+
+  getSize() {
+    return 4 + this.path.length * 4;
+  }
+
+  write(bw) {
+    bw.writeU32BE(this.fingerPrint);
+
+    for (const index of this.path)
+      bw.writeU32(index);
+
+    return bw;
+  }
+
+  read(br) {
+    assert(br.left() % 4 === 0, 'Bad derivation path.');
+
+    this.fingerPrint = br.readU32BE();
+
+    while (br.left() > 0)
+      this.path.push(br.readU32());
+
+    return this;
+  }
+
+  getJSON() {
+    return {
+      fingerPrint: this.fingerPrint,
+      path: this.path.slice()
+    };
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function writePair(bw, key, value) {
+  const raw = Buffer.isBuffer(key) ? key : concatKey(key);
+
+  bw.writeVarBytes(raw);
+  bw.writeVarBytes(value);
+}
+
+function writeUnknown(bw, unknown) {
+  for (const [key, value] of unknown)
+    writePair(bw, key, value);
+}
+
+function concatKey(parts) {
+  const [type, data] = parts;
+  return Buffer.concat([Buffer.from([type]), data || EMPTY]);
+}
+
+function readMap(br) {
+  const pairs = [];
+  const keys = new BufferMap();
+
+  for (;;) {
+    const key = br.readVarBytes();
+
+    if (key.length === 0)
+      break;
+
+    if (keys.has(key))
+      throw new Error('Duplicate PSBT key.');
+
+    keys.set(key, true);
+    pairs.push([key, br.readVarBytes()]);
+  }
+
+  return pairs;
+}
+
+/*
+ * Expose
+ */
+
+PSBT.MAGIC = MAGIC;
+PSBT.globalTypes = globalTypes;
+PSBT.inputTypes = inputTypes;
+PSBT.outputTypes = outputTypes;
+PSBT.PSBTInput = PSBTInput;
+PSBT.PSBTOutput = PSBTOutput;
+PSBT.Derivation = Derivation;
+
+module.exports = PSBT;
@@ -0,0 +1,504 @@
+/*!
+ * schedule.js - recurring proposal schedule
+ * Copyright (c) 2019, The Bcoin Developers (MIT License).
+ * https://github.com/bcoin-org/bmultisig
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {encoding, Struct} = require('bufio');
+const util = require('../utils/common');
+const sigUtils = require('../utils/sig');
+const Cron = require('../utils/cron');
+const common = require('../common');
+const {SCHEDULE} = common.payloadType;
+
+const ZERO_SIG = Buffer.alloc(65, 0);
+
+/**
+ * Minimum interval between proposals (seconds).
+ * @const {Number}
+ */
+
+const MIN_INTERVAL = 60;
+
+/**
+ * Schedule is paused after this many failures in a row.
+ * @const {Number}
+ */
+
+const MAX_FAILURES = 8;
+
+/**
+ * Schedule flags.
+ * @enum {Number}
+ */
+
+const flags = {
+  PAUSED: 1 << 0,
+  LAST_PROPOSAL: 1 << 1,
+  FAILURES: 1 << 2
+};
+
+/**
+ * Recurring proposal schedule.
+ * Author signs the template (`SCHEDULE` payload) once and
+ * the signature authorizes every proposal created from it.
+ * @alias module:primitives.Schedule
+ * @extends {Struct}
+ * @property {Number} id
+ * @property {String} memo - memo of the created proposals.
+ * @property {Number} author - cosigner id that signed the template.
+ * @property {Buffer} signature - authors signature of the options.
+ * @property {String} options - json stringified signed options.
+ * @property {Number} timestamp - authors timestamp.
+ * @property {Number} interval - seconds between proposals (0 - cron).
+ * @property {Cron?} cron
+ * @property {Number} ttl - ttl of the created proposals (0 - none).
+ * @property {Number} createdAt
+ * @property {Number} nextAt - timestamp of the next proposal.
+ * @property {Number} runs - number of created proposals.
+ * @property {Number} lastProposal - last created proposal id / -1 if none.
+ * @property {Number} lastAt - tick (nextAt) of the last proposal.
+ * @property {Number} failures - failed attempts since the last proposal.
+ * @property {Number} retryAt - timestamp of the retry / 0 if none.
+ * @property {Boolean} paused
+ */
+
+class Schedule extends Struct {
+  /**
+   * Create schedule
+   * @param {Object} [options]
+   */
+
+  constructor(options) {
+    super();
+
+    this.id = 0;
+    this.memo = '';
+    this.author = 0;
+
+    // authors signature
+    this.signature = ZERO_SIG;
+
+    // json stringified object of options.
+    this.options = '';
+
+    // authors timestamp.
+    this.timestamp = util.now();
+
+    this.interval = 0;
+    this.cron = null;
+    this.ttl = 0;
+
+    this.createdAt = util.now();
+    this.nextAt = 0;
+    this.runs = 0;
+    this.lastProposal = -1;
+    this.lastAt = 0;
+    this.failures = 0;
+    this.retryAt = 0;
+    this.paused = false;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Inject properties from options.
+   * @param {Object} options
+   * @param {Number} options.id
+   * @param {Number} options.author
+   * @param {Buffer} options.signature
+   * @param {Object} options.options - signed options.
+   * @param {String} options.options.memo
+   * @param {Number} options.options.timestamp
+   * @param {Object} options.options.txoptions
+   * @param {Number} [options.options.interval] - seconds.
+   * @param {String} [options.options.cron] - UTC cron expression.
+   * @param {Number} [options.options.start] - first proposal (timestamp).
+   * @param {Number} [options.options.ttl] - ttl of the proposals.
+   * @param {Number} [options.createdAt]
+   * @returns {Schedule}
+   */
+
+  fromOptions(options) {
+    assert(options && typeof options === 'object', 'Options are required.');
+    assert((options.id >>> 0) === options.id, 'ID must be an u32.');
+    assert((options.author & 0xff) === options.author, 'Author must be an u8.');
+
+    assert(Buffer.isBuffer(options.signature), 'Signature must be a buffer.');
+    assert(options.signature.length === 65, 'Signature must be 65 bytes.');
+
+    assert(options.options && typeof options.options === 'object',
+      'schedule options must be an object.');
+
+    if (options.createdAt != null) {
+      assert(Number.isSafeInteger(options.createdAt) && options.createdAt >= 0,
+        'createdAt must be uint64.');
+      this.createdAt = options.createdAt;
+    }
+
+    this.id = options.id;
+    this.author = options.author;
+    this.signature = options.signature;
+    this.options = JSON.stringify(options.options);
+
+    this.parseOptions(options.options);
+
+    const {start} = options.options;
+
+    if (start != null) {
+      assert(Number.isSafeInteger(start) && start >= 0,
+        'start must be uint64.');
+      this.nextAt = start;
+    } else {
+      this.nextAt = this.getNext(this.createdAt);
+    }
+
+    return this;
+  }
+
+  /**
+   * Inject properties from the signed options.
+   * @private
+   * @param {Object} options
+   */
+
+  parseOptions(options) {
+    assert(typeof options.memo === 'string', 'Bad schedule memo.');
+    assert(options.memo.length > 1 && options.memo.length < 100,
+      'memo must be under 100 bytes');
+
+    assert(Number.isSafeInteger(options.timestamp) && options.timestamp >= 0,
+      'timestamp must be an uint64.');
+
+    assert(options.txoptions && typeof options.txoptions === 'object',
+      'txoptions must be an object.');
+
+    assert((options.interval != null) !== (options.cron != null),
+      'Schedule needs either interval or cron.');
+
+    assert(options.expiresAt == null && options.replaces == null,
+      'Schedule can not use expiresAt or replaces.');
+
+    if (options.interval != null) {
+      assert((options.interval >>> 0) === options.interval,
+        'interval must be an u32.');
+      assert(options.interval >= MIN_INTERVAL,
+        `interval must be at least ${MIN_INTERVAL} seconds.`);
+      this.interval = options.interval;
+    }
+
+    if (options.cron != null) {
+      assert(Cron.isCron(options.cron), 'Bad cron expression.');
+      this.cron = new Cron(options.cron);
+    }
+
+    if (options.ttl != null) {
+      assert((options.ttl >>> 0) === options.ttl && options.ttl > 0,
+        'ttl must be a positive u32.');
+      this.ttl = options.ttl;
+    }
+
+    this.memo = options.memo;
+    this.timestamp = options.timestamp;
+  }
+
+  /**
+   * Get signed options.
+   * @returns {Object}
+   */
+
+  getOptions() {
+    return JSON.parse(this.options);
+  }
+
+  /**
+   * Get next tick after the time.
+   * @param {Number} time - timestamp (seconds)
+   * @returns {Number}
+   */
+
+  getNext(time) {
+    if (this.cron)
+      return this.cron.next(time);
+
+    if (!this.nextAt || this.nextAt > time)
+      return time + this.interval;
+
+    // missed ticks are skipped.
+    const missed = Math.floor((time - this.nextAt) / this.interval);
+
+    return this.nextAt + (missed + 1) * this.interval;
+  }
+
+  /**
+   * Whether schedule needs to create proposal.
+   * @param {Number} [now=util.now()]
+   * @returns {Boolean}
+   */
+
+  isDue(now = util.now()) {
+    return !this.paused && now >= this.getDueAt();
+  }
+
+  /**
+   * Get time of the next attempt.
+   * @returns {Number}
+   */
+
+  getDueAt() {
+    return this.retryAt ? this.retryAt : this.nextAt;
+  }
+
+  /**
+   * Record created proposal and move to the next tick.
+   * @param {Number} pid - created proposal id.
+   * @param {Number} now - timestamp (seconds)
+   * @returns {Schedule}
+   */
+
+  tick(pid, now) {
+    this.runs += 1;
+    this.lastProposal = pid;
+    this.lastAt = this.nextAt;
+    this.failures = 0;
+    this.retryAt = 0;
+    this.nextAt = this.getNext(now);
+
+    return this;
+  }
+
+  /**
+   * Whether proposal was already created for the tick.
+   * @param {Number} nextAt - tick of the proposal.
+   * @returns {Boolean}
+   */
+
+  hasProposal(nextAt) {
+    return this.lastProposal !== -1 && this.lastAt >= nextAt;
+  }
+
+  /**
+   * Record failed attempt, retry is delayed exponentially
+   * (up to the next tick) and schedule is paused
+   * after `MAX_FAILURES` failures.
+   * @param {Number} now - timestamp (seconds)
+   * @returns {Schedule}
+   */
+
+  fail(now) {
+    this.failures += 1;
+
+    if (this.failures >= MAX_FAILURES) {
+      this.paused = true;
+      this.retryAt = 0;
+      return this;
+    }
+
+    const retryAt = now + MIN_INTERVAL * 2 ** (this.failures - 1);
+
+    this.retryAt = Math.min(retryAt, this.getNext(now));
+
+    return this;
+  }
+
+  /**
+   * Reset failures, e.g. when schedule is resumed.
+   * @returns {Schedule}
+   */
+
+  reset() {
+    this.failures = 0;
+    this.retryAt = 0;
+
+    return this;
+  }
+
+  /**
+   * Get schedule hash for signing.
+   * @param {String} walletName
+   * @returns {Buffer}
+   */
+
+  getSignatureHash(walletName) {
+    return sigUtils.getProposalHash(walletName, SCHEDULE, this.options);
+  }
+
+  /**
+   * Verify authors signature.
+   * @param {String} walletName
+   * @param {CompressedPublicKey} authPubKey
+   * @returns {Boolean}
+   */
+
+  verifySignature(walletName, authPubKey) {
+    const hash = this.getSignatureHash(walletName);
+
+    return sigUtils.verifyHash(hash, this.signature, authPubKey);
+  }
+
+  /**
+   * Get JSON
+   * @returns {Object}
+   */
+
+  getJSON() {
+    const options = this.getOptions();
+
+    return {
+      id: this.id,
+      memo: this.memo,
+      author: this.author,
+      signature: this.signature.toString('hex'),
+      options: options,
+      timestamp: this.timestamp,
+      interval: this.interval ? this.interval : null,
+      cron: options.cron != null ? options.cron : null,
+      ttl: this.ttl ? this.ttl : null,
+      createdAt: this.createdAt,
+      nextAt: this.nextAt,
+      runs: this.runs,
+      lastProposal: this.lastProposal !== -1 ? this.lastProposal : null,
+      lastAt: this.lastProposal !== -1 ? this.lastAt : null,
+      failures: this.failures,
+      retryAt: this.retryAt ? this.retryAt : null,
+      paused: this.paused
+    };
+  }
+
+  /**
+   * Get flags
+   * @returns {Number}
+   */
+
+  getFlags() {
+    let bits = 0;
+
+    if (this.paused)
+      bits |= flags.PAUSED;
+
+    if (this.lastProposal !== -1)
+      bits |= flags.LAST_PROPOSAL;
+
+    if (this.failures)
+      bits |= flags.FAILURES;
+
+    return bits;
+  }
+
+  /**
+   * Get serialization size
+   * @returns {Number}
+   */
+
+  getSize() {
+    let size = 4; // id
+    size += 1; // author
+    size += 65; // signature
+    size += encoding.sizeVarString(this.options, 'utf8');
+    size += 8; // createdAt
+    size += 8; // nextAt
+    size += 4; // runs
+    size += 1; // flags
+
+    if (this.lastProposal !== -1) {
+      size += 4; // lastProposal
+      size += 8; // lastAt
+    }
+
+    if (this.failures) {
+      size += 1; // failures
+      size += 8; // retryAt
+    }
+
+    return size;
+  }
+
+  /**
+   * Serialize schedule
+   * @param {bufio.BufferWriter} bw
+   * @returns {bufio.BufferWriter}
+   */
+
+  write(bw) {
+    const bits = this.getFlags();
+
+    bw.writeU32(this.id);
+    bw.writeU8(this.author);
+    bw.writeBytes(this.signature);
+    bw.writeVarString(this.options, 'utf8');
+    bw.writeU64(this.createdAt);
+    bw.writeU64(this.nextAt);
+    bw.writeU32(this.runs);
+    bw.writeU8(bits);
+
+    if (bits & flags.LAST_PROPOSAL) {
+      bw.writeU32(this.lastProposal);
+      bw.writeU64(this.lastAt);
+    }
+
+    if (bits & flags.FAILURES) {
+      bw.writeU8(this.failures);
+      bw.writeU64(this.retryAt);
+    }
+
+    return bw;
+  }
+
+  /**
+   * Deserialize schedule
+   * @param {bufio.BufferReader} br
+   * @returns {Schedule}
+   */
+
+  read(br) {
+    this.id = br.readU32();
+    this.author = br.readU8();
+    this.signature = br.readBytes(65);
+    this.options = br.readVarString('utf8');
+    this.createdAt = br.readU64();
+    this.nextAt = br.readU64();
+    this.runs = br.readU32();
+
+    const bits = br.readU8();
+
+    this.paused = (bits & flags.PAUSED) !== 0;
+
+    if (bits & flags.LAST_PROPOSAL) {
+      this.lastProposal = br.readU32();
+      this.lastAt = br.readU64();
+    }
+
+    if (bits & flags.FAILURES) {
+      this.failures = br.readU8();
+      this.retryAt = br.readU64();
+    }
+
+    this.parseOptions(this.getOptions());
+
+    return this;
+  }
+
+  /**
+   * Test whether an object is a Schedule.
+   * @param {Object} obj
+   * @returns {Boolean}
+   */
+
+  static isSchedule(obj) {
+    return obj instanceof Schedule;
+  }
+}
+
+/*
+ * Expose
+ */
+
+Schedule.MIN_INTERVAL = MIN_INTERVAL;
+Schedule.MAX_FAILURES = MAX_FAILURES;
+Schedule.flags = flags;
+
+module.exports = Schedule;
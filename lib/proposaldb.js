@@ -8,14 +8,25 @@
 
 const assert = require('bsert');
 const {enforce} = assert;
-const {Struct} = require('bufio');
+const {encoding, Struct} = require('bufio');
 const {Outpoint, MTX} = require('bcoin');
 const MultisigMTX = require('./primitives/mtx');
 const Proposal = require('./primitives/proposal');
 const Cosigner = require('./primitives/cosigner');
+const Comment = require('./primitives/comment');
+const AuditEntry = require('./primitives/auditentry');
+const SpendingPolicy = require('./primitives/policy');
 const {MapLock, Lock} = require('bmutex');
-const {BufferMap} = require('buffer-map');
+const {BufferMap, BufferSet} = require('buffer-map');
 const layout = require('./layout').proposaldb;
+const util = require('./utils/common');
+
+/**
+ * Max number of proposals per page.
+ * @const {Number}
+ */
+
+const MAX_LIMIT = 500;
 
 /**
  * Proposal DB
@@ -26,6 +37,8 @@ const layout = require('./layout').proposaldb;
  * @property {Bucket} bucket
  * @property {MultisigWallet} wallet
  * @property {Number} depth
+ * @property {Number} auditDepth
+ * @property {WeakMap} pendingAudit - audit entries by uncommitted batch.
  */
 
 class ProposalDB {
@@ -45,6 +58,8 @@ class ProposalDB {
     this.bucket = null;
     this.wallet = null;
     this.depth = 0;
+    this.auditDepth = 0;
+    this.pendingAudit = new WeakMap();
 
     this.readLock = new MapLock();
     this.writeLock = new Lock();
@@ -63,14 +78,35 @@ class ProposalDB {
     this.wid = wallet.wid;
     this.wallet = wallet;
     this.depth = await this.getDepth();
+    this.auditDepth = await this.getAuditDepth();
 
-    // TODO: handle locked coins after reorgs.
+    if (!await this.bucket.has(layout.I.encode()))
+      await this.reindex();
+
+    // missing coins are handled by checkLockedCoins.
     const lockedOutpoints = await this.getLockedOutpoints();
 
     for (const outpoint of lockedOutpoints)
       this.wallet.lockCoinTXDB(outpoint);
   }
 
+  /**
+   * Build secondary indexes of the proposals.
+   * @returns {Promise}
+   */
+
+  async reindex() {
+    const proposals = await Proposal.getProposals(this.bucket);
+    const b = this.bucket.batch();
+
+    for (const proposal of proposals)
+      this.saveProposal(b, proposal);
+
+    b.put(layout.I.encode());
+
+    await b.write();
+  }
+
   /**
    * Emit proposal event.
    * @param {String} event
@@ -83,6 +119,25 @@ class ProposalDB {
     this.wallet.emit(event, ...args);
   }
 
+  /**
+   * Save proposal and keep it in the MultisigDB
+   * expiration index while it is pending.
+   * @param {bdb#Batch} b
+   * @param {Proposal} proposal
+   */
+
+  saveProposal(b, proposal) {
+    Proposal.saveProposal(b, proposal);
+
+    if (!proposal.expiresAt)
+      return;
+
+    if (proposal.isPending())
+      this.msdb.addExpiring(b.root(), this.wid, proposal);
+    else
+      this.msdb.removeExpiring(b.root(), this.wid, proposal);
+  }
+
   /**
    * Lock the coin in db and in txdb
    * @async
@@ -96,6 +151,7 @@ class ProposalDB {
 
     Proposal.lockCoin(b, proposal, coin);
     Proposal.savePIDByCoin(b, coin, proposal.id);
+    this.msdb.addLockedWallet(b.root(), this.wid);
   }
 
   /**
@@ -149,6 +205,126 @@ class ProposalDB {
     return raw.readUInt32BE(0);
   }
 
+  /**
+   * Get audit log depth
+   * @returns {Promise<Number>}
+   */
+
+  async getAuditDepth() {
+    const raw = await this.bucket.get(layout.A.encode());
+
+    if (!raw)
+      return 0;
+
+    assert(raw.length === 4);
+
+    return raw.readUInt32BE(0);
+  }
+
+  /**
+   * Record proposal state transition in the audit log.
+   * @param {bdb#Batch} b
+   * @param {Proposal} proposal
+   * @param {AuditEntry.action} action
+   * @param {Cosigner} [cosigner] - acting cosigner.
+   * @param {Buffer[]} [signatures] - authorizing signatures.
+   * @returns {AuditEntry}
+   */
+
+  audit(b, proposal, action, cosigner, signatures) {
+    return this._audit(b, {
+      proposal: proposal.id,
+      action: action,
+      status: proposal.status,
+      cosigner: cosigner ? cosigner.id : null,
+      signatures: signatures
+    });
+  }
+
+  /**
+   * Record wallet change (not related to a proposal)
+   * in the audit log.
+   * @param {bdb#Batch} b
+   * @param {AuditEntry.action} action
+   * @param {Cosigner} [cosigner] - acting cosigner, none for admin.
+   * @param {Buffer[]} [signatures] - authorizing signatures.
+   * @returns {AuditEntry}
+   */
+
+  auditWallet(b, action, cosigner, signatures) {
+    return this._audit(b, {
+      action: action,
+      status: 0,
+      cosigner: cosigner ? cosigner.id : null,
+      signatures: signatures
+    });
+  }
+
+  /**
+   * Add audit entry to the batch, audit depth
+   * is updated once the batch is committed.
+   * @private
+   * @param {bdb#Batch} b
+   * @param {Object} options - entry options without id.
+   * @returns {AuditEntry}
+   */
+
+  _audit(b, options) {
+    const pending = this.pendingAudit.get(b) || 0;
+    const depth = this.auditDepth + pending;
+
+    const entry = AuditEntry.fromOptions({ id: depth, ...options });
+
+    AuditEntry.saveEntry(b, entry);
+    b.put(layout.A.encode(), fromU32BE(depth + 1));
+    this.pendingAudit.set(b, pending + 1);
+
+    return entry;
+  }
+
+  /**
+   * Write the batch and commit its audit entries.
+   * @param {bdb#Batch} b
+   * @returns {Promise}
+   */
+
+  async commit(b) {
+    await b.write();
+
+    const pending = this.pendingAudit.get(b);
+
+    if (pending) {
+      this.pendingAudit.delete(b);
+      this.auditDepth += pending;
+    }
+  }
+
+  /**
+   * Get audit log entries in the time range.
+   * Next page starts after the last entry:
+   * `{start: entry.time, cursor: entry.id}`.
+   * @param {Object} [options]
+   * @param {Number} [options.start=0] - timestamp (seconds)
+   * @param {Number} [options.end] - timestamp (seconds)
+   * @param {Number} [options.cursor] - entry id at `start` to list after.
+   * @param {Number} [options.limit] - all if not set.
+   * @returns {Promise<AuditEntry[]>}
+   */
+
+  getAuditLog(options = {}) {
+    const start = getTime(options.start, 0);
+    const end = getTime(options.end, 0xffffffff);
+    const {cursor, limit} = options;
+
+    if (cursor != null)
+      enforce((cursor >>> 0) === cursor, 'cursor', 'u32');
+
+    if (limit != null)
+      enforce((limit >>> 0) === limit && limit > 0, 'limit', 'positive u32');
+
+    return AuditEntry.getEntries(this.bucket, start, end, cursor, limit);
+  }
+
   /**
    * Increment depth
    * @async
@@ -200,6 +376,106 @@ class ProposalDB {
     return proposals;
   }
 
+  /**
+   * List proposals using secondary indexes. Proposals are listed
+   * by id from the status (s) or author (a) index after the cursor,
+   * other filters are checked on the proposal, so only the
+   * page (and a proposal after it) is read from the indexes.
+   * Without `limit` all matching proposals are returned.
+   * @param {Object} [options]
+   * @param {Number} [options.cursor] - list proposals after this id.
+   * @param {Number} [options.limit] - page size, all if not set.
+   * @param {Boolean} [options.reverse=false] - newest first.
+   * @param {String} [options.status] - pending, approved or rejected.
+   * @param {Number} [options.reason] - rejection status code.
+   * @param {Number} [options.author] - author cosigner id.
+   * @param {Number} [options.createdAfter]
+   * @param {Number} [options.createdBefore]
+   * @param {Number} [options.closedAfter]
+   * @param {Number} [options.closedBefore]
+   * @returns {Promise<Object>} - {proposals, next}
+   */
+
+  async listProposals(options = {}) {
+    const limit = options.limit;
+    const cursor = options.cursor;
+    const reverse = Boolean(options.reverse);
+
+    if (limit != null) {
+      enforce((limit >>> 0) === limit && limit > 0, 'limit', 'positive u32');
+      assert(limit <= MAX_LIMIT, `limit can not be more than ${MAX_LIMIT}.`);
+    }
+
+    if (cursor != null)
+      enforce((cursor >>> 0) === cursor, 'cursor', 'u32');
+
+    const codes = getStatusCodes(options.status, options.reason);
+    const author = options.author;
+
+    if (author != null)
+      enforce((author & 0xff) === author, 'author', 'u8');
+
+    const created = getTimeRange(options.createdAfter, options.createdBefore);
+    const closed = getTimeRange(options.closedAfter, options.closedBefore);
+
+    const cache = new Map();
+
+    const filter = async (pid) => {
+      const proposal = await this._getProposal(pid);
+
+      if (codes && !codes.includes(proposal.status))
+        return false;
+
+      if (author != null && proposal.author !== author)
+        return false;
+
+      if (created && !created(proposal.createdAt))
+        return false;
+
+      if (closed && (proposal.isPending() || !closed(proposal.closedAt)))
+        return false;
+
+      cache.set(pid, proposal);
+
+      return true;
+    };
+
+    // one more proposal tells if there is a next page.
+    const count = limit != null ? limit + 1 : -1;
+    const scan = {cursor, reverse, count, filter};
+
+    let pids;
+
+    if (author != null) {
+      pids = await Proposal.scanIDs(this.bucket, layout.a, author, scan);
+    } else if (codes) {
+      pids = [];
+
+      for (const code of codes) {
+        const ids = await Proposal.scanIDs(this.bucket, layout.s, code, scan);
+        pids.push(...ids);
+      }
+
+      pids.sort((a, b) => reverse ? b - a : a - b);
+
+      if (count !== -1)
+        pids = pids.slice(0, count);
+    } else {
+      pids = await Proposal.scanIDs(this.bucket, layout.p, null, scan);
+    }
+
+    let next = null;
+
+    if (limit != null && pids.length > limit) {
+      pids = pids.slice(0, limit);
+      next = pids[pids.length - 1];
+    }
+
+    const proposals = pids.map(pid => cache.get(pid));
+
+    return {proposals, next};
+  }
+
   /**
    * Get proposal with lock
    * @param {Number} id
@@ -229,7 +505,7 @@ class ProposalDB {
 
   async _getProposal(pid) {
     const proposal = await Proposal.getProposal(this.bucket, pid);
-    proposal.m = this.wallet.m;
+    proposal.m = Math.max(this.wallet.m, proposal.quorum);
     proposal.n = this.wallet.n;
     return proposal;
   }
@@ -372,17 +648,24 @@ class ProposalDB {
    * @param {Object} options
    * @param {String} options.memo
    * @param {Number} options.timestamp
+   * @param {Number} [options.expiresAt] - timestamp (seconds)
+   * @param {Number} [options.ttl] - seconds from creation
+   * @param {Number} [options.replaces] - id of the bumped proposal
    * @param {Cosigner} cosigner
    * @param {MTX} mtx
    * @param {Signature} signature
+   * @param {Number} [schedule] - id of the schedule, signature
+   * is schedule authorization.
+   * @param {String[]} [labels] - labels of the outputs.
    * @returns {Promise<Proposal>}
    */
 
-  async createProposal(options, cosigner, mtx, signature) {
+  async createProposal(options, cosigner, mtx, signature, schedule, labels) {
     const unlock = await this.writeLock.lock();
 
     try {
-      return await this._createProposal(options, cosigner, mtx, signature);
+      return await this._createProposal(options, cosigner, mtx, signature,
+        schedule, labels);
     } finally {
       unlock();
     }
@@ -396,10 +679,13 @@ class ProposalDB {
    * @param {Cosigner} cosigner
    * @param {MTX} mtx
    * @param {Buffer} signature
+   * @param {Number} [schedule]
+   * @param {String[]} [labels]
    * @returns {Promise<Proposal>}
    */
 
-  async _createProposal(options, cosigner, mtx, signature) {
+  async _createProposal(options, cosigner, mtx, signature, schedule,
+    labels) {
     enforce(options && typeof options === 'object', 'options', 'object');
     enforce(cosigner instanceof Cosigner, 'cosigner', 'Cosigner');
     enforce(Buffer.isBuffer(signature), 'signature', 'buffer');
@@ -411,6 +697,15 @@ class ProposalDB {
 
     const [tx, view] = mtx.commit();
 
+    assert(!labels || labels.length === tx.outputs.length,
+      'labels must match the outputs.');
+
+    // Spending policy may require more approvals,
+    // outflow of the bumped proposal is replaced.
+    const replaces = options.replaces != null ? options.replaces : -1;
+    const quorum = await this.wallet.checkPolicy(tx, replaces);
+    await this.wallet.checkDailyLimit(tx, -1, true, replaces);
+
     // Should we store empty MTX,
     // we will need to clean up inputs
     // Should we cache relevant information?
@@ -423,6 +718,12 @@ class ProposalDB {
       author: cosigner.id,
       m: this.wallet.m,
       n: this.wallet.n,
+      expiresAt: options.expiresAt,
+      ttl: options.ttl,
+      replaces: options.replaces,
+      schedule: schedule,
+      labels: labels,
+      quorum: quorum > this.wallet.m ? quorum : null,
       options: options
     });
 
@@ -431,6 +732,9 @@ class ProposalDB {
     if (!proposal.verifyCreateSignature(walletName, cosigner.authPubKey))
       throw new Error('proposal signature is not valid.');
 
+    if (proposal.isExpired())
+      throw new Error('Proposal expiration must be in the future.');
+
     this.increment(b);
 
     const statsDelta = new ProposalStats();
@@ -450,17 +754,129 @@ class ProposalDB {
     statsDelta.addPending(1);
     statsDelta.addProposals(1);
 
-    Proposal.saveProposal(b, proposal);
+    this.saveProposal(b, proposal);
     Proposal.saveTX(b, proposal.id, tx);
+    this.audit(b, proposal, AuditEntry.action.CREATE, cosigner, [signature]);
 
     await this._updateStats(b, statsDelta);
-    await b.write();
+    await this.commit(b);
 
     this.emit('proposal created', proposal, tx);
 
     return proposal;
   }
 
+  /**
+   * Amend pending proposal
+   * @param {Number} id
+   * @param {Object} options - new signed options.
+   * @param {Cosigner} cosigner - author of the proposal
+   * @param {MTX} mtx - new transaction.
+   * @param {Signature} signature
+   * @returns {Promise<Proposal>}
+   * @throws {Error}
+   */
+
+  async amendProposal(id, options, cosigner, mtx, signature) {
+    const pid = await this.ensurePID(id);
+
+    if (pid === -1)
+      throw new Error('Proposal not found.');
+
+    const unlock1 = await this.readLock.lock(pid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._amendProposal(pid, options, cosigner, mtx,
+        signature);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Amend proposal without locks, coins of the previous
+   * transaction are unlocked and new ones locked in one batch.
+   * @param {Number} pid
+   * @param {Object} options
+   * @param {Cosigner} cosigner
+   * @param {MTX} mtx
+   * @param {Signature} signature
+   * @returns {Promise<Proposal>}
+   */
+
+  async _amendProposal(pid, options, cosigner, mtx, signature) {
+    enforce(cosigner instanceof Cosigner, 'cosigner', 'Cosigner');
+    enforce(Buffer.isBuffer(signature), 'signature', 'buffer');
+    assert(signature.length === 65, 'signature must be 65 bytes.');
+    enforce(MTX.isMTX(mtx), 'mtx', 'MTX');
+
+    const proposal = await this._getProposal(pid);
+    const [tx, view] = mtx.commit();
+
+    // this will check the status and the author.
+    proposal.amend(cosigner, options, signature);
+
+    if (!proposal.verifyCreateSignature(this.wallet.id, cosigner.authPubKey))
+      throw new Error('proposal signature is not valid.');
+
+    const quorum = await this.wallet.checkPolicy(tx, proposal.replaces);
+    await this.wallet.checkDailyLimit(tx, pid, true, proposal.replaces);
+
+    proposal.quorum = quorum > this.wallet.m ? quorum : 0;
+    proposal.m = Math.max(this.wallet.m, proposal.quorum);
+
+    const outpoints = await Proposal.getProposalOutpoints(this.bucket, pid);
+    const b = this.bucket.batch();
+    const statsDelta = new ProposalStats();
+    const spent = new BufferSet();
+    const locked = new BufferSet();
+
+    for (const input of tx.inputs)
+      spent.add(input.prevout.toKey());
+
+    for (const outpoint of outpoints) {
+      locked.add(outpoint.toKey());
+
+      // reused coins stay locked by the proposal,
+      // relock them in txdb after the selection.
+      if (spent.has(outpoint.toKey())) {
+        this.wallet.lockCoinTXDB(outpoint);
+        continue;
+      }
+
+      // coin could have disappeared from the txdb.
+      const coin = await this.wallet.getCoin(outpoint.hash, outpoint.index);
+      const value = await this.getLockedValue(pid, outpoint, coin);
+
+      statsDelta.addOwnLockedCoin(-1);
+      statsDelta.addOwnLockedBalance(-value);
+      this.unlockCoin(b, proposal, outpoint);
+    }
+
+    for (const input of tx.inputs) {
+      const coin = view.getCoinFor(input);
+
+      if (!coin || locked.has(input.prevout.toKey()))
+        continue;
+
+      statsDelta.addOwnLockedCoin(1);
+      statsDelta.addOwnLockedBalance(coin.value);
+      this.lockCoin(b, proposal, coin);
+    }
+
+    this.saveProposal(b, proposal);
+    Proposal.saveTX(b, proposal.id, tx);
+    this.audit(b, proposal, AuditEntry.action.AMEND, cosigner, [signature]);
+    await this._updateStats(b, statsDelta);
+    await this.commit(b);
+
+    this.emit('proposal amended', proposal, tx);
+
+    return proposal;
+  }
+
   /**
    * Reject proposal
    * @param {Number} id
@@ -512,13 +928,15 @@ class ProposalDB {
       throw new Error('rejection signature is not valid.');
 
     // this will check the status of the proposal.
-    proposal.reject(cosigner, signature);
+    proposal.reject(cosigner, signature, ids => this.wallet.hasQuorum(ids));
 
     if (!proposal.isRejected()) {
       const b = this.bucket.batch();
 
-      Proposal.saveProposal(b, proposal);
-      await b.write();
+      this.saveProposal(b, proposal);
+      this.audit(b, proposal, AuditEntry.action.REJECT, cosigner,
+        [signature]);
+      await this.commit(b);
 
       this.emit('proposal rejected', proposal, cosigner);
       return proposal;
@@ -538,9 +956,10 @@ class ProposalDB {
       this.unlockCoin(b, proposal, outpoint);
     }
 
-    Proposal.saveProposal(b, proposal);
+    this.saveProposal(b, proposal);
+    this.audit(b, proposal, AuditEntry.action.REJECT, cosigner, [signature]);
     await this._updateStats(b, statsDelta);
-    await b.write();
+    await this.commit(b);
 
     this.emit('proposal rejected', proposal, cosigner);
 
@@ -548,15 +967,15 @@ class ProposalDB {
   }
 
   /**
-   * Approve proposal
+   * Withdraw proposal
    * @param {Number} id
-   * @param {Cosigner} cosigner
-   * @param {Buffer[]} signatures
+   * @param {Cosigner} cosigner - author of the proposal
+   * @param {Signature} signature
    * @returns {Promise<Proposal>}
    * @throws {Error}
    */
 
-  async approveProposal(id, cosigner, signatures) {
+  async withdrawProposal(id, cosigner, signature) {
     const pid = await this.ensurePID(id);
 
     if (pid === -1)
@@ -566,47 +985,328 @@ class ProposalDB {
     const unlock2 = await this.writeLock.lock();
 
     try {
-      return await this._approveProposal(pid, cosigner, signatures);
+      return await this._withdrawProposal(pid, cosigner, signature);
     } finally {
       unlock2();
       unlock1();
     }
   }
 
-  async _approveProposal(pid, cosigner, signatures) {
-    enforce(Cosigner.isCosigner(cosigner), 'cosigner', 'Cosigner');
-    enforce(Array.isArray(signatures), 'signatures', 'Array');
-
-    const statsDelta = new ProposalStats();
-    const proposal = await this._getProposal(pid);
+  /**
+   * Withdraw proposal without locks
+   * @param {Number} pid
+   * @param {Cosigner} cosigner
+   * @param {Signature} signature
+   * @returns {Promise<Proposal>}
+   */
 
-    assert(proposal.isPending(), 'Proposal is not pending.');
+  async _withdrawProposal(pid, cosigner, signature) {
+    enforce(cosigner instanceof Cosigner, 'cosigner', 'Cosigner');
+    enforce(Buffer.isBuffer(signature), 'signature', 'buffer');
+    assert(signature.length === 65, 'signature must be 65 bytes.');
 
-    const mtx = await this._getMTX(pid);
-    const msMTX = MultisigMTX.fromMTX(mtx);
-    msMTX.view = mtx.view;
+    const proposal = await this._getProposal(pid);
 
-    const rings = await this.wallet.deriveInputs(mtx);
-    const check = this.deriveRings(cosigner, rings);
-    const valid = msMTX.checkSignatures(rings, signatures);
+    const validSignature = proposal.verifyWithdrawSignature(
+      this.wallet.id,
+      signature,
+      cosigner.authPubKey
+    );
 
-    if (valid !== check)
-      throw new Error('Signature(s) incorrect.');
+    if (!validSignature)
+      throw new Error('withdrawal signature is not valid.');
 
-    proposal.approve(cosigner, signatures);
+    // this will check the status and the author.
+    proposal.withdraw(cosigner);
 
-    if (proposal.isPending()) {
-      const b = this.bucket.batch();
-      Proposal.saveProposal(b, proposal);
-      await b.write();
+    const outpoints = await Proposal.getProposalOutpoints(this.bucket, pid);
+    const b = this.bucket.batch();
+    const statsDelta = new ProposalStats();
 
-      this.emit('proposal approved', proposal, cosigner);
+    statsDelta.addPending(-1);
+    statsDelta.addRejected(1);
 
-      return proposal;
+    for (const outpoint of outpoints) {
+      const coin = await this.wallet.getCoin(outpoint.hash, outpoint.index);
+      statsDelta.addOwnLockedCoin(-1);
+      statsDelta.addOwnLockedBalance(-coin.value);
+      this.unlockCoin(b, proposal, outpoint);
     }
 
-    for (const id of proposal.approvals.keys()) {
-      const cosigner = this.wallet.cosigners[id];
+    this.saveProposal(b, proposal);
+    this.audit(b, proposal, AuditEntry.action.WITHDRAW, cosigner,
+      [signature]);
+    await this._updateStats(b, statsDelta);
+    await this.commit(b);
+
+    this.emit('proposal rejected', proposal, cosigner);
+
+    return proposal;
+  }
+
+  /**
+   * Revoke approval of the pending proposal
+   * @param {Number} id
+   * @param {Cosigner} cosigner
+   * @param {Signature} signature
+   * @param {Signature} [rejectSignature] - also reject the proposal.
+   * @returns {Promise<Proposal>}
+   * @throws {Error}
+   */
+
+  async revokeApproval(id, cosigner, signature, rejectSignature) {
+    const pid = await this.ensurePID(id);
+
+    if (pid === -1)
+      throw new Error('Proposal not found.');
+
+    const unlock1 = await this.readLock.lock(pid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._revokeApproval(pid, cosigner, signature,
+        rejectSignature);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Revoke approval without locks
+   * @param {Number} pid
+   * @param {Cosigner} cosigner
+   * @param {Signature} signature
+   * @param {Signature} [rejectSignature]
+   * @returns {Promise<Proposal>}
+   */
+
+  async _revokeApproval(pid, cosigner, signature, rejectSignature) {
+    enforce(cosigner instanceof Cosigner, 'cosigner', 'Cosigner');
+    enforce(Buffer.isBuffer(signature), 'signature', 'buffer');
+    assert(signature.length === 65, 'signature must be 65 bytes.');
+
+    const proposal = await this._getProposal(pid);
+
+    const validSignature = proposal.verifyRevokeSignature(
+      this.wallet.id,
+      signature,
+      cosigner.authPubKey
+    );
+
+    if (!validSignature)
+      throw new Error('revocation signature is not valid.');
+
+    if (rejectSignature != null) {
+      enforce(Buffer.isBuffer(rejectSignature), 'rejectSignature', 'buffer');
+
+      const validReject = proposal.verifyRejectSignature(
+        this.wallet.id,
+        rejectSignature,
+        cosigner.authPubKey
+      );
+
+      if (!validReject)
+        throw new Error('rejection signature is not valid.');
+    }
+
+    // this will check the status and the approval.
+    proposal.revoke(cosigner, rejectSignature,
+      ids => this.wallet.hasQuorum(ids));
+
+    const b = this.bucket.batch();
+
+    this.audit(b, proposal, AuditEntry.action.REVOKE, cosigner, [signature]);
+
+    if (rejectSignature != null) {
+      this.audit(b, proposal, AuditEntry.action.REJECT, cosigner,
+        [rejectSignature]);
+    }
+
+    if (proposal.isRejected()) {
+      const outpoints = await Proposal.getProposalOutpoints(this.bucket, pid);
+      const statsDelta = new ProposalStats();
+
+      statsDelta.addPending(-1);
+      statsDelta.addRejected(1);
+
+      for (const outpoint of outpoints) {
+        const coin = await this.wallet.getCoin(outpoint.hash, outpoint.index);
+        statsDelta.addOwnLockedCoin(-1);
+        statsDelta.addOwnLockedBalance(-coin.value);
+        this.unlockCoin(b, proposal, outpoint);
+      }
+
+      await this._updateStats(b, statsDelta);
+    }
+
+    this.saveProposal(b, proposal);
+    await this.commit(b);
+
+    this.emit('approval revoked', proposal, cosigner);
+
+    if (rejectSignature != null)
+      this.emit('proposal rejected', proposal, cosigner);
+
+    return proposal;
+  }
+
+  /**
+   * Get comments of the proposal.
+   * @param {Number} id
+   * @returns {Promise<Comment[]?>}
+   */
+
+  async getComments(id) {
+    const pid = await this.ensurePID(id);
+
+    if (pid === -1)
+      return null;
+
+    return Comment.getComments(this.bucket, pid);
+  }
+
+  /**
+   * Add comment to the proposal.
+   * @param {Number} id
+   * @param {Cosigner} cosigner
+   * @param {Object} options - signed comment options.
+   * @param {Signature} signature
+   * @returns {Promise<Comment>}
+   * @throws {Error}
+   */
+
+  async addComment(id, cosigner, options, signature) {
+    const pid = await this.ensurePID(id);
+
+    if (pid === -1)
+      throw new Error('Proposal not found.');
+
+    const unlock1 = await this.readLock.lock(pid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._addComment(pid, cosigner, options, signature);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Add comment to the proposal without locks
+   * @param {Number} pid
+   * @param {Cosigner} cosigner
+   * @param {Object} options - signed comment options.
+   * @param {Signature} signature
+   * @returns {Promise<Comment>}
+   */
+
+  async _addComment(pid, cosigner, options, signature) {
+    enforce(cosigner instanceof Cosigner, 'cosigner', 'Cosigner');
+    enforce(Buffer.isBuffer(signature), 'signature', 'buffer');
+
+    const proposal = await this._getProposal(pid);
+    const count = await Comment.countComments(this.bucket, pid);
+
+    const comment = Comment.fromOptions({
+      id: count,
+      proposal: pid,
+      author: cosigner.id,
+      signature: signature,
+      options: options
+    });
+
+    const validSignature = comment.verifySignature(
+      this.wallet.id,
+      cosigner.authPubKey
+    );
+
+    if (!validSignature)
+      throw new Error('comment signature is not valid.');
+
+    const b = this.bucket.batch();
+    Comment.saveComment(b, comment);
+    await b.write();
+
+    this.emit('proposal comment', proposal, comment, cosigner);
+
+    return comment;
+  }
+
+  /**
+   * Approve proposal
+   * @param {Number} id
+   * @param {Cosigner} cosigner
+   * @param {Buffer[]} signatures
+   * @returns {Promise<Proposal>}
+   * @throws {Error}
+   */
+
+  async approveProposal(id, cosigner, signatures) {
+    const pid = await this.ensurePID(id);
+
+    if (pid === -1)
+      throw new Error('Proposal not found.');
+
+    const unlock1 = await this.readLock.lock(pid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._approveProposal(pid, cosigner, signatures);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  async _approveProposal(pid, cosigner, signatures) {
+    enforce(Cosigner.isCosigner(cosigner), 'cosigner', 'Cosigner');
+    enforce(Array.isArray(signatures), 'signatures', 'Array');
+
+    const statsDelta = new ProposalStats();
+    const proposal = await this._getProposal(pid);
+
+    assert(proposal.isPending(), 'Proposal is not pending.');
+
+    const mtx = await this._getMTX(pid);
+    const msMTX = MultisigMTX.fromMTX(mtx);
+    msMTX.view = mtx.view;
+
+    // Policy could have changed since creation.
+    const required = await this.wallet.checkPolicy(mtx, proposal.replaces);
+
+    if (required > proposal.m) {
+      proposal.quorum = required;
+      proposal.m = required;
+    }
+
+    if (proposal.approvals.size + 1 >= proposal.m)
+      await this.wallet.checkDailyLimit(mtx, pid, false, proposal.replaces);
+
+    const rings = await this.wallet.deriveInputs(mtx);
+    const check = this.deriveRings(cosigner, rings);
+    const valid = msMTX.checkSignatures(rings, signatures);
+
+    if (valid !== check)
+      throw new Error('Signature(s) incorrect.');
+
+    proposal.approve(cosigner, signatures, ids => this.wallet.hasQuorum(ids));
+
+    if (proposal.isPending()) {
+      const b = this.bucket.batch();
+      this.saveProposal(b, proposal);
+      this.audit(b, proposal, AuditEntry.action.APPROVE, cosigner,
+        signatures);
+      await this.commit(b);
+
+      this.emit('proposal approved', proposal, cosigner);
+
+      return proposal;
+    }
+
+    for (const id of proposal.approvals.keys()) {
+      const cosigner = this.wallet.cosigners[id];
 
       this.deriveRings(cosigner, rings);
       const applied = proposal.applySignatures(id, msMTX, rings);
@@ -621,11 +1321,16 @@ class ProposalDB {
       statsDelta.addPending(-1);
       statsDelta.addApproved(1);
 
+      const outflow = await this.wallet.getOutgoingValue(msMTX);
+
       const b = this.bucket.batch();
-      Proposal.saveProposal(b, proposal);
+      this.saveProposal(b, proposal);
       Proposal.saveTX(b, proposal.id, msMTX);
+      ProposalDB.addOutflow(b, proposal.closedAt, proposal.id, outflow);
+      this.audit(b, proposal, AuditEntry.action.APPROVE, cosigner,
+        signatures);
       await this._updateStats(b, statsDelta);
-      await b.write();
+      await this.commit(b);
 
       this.emit('proposal approved', proposal, cosigner, msMTX);
 
@@ -645,12 +1350,13 @@ class ProposalDB {
     }
 
     proposal.status = Proposal.status.VERIFY;
-    Proposal.saveProposal(b, proposal);
+    this.saveProposal(b, proposal);
+    this.audit(b, proposal, AuditEntry.action.APPROVE, cosigner, signatures);
     statsDelta.addApproved(-1);
     statsDelta.addRejected(1);
 
     await this._updateStats(statsDelta);
-    await b.write();
+    await this.commit(b);
 
     this.emit('proposal rejected', proposal);
 
@@ -748,8 +1454,32 @@ class ProposalDB {
         this.unlockCoin(b, proposal, outpoint);
       }
 
+      const own = await this._getTX(pid);
+      const broadcast = own.hash().equals(tx.hash());
+
+      // recorded with the unlock, once the wallet sees the transaction.
+      if (broadcast)
+        this.audit(b, proposal, AuditEntry.action.BROADCAST);
+
+      let replaced = null;
+      let conflicted = false;
+
+      // original transaction may confirm before the replacement.
+      if (proposal.isReplacement()) {
+        if (broadcast)
+          replaced = await this._replaceProposal(b, statsDelta, proposal);
+        else
+          conflicted = this._conflictProposal(b, statsDelta, proposal);
+      }
+
       await this._updateStats(b, statsDelta);
-      await b.write();
+      await this.commit(b);
+
+      if (replaced)
+        this.emit('proposal rejected', replaced);
+
+      if (conflicted)
+        this.emit('proposal rejected', proposal);
 
       return true;
     }
@@ -759,6 +1489,8 @@ class ProposalDB {
     proposal.forceReject(Proposal.status.DBLSPEND);
 
     const b = this.bucket.batch();
+
+    this.audit(b, proposal, AuditEntry.action.CLOSE);
     const statsDelta = new ProposalStats();
 
     statsDelta.addPending(-1);
@@ -772,15 +1504,71 @@ class ProposalDB {
       this.unlockCoin(b, proposal, outpoint);
     }
 
-    Proposal.saveProposal(b, proposal);
+    this.saveProposal(b, proposal);
     await this._updateStats(b, statsDelta);
-    await b.write();
+    await this.commit(b);
 
     this.emit('proposal rejected', proposal);
 
     return true;
   }
 
+  /**
+   * Mark proposal bumped by the replacement as replaced.
+   * @private
+   * @param {bdb#Batch} b
+   * @param {ProposalStats} statsDelta
+   * @param {Proposal} replacement
+   * @returns {Promise<Proposal?>} - replaced proposal.
+   */
+
+  async _replaceProposal(b, statsDelta, replacement) {
+    const proposal = await this._getProposal(replacement.replaces);
+
+    // it was already marked.
+    if (!proposal || !proposal.isApproved())
+      return null;
+
+    // replacement outflow is counted instead.
+    ProposalDB.removeOutflow(b, proposal.closedAt, proposal.id);
+    Proposal.removeClosedAt(b, proposal);
+
+    proposal.replace(replacement.id);
+
+    statsDelta.addApproved(-1);
+    statsDelta.addRejected(1);
+
+    this.saveProposal(b, proposal);
+    this.audit(b, proposal, AuditEntry.action.CLOSE);
+
+    return proposal;
+  }
+
+  /**
+   * Reject approved replacement, because
+   * conflicting transaction spent its coins.
+   * @private
+   * @param {bdb#Batch} b
+   * @param {ProposalStats} statsDelta
+   * @param {Proposal} proposal - approved replacement.
+   * @returns {Boolean}
+   */
+
+  _conflictProposal(b, statsDelta, proposal) {
+    ProposalDB.removeOutflow(b, proposal.closedAt, proposal.id);
+    Proposal.removeClosedAt(b, proposal);
+
+    proposal.doubleSpend();
+
+    statsDelta.addApproved(-1);
+    statsDelta.addRejected(1);
+
+    this.saveProposal(b, proposal);
+    this.audit(b, proposal, AuditEntry.action.CLOSE);
+
+    return true;
+  }
+
   /**
    * Send approved proposal.
    * @param {Number|String} id
@@ -973,15 +1761,276 @@ class ProposalDB {
       this.unlockCoin(b, proposal, outpoint);
     }
 
-    Proposal.saveProposal(b, proposal);
+    this.saveProposal(b, proposal);
+    this.audit(b, proposal, AuditEntry.action.CLOSE);
     await this._updateStats(b, statsDelta);
-    await b.write();
+    await this.commit(b);
+
+    this.emit('proposal rejected', proposal);
+
+    return proposal;
+  }
+
+  /**
+   * Reject pending proposals that have expired,
+   * only proposals indexed by the expiration are loaded.
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Promise<Proposal[]>} - expired proposals
+   */
+
+  async expireProposals(now = util.now()) {
+    const expiring = await this.msdb.getExpiring(now);
+    const expired = [];
+
+    for (const [wid, pid] of expiring) {
+      if (wid !== this.wid)
+        continue;
+
+      const proposal = await this.expireProposal(pid, now);
+
+      if (proposal)
+        expired.push(proposal);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Reject proposal if it has expired.
+   * @param {Number} pid
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Promise<Proposal?>}
+   */
+
+  async expireProposal(pid, now = util.now()) {
+    const unlock1 = await this.readLock.lock(pid);
+    const unlock2 = await this.writeLock.lock();
+
+    try {
+      return await this._expireProposal(pid, now);
+    } finally {
+      unlock2();
+      unlock1();
+    }
+  }
+
+  /**
+   * Reject proposal if it has expired (without locks).
+   * @param {Number} pid
+   * @param {Number} now - timestamp (seconds)
+   * @returns {Promise<Proposal?>}
+   */
+
+  async _expireProposal(pid, now) {
+    const proposal = await this._getProposal(pid);
+
+    if (!proposal.isPending() || !proposal.isExpired(now))
+      return null;
+
+    return this._forceRejectProposal(pid, Proposal.status.EXPIRED);
+  }
+
+  /**
+   * Verify locked coins still exist in the txdb.
+   * Coins can disappear without a spending transaction
+   * (zap, abandon or reorg), pending proposals that lost
+   * coins are rejected as double spent.
+   * @returns {Promise<Proposal[]>} - rejected proposals
+   */
+
+  async checkLockedCoins() {
+    const outpoints = await this.getLockedOutpoints();
+    const pids = new Set();
+
+    for (const outpoint of outpoints) {
+      const {hash, index} = outpoint;
+
+      if (await this.wallet.getCoin(hash, index))
+        continue;
+
+      const pid = await Proposal.getPIDByOutpoint(this.bucket, outpoint);
+
+      if (pid !== -1)
+        pids.add(pid);
+    }
+
+    const rejected = [];
+
+    for (const pid of pids) {
+      const unlock1 = await this.readLock.lock(pid);
+      const unlock2 = await this.writeLock.lock();
+
+      try {
+        const proposal = await this._checkProposalCoins(pid);
+
+        if (proposal)
+          rejected.push(proposal);
+      } finally {
+        unlock2();
+        unlock1();
+      }
+    }
+
+    await this.unindexLockedCoins();
+
+    return rejected;
+  }
+
+  /**
+   * Remove wallet from the MultisigDB index
+   * of the wallets with locked coins, if it has none.
+   * @returns {Promise<Boolean>}
+   */
+
+  async unindexLockedCoins() {
+    const unlock = await this.writeLock.lock();
+
+    try {
+      const outpoints = await this.getLockedOutpoints();
+
+      if (outpoints.length > 0)
+        return false;
+
+      const b = this.bucket.batch();
+      this.msdb.removeLockedWallet(b.root(), this.wid);
+      await b.write();
+
+      return true;
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Unlock coins of the proposal if any of them is missing
+   * from the txdb, pending proposal is rejected (without locks).
+   * @private
+   * @param {Number} pid
+   * @returns {Promise<Proposal?>} - rejected proposal
+   */
+
+  async _checkProposalCoins(pid) {
+    const proposal = await this._getProposal(pid);
+
+    if (!proposal || proposal.isRejected())
+      return null;
+
+    const outpoints = await Proposal.getProposalOutpoints(this.bucket, pid);
+    const coins = new BufferMap();
+    let missing = false;
+
+    for (const outpoint of outpoints) {
+      const coin = await this.getProposalCoin(proposal, outpoint);
+
+      if (!coin)
+        missing = true;
+
+      coins.set(outpoint.toKey(), coin);
+    }
+
+    // state changed while we were waiting for the lock.
+    if (!missing)
+      return null;
+
+    const b = this.bucket.batch();
+    const statsDelta = new ProposalStats();
+
+    for (const outpoint of outpoints) {
+      const value = await this.getLockedValue(pid, outpoint,
+        coins.get(outpoint.toKey()));
+
+      statsDelta.addOwnLockedCoin(-1);
+      statsDelta.addOwnLockedBalance(-value);
+      this.unlockCoin(b, proposal, outpoint);
+    }
+
+    // approved proposal was already sent.
+    if (proposal.isApproved()) {
+      await this._updateStats(b, statsDelta);
+      await this.commit(b);
+      return null;
+    }
+
+    assert(proposal.isPending());
+
+    proposal.forceReject(Proposal.status.DBLSPEND);
+    statsDelta.addPending(-1);
+    statsDelta.addRejected(1);
+
+    this.saveProposal(b, proposal);
+    this.audit(b, proposal, AuditEntry.action.CLOSE);
+    await this._updateStats(b, statsDelta);
+    await this.commit(b);
 
     this.emit('proposal rejected', proposal);
 
     return proposal;
   }
 
+  /**
+   * Get locked coin of the proposal. Coins of the bump proposal
+   * are spent by the unconfirmed transaction it replaces.
+   * @private
+   * @param {Proposal} proposal
+   * @param {Outpoint} outpoint
+   * @returns {Promise<Coin?>}
+   */
+
+  async getProposalCoin(proposal, outpoint) {
+    const {hash, index} = outpoint;
+    const coin = await this.wallet.getCoin(hash, index);
+
+    if (coin || proposal.replaces === -1)
+      return coin;
+
+    const spent = await this.wallet.getSpent(hash, index);
+
+    if (!spent)
+      return null;
+
+    const tx = await this._getTX(proposal.replaces);
+
+    if (!tx || !spent.hash.equals(tx.hash()))
+      return null;
+
+    const wtx = await this.wallet.getTX(spent.hash);
+
+    if (!wtx || wtx.height !== -1)
+      return null;
+
+    return this.wallet.getSpentCoin(spent, outpoint);
+  }
+
+  /**
+   * Get value of the locked coin, falls back to the
+   * funding transaction for coins locked without value.
+   * @private
+   * @param {Number} pid
+   * @param {Outpoint} outpoint
+   * @param {Coin?} coin
+   * @returns {Promise<Number>}
+   */
+
+  async getLockedValue(pid, outpoint, coin) {
+    if (coin)
+      return coin.value;
+
+    const value = await Proposal.getLockedValue(this.bucket, pid, outpoint);
+
+    if (value != null)
+      return value;
+
+    const wtx = await this.wallet.getTX(outpoint.hash);
+
+    if (wtx && outpoint.index < wtx.tx.outputs.length)
+      return wtx.tx.outputs[outpoint.index].value;
+
+    this.logger.warning('Could not find value of locked coin %s/%d.',
+      outpoint.txid(), outpoint.index);
+
+    return 0;
+  }
+
   /**
    * Get proposal db stats
    */
@@ -995,6 +2044,63 @@ class ProposalDB {
     return ProposalStats.decode(raw);
   }
 
+  /**
+   * Get approved outflow in the rolling window.
+   * @param {Number} window - seconds
+   * @param {Number} [now=util.now()]
+   * @param {Number} [exclude=-1] - proposal id to skip.
+   * @returns {Promise<Number>}
+   */
+
+  async getOutflow(window, now = util.now(), exclude = -1) {
+    const items = await this.bucket.range({
+      gte: layout.o.min(Math.max(0, now - window)),
+      lte: layout.o.max(),
+      parse: (key, data) => {
+        const [, pid] = layout.o.decode(key);
+        return [pid, encoding.readU64(data, 0)];
+      }
+    });
+
+    let outflow = 0;
+
+    for (const [pid, value] of items) {
+      if (pid !== exclude)
+        outflow += value;
+    }
+
+    return outflow;
+  }
+
+  /**
+   * Get approved outflow for all rolling windows.
+   * @param {Number} [now=util.now()]
+   * @param {Number} [exclude=-1] - proposal id to skip.
+   * @returns {Promise<OutflowStats>}
+   */
+
+  async getOutflowStats(now = util.now(), exclude = -1) {
+    const stats = new OutflowStats();
+    const {windows} = OutflowStats;
+    const since = Math.max(0, now - windows.week);
+
+    const items = await this.bucket.range({
+      gte: layout.o.min(since),
+      lte: layout.o.max(),
+      parse: (key, data) => {
+        const [time, pid] = layout.o.decode(key);
+        return [time, pid, encoding.readU64(data, 0)];
+      }
+    });
+
+    for (const [time, pid, value] of items) {
+      if (pid !== exclude)
+        stats.add(now - time, value);
+    }
+
+    return stats;
+  }
+
   /**
    * Update proposal stats.
    * @param {bdb#Batch} b
@@ -1043,6 +2149,29 @@ class ProposalDB {
   static saveStats(b, stats) {
     b.put(layout.S.encode(), stats.toRaw());
   }
+
+  /**
+   * Record approved outflow.
+   * @param {bdb#Batch} b
+   * @param {Number} time - approval time.
+   * @param {Number} pid
+   * @param {Number} value
+   */
+
+  static addOutflow(b, time, pid, value) {
+    b.put(layout.o.encode(time, pid), fromU64(value));
+  }
+
+  /**
+   * Remove approved outflow.
+   * @param {bdb#Batch} b
+   * @param {Number} time - approval time.
+   * @param {Number} pid
+   */
+
+  static removeOutflow(b, time, pid) {
+    b.del(layout.o.encode(time, pid));
+  }
 }
 
 /**
@@ -1182,16 +2311,121 @@ class ProposalStats extends Struct {
   }
 }
 
+/**
+ * Approved outflow over the rolling windows.
+ * @alias module:multisig.OutflowStats
+ * @property {Number} hour - outflow in the last hour.
+ * @property {Number} day - outflow in the last day.
+ * @property {Number} week - outflow in the last week.
+ */
+
+class OutflowStats {
+  constructor() {
+    this.hour = 0;
+    this.day = 0;
+    this.week = 0;
+  }
+
+  /**
+   * Add approved outflow.
+   * @param {Number} age - seconds since approval.
+   * @param {Number} value
+   */
+
+  add(age, value) {
+    for (const [name, window] of Object.entries(OutflowStats.windows)) {
+      if (age <= window)
+        this[name] += value;
+    }
+  }
+
+  /**
+   * Get JSON with usage and remaining allowance.
+   * @param {SpendingPolicy?} policy
+   * @returns {Object}
+   */
+
+  getJSON(policy) {
+    const json = {};
+
+    for (const name of Object.keys(OutflowStats.windows)) {
+      const limit = policy ? policy.velocity[name] : 0;
+
+      json[name] = {
+        spent: this[name],
+        limit: limit ? limit : null,
+        remaining: limit ? Math.max(0, limit - this[name]) : null
+      };
+    }
+
+    return json;
+  }
+}
+
+OutflowStats.windows = SpendingPolicy.windows;
+
 /*
  * Helpers
  */
 
+function getStatusCodes(group, reason) {
+  const codes = Object.values(Proposal.status);
+
+  if (reason != null) {
+    assert(Proposal.statusIsRejected(reason), 'Unknown rejection reason.');
+    assert(group == null || group === 'rejected',
+      'Rejection reason can only be used with rejected status.');
+    return [reason];
+  }
+
+  switch (group) {
+    case null:
+    case undefined:
+      return null;
+    case 'pending':
+      return [Proposal.status.PROGRESS];
+    case 'approved':
+      return [Proposal.status.APPROVED];
+    case 'rejected':
+      return codes.filter(code => Proposal.statusIsRejected(code));
+    default:
+      throw new Error('Unknown proposal status.');
+  }
+}
+
+function getTime(time, defaultTime) {
+  if (time == null)
+    return defaultTime;
+
+  enforce((time >>> 0) === time, 'time', 'u32');
+
+  return time;
+}
+
+function getTimeRange(after, before) {
+  if (after == null && before == null)
+    return null;
+
+  const start = getTime(after, 0);
+  const end = getTime(before, 0xffffffff);
+
+  return time => time >= start && time <= end;
+}
+
 function fromU32BE(num) {
   const data = Buffer.allocUnsafe(4);
   data.writeUInt32BE(num, 0);
   return data;
 }
 
+function fromU64(num) {
+  const data = Buffer.allocUnsafe(8);
+  encoding.writeU64(data, num, 0);
+  return data;
+}
+
+ProposalDB.MAX_LIMIT = MAX_LIMIT;
 ProposalDB.ProposalStats = ProposalStats;
+ProposalDB.OutflowStats = OutflowStats;
 
 module.exports = ProposalDB;
@@ -0,0 +1,137 @@
+/*!
+ * addressproof.js - address derivation proof verification
+ * Copyright (c) 2019, The Bcoin Developers (MIT License).
+ * https://github.com/bcoin-org/bmultisig
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const Network = require('bcoin/lib/protocol/network');
+const HDPublicKey = require('bcoin/lib/hd/public');
+const Script = require('bcoin/lib/script/script');
+const Address = require('bcoin/lib/primitives/address');
+
+/**
+ * Recompute multisig script and address from the account keys
+ * of the cosigners and compare them with the address proof
+ * returned by the server (`GET /:id/address/proof`).
+ * @param {Object} proof - address proof JSON.
+ * Wallet details must be the ones known locally, not the ones
+ * returned by the server.
+ * @param {Object[]} cosigners - cosigners JSON (with `id` and `accountKey`),
+ * e.g. known by the cosigner since wallet was initialized.
+ * @param {Object} options
+ * @param {Number} options.m - expected threshold.
+ * @param {Boolean} options.witness - whether wallet is witness.
+ * @param {Boolean} [options.nested] - expected nested address,
+ * if not known, nested proof is accepted for witness wallets.
+ * @param {String} [options.address] - expected address.
+ * @param {(Network|String)} [options.network=proof.network]
+ * @returns {Object} - `{valid, address, script, mismatches}`,
+ * mismatches list the fields that did not match.
+ */
+
+exports.verifyAddressProof = function verifyAddressProof(proof, cosigners,
+  options) {
+  assert(proof && typeof proof === 'object', 'Proof is required.');
+  assert(Array.isArray(cosigners), 'Cosigners must be an array.');
+  assert(options && typeof options === 'object', 'Bad options.');
+  assert((options.m & 0xff) === options.m, 'Expected m is required.');
+  assert(typeof options.witness === 'boolean', 'Wallet type is required.');
+  assert(options.nested == null || typeof options.nested === 'boolean',
+    'Bad nested.');
+
+  const network = Network.get(options.network || proof.network);
+  const witness = options.witness;
+  const nested = witness
+    && (options.nested != null ? options.nested : proof.nested === true);
+  const mismatches = [];
+
+  if (options.m !== proof.m)
+    mismatches.push('m');
+
+  if (proof.witness !== witness)
+    mismatches.push('witness');
+
+  if (proof.nested !== nested)
+    mismatches.push('nested');
+
+  if (proof.n !== cosigners.length)
+    mismatches.push('n');
+
+  const keys = [];
+
+  for (const cosigner of cosigners) {
+    const accountKey = HDPublicKey.fromBase58(cosigner.accountKey, network);
+    const key = accountKey.derive(proof.branch).derive(proof.index);
+    const publicKey = key.publicKey.toString('hex');
+    const item = proof.keys.find(k => k.cosigner === cosigner.id);
+
+    if (!item
+      || item.accountKey !== cosigner.accountKey
+      || item.publicKey !== publicKey) {
+      mismatches.push(`keys.${cosigner.id}`);
+    }
+
+    keys.push(key.publicKey);
+  }
+
+  // without all keys there is nothing to compare.
+  if (mismatches.includes('n')) {
+    return {
+      valid: false,
+      address: null,
+      script: null,
+      mismatches
+    };
+  }
+
+  const script = Script.fromMultisig(options.m, keys.length, keys);
+  const raw = script.toRaw().toString('hex');
+
+  if (raw !== proof.script)
+    mismatches.push('script');
+
+  let address;
+
+  // address type is derived from the local wallet.
+  if (witness) {
+    const hash = script.sha256();
+
+    if (raw !== proof.witnessScript)
+      mismatches.push('witnessScript');
+
+    if (nested) {
+      const program = Script.fromProgram(0, hash);
+      const redeem = program.toRaw().toString('hex');
+
+      if (redeem !== proof.redeemScript)
+        mismatches.push('redeemScript');
+
+      address = Address.fromScripthash(program.hash160());
+    } else {
+      address = Address.fromWitnessScripthash(hash);
+    }
+  } else {
+    if (raw !== proof.redeemScript)
+      mismatches.push('redeemScript');
+
+    address = Address.fromScripthash(script.hash160());
+  }
+
+  const addr = address.toString(network);
+
+  if (addr !== proof.address)
+    mismatches.push('address');
+
+  if (options.address != null && options.address !== addr)
+    mismatches.push('expected');
+
+  return {
+    valid: mismatches.length === 0,
+    address: addr,
+    script: raw,
+    mismatches
+  };
+};
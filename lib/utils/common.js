@@ -18,6 +18,16 @@ exports.now = function now() {
   return Math.floor(Date.now() / 1000);
 };
 
+/**
+ * Clamp timestamp to uint32, used by the time indexes.
+ * @param {Number} time - timestamp (seconds)
+ * @returns {Number}
+ */
+
+exports.toTime = function toTime(time) {
+  return Math.min(time, 0xffffffff);
+};
+
 /**
  * Clone HDPublicKey.
  * @param {HDPublicKey} key
@@ -43,3 +53,18 @@ exports.cloneHDPublicKey = function cloneHDPublicKey(key) {
 
   return ckey;
 };
+
+/**
+ * Throw bad request error if value is falsy.
+ * @param {*} value
+ * @param {String} msg
+ * @throws {Error} - with statusCode 400.
+ */
+
+exports.enforce = function enforce(value, msg) {
+  if (!value) {
+    const err = new Error(msg);
+    err.statusCode = 400;
+    throw err;
+  }
+};
@@ -0,0 +1,186 @@
+/*!
+ * cron.js - cron expressions for the proposal schedules
+ * Copyright (c) 2019, The Bcoin Developers (MIT License).
+ * https://github.com/bcoin-org/bmultisig
+ */
+
+'use strict';
+
+const assert = require('bsert');
+
+/**
+ * Field ranges: minute, hour, day of month, month, day of week.
+ * @const {Array[]}
+ */
+
+const FIELDS = [
+  [0, 59],
+  [0, 23],
+  [1, 31],
+  [1, 12],
+  [0, 6]
+];
+
+/**
+ * Don't search for the next tick further than this (seconds).
+ * @const {Number}
+ */
+
+const MAX_SEARCH = 5 * 366 * 24 * 60 * 60;
+
+/**
+ * Parsed cron expression, all times are UTC.
+ * Supports `*`, numbers, lists (`1,15`), ranges (`1-5`)
+ * and steps (`*\/15`, `0-30/10`).
+ * @alias module:utils.Cron
+ * @property {Set[]} fields - allowed values of the fields.
+ * @property {Boolean} anyDay - day of month is `*`.
+ * @property {Boolean} anyWeekday - day of week is `*`.
+ */
+
+class Cron {
+  /**
+   * Create cron from the expression.
+   * @param {String} expr - minute hour day month weekday
+   */
+
+  constructor(expr) {
+    assert(typeof expr === 'string', 'cron must be a string.');
+
+    const parts = expr.trim().split(/\s+/);
+
+    assert(parts.length === 5, 'cron must have 5 fields.');
+
+    this.fields = parts.map((part, i) => parseField(part, ...FIELDS[i]));
+    this.anyDay = parts[2] === '*';
+    this.anyWeekday = parts[4] === '*';
+  }
+
+  /**
+   * Test whether day matches.
+   * When both day fields are restricted either can match.
+   * @param {Date} date
+   * @returns {Boolean}
+   */
+
+  matchDay(date) {
+    const day = this.fields[2].has(date.getUTCDate());
+    const weekday = this.fields[4].has(date.getUTCDay());
+
+    if (this.anyDay)
+      return weekday;
+
+    if (this.anyWeekday)
+      return day;
+
+    return day || weekday;
+  }
+
+  /**
+   * Get next tick after the time.
+   * @param {Number} time - timestamp (seconds)
+   * @returns {Number} - timestamp (seconds)
+   * @throws {Error}
+   */
+
+  next(time) {
+    const [minutes, hours, , months] = this.fields;
+    const date = new Date((Math.floor(time / 60) + 1) * 60 * 1000);
+    const end = time + MAX_SEARCH;
+
+    while (date.getTime() / 1000 <= end) {
+      if (!months.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0);
+        continue;
+      }
+
+      if (!this.matchDay(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0);
+        continue;
+      }
+
+      if (!hours.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0);
+        continue;
+      }
+
+      if (!minutes.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+        continue;
+      }
+
+      return date.getTime() / 1000;
+    }
+
+    throw new Error('cron never matches.');
+  }
+
+  /**
+   * Test whether the expression is valid.
+   * @param {String} expr
+   * @returns {Boolean}
+   */
+
+  static isCron(expr) {
+    try {
+      new Cron(expr).next(0);
+    } catch (e) {
+      return false;
+    }
+
+    return true;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function parseField(field, min, max) {
+  const values = new Set();
+
+  for (const item of field.split(',')) {
+    const [range, stepStr] = item.split('/');
+
+    let step = 1;
+    let start = min;
+    let end = max;
+
+    if (stepStr != null) {
+      step = parseNumber(stepStr);
+      assert(step > 0, 'Bad cron step.');
+    }
+
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+
+      start = parseNumber(from);
+      end = to != null ? parseNumber(to) : start;
+
+      // `5/15` means from 5 to the max.
+      if (to == null && stepStr != null)
+        end = max;
+    }
+
+    assert(start >= min && end <= max && start <= end,
+      'Cron value out of range.');
+
+    for (let i = start; i <= end; i += step)
+      values.add(i);
+  }
+
+  return values;
+}
+
+function parseNumber(str) {
+  assert(/^\d{1,2}$/.test(str), 'Bad cron value.');
+  return parseInt(str, 10);
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Cron;
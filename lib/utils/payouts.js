@@ -0,0 +1,209 @@
+/*!
+ * payouts.js - batch payout list parser
+ * Copyright (c) 2019, The Bcoin Developers (MIT License).
+ * https://github.com/bcoin-org/bmultisig
+ */
+
+'use strict';
+
+const Validator = require('bval');
+const {Address, Script} = require('bcoin');
+const {enforce} = require('./common');
+
+/**
+ * Maximum number of payout rows.
+ * @const {Number}
+ */
+
+const MAX_PAYOUTS = 1000;
+
+/**
+ * Maximum label length.
+ * @const {Number}
+ */
+
+const MAX_LABEL = 100;
+
+/**
+ * Parse CSV text into rows of fields.
+ * Fields can be quoted (`"a, b"`) and span lines,
+ * quotes are escaped with `""`.
+ * @param {String} text
+ * @returns {String[][]}
+ * @throws {Error}
+ */
+
+exports.parseCSV = function parseCSV(text) {
+  enforce(typeof text === 'string', 'CSV must be a string.');
+
+  const rows = [];
+
+  let fields = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    fields.push(field.trim());
+
+    // skip empty lines.
+    if (fields.length > 1 || fields[0].length > 0)
+      rows.push(fields);
+
+    fields = [];
+    field = '';
+  };
+
+  // quoted fields can span lines.
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else if (ch === '\n') {
+      endRow();
+    } else if (ch !== '\r' || text[i + 1] !== '\n') {
+      field += ch;
+    }
+  }
+
+  enforce(!quoted, `Row ${rows.length + 1}: Unterminated quote.`);
+
+  endRow();
+
+  return rows;
+};
+
+/**
+ * Parse payout list, duplicate addresses are aggregated
+ * (values are summed and labels joined).
+ * @param {String|Object[]} payouts - CSV (`address,amount,label`)
+ * or list of `{address, amount, label}`, amount is in BTC.
+ * @param {Network} network
+ * @returns {Object[]} - list of `{address, value, label}`
+ * @throws {Error} - with statusCode 400.
+ */
+
+exports.parsePayouts = function parsePayouts(payouts, network) {
+  let rows = payouts;
+
+  if (typeof payouts === 'string') {
+    rows = exports.parseCSV(payouts);
+
+    // header is optional.
+    if (rows.length > 0 && rows[0][0].toLowerCase() === 'address')
+      rows.shift();
+
+    rows = rows.map(([address, amount, label]) => {
+      return { address, amount, label };
+    });
+  }
+
+  enforce(Array.isArray(rows), 'Payouts must be CSV or an array.');
+  enforce(rows.length > 0, 'Payouts are required.');
+  enforce(rows.length <= MAX_PAYOUTS,
+    `Payouts can not have more than ${MAX_PAYOUTS} rows.`);
+
+  const outputs = new Map();
+
+  for (const [i, row] of rows.entries()) {
+    const prefix = `Row ${i + 1}:`;
+
+    enforce(row && typeof row === 'object', `${prefix} Invalid payout.`);
+
+    const valid = new Validator(row, false);
+    const addr = valid.str('address');
+    const label = valid.str('label', '');
+
+    let address, value;
+
+    enforce(addr, `${prefix} Address is required.`);
+
+    try {
+      address = Address.fromString(addr, network);
+    } catch (e) {
+      enforce(false, `${prefix} Invalid address.`);
+    }
+
+    try {
+      value = valid.ufixed('amount', 8);
+    } catch (e) {
+      enforce(false, `${prefix} Invalid amount.`);
+    }
+
+    enforce(value != null && value > 0, `${prefix} Amount is required.`);
+    enforce(label.length <= MAX_LABEL, `${prefix} Label is too long.`);
+
+    const key = address.toString(network);
+    const output = outputs.get(key);
+
+    if (!output) {
+      outputs.set(key, {
+        address: address,
+        value: value,
+        labels: label ? [label] : []
+      });
+      continue;
+    }
+
+    output.value += value;
+
+    if (label && !output.labels.includes(label))
+      output.labels.push(label);
+  }
+
+  const result = [];
+
+  for (const {address, value, labels} of outputs.values()) {
+    const label = labels.join('; ');
+
+    enforce(label.length <= MAX_LABEL,
+      `Labels of ${address.toString(network)} are too long.`);
+
+    result.push({ address, value, label });
+  }
+
+  return result;
+};
+
+/**
+ * Get labels of the transaction outputs (empty for change).
+ * @param {TX} tx
+ * @param {Object[]} payouts - parsed payouts.
+ * @returns {String[]}
+ */
+
+exports.getOutputLabels = function getOutputLabels(tx, payouts) {
+  const labels = new Map();
+
+  for (const payout of payouts) {
+    const script = Script.fromAddress(payout.address);
+    labels.set(script.toRaw().toString('hex'), payout.label);
+  }
+
+  return tx.outputs.map((output) => {
+    const label = labels.get(output.script.toRaw().toString('hex'));
+    return label != null ? label : '';
+  });
+};
+
+/*
+ * Expose
+ */
+
+exports.MAX_PAYOUTS = MAX_PAYOUTS;
+exports.MAX_LABEL = MAX_LABEL;
@@ -0,0 +1,72 @@
+/*!
+ * txoptions.js - transaction options parser
+ * Copyright (c) 2019, The Bcoin Developers (MIT License).
+ * https://github.com/bcoin-org/bmultisig
+ */
+
+'use strict';
+
+const Validator = require('bval');
+const {Outpoint, Script, Address} = require('bcoin');
+const {enforce} = require('./common');
+
+/**
+ * Parse transaction options from the json.
+ * @param {Validator} valid
+ * @param {Network} network
+ * @returns {Object} - options for the createTX.
+ * @throws {Error} - with statusCode 400.
+ */
+
+exports.parseTXOptions = function parseTXOptions(valid, network) {
+  const outputs = valid.array('outputs', []);
+  const inputs = valid.array('inputs', []);
+
+  const options = {
+    rate: valid.u64('rate'),
+    blocks: valid.u32('blocks'),
+    maxFee: valid.u64('maxFee'),
+    selection: valid.str('selection'),
+    smart: valid.bool('smart'),
+    sort: valid.bool('sort'),
+    subtractFee: valid.bool('subtractFee'),
+    subtractIndex: valid.i32('subtractIndex'),
+    depth: valid.u32(['confirmations', 'depth']),
+    outputs: []
+  };
+
+  for (const output of outputs) {
+    const valid = new Validator(output);
+
+    let addr = valid.str('address');
+    let script = valid.buf('script');
+
+    if (addr)
+      addr = Address.fromString(addr, network);
+
+    if (script)
+      script = Script.fromRaw(script);
+
+    options.outputs.push({
+      address: addr,
+      script: script,
+      value: valid.u64('value')
+    });
+  }
+
+  if (inputs.length > 0)
+    options.inputs = [];
+
+  for (const input of inputs) {
+    const valid = new Validator(input);
+    const hash = valid.brhash('hash');
+    const index = valid.u32('index');
+
+    enforce(hash, 'Input hash is required.');
+    enforce(index != null, 'Input index is required.');
+
+    options.inputs.push(new Outpoint(hash, index));
+  }
+
+  return options;
+};
@@ -9,25 +9,46 @@
 const assert = require('bsert');
 const bio = require('bufio');
 const {encoding} = bio;
-const {BufferMap} = require('buffer-map');
+const {BufferMap, BufferSet} = require('buffer-map');
 const EventEmitter = require('events');
 const {safeEqual} = require('bcrypto/lib/safe');
 const {Lock} = require('bmutex');
+const Validator = require('bval');
 const bcoin = require('bcoin');
 const Wallet = bcoin.wallet.Wallet;
 const {common, MasterKey} = bcoin.wallet;
-const {MTX} = bcoin;
+const {MTX, Output, Outpoint, Address, Script} = bcoin;
 const custom = require('./utils/inspect');
+const util = require('./utils/common');
+const {parseTXOptions} = require('./utils/txoptions');
+const payouts = require('./utils/payouts');
+const sigUtils = require('./utils/sig');
+const {REMOVE, ADDRESS_REMOVE, MIGRATE} = require('./common').payloadType;
 
 const ProposalDB = require('./proposaldb');
-const {ProposalStats} = ProposalDB;
+const {ProposalStats, OutflowStats} = ProposalDB;
 const MultisigAccount = require('./account');
 const Cosigner = require('./primitives/cosigner');
 const layout = require('./layout').msdb;
 const Proposal = require('./primitives/proposal');
+const MultisigMTX = require('./primitives/mtx');
+const PSBT = require('./primitives/psbt');
+const SpendingPolicy = require('./primitives/policy');
+const AddressEntry = require('./primitives/addressentry');
+const Schedule = require('./primitives/schedule');
+const Draft = require('./primitives/draft');
+const Invite = require('./primitives/invite');
 
 const NULL_KEY = Buffer.alloc(33, 0x00);
 
+/**
+ * Input sequence signaling replaceability (BIP125),
+ * so the proposal transactions can be bumped.
+ * @const {Number}
+ */
+
+const RBF_SEQUENCE = 0xfffffffd;
+
 /**
  *  Currently Multisig Wallet extends functionality
  *  of Wallet/Account in the bwallet and adds
@@ -56,6 +77,17 @@ const NULL_KEY = Buffer.alloc(33, 0x00);
  *  @property {Buffer} joinPubKey
  *  @property {MasterKey} master - internal master key
  *  @property {Wallet} wallet - bcoin wallet instance
+ *  @property {String?} predecessor - wallet this one was migrated from.
+ *  @property {String?} successor - wallet this one is migrating to.
+ *  @property {Number} sweepPID - proposal sweeping coins to the successor.
+ *  @property {Boolean} readOnly - wallet was swept to the successor.
+ *  @property {Number} migrations - started and cancelled migrations,
+ *  nonce of the next one.
+ *  @property {Number} joinDeadline - timestamp (seconds) / 0 if none.
+ *  @property {Boolean} abandoned - not initialized before the deadline.
+ *  @property {Number} removals - removed cosigners, nonce of the next removal.
+ *  @property {Boolean} inviteOnly - joins with the shared join key
+ *  are rejected, set once invites are issued.
  */
 
 class MultisigWallet extends EventEmitter {
@@ -92,6 +124,20 @@ class MultisigWallet extends EventEmitter {
     this.master = new MasterKey();
     this.wallet = null;
     this.joinPubKey = NULL_KEY;
+    this.policy = null;
+
+    // key rotation
+    this.predecessor = null;
+    this.successor = null;
+    this.sweepPID = -1;
+    this.readOnly = false;
+    this.migrations = 0;
+
+    // join deadline
+    this.joinDeadline = 0;
+    this.abandoned = false;
+    this.removals = 0;
+    this.inviteOnly = false;
 
     this.pdb = new ProposalDB(msdb);
     this.coinLock = new Lock();
@@ -157,6 +203,27 @@ class MultisigWallet extends EventEmitter {
         this.addCosigner(Cosigner.fromOptions(cosignerOptions));
     }
 
+    if (options.policy != null) {
+      assert(SpendingPolicy.isSpendingPolicy(options.policy));
+      this.policy = options.policy;
+    }
+
+    if (options.predecessor != null) {
+      assert(common.isName(options.predecessor), 'Bad predecessor ID.');
+      this.predecessor = options.predecessor;
+    }
+
+    if (options.joinDeadline != null) {
+      assert(Number.isSafeInteger(options.joinDeadline)
+        && options.joinDeadline >= 0, 'joinDeadline must be uint64.');
+      this.joinDeadline = options.joinDeadline;
+    }
+
+    if (options.inviteOnly != null) {
+      assert(typeof options.inviteOnly === 'boolean', 'Bad inviteOnly.');
+      this.inviteOnly = options.inviteOnly;
+    }
+
     return this;
   }
 
@@ -239,6 +306,7 @@ class MultisigWallet extends EventEmitter {
    * @param {Boolean} options.unsafe
    * @param {bcoin.TXDB.Balance} options.balance
    * @param {ProposalStats} options.stats
+   * @param {OutflowStats} options.outflow
    * @param {Number} options.cosignerIndex
    * @returns {Object}
    */
@@ -250,6 +318,7 @@ class MultisigWallet extends EventEmitter {
     const unsafe = options.unsafe;
     const balance = options.balance;
     const stats = options.stats;
+    const outflow = options.outflow;
     const cosignerIndex = options.cosignerIndex;
 
     const cosigners = [];
@@ -269,6 +338,7 @@ class MultisigWallet extends EventEmitter {
     }
 
     const proposalStats = stats ? stats : new ProposalStats();
+    const outflowStats = outflow ? outflow : new OutflowStats();
 
     return {
       network: this.network.type,
@@ -285,7 +355,15 @@ class MultisigWallet extends EventEmitter {
       initialized: this.isInitialized(),
       joinPubKey: this.joinPubKey.toString('hex'),
       cosigners: cosigners,
-      proposalStats: proposalStats.getJSON()
+      policy: this.policy ? this.policy.getJSON(this.network) : null,
+      migration: this.getMigrationJSON(),
+      migrations: this.migrations,
+      joinDeadline: this.joinDeadline ? this.joinDeadline : null,
+      abandoned: this.abandoned,
+      removals: this.removals,
+      inviteOnly: this.inviteOnly,
+      proposalStats: proposalStats.getJSON(),
+      outflow: outflowStats.getJSON(this.policy)
     };
   }
 
@@ -293,6 +371,32 @@ class MultisigWallet extends EventEmitter {
     return this.getJSON();
   }
 
+  /**
+   * Get key rotation details of the wallet.
+   * @returns {Object?}
+   */
+
+  getMigrationJSON() {
+    if (!this.hasMigration())
+      return null;
+
+    return {
+      predecessor: this.predecessor,
+      successor: this.successor,
+      sweep: this.sweepPID !== -1 ? this.sweepPID : null,
+      readOnly: this.readOnly
+    };
+  }
+
+  /**
+   * Whether wallet takes part in the key rotation.
+   * @returns {Boolean}
+   */
+
+  hasMigration() {
+    return this.predecessor != null || this.successor != null;
+  }
+
   /**
    * Get serialization size
    * @returns {Number}
@@ -312,6 +416,30 @@ class MultisigWallet extends EventEmitter {
       size += cosignerSize;
     }
 
+    if (this.policy) {
+      const policySize = this.policy.getSize();
+      size += encoding.sizeVarint(policySize);
+      size += policySize;
+    }
+
+    if (this.hasMigration()) {
+      size += encoding.sizeVarString(this.predecessor || '', 'ascii');
+      size += encoding.sizeVarString(this.successor || '', 'ascii');
+      size += 4; // sweep pid
+      size += 1; // read only
+    }
+
+    if (this.joinDeadline) {
+      size += 8; // join deadline
+      size += 1; // abandoned
+    }
+
+    if (this.removals)
+      size += 4;
+
+    if (this.migrations)
+      size += 4;
+
     return size;
   }
 
@@ -329,6 +457,24 @@ class MultisigWallet extends EventEmitter {
     if (this.witness)
       flags |= 1;
 
+    if (this.policy)
+      flags |= 2;
+
+    if (this.hasMigration())
+      flags |= 4;
+
+    if (this.joinDeadline)
+      flags |= 8;
+
+    if (this.removals)
+      flags |= 16;
+
+    if (this.inviteOnly)
+      flags |= 32;
+
+    if (this.migrations)
+      flags |= 64;
+
     bw.writeU8(flags);
     bw.writeU8(this.m);
     bw.writeU8(this.n);
@@ -339,6 +485,27 @@ class MultisigWallet extends EventEmitter {
     for (const cosigner of this.cosigners)
       bw.writeVarBytes(cosigner.encode());
 
+    if (this.policy)
+      bw.writeVarBytes(this.policy.encode());
+
+    if (this.hasMigration()) {
+      bw.writeVarString(this.predecessor || '', 'ascii');
+      bw.writeVarString(this.successor || '', 'ascii');
+      bw.writeU32(this.sweepPID === -1 ? 0xffffffff : this.sweepPID);
+      bw.writeU8(this.readOnly ? 1 : 0);
+    }
+
+    if (this.joinDeadline) {
+      bw.writeU64(this.joinDeadline);
+      bw.writeU8(this.abandoned ? 1 : 0);
+    }
+
+    if (this.removals)
+      bw.writeU32(this.removals);
+
+    if (this.migrations)
+      bw.writeU32(this.migrations);
+
     return bw.render();
   }
 
@@ -368,6 +535,33 @@ class MultisigWallet extends EventEmitter {
       this.cosigners.push(cosigner);
     }
 
+    if (flags & 2)
+      this.policy = SpendingPolicy.decode(br.readVarBytes());
+
+    if (flags & 4) {
+      const predecessor = br.readVarString('ascii');
+      const successor = br.readVarString('ascii');
+      const sweepPID = br.readU32();
+
+      this.predecessor = predecessor || null;
+      this.successor = successor || null;
+      this.sweepPID = sweepPID === 0xffffffff ? -1 : sweepPID;
+      this.readOnly = br.readU8() === 1;
+    }
+
+    if (flags & 8) {
+      this.joinDeadline = br.readU64();
+      this.abandoned = br.readU8() === 1;
+    }
+
+    if (flags & 16)
+      this.removals = br.readU32();
+
+    this.inviteOnly = (flags & 32) !== 0;
+
+    if (flags & 64)
+      this.migrations = br.readU32();
+
     return this;
   }
 
@@ -401,6 +595,15 @@ class MultisigWallet extends EventEmitter {
     b.put(layout.w.encode(wid), wallet.encode());
     b.put(layout.W.encode(wid), fromString(id));
     b.put(layout.l.encode(id), fromU32(wid));
+
+    if (wallet.joinDeadline) {
+      const key = layout.j.encode(util.toTime(wallet.joinDeadline), wid);
+
+      if (wallet.abandoned || wallet.isInitialized())
+        b.del(key);
+      else
+        b.put(key);
+    }
   }
 
   /**
@@ -412,6 +615,20 @@ class MultisigWallet extends EventEmitter {
     return this.n === this.cosigners.length;
   }
 
+  /**
+   * Whether join deadline has passed before
+   * the wallet was initialized.
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Boolean}
+   */
+
+  isJoinExpired(now = util.now()) {
+    if (!this.joinDeadline || this.isInitialized())
+      return false;
+
+    return now >= this.joinDeadline;
+  }
+
   /**
    * Verify cosigner token
    * @private
@@ -436,17 +653,30 @@ class MultisigWallet extends EventEmitter {
     return this.msdb.remove(this.wid);
   }
 
+  /**
+   * Remove abandoned wallet.
+   * @returns {Promise<Boolean>}
+   */
+
+  purge() {
+    return this.msdb.purge(this.wid);
+  }
+
   /**
    * Remove wallet
    * @param {bdb.Batch} b
-   * @param {Number} wid
-   * @param {String} id
+   * @param {MultisigWallet} wallet
    */
 
-  static remove(b, wid, id) {
+  static remove(b, wallet) {
+    const wid = wallet.wid;
+
     b.del(layout.w.encode(wid));
     b.del(layout.W.encode(wid));
-    b.del(layout.l.encode(id));
+    b.del(layout.l.encode(wallet.id));
+
+    if (wallet.joinDeadline)
+      b.del(layout.j.encode(util.toTime(wallet.joinDeadline), wid));
   }
 
   /**
@@ -454,14 +684,15 @@ class MultisigWallet extends EventEmitter {
    * and set cosigner id.
    * TODO: accept options instead of Cosigner object.
    * @param {Cosigner} cosigner
+   * @param {Buffer} [joinPubKey=this.joinPubKey] - invite key.
    */
 
-  addCosigner(cosigner) {
+  addCosigner(cosigner, joinPubKey = this.joinPubKey) {
     assert(Cosigner.isCosigner(cosigner));
 
     // verify join signature
     const validJoinSig = cosigner.verifyJoinSignature(
-      this.joinPubKey,
+      joinPubKey,
       this.id,
       this.network
     );
@@ -500,6 +731,39 @@ class MultisigWallet extends EventEmitter {
     return this.cosigners.pop();
   }
 
+  /**
+   * Remove cosigner from array
+   * and update ids of the following cosigners.
+   * @param {Number} id
+   * @returns {Cosigner}
+   */
+
+  _removeCosigner(id) {
+    assert(this.cosigners[id], 'Cosigner not found.');
+
+    const [cosigner] = this.cosigners.splice(id, 1);
+
+    for (const [i, other] of this.cosigners.entries())
+      other.id = i;
+
+    return cosigner;
+  }
+
+  /**
+   * Put removed cosigner back to its position.
+   * @private
+   * @param {Cosigner} cosigner
+   */
+
+  _restoreCosigner(cosigner) {
+    assert(cosigner.id <= this.cosigners.length, 'Bad cosigner id.');
+
+    this.cosigners.splice(cosigner.id, 0, cosigner);
+
+    for (const [i, other] of this.cosigners.entries())
+      other.id = i;
+  }
+
   /**
    * Cosigner joins the wallet
    * @param {Cosigner} cosigner
@@ -513,6 +777,94 @@ class MultisigWallet extends EventEmitter {
     return this.msdb.join(this.wid, cosigner);
   }
 
+  /**
+   * Remove cosigner who joined by mistake,
+   * wallet must not be initialized.
+   * @param {Number} id - cosigner id.
+   * @param {Number} [nonce] - signed removal nonce.
+   * @returns {Promise<Cosigner>} - removed cosigner.
+   */
+
+  leave(id, nonce) {
+    return this.msdb.leave(this.wid, id, nonce);
+  }
+
+  /**
+   * Verify cosigner removal signed by the wallet creator.
+   * @param {Object} options - signed removal options.
+   * @param {Buffer} signature
+   * @returns {Boolean}
+   */
+
+  verifyRemoval(options, signature) {
+    assert(options && typeof options === 'object', 'Options are required.');
+    assert(Buffer.isBuffer(signature), 'Signature must be a buffer.');
+
+    const creator = this.cosigners[0];
+    const json = JSON.stringify(options);
+    const hash = sigUtils.getProposalHash(this.id, REMOVE, json);
+
+    return sigUtils.verifyHash(hash, signature, creator.authPubKey);
+  }
+
+  /**
+   * Get join invites.
+   * @returns {Promise<Invite[]>}
+   */
+
+  getInvites() {
+    return this.msdb.getInvites(this.wid);
+  }
+
+  /**
+   * Get join invite.
+   * @param {Number} id - invite id.
+   * @returns {Promise<Invite?>}
+   */
+
+  getInvite(id) {
+    return this.msdb.getInvite(this.wid, id);
+  }
+
+  /**
+   * Issue one-time join invites, each invite has
+   * its own join key and can be used only once.
+   * @param {Object[]} options - list of invite options.
+   * @param {Buffer} options[].joinPubKey
+   * @param {String} [options[].name] - expected cosigner name.
+   * @param {Number} [options[].expiresAt]
+   * @param {Number} [options[].ttl]
+   * @returns {Promise<Invite[]>}
+   * @throws {Error}
+   */
+
+  async createInvites(options) {
+    assert(Array.isArray(options), 'Invites must be an array.');
+    assert(options.length > 0, 'Invites are required.');
+
+    if (this.isInitialized())
+      throw new Error('Wallet is already initialized.');
+
+    if (this.abandoned || this.isJoinExpired())
+      throw new Error('Join deadline has passed.');
+
+    const invites = options.map((invite) => {
+      return Invite.fromOptions({ ...invite, id: 0 });
+    });
+
+    return this.msdb.addInvites(this.wid, invites);
+  }
+
+  /**
+   * Revoke unused join invite.
+   * @param {Number} id - invite id.
+   * @returns {Promise<Boolean>}
+   */
+
+  removeInvite(id) {
+    return this.msdb.removeInvite(this.wid, id);
+  }
+
   /**
    * Authenticate with cosignerToken
    * @param {Buffer} cosignerToken
@@ -554,386 +906,2163 @@ class MultisigWallet extends EventEmitter {
   }
 
   /**
-   * Get account
-   * @async
-   * @returns {Promise<MultisigAccount>}
+   * Throw if the wallet was swept to the successor.
+   * @throws {Error}
    */
 
-  async getAccount() {
-    const account = await this.wallet.getAccount(0);
-
-    return MultisigAccount.fromAccount(account);
+  ensureWritable() {
+    if (this.readOnly)
+      throw new Error('Wallet is read-only.');
   }
 
   /**
-   * Get locked coins.
-   * @param {Boolean} onlyProposal
-   * @returns {Promise<Outpoint[]>}
+   * Start key rotation, create successor wallet with the
+   * replacement cosigner. Other cosigners join the successor
+   * with the new join signatures.
+   * @param {Object} options
+   * @param {String} options.id - successor wallet id.
+   * @param {Buffer} options.joinPubKey - successor join key.
+   * @param {Number} [options.joinDeadline] - successor join deadline.
+   * @param {Number} [options.nonce] - must match migrations of the wallet.
+   * @param {Cosigner} cosigner - replacement cosigner.
+   * @returns {Promise<MultisigWallet>} - successor wallet.
    */
 
-  async getLocked(onlyProposal = false) {
-    if (!onlyProposal)
-      return this.wallet.getLocked();
-
-    return this.pdb.getLockedOutpoints();
+  migrate(options, cosigner) {
+    return this.msdb.migrate(this.wid, options, cosigner);
   }
 
   /**
-   * Lock the coins in TXDB.
-   * @param {Outpoint} outpoint
+   * Cancel key rotation, successor is removed
+   * if it was not initialized.
+   * @param {Number} [nonce] - must match migrations of the wallet.
+   * @returns {Promise<MultisigWallet>}
    */
 
-  lockCoinTXDB(outpoint) {
-    this.wallet.lockCoin(outpoint);
+  cancelMigration(nonce) {
+    return this.msdb.cancelMigration(this.wid, nonce);
   }
 
   /**
-   * Unlock transaction in TXDB.
-   * @param {Outpoint} outpoint
+   * Verify key rotation start or cancel approved by m cosigners.
+   * @param {Object} options - signed migration options.
+   * @param {Object[]} signatures - `{cosigner, signature}`.
+   * @returns {Boolean}
    */
 
-  unlockCoinTXDB(outpoint) {
-    this.wallet.unlockCoin(outpoint);
-  }
+  verifyMigration(options, signatures) {
+    assert(options && typeof options === 'object', 'Options are required.');
+    assert(Array.isArray(signatures), 'Signatures must be an array.');
 
-  /**
-   * Test locked status of a single coin in TXDB.
-   * @param {Outpoint} outpoint
-   * @param {Boolean}
-   */
+    const json = JSON.stringify(options);
+    const hash = sigUtils.getProposalHash(this.id, MIGRATE, json);
+    const approved = new Set();
 
-  isLockedTXDB(outpoint) {
-    return this.wallet.isLocked(outpoint);
+    for (const {cosigner, signature} of signatures) {
+      const signer = this.cosigners[cosigner];
+
+      assert(Buffer.isBuffer(signature), 'Signature must be a buffer.');
+
+      if (!signer || approved.has(signer.id))
+        continue;
+
+      if (sigUtils.verifyHash(hash, signature, signer.authPubKey))
+        approved.add(signer.id);
+    }
+
+    return approved.size >= this.m;
   }
 
   /**
-   * Check if coin is locked in Proposal DB.
-   * @param {Outpoint} outpoint
-   * @returns {Boolean}
+   * Get successor wallet.
+   * @returns {Promise<MultisigWallet?>}
    */
 
-  async isLocked(outpoint) {
-    return this.pdb.isLocked(outpoint);
+  async getSuccessor() {
+    if (!this.successor)
+      return null;
+
+    return this.msdb.getWallet(this.successor);
   }
 
   /**
-   * Unlock coin if it's not in Proposal DB.
-   * @param {Outpoint} outpoint
-   * @throws {Error} - if coin is in Proposal DB.
+   * Create proposal sweeping all unlocked coins to the
+   * receive address of the successor wallet, coins received
+   * after the wallet became read-only are swept again.
+   * @param {Object} options - signed proposal options.
+   * @param {String} options.memo
+   * @param {Number} options.timestamp
+   * @param {String} options.successor - successor wallet id.
+   * @param {Object} [options.txoptions] - http transaction options
+   * without outputs (rate, maxFee...).
+   * @param {Cosigner} cosigner
+   * @param {Buffer} signature
+   * @returns {Promise<Array>} - [Proposal, MTX]
+   * @throws {Error}
    */
 
-  async unlockCoin(outpoint) {
-    const isLocked = await this.pdb.isLocked(outpoint);
+  async createSweepProposal(options, cosigner, signature) {
+    assert(options && typeof options === 'object', 'Options are required.');
 
-    if (isLocked)
-      throw new Error('Can not unlock coin locked by proposal.');
+    if (!this.successor)
+      throw new Error('Wallet is not migrating.');
 
-    this.unlockCoinTXDB(outpoint);
-  }
+    if (options.successor !== this.successor)
+      throw new Error('Sweep proposal must pay to the successor.');
 
-  /**
-   * Unlock coin regardless it being locked by proposal.
-   * @param {Outpoint} outpoint
-   */
+    if (options.replaces != null)
+      throw new Error('Sweep proposal can not replace proposal.');
 
-  async forceUnlockCoin(outpoint) {
-    const isLocked = await this.isLocked(outpoint);
+    const txjson = options.txoptions || {};
 
-    // It's not locked by the proposal.
-    if (!isLocked) {
-      this.unlockCoinTXDB(outpoint);
-      return;
+    if (txjson.outputs != null || txjson.inputs != null)
+      throw new Error('Sweep proposal spends all coins to the successor.');
+
+    if (this.sweepPID !== -1) {
+      const sweep = await this.getProposal(this.sweepPID);
+
+      // broadcast sweep does not block the next one.
+      if (sweep && (this.readOnly ? sweep.isPending() : !sweep.isRejected()))
+        throw new Error('Sweep proposal already exists.');
     }
 
-    const pid = await this.getPIDByOutpoint(outpoint);
+    const stats = await this.getStats();
 
-    // We don't have pid, it means we have a bug.
-    // Coin should not be locked if there's no proposal.
-    assert(pid > -1, 'Proposal not found.');
+    if (stats.pending > 0)
+      throw new Error('Pending proposals must be closed before the sweep.');
 
-    // We reject proposal
-    await this.forceRejectProposal(pid, Proposal.status.UNLOCK);
-  }
+    const successor = await this.getSuccessor();
 
-  /**
-   * Create transaction
-   * This won't lock the coins
-   * NOTE: Transaction will not have
-   * input scripts/witness scripted.
-   * @async
-   * @param {Object} options
-   * @param {Number} options.rate - fee calculation rate
-   * @param {Number} options.maxFee - maximum allowed fee
-   * @param {String} options.selection - Coin selection priority. Can
-   * be `age`, `random`, or `all`. (default=age).
-   * @param {Boolean} options.free - Do not apply a fee if the
-   * transaction priority is high enough to be considered free.
-   * @param {Boolean} options.smart - smart coin selection
-   * @param {Boolean} options.subtractFee - whether to subtract fee from output
-   * @param {Number} options.subtractIndex - output index to subtract
-   * @param {Number} options.depth - number of confirmations
-   * @param {Amount?} options.hardFee - Use a hard fee rather than
-   * calculating one.
-   * @param {Output[]} options.outputs - transaction outputs
-   * @returns {Promise<bcoin.MTX>}
-   */
+    if (!successor)
+      throw new Error('Successor wallet not found.');
+
+    if (!successor.isInitialized())
+      throw new Error('Successor wallet is not initialized.');
+
+    const account = await successor.getAccount();
+    const txoptions = parseTXOptions(new Validator(txjson, false),
+      this.network);
 
-  async createTX(options) {
     const unlock = await this.coinLock.lock();
 
+    let proposal, mtx;
+
     try {
-      return await this._createTX(options);
+      mtx = await this._createSweepTX(account.receiveAddress(), txoptions);
+      proposal = await this.pdb.createProposal(
+        options,
+        cosigner,
+        mtx,
+        signature
+      );
     } finally {
       unlock();
     }
+
+    this.sweepPID = proposal.id;
+    await this.msdb.save(this);
+
+    return [proposal, mtx];
   }
 
   /**
-   * Create transaction lock
+   * Create transaction spending all unlocked coins
+   * to the address, fee is subtracted from the output.
+   * @private
+   * @param {Address} address
    * @param {Object} options {@link {MultisigWallet#createTX}
-   * @returns {Promise<bcoin.MTX>}
+   * @returns {Promise<MTX>}
+   * @throws {Error}
    */
 
-  _createTX(options) {
-    assert(options && typeof options === 'object');
-    return this.wallet.createTX(options);
+  async _createSweepTX(address, options) {
+    const coins = [];
+    let value = 0;
+
+    for (const coin of await this.getCoins()) {
+      if (this.isLockedTXDB(coin))
+        continue;
+
+      coins.push(coin);
+      value += coin.value;
+    }
+
+    if (coins.length === 0)
+      throw new Error('No coins to sweep.');
+
+    const mtx = new MTX();
+    mtx.addOutput(address, value);
+
+    return this._fundTX(mtx, coins, coins.map(c => Outpoint.fromCoin(c)), {
+      ...options,
+      selection: 'all',
+      subtractFee: true,
+      subtractIndex: 0
+    });
   }
 
   /**
-   * Create proposal
+   * Mark wallet read-only if the transaction
+   * broadcasts approved sweep proposal.
+   * @private
+   * @param {Number[]} pids - proposals spent by the transaction.
+   * @returns {Promise<Boolean>}
+   */
+
+  async checkSweep(pids) {
+    if (this.readOnly || !pids.includes(this.sweepPID))
+      return false;
+
+    const proposal = await this.getProposal(this.sweepPID);
+
+    if (!proposal || !proposal.isApproved())
+      return false;
+
+    this.readOnly = true;
+    await this.msdb.save(this);
+
+    this.logger.info('Wallet %s was swept to %s, it is read-only now.',
+      this.id, this.successor);
+
+    return true;
+  }
+
+  /**
+   * Get account
    * @async
-   * @param {Object} options - proposal options.
-   * @param {Cosigner} cosigner
-   * @param {Object} txoptions
-   * @param {Buffer} signature
-   * @returns {[Proposal, MTX]}
+   * @returns {Promise<MultisigAccount>}
    */
 
-  async createProposal(options, cosigner, txoptions, signature) {
+  async getAccount() {
+    const account = await this.wallet.getAccount(0);
+
+    return MultisigAccount.fromAccount(account);
+  }
+
+  /**
+   * Get derivation proof of the wallet address, so cosigners
+   * can recompute the address from their account keys.
+   * @param {Object} options
+   * @param {Address} [options.address]
+   * @param {Number} [options.branch] - used without address.
+   * @param {Number} [options.index] - used without address.
+   * @returns {Promise<Object?>} - null if address is not ours.
+   * @throws {Error}
+   */
+
+  async getAddressProof(options) {
+    assert(options && typeof options === 'object', 'Options are required.');
+
+    if (!this.isInitialized())
+      throw new Error('Wallet is not initialized.');
+
+    let {branch, index} = options;
+
+    if (options.address) {
+      assert(options.address instanceof Address, 'Bad address.');
+
+      const path = await this.wallet.getPath(options.address.getHash());
+
+      if (!path)
+        return null;
+
+      branch = path.branch;
+      index = path.index;
+    }
+
+    assert(branch === 0 || branch === 1 || branch === 2, 'Bad branch.');
+    assert((index >>> 0) === index, 'index must be a u32.');
+
+    if (branch === 2 && !this.witness)
+      throw new Error('Nested addresses need witness wallet.');
+
+    const account = await this.getAccount();
+    const ring = account.derivePath({ branch, index });
+
+    const keys = this.cosigners.map((cosigner) => {
+      const key = cosigner.deriveKey(branch, index);
+      const {fingerPrint, path} = cosigner.getDerivation(
+        branch,
+        index,
+        this.network
+      );
+
+      return {
+        cosigner: cosigner.id,
+        name: cosigner.name,
+        accountKey: cosigner.key.xpubkey(this.network),
+        publicKey: key.publicKey.toString('hex'),
+        fingerPrint,
+        path
+      };
+    });
+
+    let redeemScript = null;
+    let witnessScript = null;
+
+    if (this.witness) {
+      witnessScript = ring.script.toRaw().toString('hex');
+
+      if (ring.nested)
+        redeemScript = ring.getProgram().toRaw().toString('hex');
+    } else {
+      redeemScript = ring.script.toRaw().toString('hex');
+    }
+
+    return {
+      network: this.network.type,
+      address: ring.getAddress().toString(this.network),
+      branch,
+      index,
+      m: this.m,
+      n: this.n,
+      witness: this.witness,
+      nested: ring.nested,
+      script: ring.script.toRaw().toString('hex'),
+      redeemScript,
+      witnessScript,
+      keys
+    };
+  }
+
+  /**
+   * Get locked coins.
+   * @param {Boolean} onlyProposal
+   * @returns {Promise<Outpoint[]>}
+   */
+
+  async getLocked(onlyProposal = false) {
+    if (!onlyProposal)
+      return this.wallet.getLocked();
+
+    return this.pdb.getLockedOutpoints();
+  }
+
+  /**
+   * Lock the coins in TXDB.
+   * @param {Outpoint} outpoint
+   */
+
+  lockCoinTXDB(outpoint) {
+    this.wallet.lockCoin(outpoint);
+  }
+
+  /**
+   * Unlock transaction in TXDB.
+   * @param {Outpoint} outpoint
+   */
+
+  unlockCoinTXDB(outpoint) {
+    this.wallet.unlockCoin(outpoint);
+  }
+
+  /**
+   * Test locked status of a single coin in TXDB.
+   * @param {Outpoint} outpoint
+   * @param {Boolean}
+   */
+
+  isLockedTXDB(outpoint) {
+    return this.wallet.isLocked(outpoint);
+  }
+
+  /**
+   * Check if coin is locked in Proposal DB.
+   * @param {Outpoint} outpoint
+   * @returns {Boolean}
+   */
+
+  async isLocked(outpoint) {
+    return this.pdb.isLocked(outpoint);
+  }
+
+  /**
+   * Unlock coin if it's not in Proposal DB.
+   * @param {Outpoint} outpoint
+   * @throws {Error} - if coin is in Proposal DB.
+   */
+
+  async unlockCoin(outpoint) {
+    const isLocked = await this.pdb.isLocked(outpoint);
+
+    if (isLocked)
+      throw new Error('Can not unlock coin locked by proposal.');
+
+    this.unlockCoinTXDB(outpoint);
+  }
+
+  /**
+   * Unlock coin regardless it being locked by proposal.
+   * @param {Outpoint} outpoint
+   */
+
+  async forceUnlockCoin(outpoint) {
+    const isLocked = await this.isLocked(outpoint);
+
+    // It's not locked by the proposal.
+    if (!isLocked) {
+      this.unlockCoinTXDB(outpoint);
+      return;
+    }
+
+    const pid = await this.getPIDByOutpoint(outpoint);
+
+    // We don't have pid, it means we have a bug.
+    // Coin should not be locked if there's no proposal.
+    assert(pid > -1, 'Proposal not found.');
+
+    // We reject proposal
+    await this.forceRejectProposal(pid, Proposal.status.UNLOCK);
+  }
+
+  /**
+   * Create transaction
+   * This won't lock the coins
+   * NOTE: Transaction will not have
+   * input scripts/witness scripted.
+   * @async
+   * @param {Object} options
+   * @param {Number} options.rate - fee calculation rate
+   * @param {Number} options.maxFee - maximum allowed fee
+   * @param {String} options.selection - Coin selection priority. Can
+   * be `age`, `random`, or `all`. (default=age).
+   * @param {Boolean} options.free - Do not apply a fee if the
+   * transaction priority is high enough to be considered free.
+   * @param {Boolean} options.smart - smart coin selection
+   * @param {Boolean} options.subtractFee - whether to subtract fee from output
+   * @param {Number} options.subtractIndex - output index to subtract
+   * @param {Number} options.depth - number of confirmations
+   * @param {Number} options.locktime - transaction locktime
+   * @param {Amount?} options.hardFee - Use a hard fee rather than
+   * calculating one.
+   * @param {Output[]} options.outputs - transaction outputs
+   * @param {Outpoint[]} [options.inputs] - spend only (and all) of
+   * these coins.
+   * @returns {Promise<bcoin.MTX>}
+   */
+
+  async createTX(options) {
     const unlock = await this.coinLock.lock();
 
     try {
-      return await this._createProposal(
-        options,
-        cosigner,
-        txoptions,
-        signature
-      );
+      return await this._createTX(options);
     } finally {
       unlock();
     }
   }
 
   /**
-   * Create proposal without lock
-   * @async
-   * @param {Object} options - proposal options.
-   * @param {Object} options.txoptions - transaction options.
-   * @param {Cosigner} cosigner
-   * @param {Object} txoptions
-   * @param {Buffer} signature
-   * @returns {[Proposal, MTX]}
+   * Create transaction lock
+   * @param {Object} options {@link {MultisigWallet#createTX}
+   * @param {Number} [pid=-1] - proposal that can reuse its coins.
+   * @returns {Promise<bcoin.MTX>}
    */
 
-  async _createProposal(options, cosigner, txoptions, signature) {
-    const mtx = await this._createTX(txoptions);
-    const proposal = await this.pdb.createProposal(
-      options,
-      cosigner,
-      mtx,
-      signature
-    );
+  async _createTX(options, pid = -1) {
+    assert(options && typeof options === 'object');
 
-    return [proposal, mtx];
+    if (!options.inputs || options.inputs.length === 0) {
+      const mtx = await this.wallet.createTX(options);
+
+      setReplaceable(mtx);
+
+      return mtx;
+    }
+
+    const coins = await this.getInputCoins(options.inputs, pid,
+      options.depth);
+    const mtx = new MTX();
+
+    for (const output of options.outputs) {
+      mtx.addOutput(output);
+
+      if (mtx.outputs[mtx.outputs.length - 1].isDust())
+        throw new Error('Output is dust.');
+    }
+
+    // selected coins are the only coins to spend.
+    return this._fundTX(mtx, coins, options.inputs, {
+      ...options,
+      selection: 'all'
+    });
   }
 
   /**
-   * Get proposal
-   * @async
-   * @param {Number} id
-   * @returns {Promise<Proposal?>}
+   * Get coins selected by the cosigner.
+   * @param {Outpoint[]} outpoints
+   * @param {Number} [pid=-1] - proposal that can reuse its coins.
+   * @param {Number} [depth=-1] - required number of confirmations.
+   * @returns {Promise<Coin[]>}
+   * @throws {Error}
+   */
+
+  async getInputCoins(outpoints, pid = -1, depth = -1) {
+    assert(Array.isArray(outpoints));
+
+    const height = this.wallet.wdb.state.height;
+    const seen = new BufferSet();
+    const coins = [];
+
+    for (const outpoint of outpoints) {
+      const key = outpoint.toKey();
+
+      if (seen.has(key))
+        throw new Error('Duplicate input.');
+
+      seen.add(key);
+
+      const coin = await this.getCoin(outpoint.hash, outpoint.index);
+
+      if (!coin)
+        throw new Error('Input coin not found.');
+
+      if (depth != null && coin.getDepth(height) < depth)
+        throw new Error('Input coin does not have enough confirmations.');
+
+      if (await this.pdb.isLocked(outpoint)) {
+        if (pid === -1 || await this.getPIDByOutpoint(outpoint) !== pid)
+          throw new Error('Input coin is locked by another proposal.');
+      } else if (this.isLockedTXDB(outpoint)) {
+        throw new Error('Input coin is locked.');
+      }
+
+      coins.push(coin);
+    }
+
+    return coins;
+  }
+
+  /**
+   * Fund transaction spending all of the inputs.
+   * @private
+   * @param {MTX} mtx
+   * @param {Coin[]} coins - coins available for the selection.
+   * @param {Outpoint[]} inputs - coins that must be spent.
+   * @param {Object} options {@link {MultisigWallet#createTX}
+   * @returns {Promise<bcoin.MTX>}
+   */
+
+  async _fundTX(mtx, coins, inputs, options) {
+    const account = await this.getAccount();
+
+    let rate = options.rate;
+
+    if (rate == null)
+      rate = await this.wallet.wdb.estimateFee(options.blocks);
+
+    await mtx.fund(coins, {
+      inputs: inputs,
+      selection: options.selection,
+      round: options.round,
+      hardFee: options.hardFee,
+      subtractFee: options.subtractFee,
+      subtractIndex: options.subtractIndex,
+      rate: rate,
+      maxFee: options.maxFee,
+      height: this.wallet.wdb.state.height,
+      changeAddress: account.changeAddress(),
+      estimate: prev => this.wallet.estimateSize(prev)
+    });
+
+    for (const prevout of inputs) {
+      if (!mtx.inputs.some(input => input.prevout.equals(prevout)))
+        throw new Error('Could not spend all of the inputs.');
+    }
+
+    setReplaceable(mtx);
+
+    if (options.sort !== false)
+      mtx.sortMembers();
+
+    if (options.locktime != null)
+      mtx.setLocktime(options.locktime);
+
+    await this.wallet.template(mtx);
+
+    return mtx;
+  }
+
+  /**
+   * Create transaction replacing (RBF) the transaction
+   * of the approved proposal that is stuck in the mempool.
+   * All inputs of the original transaction are reused
+   * and it pays to the same outputs (except change),
+   * additional coins are selected if necessary.
+   * @param {Number} pid - id of the proposal to replace
+   * @param {Object} options
+   * @param {Number} options.rate - new fee rate
+   * @param {Number} options.maxFee - maximum allowed fee
+   * @param {String} options.selection - Coin selection priority.
+   * @returns {Promise<bcoin.MTX>}
+   * @throws {Error}
+   */
+
+  async _createBumpTX(pid, options) {
+    assert(options && typeof options === 'object');
+
+    if (options.rate == null)
+      throw new Error('Fee rate is required for the replacement.');
+
+    const proposal = await this.pdb.getProposal(pid);
+
+    if (!proposal)
+      throw new Error('Proposal to replace not found.');
+
+    if (!proposal.isApproved())
+      throw new Error('Can only replace approved proposal.');
+
+    const tx = await this.pdb.getTX(pid);
+    const wtx = await this.wallet.getTX(tx.hash());
+
+    if (!wtx)
+      throw new Error('Proposal transaction has not been broadcast.');
+
+    if (wtx.height !== -1)
+      throw new Error('Proposal transaction is already confirmed.');
+
+    const view = await this.getCoinView(tx);
+    const prevouts = [];
+    const coins = [];
+
+    // Coins are spent by the original transaction,
+    // so they are not in the wallet coin selection.
+    for (const input of tx.inputs) {
+      const coin = view.getCoinFor(input);
+
+      if (!coin)
+        throw new Error('Could not find coin for the replacement.');
+
+      if (await this.pdb.isLocked(input.prevout))
+        throw new Error('Proposal is already being replaced.');
+
+      prevouts.push(input.prevout);
+      coins.push(coin);
+    }
+
+    const mtx = new MTX();
+
+    for (const output of tx.outputs) {
+      const addr = output.getAddress();
+      const path = addr ? await this.wallet.getPath(addr.getHash()) : null;
+
+      // change will be recalculated.
+      if (path && path.branch === 1)
+        continue;
+
+      mtx.addOutput(output);
+    }
+
+    // replacement can't spend outputs of the original.
+    const descendants = await this.getDescendants(tx.hash());
+
+    for (const coin of await this.getCoins()) {
+      if (this.isLockedTXDB(coin) || descendants.has(coin.hash))
+        continue;
+
+      coins.push(coin);
+    }
+
+    await this._fundTX(mtx, coins, prevouts, {
+      selection: options.selection,
+      rate: options.rate,
+      maxFee: options.maxFee,
+      sort: options.sort
+    });
+
+    if (mtx.getFee() <= tx.getFee(view))
+      throw new Error('Replacement fee must be higher than original fee.');
+
+    return mtx;
+  }
+
+  /**
+   * Get hashes of the transaction and unconfirmed wallet
+   * transactions spending its outputs (directly or not).
+   * @param {Hash} hash
+   * @returns {Promise<BufferSet>}
+   */
+
+  async getDescendants(hash) {
+    const hashes = new BufferSet();
+    const pending = await this.wallet.getPending();
+
+    hashes.add(hash);
+
+    let found = true;
+
+    while (found) {
+      found = false;
+
+      for (const wtx of pending) {
+        if (hashes.has(wtx.hash))
+          continue;
+
+        if (wtx.tx.inputs.some(input => hashes.has(input.prevout.hash))) {
+          hashes.add(wtx.hash);
+          found = true;
+        }
+      }
+    }
+
+    return hashes;
+  }
+
+  /**
+   * Estimate proposal transaction without locking coins
+   * or creating the proposal (dry run).
+   * @param {Object} txoptions {@link {MultisigWallet#createTX}
+   * @param {Number} [replaces] - id of the bumped proposal.
+   * @returns {Promise<Object>} - {fee, rate, size, vsize, weight,
+   * inputs, outputs, change, changeIndex, coins}
+   * @throws {Error}
+   */
+
+  async estimateProposal(txoptions, replaces) {
+    const unlock = await this.coinLock.lock();
+
+    try {
+      let mtx;
+
+      if (replaces != null)
+        mtx = await this._createBumpTX(replaces, txoptions);
+      else
+        mtx = await this._createTX(txoptions);
+
+      return this.getTXEstimate(mtx);
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Get fee and size summary of the funded transaction,
+   * sizes are estimated for the fully signed transaction.
+   * @param {MTX} mtx
+   * @returns {Object}
+   */
+
+  getTXEstimate(mtx) {
+    let base = 4 + 4; // version, locktime
+    let witness = 0;
+
+    base += encoding.sizeVarint(mtx.inputs.length);
+    base += encoding.sizeVarint(mtx.outputs.length);
+
+    for (const output of mtx.outputs)
+      base += output.getSize();
+
+    const coins = [];
+
+    for (const input of mtx.inputs) {
+      const coin = mtx.view.getCoinFor(input);
+
+      assert(coin, 'Coin not found.');
+
+      const size = this.getSignedInputSize(coin.script);
+
+      base += size.base;
+      witness += size.witness;
+
+      coins.push(coin);
+    }
+
+    // segwit marker and flag.
+    if (witness > 0)
+      witness += 2;
+
+    const weight = base * 4 + witness;
+    const vsize = Math.ceil(weight / 4);
+    const fee = mtx.getFee();
+    const changeIndex = mtx.changeIndex;
+
+    return {
+      fee: fee,
+      rate: Math.floor(fee * 1000 / vsize),
+      size: base + witness,
+      vsize: vsize,
+      weight: weight,
+      inputs: mtx.inputs.length,
+      outputs: mtx.outputs.length,
+      change: changeIndex !== -1 ? mtx.outputs[changeIndex].value : null,
+      changeIndex: changeIndex,
+      coins: coins
+    };
+  }
+
+  /**
+   * Get size of the input spending m-of-n multisig
+   * output, when it is signed by m cosigners.
+   * @param {Script} script - script of the spent coin.
+   * @returns {Object} - {base, witness} sizes in bytes.
+   */
+
+  getSignedInputSize(script) {
+    // OP_m <n pubkeys> OP_n OP_CHECKMULTISIG
+    const redeem = 3 + 34 * this.n;
+
+    // DER signature with the sighash type and push.
+    const sigs = this.m * (1 + 73);
+
+    // outpoint and sequence
+    const base = 32 + 4 + 4;
+
+    if (script.isScripthash() && !this.witness) {
+      // OP_PUSHDATA1/2 for the larger scripts.
+      let push = 1;
+
+      if (redeem > 0xff)
+        push = 3;
+      else if (redeem >= 0x4c)
+        push = 2;
+
+      const size = 1 + sigs + push + redeem;
+
+      return {
+        base: base + encoding.sizeVarint(size) + size,
+        witness: 0
+      };
+    }
+
+    // empty item for the CHECKMULTISIG bug.
+    const witness = encoding.sizeVarint(this.m + 2)
+      + 1
+      + sigs
+      + encoding.sizeVarint(redeem) + redeem;
+
+    // P2SH nested: push of the witness program.
+    if (script.isScripthash()) {
+      return {
+        base: base + 1 + 1 + 34,
+        witness: witness
+      };
+    }
+
+    return {
+      base: base + 1,
+      witness: witness
+    };
+  }
+
+  /**
+   * Create proposal
+   * @async
+   * @param {Object} options - proposal options.
+   * @param {Number} [options.replaces] - bump fee of approved proposal.
+   * @param {Cosigner} cosigner
+   * @param {Object} txoptions
+   * @param {Buffer} signature
+   * @returns {[Proposal, MTX]}
+   */
+
+  async createProposal(options, cosigner, txoptions, signature) {
+    this.ensureWritable();
+
+    const unlock = await this.coinLock.lock();
+
+    try {
+      return await this._createProposal(
+        options,
+        cosigner,
+        txoptions,
+        signature
+      );
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Create proposal without lock
+   * @async
+   * @param {Object} options - proposal options.
+   * @param {Object} options.txoptions - transaction options.
+   * @param {Cosigner} cosigner
+   * @param {Object} txoptions
+   * @param {Buffer} signature
+   * @returns {[Proposal, MTX]}
+   */
+
+  async _createProposal(options, cosigner, txoptions, signature) {
+    let mtx;
+
+    if (options.replaces != null)
+      mtx = await this._createBumpTX(options.replaces, txoptions);
+    else
+      mtx = await this._createTX(txoptions);
+
+    const proposal = await this.pdb.createProposal(
+      options,
+      cosigner,
+      mtx,
+      signature
+    );
+
+    return [proposal, mtx];
+  }
+
+  /**
+   * Create single proposal paying to the list of recipients.
+   * @param {Object} options - signed proposal options.
+   * @param {String} options.memo
+   * @param {Number} options.timestamp
+   * @param {String|Object[]} options.payouts - CSV or list of
+   * `{address, amount, label}`, see {@link payouts.parsePayouts}.
+   * @param {Object} [options.txoptions] - http transaction options
+   * without outputs (rate, subtractFee...).
+   * @param {Cosigner} cosigner
+   * @param {Buffer} signature
+   * @returns {Promise<Array>} - [Proposal, MTX]
+   * @throws {Error}
+   */
+
+  async createBatchProposal(options, cosigner, signature) {
+    assert(options && typeof options === 'object', 'Options are required.');
+    this.ensureWritable();
+
+    if (options.replaces != null)
+      throw new Error('Batch proposal can not replace proposal.');
+
+    const txjson = options.txoptions || {};
+
+    if (txjson.outputs != null)
+      throw new Error('Batch proposal outputs are set by payouts.');
+
+    const list = payouts.parsePayouts(options.payouts, this.network);
+    const txoptions = parseTXOptions(new Validator(txjson, false),
+      this.network);
+
+    txoptions.outputs = list.map(({address, value}) => {
+      return { address, value };
+    });
+
+    const unlock = await this.coinLock.lock();
+
+    try {
+      const mtx = await this._createTX(txoptions);
+      const labels = payouts.getOutputLabels(mtx, list);
+
+      const proposal = await this.pdb.createProposal(
+        options,
+        cosigner,
+        mtx,
+        signature,
+        null,
+        labels
+      );
+
+      return [proposal, mtx];
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Amend pending proposal, coins of the proposal
+   * can be reused by the new transaction.
+   * @param {Number} id
+   * @param {Object} options - new signed proposal options.
+   * @param {Cosigner} cosigner - author of the proposal.
+   * @param {Object} txoptions
+   * @param {Buffer} signature - `CREATE` signature of the options.
+   * @returns {Promise<Array>} - [Proposal, MTX]
+   * @throws {Error}
+   */
+
+  async amendProposal(id, options, cosigner, txoptions, signature) {
+    this.ensureWritable();
+
+    const unlock = await this.coinLock.lock();
+
+    try {
+      return await this._amendProposal(
+        id,
+        options,
+        cosigner,
+        txoptions,
+        signature
+      );
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Amend proposal without lock
+   * @param {Number} id
+   * @param {Object} options
+   * @param {Cosigner} cosigner
+   * @param {Object} txoptions
+   * @param {Buffer} signature
+   * @returns {Promise<Array>} - [Proposal, MTX]
+   */
+
+  async _amendProposal(id, options, cosigner, txoptions, signature) {
+    const proposal = await this.getProposal(id);
+
+    if (!proposal)
+      throw new Error('Proposal not found.');
+
+    const outpoints = await this.getProposalOutpoints(proposal.id);
+
+    // make coins of the proposal available for the selection.
+    for (const outpoint of outpoints)
+      this.unlockCoinTXDB(outpoint);
+
+    let amended, mtx;
+
+    try {
+      mtx = await this._createTX(txoptions, proposal.id);
+      amended = await this.pdb.amendProposal(
+        proposal.id,
+        options,
+        cosigner,
+        mtx,
+        signature
+      );
+    } catch (e) {
+      for (const outpoint of outpoints)
+        this.lockCoinTXDB(outpoint);
+
+      throw e;
+    }
+
+    return [amended, mtx];
+  }
+
+  /**
+   * Get proposal
+   * @async
+   * @param {Number} id
+   * @returns {Promise<Proposal?>}
+   */
+
+  getProposal(id) {
+    return this.pdb.getProposal(id);
+  }
+
+  /**
+   * Get proposal with MTX
+   * @param {Number} id
+   * @returns {Promise<Proposal, bcoin.MTX>}
+   */
+
+  async getProposalMTX(id) {
+    const tx = await this.getProposalTX(id);
+
+    if (!tx)
+      return null;
+
+    const view = await this.getCoinView(tx);
+    const mtx = MTX.fromTX(tx);
+    mtx.view = view;
+
+    return mtx;
+  }
+
+  /**
+   * Get proposal TX
+   * @param {Number} id
+   * @returns {Promise<TX?>}
+   */
+
+  getProposalTX(id) {
+    return this.pdb.getTX(id);
+  }
+
+  /**
+   * Get proposal coins
+   * @param {Number} id
+   * @returns {Promise<Coin[]?>}
+   */
+
+  getProposalOutpoints(pid) {
+    return this.pdb.getProposalOutpoints(pid);
+  }
+
+  /**
+   * Get proposal by outpoint/coin
+   * @async
+   * @param {Outpoint|Coin} outpoint
+   * @returns {Promise<Proposal?>}
+   */
+
+  getProposalByOutpoint(outpoint) {
+    return this.pdb.getProposalByOutpoint(outpoint);
+  }
+
+  /**
+   * Get proposal id by Outpoint/Coin
+   * @async
+   * @param {Outpoint|Coin} outpoint
+   * @returns {Promise<Number>} - proposal id
+   */
+
+  getPIDByOutpoint(outpoint) {
+    return this.pdb.getPIDByOutpoint(outpoint);
+  }
+
+  /**
+   * Get coin by outpoint
+   * @param {Hash} hash
+   * @param {Number} index
+   * @returns {Promise<Coin>}
+   */
+
+  getCoin(hash, index) {
+    return this.wallet.getCoin(hash, index);
+  }
+
+  /**
+   * Get spent coin
+   */
+
+  getSpentCoin(outpoint, prevout) {
+    return this.wallet.getSpentCoin(outpoint, prevout);
+  }
+
+  /**
+   * Get spending outpoint of the coin.
+   * @param {Hash} hash
+   * @param {Number} index
+   * @returns {Promise<Outpoint?>}
+   */
+
+  getSpent(hash, index) {
+    return this.wallet.txdb.getSpent(hash, index);
+  }
+
+  /**
+   * Get wallet transaction record.
+   * @param {Hash} hash
+   * @returns {Promise<TXRecord?>}
+   */
+
+  getTX(hash) {
+    return this.wallet.getTX(hash);
+  }
+
+  /**
+   * Get coins.
+   * @returns {Promise<Coin[]>}
+   */
+
+  getCoins() {
+    return this.wallet.getCoins(0);
+  }
+
+  /**
+   * Get "smart" coins.
+   * @returns {Promise<Coin[]>}
+   */
+
+  getSmartCoins() {
+    return this.wallet.getSmartCoins(0);
+  }
+
+  /**
+   * Get transaction input paths
+   * @async
+   * @param {MTX} mtx
+   * @returns {Promise<Path[]>}
+   */
+
+  async getInputPaths(mtx) {
+    assert(!mtx.isCoinbase());
+    assert(mtx.mutable);
+
+    const table = new BufferMap();
+    const paths = [];
+
+    for (const input of mtx.inputs) {
+      const coin = mtx.view.getOutputFor(input);
+      const addr = input.getAddress(coin);
+
+      if (!addr) {
+        paths.push(null);
+        continue;
+      }
+
+      const hash = addr.getHash();
+      let path;
+
+      if (!table.has(hash)) {
+        path = await this.wallet.getPath(hash);
+        table.set(hash, path);
+      } else {
+        path = table.get(hash);
+      }
+
+      if (!path) {
+        paths.push(null);
+        continue;
+      }
+
+      paths.push(path);
+    }
+
+    return paths;
+  }
+
+  /**
+   * Get rings
+   * @param {MTX} mtx
+   * @param {Path[]?} paths
+   * @returns {Promise<KeyRing[]>}
+   */
+
+  async deriveInputs(mtx, paths) {
+    if (!paths)
+      paths = await this.getInputPaths(mtx);
+
+    const rings = [];
+    const account = await this.getAccount();
+
+    for (const path of paths) {
+      const ring = account.derivePath(path);
+
+      if (!ring)
+        rings.push(null);
+      else
+        rings.push(ring);
+    }
+
+    return rings;
+  }
+
+  /**
+   * Get unsigned proposal transaction.
+   * @param {MTX} mtx
+   * @returns {TX}
+   */
+
+  getUnsignedTX(mtx) {
+    const msMTX = MultisigMTX.fromMTX(mtx);
+    msMTX.emptyInputs();
+
+    return msMTX.toTX();
+  }
+
+  /**
+   * Get proposal transaction as PSBT (BIP174).
+   * Includes scripts, derivations for every cosigner key,
+   * previous transactions and already approved signatures.
+   * @param {Number} id
+   * @returns {Promise<PSBT?>}
+   */
+
+  async getProposalPSBT(id) {
+    const proposal = await this.getProposal(id);
+
+    if (!proposal)
+      return null;
+
+    const mtx = await this.getProposalMTX(id);
+    const paths = await this.getInputPaths(mtx);
+    const rings = await this.deriveInputs(mtx, paths);
+    const psbt = PSBT.fromTX(this.getUnsignedTX(mtx));
+
+    for (const [i, input] of mtx.inputs.entries()) {
+      const ring = rings[i];
+      const psbtInput = psbt.inputs[i];
+
+      if (!ring)
+        continue;
+
+      const coin = mtx.view.getCoinFor(input);
+      const record = await this.wallet.getTX(input.prevout.hash);
+
+      if (record)
+        psbtInput.nonWitnessUTXO = record.tx;
+
+      if (this.witness) {
+        psbtInput.witnessUTXO = new Output({
+          value: coin.value,
+          script: coin.script
+        });
+
+        psbtInput.witnessScript = ring.script;
+
+        if (ring.nested)
+          psbtInput.redeemScript = ring.getProgram();
+      } else {
+        psbtInput.redeemScript = ring.script;
+      }
+
+      psbtInput.sighash = bcoin.Script.hashType.ALL;
+
+      this.addPSBTDerivations(psbtInput, ring.branch, ring.index);
+
+      for (const [cid, signatures] of proposal.approvals) {
+        const signature = signatures.signatures.get(i);
+
+        if (!signature)
+          continue;
+
+        const cosigner = this.cosigners[cid];
+        const key = cosigner.deriveKey(ring.branch, ring.index).publicKey;
+
+        psbtInput.partialSigs.set(key, signature);
+      }
+    }
+
+    const account = await this.getAccount();
+
+    for (const [i, output] of mtx.outputs.entries()) {
+      const addr = output.getAddress();
+
+      if (!addr)
+        continue;
+
+      const path = await this.wallet.getPath(addr.getHash());
+
+      if (!path)
+        continue;
+
+      const ring = account.derivePath(path);
+      const psbtOutput = psbt.outputs[i];
+
+      if (this.witness) {
+        psbtOutput.witnessScript = ring.script;
+
+        if (ring.nested)
+          psbtOutput.redeemScript = ring.getProgram();
+      } else {
+        psbtOutput.redeemScript = ring.script;
+      }
+
+      this.addPSBTDerivations(psbtOutput, path.branch, path.index);
+    }
+
+    return psbt;
+  }
+
+  /**
+   * Add BIP32 derivations of all cosigners.
+   * @private
+   * @param {PSBTInput|PSBTOutput} map
+   * @param {Number} branch
+   * @param {Number} index
+   */
+
+  addPSBTDerivations(map, branch, index) {
+    for (const cosigner of this.cosigners) {
+      const key = cosigner.deriveKey(branch, index).publicKey;
+      const {fingerPrint, path} = cosigner.getDerivation(
+        branch,
+        index,
+        this.network
+      );
+
+      map.derivations.set(key, new PSBT.Derivation(fingerPrint, path));
+    }
+  }
+
+  /**
+   * Extract cosigner signatures from the PSBT.
+   * @param {Number} id - proposal id
+   * @param {Cosigner} cosigner
+   * @param {PSBT} psbt
+   * @returns {Promise<Buffer[]?>} - signature per input (or null).
+   * @throws {Error}
+   */
+
+  async getPSBTSignatures(id, cosigner, psbt) {
+    assert(PSBT.isPSBT(psbt), 'psbt must be a PSBT.');
+
+    const mtx = await this.getProposalMTX(id);
+
+    if (!mtx)
+      return null;
+
+    const tx = this.getUnsignedTX(mtx);
+
+    if (!psbt.tx.hash().equals(tx.hash()))
+      throw new Error('PSBT does not match proposal transaction.');
+
+    const paths = await this.getInputPaths(mtx);
+    const keys = paths.map((path) => {
+      if (!path)
+        return null;
+
+      return cosigner.deriveKey(path.branch, path.index).publicKey;
+    });
+
+    return psbt.getSignatures(keys);
+  }
+
+   /**
+   * Get a coin viewpoint.
+   * Includes coins that were already spent,
+   * e.g. by the transaction being replaced.
+   * @param {TX} tx
+   * @returns {Promise<CoinView>}
+   */
+
+  async getCoinView(tx) {
+    const view = await this.wallet.getCoinView(tx);
+
+    for (const {prevout} of tx.inputs) {
+      if (view.hasEntry(prevout))
+        continue;
+
+      const {hash, index} = prevout;
+      const spent = await this.wallet.txdb.getSpent(hash, index);
+
+      if (!spent)
+        continue;
+
+      const coin = await this.getSpentCoin(spent, prevout);
+
+      if (coin)
+        view.addCoin(coin);
+    }
+
+    return view;
+  }
+
+  /**
+   * Set spending policy of the wallet.
+   * @param {SpendingPolicy?} policy - null or empty policy removes it.
+   * @returns {Promise<SpendingPolicy?>}
+   * @throws {Error}
+   */
+
+  async setPolicy(policy) {
+    if (policy) {
+      assert(SpendingPolicy.isSpendingPolicy(policy));
+
+      policy.verify(this.m, this.n, this.getQuorumCosigners());
+
+      if (policy.isEmpty())
+        policy = null;
+    }
+
+    this.policy = policy;
+
+    await this.msdb.save(this);
+
+    return this.policy;
+  }
+
+  /**
+   * Get cosigners to verify quorum rules against,
+   * null until all cosigners have joined.
+   * @returns {Cosigner[]?}
+   */
+
+  getQuorumCosigners() {
+    if (!this.isInitialized())
+      return null;
+
+    return this.cosigners;
+  }
+
+  /**
+   * Set weight and role of the cosigner.
+   * @param {Number} id - cosigner id.
+   * @param {Number} [weight] - keep current if null.
+   * @param {String} [role] - keep current if null.
+   * @returns {Promise<Cosigner>}
+   * @throws {Error}
+   */
+
+  async setCosignerRole(id, weight, role) {
+    const cosigner = this.cosigners[id];
+
+    if (!cosigner)
+      throw new Error('Cosigner not found.');
+
+    const updated = cosigner.clone().setRole(weight, role);
+
+    if (this.policy && this.isInitialized()) {
+      const cosigners = this.cosigners.slice();
+      cosigners[id] = updated;
+
+      if (!this.policy.checkQuorum(cosigners))
+        throw new Error('Quorum rules can not be satisfied by cosigners.');
+    }
+
+    cosigner.setRole(weight, role);
+
+    await this.msdb.save(this);
+
+    return cosigner;
+  }
+
+  /**
+   * Set veto flag of the cosigner, rejection from
+   * the veto holder rejects the proposal.
+   * @param {Number} id - cosigner id.
+   * @param {Boolean} veto
+   * @returns {Promise<Cosigner>}
+   * @throws {Error}
+   */
+
+  async setCosignerVeto(id, veto) {
+    const cosigner = this.cosigners[id];
+
+    if (!cosigner)
+      throw new Error('Cosigner not found.');
+
+    cosigner.setVeto(veto);
+
+    await this.msdb.save(this);
+
+    return cosigner;
+  }
+
+  /**
+   * Check whether approving cosigners
+   * satisfy the quorum rules of the policy.
+   * @param {Iterable<Number>} ids - cosigner ids.
+   * @returns {Boolean}
+   */
+
+  hasQuorum(ids) {
+    if (!this.policy || !this.policy.hasQuorumRule())
+      return true;
+
+    const cosigners = [];
+
+    for (const id of ids)
+      cosigners.push(this.cosigners[id]);
+
+    return this.policy.checkQuorum(cosigners);
+  }
+
+  /**
+   * Get outputs not owned by the wallet.
+   * @param {TX} tx
+   * @returns {Promise<Output[]>}
+   */
+
+  async getOutgoingOutputs(tx) {
+    const outputs = [];
+
+    for (const output of tx.outputs) {
+      const addr = output.getAddress();
+
+      if (addr && await this.wallet.getPath(addr.getHash()))
+        continue;
+
+      outputs.push(output);
+    }
+
+    return outputs;
+  }
+
+  /**
+   * Get outgoing outputs checked by the spending policy,
+   * sweep to the successor wallet is exempt.
+   * @param {TX} tx
+   * @returns {Promise<Output[]>}
+   */
+
+  async getPolicyOutputs(tx) {
+    const outputs = await this.getOutgoingOutputs(tx);
+    const successor = await this.getSuccessor();
+
+    if (!successor)
+      return outputs;
+
+    const result = [];
+
+    for (const output of outputs) {
+      const addr = output.getAddress();
+
+      if (addr && await successor.wallet.getPath(addr.getHash()))
+        continue;
+
+      result.push(output);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get value leaving the wallet, counted by the spending policy.
+   * @param {TX} tx
+   * @returns {Promise<Number>}
+   */
+
+  async getOutgoingValue(tx) {
+    const outputs = await this.getPolicyOutputs(tx);
+
+    let value = 0;
+
+    for (const output of outputs)
+      value += output.value;
+
+    return value;
+  }
+
+  /**
+   * Get value spent by proposals approved in the last day.
+   * NOTE: This does not use proposal locks.
+   * @param {Number} exclude - proposal id to skip.
+   * @param {Boolean} pending - include pending proposals.
+   * @param {Number} [replaces=-1] - approved proposal id to skip.
+   * @param {Number} [now=util.now()]
+   * @returns {Promise<Number>}
+   */
+
+  async getDailyOutflow(exclude, pending, replaces = -1, now = util.now()) {
+    const {DAY} = SpendingPolicy;
+    let spent = await this.pdb.getOutflow(DAY, now, replaces);
+
+    if (!pending)
+      return spent;
+
+    const proposals = await this.pdb.getPendingProposals();
+
+    for (const proposal of proposals) {
+      if (proposal.id === exclude)
+        continue;
+
+      const tx = await this.pdb._getTX(proposal.id);
+      spent += await this.getOutgoingValue(tx);
+    }
+
+    return spent;
+  }
+
+  /**
+   * Get approved outflow over the rolling windows.
+   * @param {Number} [now=util.now()]
+   * @param {Number} [exclude=-1] - proposal id to skip.
+   * @returns {Promise<OutflowStats>}
+   */
+
+  getOutflowStats(now, exclude) {
+    return this.pdb.getOutflowStats(now, exclude);
+  }
+
+  /**
+   * Check transaction outputs against spending policy.
+   * @param {TX} tx
+   * @param {Number} [replaces=-1] - id of the bumped proposal,
+   * its outflow is not counted.
+   * @returns {Promise<Number>} - number of required approvals.
+   * @throws {PolicyError}
+   */
+
+  async checkPolicy(tx, replaces = -1) {
+    if (!this.policy)
+      return this.m;
+
+    const outputs = await this.getPolicyOutputs(tx);
+
+    this.policy.checkOutputs(outputs, this.network);
+
+    if (this.policy.addressBook) {
+      const entries = await this.getAddressBook();
+      this.policy.checkAddressBook(outputs, entries, this.network);
+    }
+
+    let value = 0;
+
+    for (const output of outputs)
+      value += output.value;
+
+    if (this.policy.hasVelocity()) {
+      const outflow = await this.getOutflowStats(util.now(), replaces);
+
+      if (this.policy.checkVelocity(outflow, value))
+        return this.n;
+    }
+
+    return this.policy.getRequired(value, this.m);
+  }
+
+  /**
+   * Check transaction against daily limit of the policy.
+   * @param {TX} tx
+   * @param {Number} pid - proposal id of the transaction (or -1).
+   * @param {Boolean} pending - count pending proposals.
+   * @param {Number} [replaces=-1] - id of the bumped proposal,
+   * its outflow is not counted.
+   * @throws {PolicyError}
+   */
+
+  async checkDailyLimit(tx, pid, pending, replaces = -1) {
+    if (!this.policy || this.policy.dailyLimit === 0)
+      return;
+
+    const value = await this.getOutgoingValue(tx);
+    const spent = await this.getDailyOutflow(pid, pending, replaces);
+
+    this.policy.checkDailyLimit(spent, value);
+  }
+
+  /**
+   * Get address book of the wallet.
+   * @returns {Promise<AddressEntry[]>}
+   */
+
+  getAddressBook() {
+    return this.msdb.getAddressBook(this.wid);
+  }
+
+  /**
+   * Get address book entry.
+   * @param {Address} address
+   * @returns {Promise<AddressEntry?>}
+   */
+
+  getAddressEntry(address) {
+    return this.msdb.getAddressEntry(this.wid, Script.fromAddress(address));
+  }
+
+  /**
+   * Add address to the address book.
+   * @param {Object} options - signed entry options.
+   * @param {String} options.address
+   * @param {String} options.label
+   * @param {Number} options.timestamp
+   * @param {Cosigner} cosigner
+   * @param {Buffer} signature
+   * @returns {Promise<AddressEntry>}
+   * @throws {Error}
+   */
+
+  async addAddressEntry(options, cosigner, signature) {
+    assert(options && typeof options === 'object', 'Options are required.');
+    assert(typeof options.address === 'string', 'Address is required.');
+    assert(Cosigner.isCosigner(cosigner), 'Cosigner is required.');
+
+    const entry = AddressEntry.fromOptions({
+      address: Address.fromString(options.address, this.network),
+      label: options.label,
+      author: cosigner.id,
+      timestamp: options.timestamp,
+      signature: signature,
+      options: options
+    });
+
+    if (!entry.verifySignature(this.id, cosigner.authPubKey))
+      throw new Error('address entry signature is not valid.');
+
+    return this.msdb.addAddressEntry(this.wid, entry);
+  }
+
+  /**
+   * Remove address from the address book. Cosigner signs the
+   * removal of the exact entry (`options.entry` is the signature
+   * of the entry), so it can't be replayed if the address is added again.
+   * Removal without cosigner is used by the admin.
+   * @param {Address} address
+   * @param {Cosigner} [cosigner]
+   * @param {Object} [options] - signed removal options.
+   * @param {String} options.address
+   * @param {String} options.entry - entry signature (hex).
+   * @param {Number} options.timestamp
+   * @param {Buffer} [signature]
+   * @returns {Promise<Boolean>}
+   * @throws {Error}
+   */
+
+  async removeAddressEntry(address, cosigner, options, signature) {
+    assert(address instanceof Address, 'Address is required.');
+
+    const script = Script.fromAddress(address);
+
+    if (cosigner) {
+      assert(Cosigner.isCosigner(cosigner), 'Cosigner is required.');
+      assert(options && typeof options === 'object', 'Removal is required.');
+      assert(Buffer.isBuffer(signature), 'Signature is required.');
+
+      const entry = await this.msdb.getAddressEntry(this.wid, script);
+
+      if (!entry)
+        return false;
+
+      const addr = Address.fromString(options.address, this.network);
+
+      if (!Script.fromAddress(addr).equals(script))
+        throw new Error('Removal address does not match.');
+
+      if (options.entry !== entry.signature.toString('hex'))
+        throw new Error('Removal entry does not match.');
+
+      const json = JSON.stringify(options);
+      const hash = sigUtils.getProposalHash(this.id, ADDRESS_REMOVE, json);
+
+      if (!sigUtils.verifyHash(hash, signature, cosigner.authPubKey))
+        throw new Error('address removal signature is not valid.');
+    }
+
+    return this.msdb.removeAddressEntry(this.wid, script, cosigner, signature);
+  }
+
+  /**
+   * Get proposal schedules.
+   * @returns {Promise<Schedule[]>}
+   */
+
+  getSchedules() {
+    return this.msdb.getSchedules(this.wid);
+  }
+
+  /**
+   * Get proposal schedule.
+   * @param {Number} id - schedule id.
+   * @returns {Promise<Schedule?>}
+   */
+
+  getSchedule(id) {
+    return this.msdb.getSchedule(this.wid, id);
+  }
+
+  /**
+   * Create recurring proposal schedule.
+   * @param {Object} options - signed schedule options.
+   * @param {String} options.memo
+   * @param {Number} options.timestamp
+   * @param {Object} options.txoptions - http transaction options.
+   * @param {Number} [options.interval] - seconds.
+   * @param {String} [options.cron]
+   * @param {Number} [options.start] - timestamp of the first proposal.
+   * @param {Number} [options.ttl] - ttl of the proposals.
+   * @param {Cosigner} cosigner - author.
+   * @param {Buffer} signature - `SCHEDULE` signature.
+   * @returns {Promise<Schedule>}
+   * @throws {Error}
    */
 
-  getProposal(id) {
-    return this.pdb.getProposal(id);
+  async createSchedule(options, cosigner, signature) {
+    assert(options && typeof options === 'object', 'Options are required.');
+    assert(Cosigner.isCosigner(cosigner), 'Cosigner is required.');
+    this.ensureWritable();
+
+    const schedule = Schedule.fromOptions({
+      id: 0,
+      author: cosigner.id,
+      signature: signature,
+      options: options
+    });
+
+    if (!schedule.verifySignature(this.id, cosigner.authPubKey))
+      throw new Error('schedule signature is not valid.');
+
+    // make sure transaction options can be used.
+    this.getScheduleTXOptions(schedule);
+
+    return this.msdb.addSchedule(this.wid, schedule);
   }
 
   /**
-   * Get proposal with MTX
-   * @param {Number} id
-   * @returns {Promise<Proposal, bcoin.MTX>}
+   * Pause or resume proposal schedule.
+   * @param {Number} id - schedule id.
+   * @param {Boolean} paused
+   * @returns {Promise<Schedule?>}
    */
 
-  async getProposalMTX(id) {
-    const tx = await this.getProposalTX(id);
+  async pauseSchedule(id, paused) {
+    assert(typeof paused === 'boolean', 'paused must be a boolean.');
 
-    if (!tx)
+    const schedule = await this.getSchedule(id);
+
+    if (!schedule)
       return null;
 
-    const view = await this.wallet.getCoinView(tx);
-    const mtx = MTX.fromTX(tx);
-    mtx.view = view;
+    schedule.paused = paused;
 
-    return mtx;
+    if (!paused)
+      schedule.reset();
+
+    // don't create missed proposals on resume.
+    if (!paused && schedule.nextAt <= util.now())
+      schedule.nextAt = schedule.getNext(util.now());
+
+    return this.msdb.saveSchedule(this.wid, schedule);
   }
 
   /**
-   * Get proposal TX
-   * @param {Number} id
-   * @returns {Promise<TX?>}
+   * Remove proposal schedule, already
+   * created proposals are not affected.
+   * @param {Number} id - schedule id.
+   * @returns {Promise<Boolean>}
    */
 
-  getProposalTX(id) {
-    return this.pdb.getTX(id);
+  removeSchedule(id) {
+    return this.msdb.removeSchedule(this.wid, id);
   }
 
   /**
-   * Get proposal coins
-   * @param {Number} id
-   * @returns {Promise<Coin[]?>}
+   * Get transaction options of the schedule.
+   * @param {Schedule} schedule
+   * @returns {Object}
    */
 
-  getProposalOutpoints(pid) {
-    return this.pdb.getProposalOutpoints(pid);
+  getScheduleTXOptions(schedule) {
+    const {txoptions} = schedule.getOptions();
+    const valid = new Validator(txoptions, false);
+
+    return parseTXOptions(valid, this.network);
   }
 
   /**
-   * Get proposal by outpoint/coin
-   * @async
-   * @param {Outpoint|Coin} outpoint
-   * @returns {Promise<Proposal?>}
+   * Create proposals for the due schedules. Missed ticks
+   * are skipped, failed schedules are retried with backoff.
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Promise<Proposal[]>} - created proposals.
    */
 
-  getProposalByOutpoint(outpoint) {
-    return this.pdb.getProposalByOutpoint(outpoint);
+  async runSchedules(now = util.now()) {
+    const proposals = [];
+
+    for (const schedule of await this.getSchedules()) {
+      const proposal = await this.runSchedule(schedule, now);
+
+      if (proposal)
+        proposals.push(proposal);
+    }
+
+    return proposals;
   }
 
   /**
-   * Get proposal id by Outpoint/Coin
-   * @async
-   * @param {Outpoint|Coin} outpoint
-   * @returns {Promise<Number>} - proposal id
+   * Create proposal if the schedule is due. Failure is recorded
+   * in the schedule, see {@link Schedule#fail}.
+   * @param {Schedule} schedule
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Promise<Proposal?>} - null if nothing was created.
    */
 
-  getPIDByOutpoint(outpoint) {
-    return this.pdb.getPIDByOutpoint(outpoint);
+  async runSchedule(schedule, now = util.now()) {
+    assert(Schedule.isSchedule(schedule), 'Schedule is required.');
+
+    if (this.readOnly || !schedule.isDue(now))
+      return null;
+
+    const unlock = await this.coinLock.lock();
+
+    try {
+      // schedule could be updated by another run.
+      const current = await this.getSchedule(schedule.id);
+
+      if (!current || !current.isDue(now))
+        return null;
+
+      if (current.hasProposal(schedule.nextAt))
+        return null;
+
+      try {
+        return await this._createScheduledProposal(current, now);
+      } catch (e) {
+        current.fail(now);
+        await this.msdb.saveSchedule(this.wid, current);
+
+        if (current.paused) {
+          this.logger.warning(
+            'Schedule %d paused in wallet %s after %d failures: %s.',
+            current.id, this.id, current.failures, e.message);
+        } else {
+          this.logger.warning('Schedule %d failed in wallet %s: %s.',
+            current.id, this.id, e.message);
+        }
+
+        return null;
+      }
+    } finally {
+      unlock();
+    }
   }
 
   /**
-   * Get coin by outpoint
-   * @param {Hash} hash
-   * @param {Number} index
-   * @returns {Promise<Coin>}
+   * Create proposal from the schedule.
+   * @param {Schedule} schedule
+   * @param {Number} [now=util.now()] - timestamp (seconds)
+   * @returns {Promise<Proposal>}
+   * @throws {Error}
    */
 
-  getCoin(hash, index) {
-    return this.wallet.getCoin(hash, index);
+  async createScheduledProposal(schedule, now = util.now()) {
+    assert(Schedule.isSchedule(schedule), 'Schedule is required.');
+    this.ensureWritable();
+
+    const unlock = await this.coinLock.lock();
+
+    try {
+      const current = await this.getSchedule(schedule.id);
+
+      if (!current)
+        throw new Error('Schedule not found.');
+
+      if (current.hasProposal(schedule.nextAt))
+        throw new Error('Proposal was already created for this tick.');
+
+      return await this._createScheduledProposal(current, now);
+    } finally {
+      unlock();
+    }
   }
 
   /**
-   * Get spent coin
+   * Create proposal from the schedule without lock,
+   * schedule moves to the next tick in the same lock.
+   * @private
+   * @param {Schedule} schedule
+   * @param {Number} now - timestamp (seconds)
+   * @returns {Promise<Proposal>}
    */
 
-  getSpentCoin(outpoint, prevout) {
-    return this.wallet.getSpentCoin(outpoint, prevout);
+  async _createScheduledProposal(schedule, now) {
+    const cosigner = this.cosigners[schedule.author];
+
+    if (!cosigner)
+      throw new Error('Schedule author not found.');
+
+    const txoptions = this.getScheduleTXOptions(schedule);
+    const mtx = await this._createTX(txoptions);
+
+    const proposal = await this.pdb.createProposal(
+      schedule.getOptions(),
+      cosigner,
+      mtx,
+      schedule.signature,
+      schedule.id
+    );
+
+    schedule.tick(proposal.id, now);
+
+    await this.msdb.saveSchedule(this.wid, schedule);
+
+    return proposal;
   }
 
   /**
-   * Get coins.
-   * @returns {Promise<Coin[]>}
+   * Get proposal drafts.
+   * @returns {Promise<Draft[]>}
    */
 
-  getCoins() {
-    return this.wallet.getCoins(0);
+  getDrafts() {
+    return this.msdb.getDrafts(this.wid);
   }
 
   /**
-   * Get "smart" coins.
-   * @returns {Promise<Coin[]>}
+   * Get proposal draft.
+   * @param {Number} id - draft id.
+   * @returns {Promise<Draft?>}
    */
 
-  getSmartCoins() {
-    return this.wallet.getSmartCoins(0);
+  getDraft(id) {
+    return this.msdb.getDraft(this.wid, id);
   }
 
   /**
-   * Get transaction input paths
-   * @async
-   * @param {MTX} mtx
-   * @returns {Promise<Path[]>}
+   * Create proposal draft, drafts don't select or lock coins.
+   * @param {Object} options
+   * @param {String} options.memo
+   * @param {Object} options.txoptions - http transaction options.
+   * @param {Cosigner} cosigner - author.
+   * @returns {Promise<Draft>}
+   * @throws {Error}
    */
 
-  async getInputPaths(mtx) {
-    assert(!mtx.isCoinbase());
-    assert(mtx.mutable);
+  async createDraft(options, cosigner) {
+    assert(options && typeof options === 'object', 'Options are required.');
+    assert(Cosigner.isCosigner(cosigner), 'Cosigner is required.');
+    this.ensureWritable();
+    assert(options.txoptions, 'txoptions are required.');
 
-    const table = new BufferMap();
-    const paths = [];
+    const draft = Draft.fromOptions({
+      id: 0,
+      author: cosigner.id,
+      memo: options.memo,
+      txoptions: options.txoptions
+    });
 
-    for (const input of mtx.inputs) {
-      const coin = mtx.view.getOutputFor(input);
-      const addr = input.getAddress(coin);
+    // make sure transaction options can be used.
+    this.getDraftTXOptions(draft);
 
-      if (!addr) {
-        paths.push(null);
-        continue;
-      }
+    return this.msdb.addDraft(this.wid, draft);
+  }
 
-      const hash = addr.getHash();
-      let path;
+  /**
+   * Update memo and/or transaction options of the draft.
+   * @param {Number} id - draft id.
+   * @param {Object} options
+   * @param {String} [options.memo]
+   * @param {Object} [options.txoptions]
+   * @returns {Promise<Draft?>}
+   * @throws {Error}
+   */
 
-      if (!table.has(hash)) {
-        path = await this.wallet.getPath(hash);
-        table.set(hash, path);
-      } else {
-        path = table.get(hash);
-      }
+  async updateDraft(id, options) {
+    const draft = await this.getDraft(id);
 
-      if (!path) {
-        paths.push(null);
-        continue;
-      }
+    if (!draft)
+      return null;
 
-      paths.push(path);
-    }
+    draft.update(options);
+    this.getDraftTXOptions(draft);
 
-    return paths;
+    return this.msdb.saveDraft(this.wid, draft);
   }
 
   /**
-   * Get rings
-   * @param {MTX} mtx
-   * @param {Path[]?} paths
-   * @returns {Promise<KeyRing[]>}
+   * Remove proposal draft.
+   * @param {Number} id - draft id.
+   * @returns {Promise<Boolean>}
    */
 
-  async deriveInputs(mtx, paths) {
-    if (!paths)
-      paths = await this.getInputPaths(mtx);
-
-    const rings = [];
-    const account = await this.getAccount();
+  removeDraft(id) {
+    return this.msdb.removeDraft(this.wid, id);
+  }
 
-    for (const path of paths) {
-      const ring = account.derivePath(path);
+  /**
+   * Get transaction options of the draft.
+   * @param {Draft} draft
+   * @returns {Object}
+   */
 
-      if (!ring)
-        rings.push(null);
-      else
-        rings.push(ring);
-    }
+  getDraftTXOptions(draft) {
+    const valid = new Validator(draft.getTXOptions(), false);
 
-    return rings;
+    return parseTXOptions(valid, this.network);
   }
 
-   /**
-   * Get a coin viewpoint.
-   * @param {TX} tx
-   * @returns {Promise<CoinView>}
+  /**
+   * Finalize draft into the funded proposal, author
+   * signs proposal with memo and txoptions of the draft.
+   * @param {Number} id - draft id.
+   * @param {Object} options - proposal options.
+   * @param {Cosigner} cosigner
+   * @param {Buffer} signature
+   * @returns {Promise<Array?>} - [Proposal, MTX]
+   * @throws {Error}
    */
 
-  getCoinView(tx) {
-    return this.wallet.getCoinView(tx);
+  async finalizeDraft(id, options, cosigner, signature) {
+    assert(Cosigner.isCosigner(cosigner), 'Cosigner is required.');
+
+    const draft = await this.getDraft(id);
+
+    if (!draft)
+      return null;
+
+    if (cosigner.id !== draft.author)
+      throw new Error('Only author can finalize the draft.');
+
+    if (!draft.matches(options))
+      throw new Error('Proposal does not match the draft.');
+
+    if (options.replaces != null)
+      throw new Error('Draft can not replace proposal.');
+
+    const txoptions = this.getDraftTXOptions(draft);
+
+    const result = await this.createProposal(
+      options,
+      cosigner,
+      txoptions,
+      signature
+    );
+
+    await this.removeDraft(id);
+
+    return result;
   }
 
   /**
@@ -954,6 +3083,16 @@ class MultisigWallet extends EventEmitter {
     return this.pdb.getPendingProposals();
   }
 
+  /**
+   * List proposals with filters and pagination.
+   * @param {Object} [options]
+   * @returns {Promise<Object>} - {proposals, next}
+   */
+
+  listProposals(options) {
+    return this.pdb.listProposals(options);
+  }
+
   /**
    * Reject proposal
    * @param {Number} id
@@ -967,6 +3106,71 @@ class MultisigWallet extends EventEmitter {
     return this.pdb.rejectProposal(id, cosigner, signature);
   }
 
+  /**
+   * Withdraw proposal (author only)
+   * @param {Number} id
+   * @param {Cosigner} cosigner
+   * @param {Signature} signature
+   * @returns {Promise<Proposal>}
+   * @throws {Error}
+   */
+
+  withdrawProposal(id, cosigner, signature) {
+    return this.pdb.withdrawProposal(id, cosigner, signature);
+  }
+
+  /**
+   * Revoke approval of the pending proposal
+   * @param {Number} id
+   * @param {Cosigner} cosigner
+   * @param {Signature} signature
+   * @param {Signature} [rejectSignature] - also reject the proposal.
+   * @returns {Promise<Proposal>}
+   * @throws {Error}
+   */
+
+  revokeApproval(id, cosigner, signature, rejectSignature) {
+    return this.pdb.revokeApproval(id, cosigner, signature, rejectSignature);
+  }
+
+  /**
+   * Get proposal comments.
+   * @param {Number} id
+   * @returns {Promise<Comment[]?>}
+   */
+
+  getComments(id) {
+    return this.pdb.getComments(id);
+  }
+
+  /**
+   * Comment on the proposal.
+   * @param {Number} id
+   * @param {Cosigner} cosigner
+   * @param {Object} options - signed comment options.
+   * @param {Signature} signature
+   * @returns {Promise<Comment>}
+   * @throws {Error}
+   */
+
+  addComment(id, cosigner, options, signature) {
+    return this.pdb.addComment(id, cosigner, options, signature);
+  }
+
+  /**
+   * Get proposal audit log
+   * @param {Object} [options]
+   * @param {Number} [options.start] - timestamp (seconds)
+   * @param {Number} [options.end] - timestamp (seconds)
+   * @param {Number} [options.cursor] - entry id at `start` to list after.
+   * @param {Number} [options.limit]
+   * @returns {Promise<AuditEntry[]>}
+   */
+
+  getAuditLog(options) {
+    return this.pdb.getAuditLog(options);
+  }
+
   /**
    * Force reject proposal.
    * @param {Number} id
@@ -978,6 +3182,37 @@ class MultisigWallet extends EventEmitter {
     return this.pdb.forceRejectProposal(id, status);
   }
 
+  /**
+   * Reject expired proposals.
+   * @param {Number} [now] - timestamp (seconds)
+   * @returns {Promise<Proposal[]>}
+   */
+
+  expireProposals(now) {
+    return this.pdb.expireProposals(now);
+  }
+
+  /**
+   * Reject proposal if it has expired.
+   * @param {Number} pid
+   * @param {Number} [now] - timestamp (seconds)
+   * @returns {Promise<Proposal?>}
+   */
+
+  expireProposal(pid, now) {
+    return this.pdb.expireProposal(pid, now);
+  }
+
+  /**
+   * Reject pending proposals whose locked
+   * coins are missing from the txdb.
+   * @returns {Promise<Proposal[]>}
+   */
+
+  checkLockedCoins() {
+    return this.pdb.checkLockedCoins();
+  }
+
   /**
    * Approve proposal
    * @param {Number} id
@@ -1034,8 +3269,11 @@ class MultisigWallet extends EventEmitter {
    * @returns {Promise}
    */
 
-  addTX(tx, details) {
-    return this.pdb.addTX(tx, details);
+  async addTX(tx, details) {
+    const pids = await this.pdb.getPIDsByTX(tx);
+
+    await this.pdb.addTX(tx, details);
+    await this.checkSweep(pids);
   }
 
   /**
@@ -1072,6 +3310,11 @@ function fromU32(num) {
   return data;
 }
 
+function setReplaceable(mtx) {
+  for (const input of mtx.inputs)
+    input.sequence = RBF_SEQUENCE;
+}
+
 function fromString(str) {
   const buf = Buffer.alloc(1 + str.length);
   buf[0] = str.length;
@@ -160,6 +160,22 @@ class WalletNodeClient extends AsyncEmitter {
 
     return result;
   }
+
+  /**
+   * Remove shared key.
+   * @param {String} id - wallet id
+   * @param {String} account
+   * @param {HDPublicKey} key
+   * @returns {Boolean}
+   */
+
+  async removeSharedKey(id, account, key) {
+    const wallet = await this.wdb.get(id);
+    const ckey = common.cloneHDPublicKey(key);
+    const result = await wallet.removeSharedKey(account, ckey);
+
+    return result;
+  }
 }
 
 /*
@@ -88,6 +88,76 @@ describe('Cosigner', function () {
     assert.deepStrictEqual(cosigner1, cosigner2);
   });
 
+  it('should reserialize with weight and role', () => {
+    const cosigner1 = new Cosigner({
+      ...TEST_OPTIONS,
+      weight: 3,
+      role: 'finance'
+    });
+
+    const data = cosigner1.encode(NETWORK);
+    const cosigner2 = Cosigner.decode(data, NETWORK);
+
+    assert.strictEqual(data.length, TEST_RAW.length + 10);
+    assert.strictEqual(cosigner2.weight, 3);
+    assert.strictEqual(cosigner2.role, 'finance');
+    assert.ok(cosigner1.equals(cosigner2, true));
+
+    const json = cosigner1.toJSON();
+    const cosigner3 = Cosigner.fromJSON(json, false);
+
+    assert.strictEqual(json.weight, 3);
+    assert.strictEqual(json.role, 'finance');
+    assert.ok(cosigner1.equals(cosigner3, false));
+
+    assert.throws(() => cosigner1.setRole(256));
+    assert.throws(() => cosigner1.setRole(null, 'Finance'));
+  });
+
+  it('should reserialize with veto', () => {
+    const cosigner1 = new Cosigner({
+      ...TEST_OPTIONS,
+      veto: true
+    });
+
+    const data = cosigner1.encode(NETWORK);
+    const cosigner2 = Cosigner.decode(data, NETWORK);
+
+    assert.strictEqual(data.length, TEST_RAW.length + 3);
+    assert.strictEqual(cosigner2.veto, true);
+    assert.strictEqual(cosigner2.weight, 1);
+    assert.ok(cosigner1.equals(cosigner2, true));
+
+    const cosigner3 = Cosigner.fromJSON(cosigner1.toJSON(), false);
+    assert.strictEqual(cosigner3.veto, true);
+  });
+
+  it('should not read following data as optional fields', () => {
+    const extra = new Cosigner({
+      ...TEST_OPTIONS,
+      role: 'finance'
+    });
+
+    const data = Buffer.concat([TEST_RAW, extra.encode(NETWORK), TEST_RAW]);
+    const br = bufio.read(data);
+
+    const cosigner1 = Cosigner.fromReader(br, NETWORK);
+    const cosigner2 = Cosigner.fromReader(br, NETWORK);
+    const cosigner3 = Cosigner.fromReader(br, NETWORK);
+
+    assert.strictEqual(br.left(), 0);
+
+    for (const cosigner of [cosigner1, cosigner3]) {
+      assert.strictEqual(cosigner.weight, 1);
+      assert.strictEqual(cosigner.role, '');
+      assert.strictEqual(cosigner.veto, false);
+      assert.bufferEqual(cosigner.data, TEST_OPTIONS.data);
+    }
+
+    assert.strictEqual(cosigner2.role, 'finance');
+    assert.bufferEqual(cosigner2.data, TEST_OPTIONS.data);
+  });
+
   it('should serialize correctly', () => {
     const options = TEST_OPTIONS;
     const expected = TEST_RAW;
@@ -86,5 +86,28 @@ describe('Export serializations', function() {
       assert.strictEqual(raw2.toString('hex'), walletRAW);
       assert.deepStrictEqual(json2, walletJSON);
     });
+
+    it('should frame cosigners with roles', async () => {
+      const walletJSON = data.json;
+      const wallet1 = WalletDetails.fromJSON(walletJSON, network);
+
+      wallet1.cosigners[1].cosigner.setRole(2, 'finance');
+
+      const raw1 = wallet1.encode(network);
+      const wallet2 = WalletDetails.decode(raw1, network);
+      const raw2 = wallet2.encode(network);
+
+      assert.bufferEqual(raw2, raw1);
+      assert.notStrictEqual(raw1.toString('hex'), data.rawWallet);
+      assert.strictEqual(wallet2.cosigners[0].cosigner.role, '');
+      assert.strictEqual(wallet2.cosigners[1].cosigner.weight, 2);
+      assert.strictEqual(wallet2.cosigners[1].cosigner.role, 'finance');
+
+      // exports without roles keep the original framing.
+      const wallet3 = WalletDetails.decode(
+        Buffer.from(data.rawWallet, 'hex'), network);
+
+      assert.deepStrictEqual(wallet3.getJSON(network), walletJSON);
+    });
   });
 });
@@ -281,7 +281,10 @@ describe(`HTTP ${WITNESS ? 'witness' : 'legacy'}`, function () {
       accountKey: cosignerCtx1.xpub,
       data: cosignerCtx1.data.toString('hex'),
       purpose: cosignerCtx1.purpose,
-      fingerPrint: cosignerCtx1.fingerPrint
+      fingerPrint: cosignerCtx1.fingerPrint,
+      weight: 1,
+      role: '',
+      veto: false
     });
 
     assert.strictEqual(cosigners[1].token, options.cosigner.token);
@@ -302,7 +305,10 @@ describe(`HTTP ${WITNESS ? 'witness' : 'legacy'}`, function () {
       accountKey: options.cosigner.accountKey,
       data: options.cosigner.data,
       purpose: options.cosigner.purpose,
-      fingerPrint: options.cosigner.fingerPrint
+      fingerPrint: options.cosigner.fingerPrint,
+      weight: 1,
+      role: '',
+      veto: false
     });
   });
 
@@ -353,7 +359,10 @@ describe(`HTTP ${WITNESS ? 'witness' : 'legacy'}`, function () {
         accountKey: cosignerCtx1.xpub,
         data: cosignerCtx1.data.toString('hex'),
         purpose: cosignerCtx1.purpose,
-        fingerPrint: cosignerCtx1.fingerPrint
+        fingerPrint: cosignerCtx1.fingerPrint,
+        weight: 1,
+        role: '',
+        veto: false
       },
       {
         id: 1,
@@ -363,7 +372,10 @@ describe(`HTTP ${WITNESS ? 'witness' : 'legacy'}`, function () {
         accountKey: cosignerCtx2.xpub,
         data: cosignerCtx2.data.toString('hex'),
         purpose: cosignerCtx2.purpose,
-        fingerPrint: cosignerCtx2.fingerPrint
+        fingerPrint: cosignerCtx2.fingerPrint,
+        weight: 1,
+        role: '',
+        veto: false
       }
     ]);
 
@@ -704,7 +716,10 @@ describe(`HTTP ${WITNESS ? 'witness' : 'legacy'}`, function () {
       accountKey: cosignerCtx2.xpub,
       data: cosignerCtx2.data.toString('hex'),
       purpose: cosignerCtx2.purpose,
-      fingerPrint: cosignerCtx2.fingerPrint
+      fingerPrint: cosignerCtx2.fingerPrint,
+      weight: 1,
+      role: '',
+      veto: false
     });
 
     assert.strictEqual(proposal.memo, 'proposal1');
@@ -727,7 +742,10 @@ describe(`HTTP ${WITNESS ? 'witness' : 'legacy'}`, function () {
       accountKey: cosignerCtx2.xpub,
       data: cosignerCtx2.data.toString('hex'),
       purpose: cosignerCtx2.purpose,
-      fingerPrint: cosignerCtx2.fingerPrint
+      fingerPrint: cosignerCtx2.fingerPrint,
+      weight: 1,
+      role: '',
+      veto: false
     });
   });
 
@@ -878,7 +896,10 @@ describe(`HTTP ${WITNESS ? 'witness' : 'legacy'}`, function () {
         accountKey: cosignerCtx1.xpub,
         data: cosignerCtx1.data.toString('hex'),
         purpose: cosignerCtx1.purpose,
-        fingerPrint: cosignerCtx1.fingerPrint
+        fingerPrint: cosignerCtx1.fingerPrint,
+        weight: 1,
+        role: '',
+        veto: false
       });
     }
 
@@ -987,7 +1008,10 @@ describe(`HTTP ${WITNESS ? 'witness' : 'legacy'}`, function () {
       accountKey: cosignerCtx1.xpub,
       data: cosignerCtx1.data.toString('hex'),
       purpose: cosignerCtx1.purpose,
-      fingerPrint: cosignerCtx1.fingerPrint
+      fingerPrint: cosignerCtx1.fingerPrint,
+      weight: 1,
+      role: '',
+      veto: false
     });
 
     assert.strictEqual(proposal.statusCode, Proposal.status.PROGRESS);
@@ -1059,7 +1083,10 @@ describe(`HTTP ${WITNESS ? 'witness' : 'legacy'}`, function () {
       accountKey: cosignerCtx1.xpub,
       data: cosignerCtx1.data.toString('hex'),
       purpose: cosignerCtx1.purpose,
-      fingerPrint: cosignerCtx1.fingerPrint
+      fingerPrint: cosignerCtx1.fingerPrint,
+      weight: 1,
+      role: '',
+      veto: false
     };
 
     for (const [wid, result] of eventResults) {
@@ -1128,7 +1155,10 @@ describe(`HTTP ${WITNESS ? 'witness' : 'legacy'}`, function () {
         accountKey: cosignerCtx1.xpub,
         data: cosignerCtx1.data.toString('hex'),
         purpose: cosignerCtx1.purpose,
-        fingerPrint: cosignerCtx1.fingerPrint
+        fingerPrint: cosignerCtx1.fingerPrint,
+        weight: 1,
+        role: '',
+        veto: false
       },
       1: {
         id: 1,
@@ -1138,7 +1168,10 @@ describe(`HTTP ${WITNESS ? 'witness' : 'legacy'}`, function () {
         accountKey: cosignerCtx2.xpub,
         data: cosignerCtx2.data.toString('hex'),
         purpose: cosignerCtx2.purpose,
-        fingerPrint: cosignerCtx2.fingerPrint
+        fingerPrint: cosignerCtx2.fingerPrint,
+        weight: 1,
+        role: '',
+        veto: false
       }
     };
 
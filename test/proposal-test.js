@@ -223,6 +223,187 @@ describe('Proposal', function () {
     assert.strictEqual(err.message, 'Can not reject non pending proposal.');
   });
 
+  it('should keep raw serialization without expiration', () => {
+    const proposal = Proposal.fromOptions(TEST_OPTIONS);
+
+    assert.strictEqual(proposal.expiresAt, 0);
+    assert.strictEqual(proposal.isExpired(), false);
+    assert.strictEqual(proposal.getFlags(), 0);
+    assert.strictEqual(proposal.encode().length, proposal.getSize());
+    assert.strictEqual(proposal.toJSON().expiresAt, null);
+  });
+
+  it('should reserialize proposal with expiration', () => {
+    const proposal = Proposal.fromOptions({
+      ...TEST_OPTIONS,
+      createdAt: 1000,
+      ttl: 100
+    });
+
+    assert.strictEqual(proposal.expiresAt, 1100);
+    assert.strictEqual(proposal.isExpired(1099), false);
+    assert.strictEqual(proposal.isExpired(1100), true);
+
+    const raw = proposal.encode();
+    const proposal1 = Proposal.decode(raw);
+
+    proposal1.m = proposal.m;
+    proposal1.n = proposal.n;
+
+    assert.strictEqual(raw.length, proposal.getSize());
+    assert.strictEqual(proposal1.expiresAt, 1100);
+    assert.strictEqual(proposal.equals(proposal1), true);
+
+    const proposal2 = Proposal.fromJSON(proposal.toJSON());
+    assert.strictEqual(proposal2.expiresAt, 1100);
+    assert.strictEqual(proposal.equals(proposal2), true);
+
+    assert.throws(() => {
+      Proposal.fromOptions({
+        ...TEST_OPTIONS,
+        expiresAt: 1100,
+        ttl: 100
+      });
+    }, {
+      message: 'Can not use both expiresAt and ttl.'
+    });
+  });
+
+  it('should withdraw proposal', () => {
+    const proposal = Proposal.fromOptions(TEST_OPTIONS);
+
+    assert.throws(() => {
+      proposal.withdraw(COSIGNERS[1]);
+    }, {
+      message: 'Only author can withdraw the proposal.'
+    });
+
+    proposal.withdraw(COSIGNERS[0]);
+
+    assert.strictEqual(proposal.status, Proposal.status.WITHDRAWN);
+    assert.strictEqual(proposal.isRejected(), true);
+    assert.notStrictEqual(proposal.closedAt, 0);
+
+    assert.throws(() => {
+      proposal.withdraw(COSIGNERS[0]);
+    }, {
+      message: 'Can not withdraw non pending proposal.'
+    });
+  });
+
+  it('should expire proposal', () => {
+    const proposal = Proposal.fromOptions(TEST_OPTIONS);
+
+    proposal.forceReject(Proposal.status.EXPIRED);
+
+    assert.strictEqual(proposal.isRejected(), true);
+    assert.strictEqual(proposal.toJSON().statusMessage,
+      'Proposal has expired.');
+  });
+
+  it('should reserialize replacement proposal', () => {
+    const proposal = Proposal.fromOptions({
+      ...TEST_OPTIONS,
+      replaces: 0
+    });
+
+    assert.strictEqual(proposal.isReplacement(), true);
+    assert.strictEqual(proposal.getFlags(), Proposal.flags.REPLACES);
+
+    const raw = proposal.encode();
+    const proposal1 = Proposal.decode(raw);
+
+    proposal1.m = proposal.m;
+    proposal1.n = proposal.n;
+
+    assert.strictEqual(raw.length, proposal.getSize());
+    assert.strictEqual(proposal1.replaces, 0);
+    assert.strictEqual(proposal1.replacedBy, -1);
+    assert.strictEqual(proposal.equals(proposal1), true);
+
+    const proposal2 = Proposal.fromJSON(proposal.toJSON());
+    assert.strictEqual(proposal2.replaces, 0);
+    assert.strictEqual(proposal.equals(proposal2), true);
+
+    assert.throws(() => {
+      Proposal.fromOptions({
+        ...TEST_OPTIONS,
+        replaces: TEST_OPTIONS.id
+      });
+    }, {
+      message: 'Proposal can not replace itself.'
+    });
+  });
+
+  it('should replace approved proposal', () => {
+    const proposal = Proposal.fromOptions(TEST_OPTIONS);
+
+    assert.throws(() => {
+      proposal.replace(2);
+    }, {
+      message: 'Can not replace non approved proposal.'
+    });
+
+    proposal.status = Proposal.status.APPROVED;
+    proposal.replace(2);
+
+    assert.strictEqual(proposal.status, Proposal.status.REPLACED);
+    assert.strictEqual(proposal.isRejected(), true);
+    assert.strictEqual(proposal.replacedBy, 2);
+
+    const proposal1 = Proposal.decode(proposal.encode());
+
+    assert.strictEqual(proposal1.replacedBy, 2);
+    assert.strictEqual(proposal1.toJSON().replacedBy, 2);
+    assert.strictEqual(proposal1.toJSON().replaces, null);
+  });
+
+  it('should amend proposal', () => {
+    const proposal = Proposal.fromOptions(TEST_OPTIONS);
+    const amended = {
+      ...PROPOSAL_OPTIONS,
+      memo: 'test2'
+    };
+
+    proposal.approve(COSIGNERS[1], [null, TX_SIG]);
+
+    assert.throws(() => {
+      proposal.amend(COSIGNERS[1], amended, ZERO_SIG);
+    }, {
+      message: 'Only author can amend the proposal.'
+    });
+
+    assert.throws(() => {
+      proposal.amend(COSIGNERS[0], PROPOSAL_OPTIONS, ZERO_SIG);
+    }, {
+      message: 'Amendment does not change the proposal.'
+    });
+
+    proposal.amend(COSIGNERS[0], amended, Buffer.alloc(65, 1));
+
+    assert.strictEqual(proposal.isAmended(), true);
+    assert.strictEqual(proposal.memo, 'test2');
+    assert.strictEqual(proposal.approvals.size, 0);
+    assert.strictEqual(proposal.history.length, 1);
+    assert.deepStrictEqual(proposal.history[0].approvals, [1]);
+    assert.strictEqual(proposal.getFlags(), Proposal.flags.AMENDED);
+
+    const json = proposal.toJSON();
+    assert.strictEqual(json.version, 2);
+    assert.strictEqual(json.history[0].memo, 'test1');
+    assert.deepStrictEqual(json.history[0].options, PROPOSAL_OPTIONS);
+
+    const raw = proposal.encode();
+    const proposal1 = Proposal.decode(raw);
+
+    proposal1.m = proposal.m;
+    proposal1.n = proposal.n;
+
+    assert.strictEqual(raw.length, proposal.getSize());
+    assert.strictEqual(proposal.equals(proposal1), true);
+    assert.strictEqual(proposal.equals(Proposal.fromJSON(json)), true);
+  });
+
   describe('SignaturesRecord', function () {
     it('should create empty signature record', () => {
       const sigRecord = new SignaturesRecord();
@@ -9,13 +9,31 @@ const testUtils = require('./util/utils');
 const {forEvent} = testUtils;
 const CosignerCtx = require('./util/cosigner-context');
 const bcoin = require('bcoin');
-const {Script, KeyRing, MTX, Amount} = bcoin;
+const {Script, KeyRing, MTX, Amount, Outpoint} = bcoin;
 const WalletDB = bcoin.wallet.WalletDB;
 const WalletNodeClient = require('../lib/walletclient');
 const MultisigDB = require('../lib/multisigdb');
+const MultisigWallet = require('../lib/wallet');
+const layout = require('../lib/layout').msdb;
 const Proposal = require('../lib/primitives/proposal');
-
-const {CREATE, REJECT} = Proposal.payloadType;
+const PSBT = require('../lib/primitives/psbt');
+const SpendingPolicy = require('../lib/primitives/policy');
+const AuditEntry = require('../lib/primitives/auditentry');
+const Schedule = require('../lib/primitives/schedule');
+const payouts = require('../lib/utils/payouts');
+const {verifyAddressProof} = require('../lib/utils/addressproof');
+
+const {
+  CREATE,
+  REJECT,
+  WITHDRAW,
+  ADDRESS,
+  ADDRESS_REMOVE,
+  COMMENT,
+  REVOKE,
+  SCHEDULE,
+  MIGRATE
+} = Proposal.payloadType;
 
 const TEST_WALLET_ID = 'test1';
 const TEST_WALLET_ID2 = 'test2';
@@ -538,127 +556,3012 @@ describe(`MultisigProposals ${WITNESS ? 'witness' : 'legacy'}`, function () {
     });
   });
 
-  describe('Coin spends', function() {
-    it('should reject proposal on mempool double spend', async () => {
-      const amount = Amount.fromBTC(1).toValue();
-      const account = await mswallet.getAccount();
-      const mtx = walletUtils.createFundTX(account.receiveAddress(), amount);
+  describe('List proposals', function() {
+    let proposals, ids;
 
-      await wdb.addTX(mtx.toTX());
+    beforeEach(async () => {
+      const authors = [
+        cosignerCtx1,
+        cosignerCtx2,
+        cosignerCtx1,
+        cosignerCtx2,
+        cosignerCtx1
+      ];
 
-      const proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+      proposals = [];
 
-      const dstx = walletUtils.getDoubleSpendTransaction(mtx);
+      for (const cosignerCtx of authors) {
+        await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+        proposals.push(await mkProposal(mswallet, cosignerCtx, 1));
+      }
 
-      await wdb.addTX(dstx.toTX());
+      ids = proposals.map(p => p.id);
 
-      const checkProposal = await mswallet.getProposal(proposal.id);
+      // approve second proposal
+      for (const [cosignerCtx, cosigner] of [
+        [cosignerCtx1, cosigner1],
+        [cosignerCtx2, cosigner2]
+      ]) {
+        const sigs = await signProposal(
+          mswallet,
+          proposals[1],
+          cosignerCtxs,
+          cosignerCtx,
+          WITNESS
+        );
 
-      assert.ok(checkProposal instanceof Proposal);
-      assert.strictEqual(checkProposal.status, Proposal.status.DBLSPEND);
+        await mswallet.approveProposal(proposals[1].id, cosigner, sigs);
+      }
+
+      // reject third proposal
+      const rejectSig = cosignerCtx1.signProposal(REJECT,
+        proposals[2].options);
+      await mswallet.rejectProposal(proposals[2].id, cosigner1, rejectSig);
+
+      // withdraw fourth proposal
+      const withdrawSig = cosignerCtx2.signProposal(WITHDRAW,
+        proposals[3].options);
+      await mswallet.withdrawProposal(proposals[3].id, cosigner2,
+        withdrawSig);
     });
 
-    it('should reject proposal on coin spend', async () => {
+    const listIDs = async (options) => {
+      const {proposals, next} = await mswallet.listProposals(options);
+      return [proposals.map(p => p.id), next];
+    };
+
+    it('should paginate proposals', async () => {
+      assert.deepStrictEqual(await listIDs({ limit: 2 }),
+        [[ids[0], ids[1]], ids[1]]);
+      assert.deepStrictEqual(await listIDs({ limit: 2, cursor: ids[1] }),
+        [[ids[2], ids[3]], ids[3]]);
+      assert.deepStrictEqual(await listIDs({ limit: 2, cursor: ids[3] }),
+        [[ids[4]], null]);
+
+      assert.deepStrictEqual(await listIDs({ limit: 2, reverse: true }),
+        [[ids[4], ids[3]], ids[3]]);
+      assert.deepStrictEqual(await listIDs({
+        limit: 2,
+        reverse: true,
+        cursor: ids[1]
+      }), [[ids[0]], null]);
+
+      assert.deepStrictEqual(await listIDs(), [ids, null]);
+      assert.deepStrictEqual(await listIDs({ cursor: ids[2] }),
+        [[ids[3], ids[4]], null]);
+    });
+
+    it('should paginate filtered proposals', async () => {
+      assert.deepStrictEqual(await listIDs({ status: 'rejected', limit: 1 }),
+        [[ids[2]], ids[2]]);
+      assert.deepStrictEqual(await listIDs({
+        status: 'rejected',
+        limit: 1,
+        cursor: ids[2]
+      }), [[ids[3]], null]);
+
+      assert.deepStrictEqual(await listIDs({
+        author: cosigner1.id,
+        limit: 1,
+        reverse: true,
+        cursor: ids[4]
+      }), [[ids[2]], ids[2]]);
+      assert.deepStrictEqual(await listIDs({
+        author: cosigner1.id,
+        status: 'pending',
+        limit: 1,
+        cursor: ids[0]
+      }), [[ids[4]], null]);
+    });
+
+    it('should filter proposals by status', async () => {
+      const {status} = Proposal;
+
+      assert.deepStrictEqual(await listIDs({ status: 'pending' }),
+        [[ids[0], ids[4]], null]);
+      assert.deepStrictEqual(await listIDs({ status: 'approved' }),
+        [[ids[1]], null]);
+      assert.deepStrictEqual(await listIDs({ status: 'rejected' }),
+        [[ids[2], ids[3]], null]);
+      assert.deepStrictEqual(await listIDs({ reason: status.WITHDRAWN }),
+        [[ids[3]], null]);
+      assert.deepStrictEqual(await listIDs({
+        status: 'rejected',
+        reason: status.REJECTED
+      }), [[ids[2]], null]);
+      assert.deepStrictEqual(await listIDs({ reason: status.EXPIRED }),
+        [[], null]);
+
+      await assert.rejects(listIDs({ reason: status.PROGRESS }), {
+        message: 'Unknown rejection reason.'
+      });
+
+      await assert.rejects(listIDs({
+        status: 'pending',
+        reason: status.WITHDRAWN
+      }), {
+        message: 'Rejection reason can only be used with rejected status.'
+      });
+
+      await assert.rejects(listIDs({ status: 'unknown' }), {
+        message: 'Unknown proposal status.'
+      });
+    });
+
+    it('should filter proposals by author', async () => {
+      assert.deepStrictEqual(await listIDs({ author: cosigner2.id }),
+        [[ids[1], ids[3]], null]);
+      assert.deepStrictEqual(await listIDs({
+        author: cosigner1.id,
+        status: 'pending',
+        reverse: true
+      }), [[ids[4], ids[0]], null]);
+    });
+
+    it('should filter proposals by time', async () => {
+      const createdAt = proposals[0].createdAt;
+      const approved = await mswallet.getProposal(ids[1]);
+
+      assert.deepStrictEqual(await listIDs({ createdAfter: createdAt }),
+        [ids, null]);
+      assert.deepStrictEqual(await listIDs({ createdAfter: now() + 100 }),
+        [[], null]);
+      assert.deepStrictEqual(await listIDs({ createdBefore: createdAt - 1 }),
+        [[], null]);
+
+      assert.deepStrictEqual(await listIDs({ closedAfter: 0 }),
+        [[ids[1], ids[2], ids[3]], null]);
+      assert.deepStrictEqual(await listIDs({
+        closedBefore: approved.closedAt,
+        status: 'approved'
+      }), [[ids[1]], null]);
+      assert.deepStrictEqual(await listIDs({ closedAfter: now() + 100 }),
+        [[], null]);
+    });
+
+    it('should rebuild missing indexes', async () => {
+      const b = pdb.bucket.batch();
+
+      // secondary indexes and the index marker.
+      const prefixes = Buffer.from('saTFI', 'ascii');
+
+      for (const key of await pdb.bucket.keys({})) {
+        if (prefixes.includes(key[0]))
+          b.del(key);
+      }
+
+      await b.write();
+
+      assert.deepStrictEqual(await listIDs({ status: 'pending' }),
+        [[], null]);
+
+      await pdb.reindex();
+
+      assert.deepStrictEqual(await listIDs({ status: 'pending' }),
+        [[ids[0], ids[4]], null]);
+      assert.deepStrictEqual(await listIDs({ closedAfter: 0 }),
+        [[ids[1], ids[2], ids[3]], null]);
+    });
+  });
+
+  describe('Audit log', function() {
+    const {action} = AuditEntry;
+
+    const getActions = async (options) => {
+      const entries = await mswallet.getAuditLog(options);
+      return entries.map(e => [e.proposal, e.action, e.status, e.cosigner]);
+    };
+
+    it('should record creation and approvals', async () => {
       await walletUtils.fundWalletBlock(wdb, mswallet, 1);
 
       const proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+      const sigs1 = await signProposal(mswallet, proposal, cosignerCtxs,
+        cosignerCtx1, WITNESS);
+      const sigs2 = await signProposal(mswallet, proposal, cosignerCtxs,
+        cosignerCtx2, WITNESS);
 
-      const mtx = await mswallet.getProposalMTX(proposal.id);
-      const paths = await mswallet.getInputPaths(mtx);
+      await mswallet.approveProposal(proposal.id, cosigner1, sigs1);
+      await mswallet.approveProposal(proposal.id, cosigner2, sigs2);
 
-      const sign = async (priv) => {
-        mtx.inputs.forEach((_, i) => {
-          const path = paths[i];
+      const {PROGRESS, APPROVED} = Proposal.status;
 
-          // derive correct priv key
-          const _priv = priv.derive(path.branch).derive(path.index);
+      assert.deepStrictEqual(await getActions(), [
+        [proposal.id, action.CREATE, PROGRESS, cosigner1.id],
+        [proposal.id, action.APPROVE, PROGRESS, cosigner1.id],
+        [proposal.id, action.APPROVE, APPROVED, cosigner2.id]
+      ]);
 
-          // derive pubkeys
-          const p1 = xpub1.derive(path.branch).derive(path.index);
-          const p2 = xpub2.derive(path.branch).derive(path.index);
+      const entries = await mswallet.getAuditLog();
 
-          const ring = KeyRing.fromPrivate(_priv.privateKey);
+      assert.deepStrictEqual(entries.map(e => e.id), [0, 1, 2]);
+      assert.bufferEqual(entries[0].signatures[0], proposal.signature);
+      assert.deepStrictEqual(entries[1].signatures, sigs1);
+      assert.deepStrictEqual(entries[2].signatures, sigs2);
+      assert.strictEqual(await pdb.getAuditDepth(), 3);
 
-          ring.script = Script.fromMultisig(
-            proposal.m,
-            proposal.n,
-            [p1.publicKey, p2.publicKey]
-          );
+      const json = entries[2].getJSON();
+      assert.strictEqual(json.action, 'APPROVE');
+      assert.strictEqual(json.statusCode, APPROVED);
+      assert.deepStrictEqual(json.signatures,
+        sigs2.map(sig => sig ? sig.toString('hex') : null));
 
-          ring.witness = WITNESS;
+      const entry = AuditEntry.decode(entries[2].encode());
+      assert.deepStrictEqual(entry, entries[2]);
+    });
 
-          const signed = mtx.sign(ring);
+    it('should record rejections', async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
 
-          assert.strictEqual(signed, 1);
-        });
-      };
+      const p1 = await mkProposal(mswallet, cosignerCtx1, 1);
+      const p2 = await mkProposal(mswallet, cosignerCtx2, 1);
+      const p3 = await mkProposal(mswallet, cosignerCtx1, 1);
 
-      sign(priv1);
-      sign(priv2);
+      const rejectSig = cosignerCtx2.signProposal(REJECT, p1.options);
+      await mswallet.rejectProposal(p1.id, cosigner2, rejectSig);
 
-      await wdb.addBlock(walletUtils.nextBlock(wdb), [mtx.toTX()]);
+      const withdrawSig = cosignerCtx2.signProposal(WITHDRAW, p2.options);
+      await mswallet.withdrawProposal(p2.id, cosigner2, withdrawSig);
 
-      const checkProposal = await mswallet.getProposal(proposal.id);
+      await mswallet.forceRejectProposal(p3.id);
 
-      assert.ok(checkProposal instanceof Proposal);
-      assert.strictEqual(checkProposal.status, Proposal.status.DBLSPEND);
+      const {PROGRESS, REJECTED, WITHDRAWN, FORCE} = Proposal.status;
+
+      assert.deepStrictEqual(await getActions(), [
+        [p1.id, action.CREATE, PROGRESS, cosigner1.id],
+        [p2.id, action.CREATE, PROGRESS, cosigner2.id],
+        [p3.id, action.CREATE, PROGRESS, cosigner1.id],
+        [p1.id, action.REJECT, REJECTED, cosigner2.id],
+        [p2.id, action.WITHDRAW, WITHDRAWN, cosigner2.id],
+        [p3.id, action.CLOSE, FORCE, null]
+      ]);
+
+      const entries = await mswallet.getAuditLog();
+      assert.deepStrictEqual(entries[3].signatures, [rejectSig]);
+      assert.deepStrictEqual(entries[4].signatures, [withdrawSig]);
+      assert.deepStrictEqual(entries[5].signatures, []);
+      assert.strictEqual(entries[5].getCSV(),
+        `5,${entries[5].time},${p3.id},CLOSE,${FORCE},,`);
     });
 
-    it('should reject proposal on reorg double spend', async () => {
-      const mtx = await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+    it('should record broadcast when transaction is seen', async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
 
       const proposal = await mkProposal(mswallet, cosignerCtx1, 1);
-      assert.ok(proposal instanceof Proposal);
 
-      const rejectEvent = forEvent(mswallet, 'proposal rejected', 2000);
+      for (const [ctx, cosigner] of [
+        [cosignerCtx1, cosigner1],
+        [cosignerCtx2, cosigner2]
+      ]) {
+        const sigs = await signProposal(mswallet, proposal, cosignerCtxs,
+          ctx, WITNESS);
+        await mswallet.approveProposal(proposal.id, cosigner, sigs);
+      }
 
-      await walletUtils.removeBlock(wdb);
-      await walletUtils.doubleSpendTransaction(wdb, mtx.toTX());
+      assert.strictEqual((await getActions()).length, 3);
 
-      await rejectEvent;
+      const tx = await mswallet.getProposalTX(proposal.id);
+      await wdb.addTX(tx);
+      await sleep(100);
 
-      const checkProposal = await mswallet.getProposal(proposal.id);
+      const {APPROVED} = Proposal.status;
+      const actions = await getActions();
 
-      assert.ok(checkProposal instanceof Proposal);
-      assert.strictEqual(checkProposal.status, Proposal.status.DBLSPEND);
+      assert.strictEqual(actions.length, 4);
+      assert.deepStrictEqual(actions[3],
+        [proposal.id, action.BROADCAST, APPROVED, null]);
+      assert.strictEqual(await pdb.getAuditDepth(), 4);
+    });
+
+    it('should only count committed entries', async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+
+      const p1 = await mkProposal(mswallet, cosignerCtx1, 1);
+
+      // batch is never written.
+      const b = pdb.bucket.batch();
+      pdb.audit(b, p1, action.CLOSE);
+
+      assert.strictEqual(pdb.auditDepth, 1);
+
+      const p2 = await mkProposal(mswallet, cosignerCtx1, 1);
+      const entries = await mswallet.getAuditLog();
+
+      assert.deepStrictEqual(entries.map(e => [e.id, e.proposal]),
+        [[0, p1.id], [1, p2.id]]);
+      assert.strictEqual(pdb.auditDepth, 2);
+      assert.strictEqual(await pdb.getAuditDepth(), 2);
+    });
+
+    it('should paginate audit log', async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+
+      for (let i = 0; i < 3; i++)
+        await mkProposal(mswallet, cosignerCtx1, 1);
+
+      const entries = await mswallet.getAuditLog();
+      const first = await mswallet.getAuditLog({ limit: 2 });
+
+      assert.deepStrictEqual(first.map(e => e.id), [0, 1]);
+
+      const second = await mswallet.getAuditLog({
+        start: first[1].time,
+        cursor: first[1].id,
+        limit: 2
+      });
+
+      assert.deepStrictEqual(second.map(e => e.id), [2]);
+      assert.deepStrictEqual(second[0], entries[2]);
+    });
+
+    it('should query audit log by time', async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+      const [entry] = await mswallet.getAuditLog();
+
+      assert.strictEqual(entry.proposal, proposal.id);
+
+      const start = entry.time;
+
+      assert.strictEqual((await getActions({ start })).length, 1);
+      assert.strictEqual((await getActions({ end: start })).length, 1);
+      assert.strictEqual((await getActions({ end: start - 1 })).length, 0);
+      assert.strictEqual((await getActions({ start: now() + 100 })).length,
+        0);
     });
   });
 
-  describe('Force reject proposal', function() {
-    let proposal;
+  describe('Address proof', function() {
+    it('should prove address derivation', async () => {
+      const network = mswallet.network;
+      const account = await mswallet.getAccount();
+      const address = account.receiveAddress().toString(network);
+      const cosigners = mswallet.cosigners.map((cosigner) => {
+        return cosigner.getJSON(false, network);
+      });
 
-    beforeEach(async () => {
+      const proof = await mswallet.getAddressProof({
+        address: account.receiveAddress()
+      });
+
+      assert.strictEqual(proof.address, address);
+      assert.strictEqual(proof.branch, 0);
+      assert.strictEqual(proof.index, 0);
+      assert.strictEqual(proof.witness, WITNESS);
+      assert.strictEqual(proof.nested, false);
+      assert.strictEqual(proof.keys.length, 2);
+
+      for (const [i, key] of proof.keys.entries()) {
+        const expected = xpubs[i].derive(0).derive(0).publicKey;
+        assert.strictEqual(key.publicKey, expected.toString('hex'));
+      }
+
+      const byPath = await mswallet.getAddressProof({ branch: 0, index: 0 });
+      assert.deepStrictEqual(byPath, proof);
+
+      const result = verifyAddressProof(proof, cosigners, {
+        m: 2,
+        witness: WITNESS,
+        address
+      });
+
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.address, address);
+      assert.deepStrictEqual(result.mismatches, []);
+
+      assert.throws(() => verifyAddressProof(proof, cosigners, {
+        witness: WITNESS
+      }), {
+        message: 'Expected m is required.'
+      });
+
+      assert.throws(() => verifyAddressProof(proof, cosigners, { m: 2 }), {
+        message: 'Wallet type is required.'
+      });
+
+      const unknown = KeyRing.generate().getAddress();
+      assert.strictEqual(
+        await mswallet.getAddressProof({ address: unknown }),
+        null
+      );
+    });
+
+    it('should prove nested address derivation', async () => {
+      if (!WITNESS) {
+        await assert.rejects(mswallet.getAddressProof({
+          branch: 2,
+          index: 0
+        }), {
+          message: 'Nested addresses need witness wallet.'
+        });
+        return;
+      }
+
+      const network = mswallet.network;
+      const account = await mswallet.getAccount();
+      const address = account.nestedAddress().toString(network);
+      const cosigners = mswallet.cosigners.map((cosigner) => {
+        return cosigner.getJSON(false, network);
+      });
+
+      const proof = await mswallet.getAddressProof({ branch: 2, index: 0 });
+
+      assert.strictEqual(proof.address, address);
+      assert.strictEqual(proof.nested, true);
+      assert(proof.redeemScript);
+
+      const result = verifyAddressProof(proof, cosigners, {
+        m: 2,
+        witness: true,
+        nested: true,
+        address
+      });
+
+      assert.strictEqual(result.valid, true);
+
+      // requested receive address, server returned nested.
+      const unexpected = verifyAddressProof(proof, cosigners, {
+        m: 2,
+        witness: true,
+        nested: false
+      });
+
+      assert.strictEqual(unexpected.valid, false);
+      assert(unexpected.mismatches.includes('nested'));
+      assert(unexpected.mismatches.includes('address'));
+    });
+
+    it('should detect mismatching address proof', async () => {
+      const network = mswallet.network;
+      const cosigners = mswallet.cosigners.map((cosigner) => {
+        return cosigner.getJSON(false, network);
+      });
+
+      const proof = await mswallet.getAddressProof({ branch: 0, index: 1 });
+
+      const known = { m: 2, witness: WITNESS };
+
+      // server claims different threshold.
+      const forged = verifyAddressProof({ ...proof, m: 1 }, cosigners, known);
+
+      assert.strictEqual(forged.valid, false);
+      assert.deepStrictEqual(forged.mismatches, ['m']);
+
+      // server claims different wallet type.
+      const type = verifyAddressProof(proof, cosigners, {
+        m: 2,
+        witness: !WITNESS
+      });
+
+      assert.strictEqual(type.valid, false);
+      assert(type.mismatches.includes('witness'));
+      assert(type.mismatches.includes('address'));
+
+      // cosigner knows different account key.
+      const other = verifyAddressProof(proof, [
+        cosigners[0],
+        { id: 1, accountKey: xpub3.xpubkey(network) }
+      ], known);
+
+      assert.strictEqual(other.valid, false);
+      assert.deepStrictEqual(other.mismatches.slice(0, 3),
+        ['keys.1', 'script', WITNESS ? 'witnessScript' : 'redeemScript']);
+      assert(other.mismatches.includes('address'));
+
+      const missing = verifyAddressProof(proof, cosigners.slice(0, 1), known);
+      assert.strictEqual(missing.valid, false);
+      assert.deepStrictEqual(missing.mismatches, ['n']);
+    });
+  });
+
+  describe('PSBT', function() {
+    it('should export proposal as PSBT', async () => {
       await walletUtils.fundWalletBlock(wdb, mswallet, 1);
-      proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+      const sigs = await signProposal(
+        mswallet,
+        proposal,
+        cosignerCtxs,
+        cosignerCtx1,
+        WITNESS
+      );
+
+      await mswallet.approveProposal(proposal.id, cosigner1, sigs);
+
+      const mtx = await mswallet.getProposalMTX(proposal.id);
+      const paths = await mswallet.getInputPaths(mtx);
+      const psbt = await mswallet.getProposalPSBT(proposal.id);
+      const psbt2 = PSBT.fromBase64(psbt.toBase64());
+
+      assert.strictEqual(psbt2.inputs.length, mtx.inputs.length);
+      assert.bufferEqual(psbt2.tx.hash(), psbt.tx.hash());
+
+      for (const [i, input] of psbt2.inputs.entries()) {
+        const {branch, index} = paths[i];
+        const key1 = xpub1.derive(branch).derive(index).publicKey;
+        const key2 = xpub2.derive(branch).derive(index).publicKey;
+
+        assert.strictEqual(input.derivations.size, 2);
+        const derivation = cosigner1.getDerivation(
+          branch,
+          index,
+          mswallet.network
+        );
+
+        assert.deepStrictEqual(
+          input.derivations.get(key1).path,
+          derivation.path
+        );
+        assert.ok(input.nonWitnessUTXO);
+        assert.strictEqual(Boolean(input.witnessUTXO), WITNESS);
+        assert.strictEqual(Boolean(input.witnessScript), WITNESS);
+
+        assert.strictEqual(input.partialSigs.size, 1);
+        assert.bufferEqual(input.partialSigs.get(key1), sigs[i]);
+        assert.strictEqual(input.partialSigs.has(key2), false);
+      }
     });
 
-    it('should force reject proposal', async () => {
-      const pid = proposal.id;
-      const rejectedProposal = await mswallet.forceRejectProposal(pid);
+    it('should approve proposal with PSBT', async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
 
-      assert(rejectedProposal);
-      assert(rejectedProposal.status === Proposal.status.FORCE);
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+      const mtx = await mswallet.getProposalMTX(proposal.id);
+      const paths = await mswallet.getInputPaths(mtx);
 
-      // we should be able to create new proposal
-      const p2 = await mkProposal(mswallet, cosignerCtx1, 1);
+      for (const [ctx, cosigner] of [
+        [cosignerCtx1, cosigner1],
+        [cosignerCtx2, cosigner2]
+      ]) {
+        const psbt = await mswallet.getProposalPSBT(proposal.id);
+        const sigs = await signProposal(
+          mswallet,
+          proposal,
+          cosignerCtxs,
+          ctx,
+          WITNESS
+        );
 
-      assert(p2);
+        for (const [i, input] of psbt.inputs.entries()) {
+          const {branch, index} = paths[i];
+          const key = ctx.accountKey.derive(branch).derive(index).publicKey;
+
+          input.partialSigs.set(key, sigs[i]);
+        }
+
+        const signed = PSBT.fromBase64(psbt.toBase64());
+        const signatures = await mswallet.getPSBTSignatures(
+          proposal.id,
+          cosigner,
+          signed
+        );
+
+        assert.deepStrictEqual(signatures, sigs);
+
+        await mswallet.approveProposal(proposal.id, cosigner, signatures);
+      }
+
+      const approved = await mswallet.getProposal(proposal.id);
+      assert.strictEqual(approved.status, Proposal.status.APPROVED);
+
+      const pmtx = await mswallet.getProposalMTX(proposal.id);
+      assert(pmtx.verify());
     });
 
-    it('should fail rejecting rejected proposal', async () => {
-      const signature = cosignerCtx1.signProposal(REJECT, proposal.options);
-      await mswallet.rejectProposal(proposal.id, cosigner1, signature);
+    it('should fail extracting signatures from other PSBT', async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
 
-      const pid = proposal.id;
+      const proposal1 = await mkProposal(mswallet, cosignerCtx1, 1);
+      const proposal2 = await mkProposal(mswallet, cosignerCtx1, 1);
+      const psbt = await mswallet.getProposalPSBT(proposal2.id);
 
       await assert.rejects(async () => {
-        await mswallet.forceRejectProposal(pid);
+        await mswallet.getPSBTSignatures(proposal1.id, cosigner1, psbt);
       }, {
-        message: 'Proposal is not pending.'
+        message: 'PSBT does not match proposal transaction.'
       });
     });
   });
 
+  describe('Comments', function() {
+    let proposal;
+
+    const comment = (cosignerCtx, message, pid, signer) => {
+      const options = {
+        proposal: pid,
+        message: message,
+        timestamp: now()
+      };
+
+      if (!signer)
+        signer = cosignerCtx;
+
+      const signature = signer.signProposal(COMMENT, options);
+
+      return mswallet.addComment(
+        proposal.id,
+        cosignerCtx.toCosigner(),
+        options,
+        signature
+      );
+    };
+
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+    });
+
+    it('should comment on proposal', async () => {
+      const commentEvent = forEvent(mswallet, 'proposal comment');
+
+      const c1 = await comment(cosignerCtx2, 'What is this for?', proposal.id);
+      const eventProposal = await commentEvent;
+
+      assert.strictEqual(eventProposal.id, proposal.id);
+
+      const c2 = await comment(cosignerCtx1, 'Server costs.', proposal.id);
+
+      assert.strictEqual(c1.id, 0);
+      assert.strictEqual(c1.author, cosigner2.id);
+      assert.strictEqual(c2.id, 1);
+      assert.strictEqual(c2.author, cosigner1.id);
+      assert.strictEqual(
+        c2.verifySignature(TEST_WALLET_ID, cosigner1.authPubKey),
+        true
+      );
+
+      const comments = await mswallet.getComments(proposal.id);
+
+      assert.strictEqual(comments.length, 2);
+      assert.strictEqual(comments[0].message, 'What is this for?');
+      assert.bufferEqual(comments[1].encode(), c2.encode());
+    });
+
+    it('should fail commenting with wrong signature', async () => {
+      await assert.rejects(
+        comment(cosignerCtx2, 'message', proposal.id, cosignerCtx1),
+        { message: 'comment signature is not valid.' }
+      );
+
+      const comments = await mswallet.getComments(proposal.id);
+      assert.strictEqual(comments.length, 0);
+    });
+
+    it('should fail reusing comment for another proposal', async () => {
+      await assert.rejects(comment(cosignerCtx2, 'message', proposal.id + 1), {
+        message: 'Comment is signed for another proposal.'
+      });
+    });
+
+    it('should fail getting comments of non-existent proposal', async () => {
+      const comments = await mswallet.getComments(proposal.id + 1);
+      assert.strictEqual(comments, null);
+    });
+  });
+
+  describe('Coin spends', function() {
+    it('should reject proposal on mempool double spend', async () => {
+      const amount = Amount.fromBTC(1).toValue();
+      const account = await mswallet.getAccount();
+      const mtx = walletUtils.createFundTX(account.receiveAddress(), amount);
+
+      await wdb.addTX(mtx.toTX());
+
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+
+      const dstx = walletUtils.getDoubleSpendTransaction(mtx);
+
+      await wdb.addTX(dstx.toTX());
+
+      const checkProposal = await mswallet.getProposal(proposal.id);
+
+      assert.ok(checkProposal instanceof Proposal);
+      assert.strictEqual(checkProposal.status, Proposal.status.DBLSPEND);
+    });
+
+    it('should reject proposal on coin spend', async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+
+      const mtx = await mswallet.getProposalMTX(proposal.id);
+      const paths = await mswallet.getInputPaths(mtx);
+
+      const sign = async (priv) => {
+        mtx.inputs.forEach((_, i) => {
+          const path = paths[i];
+
+          // derive correct priv key
+          const _priv = priv.derive(path.branch).derive(path.index);
+
+          // derive pubkeys
+          const p1 = xpub1.derive(path.branch).derive(path.index);
+          const p2 = xpub2.derive(path.branch).derive(path.index);
+
+          const ring = KeyRing.fromPrivate(_priv.privateKey);
+
+          ring.script = Script.fromMultisig(
+            proposal.m,
+            proposal.n,
+            [p1.publicKey, p2.publicKey]
+          );
+
+          ring.witness = WITNESS;
+
+          const signed = mtx.sign(ring);
+
+          assert.strictEqual(signed, 1);
+        });
+      };
+
+      sign(priv1);
+      sign(priv2);
+
+      await wdb.addBlock(walletUtils.nextBlock(wdb), [mtx.toTX()]);
+
+      const checkProposal = await mswallet.getProposal(proposal.id);
+
+      assert.ok(checkProposal instanceof Proposal);
+      assert.strictEqual(checkProposal.status, Proposal.status.DBLSPEND);
+    });
+
+    it('should reject proposal on reorg double spend', async () => {
+      const mtx = await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+      assert.ok(proposal instanceof Proposal);
+
+      const rejectEvent = forEvent(mswallet, 'proposal rejected', 2000);
+
+      await walletUtils.removeBlock(wdb);
+      await walletUtils.doubleSpendTransaction(wdb, mtx.toTX());
+
+      await rejectEvent;
+
+      const checkProposal = await mswallet.getProposal(proposal.id);
+
+      assert.ok(checkProposal instanceof Proposal);
+      assert.strictEqual(checkProposal.status, Proposal.status.DBLSPEND);
+    });
+
+    it('should keep proposals with existing coins', async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+      const key = layout.k.encode(mswallet.wid);
+
+      assert.strictEqual(await msdb.db.has(key), true);
+      assert.strictEqual(await msdb.checkLockedCoins(), 0);
+      assert.strictEqual(await msdb.db.has(key), true);
+
+      const checkProposal = await mswallet.getProposal(proposal.id);
+      assert.strictEqual(checkProposal.status, Proposal.status.PROGRESS);
+
+      const locked = await mswallet.getLocked(true);
+      assert.strictEqual(locked.length, 1);
+    });
+
+    it('should reject proposal with missing coins on startup', async () => {
+      const amount = Amount.fromBTC(1).toValue();
+      const account = await mswallet.getAccount();
+      const mtx = walletUtils.createFundTX(account.receiveAddress(), amount);
+
+      await wdb.addTX(mtx.toTX());
+
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+
+      // coin disappears while multisigdb is not running.
+      await msdb.close();
+      await wallet.abandon(mtx.hash());
+      await msdb.open();
+
+      mswallet = await msdb.getWallet(TEST_WALLET_ID);
+
+      const checkProposal = await mswallet.getProposal(proposal.id);
+      assert.strictEqual(checkProposal.status, Proposal.status.DBLSPEND);
+
+      const locked = await mswallet.getLocked(true);
+      assert.strictEqual(locked.length, 0);
+
+      const stats = await mswallet.getStats();
+      assert.deepStrictEqual(stats.toJSON(), {
+        lockedOwnCoins: 0,
+        lockedOwnBalance: 0,
+        proposals: 1,
+        pending: 0,
+        approved: 0,
+        rejected: 1
+      });
+
+      const entries = await mswallet.getAuditLog();
+      const last = entries[entries.length - 1];
+      assert.strictEqual(last.proposal, proposal.id);
+      assert.strictEqual(last.action, AuditEntry.action.CLOSE);
+      assert.strictEqual(last.status, Proposal.status.DBLSPEND);
+
+      // nothing left to check.
+      const key = layout.k.encode(mswallet.wid);
+      assert.strictEqual(await msdb.db.has(key), false);
+      assert.strictEqual(await msdb.checkLockedCoins(), 0);
+    });
+  });
+
+  describe('Force reject proposal', function() {
+    let proposal;
+
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+    });
+
+    it('should force reject proposal', async () => {
+      const pid = proposal.id;
+      const rejectedProposal = await mswallet.forceRejectProposal(pid);
+
+      assert(rejectedProposal);
+      assert(rejectedProposal.status === Proposal.status.FORCE);
+
+      // we should be able to create new proposal
+      const p2 = await mkProposal(mswallet, cosignerCtx1, 1);
+
+      assert(p2);
+    });
+
+    it('should fail rejecting rejected proposal', async () => {
+      const signature = cosignerCtx1.signProposal(REJECT, proposal.options);
+      await mswallet.rejectProposal(proposal.id, cosigner1, signature);
+
+      const pid = proposal.id;
+
+      await assert.rejects(async () => {
+        await mswallet.forceRejectProposal(pid);
+      }, {
+        message: 'Proposal is not pending.'
+      });
+    });
+  });
+
+  describe('Withdraw proposal', function() {
+    let proposal;
+
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+    });
+
+    it('should withdraw proposal', async () => {
+      const signature = cosignerCtx1.signProposal(WITHDRAW, proposal.options);
+
+      const rejectEvent = forEvent(mswallet, 'proposal rejected');
+      const withdrawn = await mswallet.withdrawProposal(
+        proposal.id,
+        cosigner1,
+        signature
+      );
+      const rejected = await rejectEvent;
+
+      assert.strictEqual(withdrawn.status, Proposal.status.WITHDRAWN);
+      assert.strictEqual(rejected.status, Proposal.status.WITHDRAWN);
+
+      const locked = await mswallet.getLocked(true);
+      assert.strictEqual(locked.length, 0);
+
+      const stats = await mswallet.getStats();
+      assert.deepStrictEqual(stats.toJSON(), {
+        lockedOwnCoins: 0,
+        lockedOwnBalance: 0,
+        proposals: 1,
+        pending: 0,
+        approved: 0,
+        rejected: 1
+      });
+
+      const p2 = await mkProposal(mswallet, cosignerCtx1, 1);
+      assert(p2);
+    });
+
+    it('should fail withdrawing with rejection signature', async () => {
+      const signature = cosignerCtx1.signProposal(REJECT, proposal.options);
+
+      await assert.rejects(async () => {
+        await mswallet.withdrawProposal(proposal.id, cosigner1, signature);
+      }, {
+        message: 'withdrawal signature is not valid.'
+      });
+    });
+
+    it('should fail withdrawing by other cosigner', async () => {
+      const signature = cosignerCtx2.signProposal(WITHDRAW, proposal.options);
+
+      await assert.rejects(async () => {
+        await mswallet.withdrawProposal(proposal.id, cosigner2, signature);
+      }, {
+        message: 'Only author can withdraw the proposal.'
+      });
+
+      const checkProposal = await mswallet.getProposal(proposal.id);
+      assert.strictEqual(checkProposal.isPending(), true);
+    });
+  });
+
+  describe('Revoke approval', function() {
+    let proposal, sigs1;
+
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+
+      sigs1 = await signProposal(mswallet, proposal, cosignerCtxs,
+        cosignerCtx1, WITNESS);
+
+      await mswallet.approveProposal(proposal.id, cosigner1, sigs1);
+    });
+
+    it('should revoke approval', async () => {
+      const signature = cosignerCtx1.signProposal(REVOKE, proposal.options);
+
+      const revokeEvent = forEvent(mswallet, 'approval revoked');
+      const revoked = await mswallet.revokeApproval(
+        proposal.id,
+        cosigner1,
+        signature
+      );
+      const eventProposal = await revokeEvent;
+
+      assert.strictEqual(revoked.isPending(), true);
+      assert.strictEqual(revoked.approvals.size, 0);
+      assert.strictEqual(revoked.rejections.size, 0);
+      assert.strictEqual(eventProposal.approvals.size, 0);
+
+      const locked = await mswallet.getLocked(true);
+      assert.strictEqual(locked.length, 1);
+
+      // approve again
+      const sigs2 = await signProposal(mswallet, proposal, cosignerCtxs,
+        cosignerCtx2, WITNESS);
+
+      await mswallet.approveProposal(proposal.id, cosigner2, sigs2);
+      const approved = await mswallet.approveProposal(proposal.id, cosigner1,
+        sigs1);
+
+      assert.strictEqual(approved.isApproved(), true);
+    });
+
+    it('should revoke approval and reject', async () => {
+      const signature = cosignerCtx1.signProposal(REVOKE, proposal.options);
+      const rejectSig = cosignerCtx1.signProposal(REJECT, proposal.options);
+
+      const rejectEvent = forEvent(mswallet, 'proposal rejected');
+      const rejected = await mswallet.revokeApproval(
+        proposal.id,
+        cosigner1,
+        signature,
+        rejectSig
+      );
+      await rejectEvent;
+
+      assert.strictEqual(rejected.status, Proposal.status.REJECTED);
+      assert.strictEqual(rejected.approvals.size, 0);
+      assert.bufferEqual(rejected.rejections.get(cosigner1.id), rejectSig);
+
+      const locked = await mswallet.getLocked(true);
+      assert.strictEqual(locked.length, 0);
+
+      const stats = await mswallet.getStats();
+      assert.strictEqual(stats.pending, 0);
+      assert.strictEqual(stats.rejected, 1);
+
+      const entries = await mswallet.getAuditLog();
+      assert.deepStrictEqual(entries.slice(-2).map(e => e.action), [
+        AuditEntry.action.REVOKE,
+        AuditEntry.action.REJECT
+      ]);
+    });
+
+    it('should fail revoking with wrong signature', async () => {
+      const signature = cosignerCtx1.signProposal(REJECT, proposal.options);
+
+      await assert.rejects(async () => {
+        await mswallet.revokeApproval(proposal.id, cosigner1, signature);
+      }, {
+        message: 'revocation signature is not valid.'
+      });
+
+      const revokeSig = cosignerCtx1.signProposal(REVOKE, proposal.options);
+
+      await assert.rejects(async () => {
+        await mswallet.revokeApproval(proposal.id, cosigner1, revokeSig,
+          revokeSig);
+      }, {
+        message: 'rejection signature is not valid.'
+      });
+    });
+
+    it('should fail revoking without approval', async () => {
+      const signature = cosignerCtx2.signProposal(REVOKE, proposal.options);
+
+      await assert.rejects(async () => {
+        await mswallet.revokeApproval(proposal.id, cosigner2, signature);
+      }, {
+        message: 'Cosigner has not approved.'
+      });
+    });
+
+    it('should fail revoking approved proposal', async () => {
+      const sigs2 = await signProposal(mswallet, proposal, cosignerCtxs,
+        cosignerCtx2, WITNESS);
+
+      await mswallet.approveProposal(proposal.id, cosigner2, sigs2);
+
+      const signature = cosignerCtx1.signProposal(REVOKE, proposal.options);
+
+      await assert.rejects(async () => {
+        await mswallet.revokeApproval(proposal.id, cosigner1, signature);
+      }, {
+        message: 'Can not revoke approval of non pending proposal.'
+      });
+    });
+  });
+
+  describe('Quorum rules', function() {
+    let mswallet2, proposal;
+
+    const approve = async (ctx) => {
+      const mtx = await mswallet2.getProposalMTX(proposal.id);
+      const paths = await mswallet2.getInputPaths(mtx);
+      const rings = testUtils.getMTXRings(
+        mtx, paths, ctx.accountPrivKey, xpubs, 2, WITNESS
+      );
+      const sigs = testUtils.getMTXSignatures(mtx, rings);
+
+      return mswallet2.approveProposal(proposal.id, ctx.toCosigner(), sigs);
+    };
+
+    beforeEach(async () => {
+      mswallet2 = await mkWallet(msdb, TEST_WALLET_ID2, 2, 3, WITNESS, [
+        cosignerCtx1,
+        cosignerCtx2,
+        cosignerCtx3
+      ]);
+
+      await walletUtils.fundWalletBlock(wdb, mswallet2, 1);
+
+      await mswallet2.setCosignerRole(2, null, 'finance');
+      await mswallet2.setPolicy(new SpendingPolicy({
+        roles: { finance: 1 }
+      }));
+
+      proposal = await mkProposal(mswallet2, cosignerCtx1, 0.5);
+    });
+
+    it('should wait for the role approval', async () => {
+      await approve(cosignerCtx1);
+      const pending = await approve(cosignerCtx2);
+
+      assert.strictEqual(pending.isPending(), true);
+      assert.strictEqual(pending.approvals.size, 2);
+
+      const approved = await approve(cosignerCtx3);
+      assert.strictEqual(approved.isApproved(), true);
+
+      const mtx = await mswallet2.getProposalMTX(proposal.id);
+      assert(mtx.verify());
+    });
+
+    it('should reject when quorum can not be reached', async () => {
+      const signature = cosignerCtx3.signProposal(REJECT, proposal.options);
+
+      const rejected = await mswallet2.rejectProposal(
+        proposal.id,
+        cosignerCtx3.toCosigner(),
+        signature
+      );
+
+      assert.strictEqual(rejected.status, Proposal.status.REJECTED);
+      assert.strictEqual(rejected.rejections.size, 1);
+    });
+
+    it('should require cosigner weight', async () => {
+      await mswallet2.setPolicy(new SpendingPolicy({ weight: 3 }));
+      await mswallet2.setCosignerRole(0, 2);
+
+      await approve(cosignerCtx2);
+      const pending = await approve(cosignerCtx3);
+
+      assert.strictEqual(pending.isPending(), true);
+
+      const approved = await approve(cosignerCtx1);
+      assert.strictEqual(approved.isApproved(), true);
+    });
+
+    it('should fail setting unsatisfiable quorum rules', async () => {
+      await assert.rejects(mswallet2.setPolicy(new SpendingPolicy({
+        roles: { legal: 1 }
+      })), {
+        message: 'Quorum rules can not be satisfied by cosigners.'
+      });
+
+      await assert.rejects(mswallet2.setCosignerRole(2, null, ''), {
+        message: 'Quorum rules can not be satisfied by cosigners.'
+      });
+
+      assert.strictEqual(mswallet2.cosigners[2].role, 'finance');
+    });
+  });
+
+  describe('Veto', function() {
+    let mswallet2, proposal;
+
+    beforeEach(async () => {
+      mswallet2 = await mkWallet(msdb, TEST_WALLET_ID2, 2, 3, WITNESS, [
+        cosignerCtx1,
+        cosignerCtx2,
+        cosignerCtx3
+      ]);
+
+      await walletUtils.fundWalletBlock(wdb, mswallet2, 1);
+      await mswallet2.setCosignerVeto(2, true);
+
+      proposal = await mkProposal(mswallet2, cosignerCtx1, 0.5);
+    });
+
+    it('should not reject with single rejection', async () => {
+      const signature = cosignerCtx2.signProposal(REJECT, proposal.options);
+      const pending = await mswallet2.rejectProposal(
+        proposal.id,
+        cosignerCtx2.toCosigner(),
+        signature
+      );
+
+      assert.strictEqual(pending.isPending(), true);
+    });
+
+    it('should reject with veto holder rejection', async () => {
+      const signature = cosignerCtx3.signProposal(REJECT, proposal.options);
+
+      const rejectEvent = forEvent(mswallet2, 'proposal rejected');
+      const rejected = await mswallet2.rejectProposal(
+        proposal.id,
+        cosignerCtx3.toCosigner(),
+        signature
+      );
+      await rejectEvent;
+
+      assert.strictEqual(rejected.status, Proposal.status.REJECTED);
+      assert.strictEqual(rejected.rejections.size, 1);
+
+      const locked = await mswallet2.getLocked(true);
+      assert.strictEqual(locked.length, 0);
+
+      const stats = await mswallet2.getStats();
+      assert.strictEqual(stats.rejected, 1);
+    });
+
+    it('should persist veto flag', async () => {
+      const data = await msdb.db.get(layout.w.encode(mswallet2.wid));
+      const decoded = MultisigWallet.decode(msdb, data);
+
+      assert.strictEqual(decoded.cosigners[2].veto, true);
+      assert.strictEqual(decoded.cosigners[1].veto, false);
+
+      await mswallet2.setCosignerVeto(2, false);
+      assert.strictEqual(mswallet2.cosigners[2].veto, false);
+    });
+  });
+
+  describe('Expire proposal', function() {
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+    });
+
+    it('should fail creating expired proposal', async () => {
+      await assert.rejects(async () => {
+        await mkProposal(mswallet, cosignerCtx1, 1, 'proposal', {
+          expiresAt: now() - 1
+        });
+      }, {
+        message: 'Proposal expiration must be in the future.'
+      });
+
+      const stats = await mswallet.getStats();
+      assert.strictEqual(stats.proposals, 0);
+    });
+
+    it('should expire proposal and unlock coins', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 1, 'proposal', {
+        ttl: 100
+      });
+
+      assert.strictEqual(proposal.expiresAt, proposal.createdAt + 100);
+
+      {
+        const expired = await mswallet.expireProposals(proposal.expiresAt - 1);
+        assert.strictEqual(expired.length, 0);
+      }
+
+      const rejectEvent = forEvent(mswallet, 'proposal rejected');
+      const expired = await mswallet.expireProposals(proposal.expiresAt);
+      const rejected = await rejectEvent;
+
+      assert.strictEqual(expired.length, 1);
+      assert.strictEqual(expired[0].status, Proposal.status.EXPIRED);
+      assert.strictEqual(rejected.id, proposal.id);
+      assert.strictEqual(rejected.status, Proposal.status.EXPIRED);
+
+      const checkProposal = await mswallet.getProposal(proposal.id);
+      assert.strictEqual(checkProposal.status, Proposal.status.EXPIRED);
+      assert.strictEqual(checkProposal.expiresAt, proposal.expiresAt);
+
+      const locked = await mswallet.getLocked(true);
+      assert.strictEqual(locked.length, 0);
+
+      const stats = await mswallet.getStats();
+      assert.deepStrictEqual(stats.toJSON(), {
+        lockedOwnCoins: 0,
+        lockedOwnBalance: 0,
+        proposals: 1,
+        pending: 0,
+        approved: 0,
+        rejected: 1
+      });
+
+      // coins can be reused.
+      const p2 = await mkProposal(mswallet, cosignerCtx1, 1);
+      assert(p2);
+    });
+
+    it('should expire proposals from multisigdb', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 1, 'proposal', {
+        expiresAt: now() + 100
+      });
+
+      const key = layout.x.encode(proposal.expiresAt, mswallet.wid,
+        proposal.id);
+
+      assert.strictEqual(await msdb.db.has(key), true);
+
+      assert.strictEqual(await msdb.expireProposals(now()), 0);
+      assert.strictEqual(await msdb.expireProposals(now() + 100), 1);
+
+      const checkProposal = await mswallet.getProposal(proposal.id);
+      assert.strictEqual(checkProposal.status, Proposal.status.EXPIRED);
+      assert.strictEqual(await msdb.db.has(key), false);
+    });
+
+    it('should remove closed proposal from expiration index', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 1, 'proposal', {
+        ttl: 100
+      });
+
+      const key = layout.x.encode(proposal.expiresAt, mswallet.wid,
+        proposal.id);
+
+      assert.strictEqual(await msdb.db.has(key), true);
+
+      await mswallet.forceRejectProposal(proposal.id);
+
+      assert.strictEqual(await msdb.db.has(key), false);
+      assert.strictEqual(await msdb.expireProposals(proposal.expiresAt), 0);
+    });
+  });
+
+  describe('Bump proposal', function() {
+    const RATE = 50000;
+
+    const approve = async (proposal) => {
+      for (const [ctx, cosigner] of [
+        [cosignerCtx1, cosigner1],
+        [cosignerCtx2, cosigner2]
+      ]) {
+        const sigs = await signProposal(
+          mswallet,
+          proposal,
+          cosignerCtxs,
+          ctx,
+          WITNESS
+        );
+
+        await mswallet.approveProposal(proposal.id, cosigner, sigs);
+      }
+
+      return mswallet.getProposalTX(proposal.id);
+    };
+
+    const mkBump = async (pid) => {
+      const txoptions = {rate: RATE};
+      const options = {
+        memo: 'bump',
+        timestamp: now(),
+        replaces: pid,
+        txoptions: txoptions
+      };
+
+      const signature = cosignerCtx1.signProposal(CREATE, options);
+
+      const [proposal] = await mswallet.createProposal(
+        options,
+        cosigner1,
+        txoptions,
+        signature
+      );
+
+      return proposal;
+    };
+
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+    });
+
+    it('should replace approved proposal', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 0.5);
+      const tx = await approve(proposal);
+
+      await wdb.addTX(tx);
+      await sleep(100);
+
+      const bump = await mkBump(proposal.id);
+      assert.strictEqual(bump.replaces, proposal.id);
+      assert.strictEqual(bump.isPending(), true);
+
+      const mtx = await mswallet.getProposalMTX(bump.id);
+      const view = await mswallet.getCoinView(tx);
+
+      for (const {prevout} of tx.inputs)
+        assert(mtx.inputs.some(input => input.prevout.equals(prevout)));
+
+      for (const input of [...tx.inputs, ...mtx.inputs]) {
+        assert.strictEqual(input.sequence, 0xfffffffd);
+        assert.notBufferEqual(input.prevout.hash, tx.hash());
+      }
+
+      assert(mtx.getFee() > tx.getFee(view));
+
+      const rejectEvent = forEvent(mswallet, 'proposal rejected', 2000);
+      const bumpTX = await approve(bump);
+
+      await wdb.addTX(bumpTX);
+
+      const replaced = await rejectEvent;
+      assert.strictEqual(replaced.id, proposal.id);
+      assert.strictEqual(replaced.status, Proposal.status.REPLACED);
+      assert.strictEqual(replaced.replacedBy, bump.id);
+
+      const approved = await mswallet.getProposal(bump.id);
+      assert.strictEqual(approved.isApproved(), true);
+
+      const locked = await mswallet.getLocked(true);
+      assert.strictEqual(locked.length, 0);
+    });
+
+    it('should not count replaced outflow in spending policy', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 0.5);
+      const tx = await approve(proposal);
+
+      await wdb.addTX(tx);
+      await sleep(100);
+
+      await mswallet.setPolicy(new SpendingPolicy({
+        dailyLimit: Amount.fromBTC(0.8).toValue(),
+        velocity: { hour: Amount.fromBTC(0.8).toValue() }
+      }));
+
+      await assert.rejects(mkProposal(mswallet, cosignerCtx1, 0.5), {
+        type: 'PolicyError'
+      });
+
+      const bump = await mkBump(proposal.id);
+      assert.strictEqual(bump.isPending(), true);
+
+      await approve(bump);
+
+      const approved = await mswallet.getProposal(bump.id);
+      assert.strictEqual(approved.isApproved(), true);
+    });
+
+    it('should reject approved replacement if original confirms', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 0.5);
+      const tx = await approve(proposal);
+
+      await wdb.addTX(tx);
+      await sleep(100);
+
+      const bump = await mkBump(proposal.id);
+      await approve(bump);
+
+      const rejectEvent = forEvent(mswallet, 'proposal rejected', 2000);
+
+      await wdb.addBlock(walletUtils.nextBlock(wdb), [tx]);
+
+      const rejected = await rejectEvent;
+      assert.strictEqual(rejected.id, bump.id);
+      assert.strictEqual(rejected.status, Proposal.status.DBLSPEND);
+
+      const original = await mswallet.getProposal(proposal.id);
+      assert.strictEqual(original.isApproved(), true);
+      assert.strictEqual(original.replacedBy, -1);
+
+      const locked = await mswallet.getLocked(true);
+      assert.strictEqual(locked.length, 0);
+    });
+
+    it('should keep replacement coins on locked coin check', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 0.5);
+      const tx = await approve(proposal);
+
+      await wdb.addTX(tx);
+      await sleep(100);
+
+      const bump = await mkBump(proposal.id);
+      const locked = await mswallet.getLocked(true);
+
+      // prevouts are spent by the original transaction.
+      assert.strictEqual(await msdb.checkLockedCoins(), 0);
+
+      const pending = await mswallet.getProposal(bump.id);
+      assert.strictEqual(pending.isPending(), true);
+      assert.strictEqual((await mswallet.getLocked(true)).length,
+        locked.length);
+
+      // approved replacement keeps locks until it is broadcast.
+      await approve(bump);
+      assert.strictEqual(await msdb.checkLockedCoins(), 0);
+
+      const approved = await mswallet.getProposal(bump.id);
+      assert.strictEqual(approved.isApproved(), true);
+      assert.strictEqual((await mswallet.getLocked(true)).length,
+        locked.length);
+    });
+
+    it('should fail replacing non approved proposal', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 0.5);
+
+      await assert.rejects(mkBump(proposal.id), {
+        message: 'Can only replace approved proposal.'
+      });
+    });
+
+    it('should fail replacing proposal before broadcast', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 0.5);
+      await approve(proposal);
+
+      await assert.rejects(mkBump(proposal.id), {
+        message: 'Proposal transaction has not been broadcast.'
+      });
+    });
+
+    it('should fail replacing proposal twice', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 0.5);
+      const tx = await approve(proposal);
+
+      await wdb.addTX(tx);
+      await sleep(100);
+
+      await mkBump(proposal.id);
+
+      await assert.rejects(mkBump(proposal.id), {
+        message: 'Proposal is already being replaced.'
+      });
+    });
+  });
+
+  describe('Coin control', function() {
+    const mkInputsProposal = async (btc, coins, extra = {}) => {
+      const [txoptions, httpTXOptions] = getTXOptions(btc);
+
+      Object.assign(txoptions, extra);
+      Object.assign(httpTXOptions, extra);
+
+      txoptions.inputs = coins.map(coin => Outpoint.fromCoin(coin));
+      httpTXOptions.inputs = coins.map((coin) => {
+        return {
+          hash: coin.txid(),
+          index: coin.index
+        };
+      });
+
+      const options = {
+        memo: 'inputs',
+        timestamp: now(),
+        txoptions: httpTXOptions
+      };
+
+      const signature = cosignerCtx1.signProposal(CREATE, options);
+
+      const [proposal] = await mswallet.createProposal(
+        options,
+        cosigner1,
+        txoptions,
+        signature
+      );
+
+      return proposal;
+    };
+
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+    });
+
+    it('should create proposal spending selected coins', async () => {
+      const coins = await wallet.getCoins();
+      assert.strictEqual(coins.length, 3);
+
+      const selected = coins.slice(0, 2);
+      const proposal = await mkInputsProposal(0.5, selected);
+      const tx = await mswallet.getProposalTX(proposal.id);
+
+      assert.strictEqual(tx.inputs.length, selected.length);
+
+      for (const coin of selected) {
+        const outpoint = Outpoint.fromCoin(coin);
+
+        assert(tx.inputs.some(input => input.prevout.equals(outpoint)));
+        assert.strictEqual(await mswallet.isLocked(outpoint), true);
+      }
+
+      const options = JSON.parse(proposal.options);
+      assert.strictEqual(options.txoptions.inputs.length, 2);
+    });
+
+    it('should fail spending coin locked by proposal', async () => {
+      const coins = await wallet.getCoins();
+      const proposal = await mkInputsProposal(0.5, [coins[0]]);
+
+      assert.ok(proposal instanceof Proposal);
+
+      await assert.rejects(mkInputsProposal(0.5, [coins[0], coins[1]]), {
+        message: 'Input coin is locked by another proposal.'
+      });
+    });
+
+    it('should fail spending unknown coin', async () => {
+      const coins = await wallet.getCoins();
+      const coin = coins[0].clone();
+      coin.index += 10;
+
+      await assert.rejects(mkInputsProposal(0.5, [coin]), {
+        message: 'Input coin not found.'
+      });
+    });
+
+    it('should fail spending coin without confirmations', async () => {
+      const amount = Amount.fromBTC(1).toValue();
+      const account = await mswallet.getAccount();
+      const mtx = walletUtils.createFundTX(account.receiveAddress(), amount);
+
+      await wdb.addTX(mtx.toTX());
+
+      const coins = await wallet.getCoins();
+      const unconfirmed = coins.filter(coin => coin.height === -1);
+      assert.strictEqual(unconfirmed.length, 1);
+
+      await assert.rejects(mkInputsProposal(0.5, unconfirmed, { depth: 1 }), {
+        message: 'Input coin does not have enough confirmations.'
+      });
+
+      const proposal = await mkInputsProposal(0.5, unconfirmed, { depth: 0 });
+      assert.ok(proposal instanceof Proposal);
+    });
+
+    it('should set locktime with selected coins', async () => {
+      const coins = await wallet.getCoins();
+      const locktime = wdb.state.height;
+      const proposal = await mkInputsProposal(0.5, [coins[0]], { locktime });
+      const tx = await mswallet.getProposalTX(proposal.id);
+
+      assert.strictEqual(tx.locktime, locktime);
+      assert.strictEqual(tx.inputs[0].sequence, 0xfffffffd);
+    });
+  });
+
+  describe('Spending policy', function() {
+    const {rules} = SpendingPolicy;
+
+    it('should persist spending policy', async () => {
+      const policy = new SpendingPolicy({ dailyLimit: 1e8 });
+
+      await mswallet.setPolicy(policy);
+
+      const data = await msdb.db.get(layout.w.encode(mswallet.wid));
+      const decoded = MultisigWallet.decode(msdb, data);
+
+      assert(decoded.policy);
+      assert.strictEqual(decoded.policy.dailyLimit, 1e8);
+
+      await mswallet.setPolicy(new SpendingPolicy());
+      assert.strictEqual(mswallet.policy, null);
+    });
+
+    it('should fail setting threshold lower than m', async () => {
+      const policy = new SpendingPolicy({
+        thresholds: [{ value: 1e8, m: 1 }]
+      });
+
+      await assert.rejects(mswallet.setPolicy(policy), {
+        message: 'Threshold approvals can not be less than m.'
+      });
+    });
+
+    it('should fail creating proposal to address not in allowlist',
+      async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+
+      await mswallet.setPolicy(new SpendingPolicy({
+        allowlist: [generateAddress()]
+      }));
+
+      await assert.rejects(mkProposal(mswallet, cosignerCtx1, 0.5), {
+        type: 'PolicyError',
+        code: rules.ALLOWLIST,
+        statusCode: 403
+      });
+
+      const pending = await mswallet.getPendingProposals();
+      assert.strictEqual(pending.length, 0);
+    });
+
+    it('should fail creating proposal with forbidden output', async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+
+      await mswallet.setPolicy(new SpendingPolicy({
+        forbiddenTypes: [Script.types.PUBKEYHASH]
+      }));
+
+      await assert.rejects(mkProposal(mswallet, cosignerCtx1, 0.5), {
+        type: 'PolicyError',
+        code: rules.SCRIPT_TYPE
+      });
+    });
+
+    it('should fail creating proposal over daily limit', async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+
+      await mswallet.setPolicy(new SpendingPolicy({
+        dailyLimit: Amount.fromBTC(1.5).toValue()
+      }));
+
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 1);
+      assert.ok(proposal instanceof Proposal);
+
+      await assert.rejects(mkProposal(mswallet, cosignerCtx1, 1), {
+        type: 'PolicyError',
+        code: rules.DAILY_LIMIT
+      });
+    });
+
+    it('should require more approvals above threshold', async () => {
+      const mswallet2 = await mkWallet(msdb, TEST_WALLET_ID2, 2, 3, WITNESS, [
+        cosignerCtx1,
+        cosignerCtx2,
+        cosignerCtx3
+      ]);
+
+      const cosigners = cosignerCtxs.map(c => c.toCosigner());
+
+      await walletUtils.fundWalletBlock(wdb, mswallet2, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet2, 1);
+
+      await mswallet2.setPolicy(new SpendingPolicy({
+        thresholds: [{ value: Amount.fromBTC(1).toValue(), m: 3 }]
+      }));
+
+      const small = await mkProposal(mswallet2, cosignerCtx1, 0.5);
+      assert.strictEqual(small.m, 2);
+
+      const proposal = await mkProposal(mswallet2, cosignerCtx1, 1.2);
+      assert.strictEqual(proposal.m, 3);
+
+      const mtx = await mswallet2.getProposalMTX(proposal.id);
+      const paths = await mswallet2.getInputPaths(mtx);
+      const privs = [priv1, priv2, priv3];
+
+      let approved;
+      for (const [i, priv] of privs.entries()) {
+        const rings = testUtils.getMTXRings(
+          mtx, paths, priv, xpubs, 2, WITNESS
+        );
+        const sigs = testUtils.getMTXSignatures(mtx, rings);
+
+        approved = await mswallet2.approveProposal(
+          proposal.id,
+          cosigners[i],
+          sigs
+        );
+
+        if (i < 2)
+          assert.strictEqual(approved.isPending(), true);
+      }
+
+      assert.strictEqual(approved.isApproved(), true);
+      assert.strictEqual(approved.approvals.size, 3);
+
+      const pmtx = await mswallet2.getProposalMTX(proposal.id);
+      assert(pmtx.verify(), 'Transaction is not valid.');
+    });
+  });
+
+  describe('Outflow velocity', function() {
+    const approve = async (wallet, proposal, privs, xpubs) => {
+      const mtx = await wallet.getProposalMTX(proposal.id);
+      const paths = await wallet.getInputPaths(mtx);
+      const cosigners = cosignerCtxs.map(c => c.toCosigner());
+
+      let approved;
+      for (const [i, priv] of privs.entries()) {
+        const rings = testUtils.getMTXRings(
+          mtx, paths, priv, xpubs, 2, WITNESS
+        );
+        const sigs = testUtils.getMTXSignatures(mtx, rings);
+
+        approved = await wallet.approveProposal(
+          proposal.id,
+          cosigners[i],
+          sigs
+        );
+      }
+
+      return approved;
+    };
+
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+    });
+
+    it('should track approved outflow', async () => {
+      const value = Amount.fromBTC(0.5).toValue();
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 0.5);
+
+      {
+        const outflow = await mswallet.getOutflowStats();
+        assert.strictEqual(outflow.week, 0);
+      }
+
+      const approved = await approve(mswallet, proposal, [priv1, priv2],
+        [xpub1, xpub2]);
+
+      assert.strictEqual(approved.isApproved(), true);
+
+      {
+        const outflow = await mswallet.getOutflowStats();
+        assert.strictEqual(outflow.hour, value);
+        assert.strictEqual(outflow.day, value);
+        assert.strictEqual(outflow.week, value);
+      }
+
+      {
+        const later = approved.closedAt + 2 * 60 * 60;
+        const outflow = await mswallet.getOutflowStats(later);
+        assert.strictEqual(outflow.hour, 0);
+        assert.strictEqual(outflow.day, value);
+        assert.strictEqual(outflow.week, value);
+      }
+
+      const json = mswallet.getJSON({
+        outflow: await mswallet.getOutflowStats()
+      });
+
+      assert.deepStrictEqual(json.outflow.hour, {
+        spent: value,
+        limit: null,
+        remaining: null
+      });
+    });
+
+    it('should fail creating proposal over velocity limit', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 0.5);
+      await approve(mswallet, proposal, [priv1, priv2], [xpub1, xpub2]);
+
+      await mswallet.setPolicy(new SpendingPolicy({
+        velocity: { hour: Amount.fromBTC(0.8).toValue() }
+      }));
+
+      await assert.rejects(mkProposal(mswallet, cosignerCtx1, 0.5), {
+        type: 'PolicyError',
+        code: SpendingPolicy.rules.VELOCITY
+      });
+
+      const small = await mkProposal(mswallet, cosignerCtx1, 0.2);
+      assert.ok(small instanceof Proposal);
+    });
+
+    it('should require unanimous approval over velocity limit', async () => {
+      const mswallet2 = await mkWallet(msdb, TEST_WALLET_ID2, 2, 3, WITNESS, [
+        cosignerCtx1,
+        cosignerCtx2,
+        cosignerCtx3
+      ]);
+
+      await walletUtils.fundWalletBlock(wdb, mswallet2, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet2, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet2, 1);
+
+      const proposal = await mkProposal(mswallet2, cosignerCtx1, 0.5);
+      await approve(mswallet2, proposal, [priv1, priv2], xpubs);
+
+      await mswallet2.setPolicy(new SpendingPolicy({
+        velocity: { day: Amount.fromBTC(0.8).toValue() },
+        unanimous: true
+      }));
+
+      const small = await mkProposal(mswallet2, cosignerCtx1, 0.2);
+      assert.strictEqual(small.m, 2);
+
+      const large = await mkProposal(mswallet2, cosignerCtx1, 0.5);
+      assert.strictEqual(large.m, 3);
+
+      const json = mswallet2.getJSON({
+        outflow: await mswallet2.getOutflowStats()
+      });
+
+      assert.deepStrictEqual(json.outflow.day, {
+        spent: Amount.fromBTC(0.5).toValue(),
+        limit: Amount.fromBTC(0.8).toValue(),
+        remaining: Amount.fromBTC(0.3).toValue()
+      });
+    });
+  });
+
+  describe('Address book', function() {
+    const addEntry = async (cosignerCtx, address, label, signer) => {
+      const options = {
+        address: address.toString(),
+        label: label,
+        timestamp: now()
+      };
+
+      if (!signer)
+        signer = cosignerCtx;
+
+      const signature = signer.signProposal(ADDRESS, options);
+
+      return mswallet.addAddressEntry(
+        options,
+        cosignerCtx.toCosigner(),
+        signature
+      );
+    };
+
+    it('should add signed address to the address book', async () => {
+      const address = generateAddress();
+      const entry = await addEntry(cosignerCtx1, address, 'exchange');
+
+      assert.strictEqual(entry.author, cosigner1.id);
+      assert.strictEqual(entry.getAddress().toString(), address.toString());
+      assert.strictEqual(
+        entry.verifySignature(TEST_WALLET_ID, cosigner1.authPubKey),
+        true
+      );
+
+      const book = await mswallet.getAddressBook();
+      assert.strictEqual(book.length, 1);
+      assert.strictEqual(book[0].label, 'exchange');
+      assert.bufferEqual(book[0].encode(), entry.encode());
+    });
+
+    it('should fail adding address with wrong signature', async () => {
+      const address = generateAddress();
+
+      await assert.rejects(addEntry(cosignerCtx1, address, 'a', cosignerCtx2), {
+        message: 'address entry signature is not valid.'
+      });
+
+      const book = await mswallet.getAddressBook();
+      assert.strictEqual(book.length, 0);
+    });
+
+    it('should fail adding address twice', async () => {
+      const address = generateAddress();
+
+      await addEntry(cosignerCtx1, address, 'first');
+
+      await assert.rejects(addEntry(cosignerCtx2, address, 'second'), {
+        message: 'Address is already in the address book.'
+      });
+    });
+
+    it('should remove address from the address book', async () => {
+      const address = generateAddress();
+
+      await addEntry(cosignerCtx1, address, 'removed');
+
+      assert.strictEqual(await mswallet.removeAddressEntry(address), true);
+      assert.strictEqual(await mswallet.removeAddressEntry(address), false);
+      assert.strictEqual(await mswallet.getAddressEntry(address), null);
+    });
+
+    it('should remove address with signed removal', async () => {
+      const address = generateAddress();
+      const entry = await addEntry(cosignerCtx1, address, 'signed');
+
+      const removal = {
+        address: address.toString(),
+        entry: entry.signature.toString('hex'),
+        timestamp: now()
+      };
+
+      const signature = cosignerCtx2.signProposal(ADDRESS_REMOVE, removal);
+
+      await assert.rejects(mswallet.removeAddressEntry(
+        address,
+        cosigner1,
+        removal,
+        signature
+      ), {
+        message: 'address removal signature is not valid.'
+      });
+
+      const removed = await mswallet.removeAddressEntry(
+        address,
+        cosigner2,
+        removal,
+        signature
+      );
+
+      assert.strictEqual(removed, true);
+      assert.strictEqual(await mswallet.getAddressEntry(address), null);
+
+      // removal can't be replayed on the new entry.
+      await addEntry(cosignerCtx1, address, 'again');
+
+      await assert.rejects(mswallet.removeAddressEntry(
+        address,
+        cosigner2,
+        removal,
+        signature
+      ), {
+        message: 'Removal entry does not match.'
+      });
+
+      const entries = await mswallet.getAuditLog();
+      const actions = entries.map(e => AuditEntry.actionByVal[e.action]);
+
+      assert.deepStrictEqual(actions,
+        ['ADDRESS_ADD', 'ADDRESS_REMOVE', 'ADDRESS_ADD']);
+
+      assert.strictEqual(entries[1].proposal, null);
+      assert.strictEqual(entries[1].cosigner, cosigner2.id);
+      assert.bufferEqual(entries[1].signatures[0], signature);
+    });
+
+    it('should only send to address book with policy', async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+
+      await mswallet.setPolicy(new SpendingPolicy({ addressBook: true }));
+
+      const [txoptions, httpTXOptions] = getTXOptions(0.5);
+      const options = {
+        memo: 'address book',
+        timestamp: now(),
+        txoptions: httpTXOptions
+      };
+
+      const create = () => mswallet.createProposal(
+        options,
+        cosigner1,
+        txoptions,
+        cosignerCtx1.signProposal(CREATE, options)
+      );
+
+      await assert.rejects(create(), {
+        type: 'PolicyError',
+        code: SpendingPolicy.rules.ADDRESS_BOOK
+      });
+
+      await addEntry(cosignerCtx2, txoptions.outputs[0].address, 'payee');
+
+      const [proposal] = await create();
+      assert.ok(proposal instanceof Proposal);
+    });
+  });
+
+  describe('Schedules', function() {
+    const mkSchedule = async (cosignerCtx, extra = {}) => {
+      const [, httpTXOptions] = getTXOptions(0.5);
+
+      const options = {
+        memo: 'payroll',
+        timestamp: now(),
+        txoptions: httpTXOptions,
+        interval: 3600,
+        ...extra
+      };
+
+      const signature = cosignerCtx.signProposal(SCHEDULE, options);
+
+      return mswallet.createSchedule(
+        options,
+        cosignerCtx.toCosigner(),
+        signature
+      );
+    };
+
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+    });
+
+    it('should create proposals on schedule', async () => {
+      const start = now() - 10;
+      const schedule = await mkSchedule(cosignerCtx2, { start });
+
+      assert.strictEqual(schedule.id, 0);
+      assert.strictEqual(schedule.nextAt, start);
+
+      const createEvent = forEvent(mswallet, 'proposal created');
+      assert.strictEqual(await msdb.runSchedules(start), 1);
+      const created = await createEvent;
+
+      // not due yet.
+      assert.strictEqual(await msdb.runSchedules(start + 1), 0);
+
+      const proposal = await mswallet.getProposal(created.id);
+
+      assert.strictEqual(proposal.isPending(), true);
+      assert.strictEqual(proposal.isScheduled(), true);
+      assert.strictEqual(proposal.schedule, schedule.id);
+      assert.strictEqual(proposal.author, cosigner2.id);
+      assert.strictEqual(proposal.memo, 'payroll');
+      assert.strictEqual(proposal.verifyCreateSignature(mswallet.id,
+        cosigner2.authPubKey), true);
+
+      const updated = await mswallet.getSchedule(schedule.id);
+      assert.strictEqual(updated.runs, 1);
+      assert.strictEqual(updated.lastProposal, proposal.id);
+      assert.strictEqual(updated.lastAt, start);
+      assert.strictEqual(updated.nextAt, start + 3600);
+
+      // stale schedule can not create the same proposal again.
+      await assert.rejects(mswallet.createScheduledProposal(schedule, start), {
+        message: 'Proposal was already created for this tick.'
+      });
+
+      assert.strictEqual(await mswallet.runSchedule(schedule, start), null);
+
+      // skips missed ticks.
+      const proposals = await mswallet.runSchedules(start + 3 * 3600 + 5);
+      assert.strictEqual(proposals.length, 1);
+
+      const last = await mswallet.getSchedule(schedule.id);
+      assert.strictEqual(last.runs, 2);
+      assert.strictEqual(last.nextAt, start + 4 * 3600);
+
+      // goes through normal approval.
+      const sigs1 = await signProposal(mswallet, proposal, cosignerCtxs,
+        cosignerCtx1, WITNESS);
+      const sigs2 = await signProposal(mswallet, proposal, cosignerCtxs,
+        cosignerCtx2, WITNESS);
+
+      await mswallet.approveProposal(proposal.id, cosigner1, sigs1);
+      const approved = await mswallet.approveProposal(proposal.id, cosigner2,
+        sigs2);
+
+      assert.strictEqual(approved.isApproved(), true);
+    });
+
+    it('should pause, resume and remove schedule', async () => {
+      const start = now() - 10;
+      const schedule = await mkSchedule(cosignerCtx1, { start });
+
+      const paused = await mswallet.pauseSchedule(schedule.id, true);
+      assert.strictEqual(paused.paused, true);
+      assert.strictEqual(await msdb.runSchedules(start), 0);
+
+      const resumed = await mswallet.pauseSchedule(schedule.id, false);
+      assert.strictEqual(resumed.paused, false);
+      assert(resumed.nextAt > now());
+
+      assert.strictEqual(await mswallet.removeSchedule(schedule.id), true);
+      assert.strictEqual(await mswallet.getSchedule(schedule.id), null);
+      assert.strictEqual(await msdb.runSchedules(now() + 7200), 0);
+
+      const pending = await mswallet.getPendingProposals();
+      assert.strictEqual(pending.length, 0);
+    });
+
+    it('should retry failed schedule', async () => {
+      const [, httpTXOptions] = getTXOptions(5);
+      const start = now() - 10;
+      const schedule = await mkSchedule(cosignerCtx1, {
+        start: start,
+        txoptions: httpTXOptions
+      });
+
+      // not enough funds, retry is delayed.
+      assert.strictEqual(await msdb.runSchedules(start), 0);
+
+      const failed = await mswallet.getSchedule(schedule.id);
+      assert.strictEqual(failed.runs, 0);
+      assert.strictEqual(failed.failures, 1);
+      assert.strictEqual(failed.nextAt, start);
+      assert.strictEqual(failed.retryAt, start + Schedule.MIN_INTERVAL);
+
+      // not due until the retry.
+      assert.strictEqual(await msdb.runSchedules(start + 1), 0);
+      assert.strictEqual((await mswallet.getSchedule(schedule.id)).failures, 1);
+
+      let time = failed.getDueAt();
+
+      for (let i = 1; i < Schedule.MAX_FAILURES; i++) {
+        assert.strictEqual(await msdb.runSchedules(time), 0);
+        time = (await mswallet.getSchedule(schedule.id)).getDueAt();
+      }
+
+      // too many failures.
+      const paused = await mswallet.getSchedule(schedule.id);
+      assert.strictEqual(paused.paused, true);
+      assert.strictEqual(paused.failures, Schedule.MAX_FAILURES);
+      assert.strictEqual(paused.nextAt, start);
+      assert.strictEqual(await msdb.runSchedules(time + 3600), 0);
+
+      const resumed = await mswallet.pauseSchedule(schedule.id, false);
+      assert.strictEqual(resumed.failures, 0);
+    });
+
+    it('should back off failing schedule', async () => {
+      const schedule = new Schedule({
+        id: 0,
+        author: 0,
+        signature: Buffer.alloc(65),
+        options: {
+          memo: 'payroll',
+          timestamp: 1000,
+          txoptions: {},
+          interval: 3600,
+          start: 1000
+        }
+      });
+
+      schedule.fail(1000);
+      assert.strictEqual(schedule.retryAt, 1000 + 60);
+      assert.strictEqual(schedule.isDue(1059), false);
+      assert.strictEqual(schedule.isDue(1060), true);
+
+      schedule.fail(1060);
+      assert.strictEqual(schedule.retryAt, 1060 + 120);
+
+      // ticks are not shifted by retries.
+      assert.strictEqual(schedule.nextAt, 1000);
+
+      const decoded = Schedule.decode(schedule.encode());
+      assert.strictEqual(decoded.failures, 2);
+      assert.deepStrictEqual(decoded.getJSON(), schedule.getJSON());
+
+      // retry is not later than the next tick.
+      schedule.failures = 6;
+      schedule.fail(1180);
+      assert.strictEqual(schedule.retryAt, 1000 + 3600);
+
+      schedule.tick(0, 4600);
+      assert.strictEqual(schedule.failures, 0);
+      assert.strictEqual(schedule.retryAt, 0);
+      assert.strictEqual(schedule.lastAt, 1000);
+      assert.strictEqual(schedule.nextAt, 1000 + 2 * 3600);
+      assert.strictEqual(schedule.hasProposal(1000), true);
+      assert.strictEqual(schedule.hasProposal(schedule.nextAt), false);
+    });
+
+    it('should use cron schedule', async () => {
+      const createdAt = Date.UTC(2024, 0, 15, 10, 30) / 1000;
+      const [, httpTXOptions] = getTXOptions(0.5);
+
+      const schedule = new Schedule({
+        id: 0,
+        author: 0,
+        signature: Buffer.alloc(65),
+        createdAt: createdAt,
+        options: {
+          memo: 'payroll',
+          timestamp: createdAt,
+          txoptions: httpTXOptions,
+          cron: '0 9 1 * *'
+        }
+      });
+
+      assert.strictEqual(schedule.nextAt, Date.UTC(2024, 1, 1, 9) / 1000);
+
+      schedule.tick(0, schedule.nextAt);
+      assert.strictEqual(schedule.nextAt, Date.UTC(2024, 2, 1, 9) / 1000);
+
+      const decoded = Schedule.decode(schedule.encode());
+      assert.deepStrictEqual(decoded.getJSON(), schedule.getJSON());
+    });
+
+    it('should fail creating invalid schedule', async () => {
+      const [, httpTXOptions] = getTXOptions(0.5);
+      const options = {
+        memo: 'payroll',
+        timestamp: now(),
+        txoptions: httpTXOptions,
+        interval: 3600
+      };
+
+      const signature = cosignerCtx2.signProposal(SCHEDULE, options);
+
+      await assert.rejects(mswallet.createSchedule(options, cosigner1,
+        signature), {
+        message: 'schedule signature is not valid.'
+      });
+
+      await assert.rejects(mkSchedule(cosignerCtx1, { interval: 10 }), {
+        message: 'interval must be at least 60 seconds.'
+      });
+
+      await assert.rejects(mkSchedule(cosignerCtx1, {
+        interval: null,
+        cron: '0 9 30 2 *'
+      }), {
+        message: 'Bad cron expression.'
+      });
+    });
+  });
+
+  describe('Drafts', function() {
+    const txoptionsOf = (btc) => {
+      const [, httpTXOptions] = getTXOptions(btc);
+      return httpTXOptions;
+    };
+
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+    });
+
+    it('should create, update and remove draft', async () => {
+      const draft = await mswallet.createDraft({
+        memo: 'draft',
+        txoptions: txoptionsOf(0.5)
+      }, cosigner1);
+
+      assert.strictEqual(draft.id, 0);
+      assert.strictEqual(draft.author, cosigner1.id);
+
+      const updated = await mswallet.updateDraft(draft.id, {
+        memo: 'draft 2',
+        txoptions: txoptionsOf(0.7)
+      });
+
+      assert.strictEqual(updated.memo, 'draft 2');
+
+      const drafts = await mswallet.getDrafts();
+      assert.strictEqual(drafts.length, 1);
+      assert.deepStrictEqual(drafts[0].getJSON(), updated.getJSON());
+
+      // coins are not locked.
+      const coins = await wallet.getCoins();
+      for (const coin of coins) {
+        const outpoint = Outpoint.fromCoin(coin);
+        assert.strictEqual(await mswallet.isLocked(outpoint), false);
+      }
+
+      assert.strictEqual(await mswallet.removeDraft(draft.id), true);
+      assert.strictEqual(await mswallet.removeDraft(draft.id), false);
+      assert.strictEqual(await mswallet.getDraft(draft.id), null);
+    });
+
+    it('should fail creating draft with bad txoptions', async () => {
+      await assert.rejects(mswallet.createDraft({
+        memo: 'draft',
+        txoptions: { outputs: [{ address: 'bad', value: 1 }] }
+      }, cosigner1));
+    });
+
+    it('should finalize draft into proposal', async () => {
+      const draft = await mswallet.createDraft({
+        memo: 'draft',
+        txoptions: txoptionsOf(0.5)
+      }, cosigner1);
+
+      const options = {
+        memo: draft.memo,
+        timestamp: now(),
+        txoptions: draft.getTXOptions()
+      };
+
+      const signature = cosignerCtx1.signProposal(CREATE, options);
+
+      await assert.rejects(mswallet.finalizeDraft(draft.id, options,
+        cosigner2, signature), {
+        message: 'Only author can finalize the draft.'
+      });
+
+      const other = {
+        ...options,
+        memo: 'other'
+      };
+
+      await assert.rejects(mswallet.finalizeDraft(draft.id, other,
+        cosigner1, cosignerCtx1.signProposal(CREATE, other)), {
+        message: 'Proposal does not match the draft.'
+      });
+
+      const [proposal] = await mswallet.finalizeDraft(draft.id, options,
+        cosigner1, signature);
+
+      assert.strictEqual(proposal.isPending(), true);
+      assert.strictEqual(proposal.memo, 'draft');
+      assert.strictEqual(proposal.author, cosigner1.id);
+      assert.strictEqual(await mswallet.getDraft(draft.id), null);
+      assert.strictEqual(await mswallet.finalizeDraft(draft.id, options,
+        cosigner1, signature), null);
+
+      const tx = await mswallet.getProposalTX(proposal.id);
+      for (const input of tx.inputs)
+        assert.strictEqual(await mswallet.isLocked(input.prevout), true);
+    });
+  });
+
+  describe('Amend', function() {
+    const amend = async (proposal, btc, cosignerCtx = cosignerCtx1) => {
+      const [txoptions, httpTXOptions] = getTXOptions(btc);
+
+      const options = {
+        memo: proposal.memo,
+        timestamp: now(),
+        txoptions: httpTXOptions
+      };
+
+      const signature = cosignerCtx.signProposal(CREATE, options);
+
+      return mswallet.amendProposal(
+        proposal.id,
+        options,
+        cosignerCtx.toCosigner(),
+        txoptions,
+        signature
+      );
+    };
+
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+    });
+
+    it('should amend proposal and relock coins', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 0.5);
+      const oldTX = await mswallet.getProposalTX(proposal.id);
+
+      const sigs = await signProposal(mswallet, proposal, cosignerCtxs,
+        cosignerCtx2, WITNESS);
+      await mswallet.approveProposal(proposal.id, cosigner2, sigs);
+
+      const amendEvent = forEvent(mswallet, 'proposal amended');
+      const [amended, mtx] = await amend(proposal, 0.7);
+      await amendEvent;
+
+      assert.strictEqual(amended.isPending(), true);
+      assert.strictEqual(amended.approvals.size, 0);
+      assert.strictEqual(amended.history.length, 1);
+      assert.deepStrictEqual(amended.history[0].approvals, [cosigner2.id]);
+      assert.strictEqual(amended.verifyCreateSignature(mswallet.id,
+        cosigner1.authPubKey), true);
+
+      const json = amended.getJSON();
+      assert.strictEqual(json.version, 2);
+      assert.strictEqual(json.history[0].options.txoptions.outputs[0].value,
+        0.5e8);
+
+      const tx = await mswallet.getProposalTX(proposal.id);
+      assert.bufferEqual(tx.hash(), mtx.hash());
+      assert.strictEqual(tx.outputs[0].value, 0.7e8);
+
+      for (const input of tx.inputs) {
+        assert.strictEqual(await mswallet.isLocked(input.prevout), true);
+        assert.strictEqual(mswallet.isLockedTXDB(input.prevout), true);
+      }
+
+      const spent = tx.inputs.map(input => input.prevout.toKey());
+
+      for (const input of oldTX.inputs) {
+        if (spent.some(key => key.equals(input.prevout.toKey())))
+          continue;
+
+        assert.strictEqual(await mswallet.isLocked(input.prevout), false);
+        assert.strictEqual(mswallet.isLockedTXDB(input.prevout), false);
+      }
+
+      const audit = await mswallet.getAuditLog();
+      assert.strictEqual(audit[audit.length - 1].action,
+        AuditEntry.action.AMEND);
+
+      // approvals of the new transaction.
+      const sigs1 = await signProposal(mswallet, amended, cosignerCtxs,
+        cosignerCtx1, WITNESS);
+      const sigs2 = await signProposal(mswallet, amended, cosignerCtxs,
+        cosignerCtx2, WITNESS);
+
+      await mswallet.approveProposal(proposal.id, cosigner1, sigs1);
+      const approved = await mswallet.approveProposal(proposal.id, cosigner2,
+        sigs2);
+
+      assert.strictEqual(approved.isApproved(), true);
+    });
+
+    it('should amend proposal with missing locked coin', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 0.5);
+      const oldTX = await mswallet.getProposalTX(proposal.id);
+
+      await walletUtils.fundWalletBlock(wdb, mswallet, 2);
+
+      // locked coin disappeared before the locked coin check.
+      mswallet.getCoin = async () => null;
+
+      let amended, mtx;
+
+      try {
+        [amended, mtx] = await amend(proposal, 1.5);
+      } finally {
+        delete mswallet.getCoin;
+      }
+
+      assert.strictEqual(amended.isPending(), true);
+
+      for (const input of oldTX.inputs)
+        assert.strictEqual(await mswallet.isLocked(input.prevout), false);
+
+      const stats = await mswallet.getStats();
+      assert.strictEqual(stats.lockedOwnCoins, mtx.inputs.length);
+      assert.strictEqual(stats.lockedOwnBalance, mtx.getInputValue());
+    });
+
+    it('should not amend proposal by other cosigner', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 0.5);
+      const oldTX = await mswallet.getProposalTX(proposal.id);
+
+      await assert.rejects(amend(proposal, 0.7, cosignerCtx2), {
+        message: 'Only author can amend the proposal.'
+      });
+
+      // coins stay locked.
+      for (const input of oldTX.inputs) {
+        assert.strictEqual(await mswallet.isLocked(input.prevout), true);
+        assert.strictEqual(mswallet.isLockedTXDB(input.prevout), true);
+      }
+
+      const same = await mswallet.getProposal(proposal.id);
+      assert.strictEqual(same.isAmended(), false);
+    });
+
+    it('should not amend closed proposal', async () => {
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 0.5);
+      const signature = cosignerCtx1.signProposal(WITHDRAW,
+        proposal.options);
+
+      await mswallet.withdrawProposal(proposal.id, cosigner1, signature);
+
+      await assert.rejects(amend(proposal, 0.7), {
+        message: 'Can not amend non pending proposal.'
+      });
+    });
+  });
+
+  describe('Batch payouts', function() {
+    const addr1 = generateAddress().toString();
+    const addr2 = generateAddress().toString();
+
+    const mkBatch = async (list, cosignerCtx = cosignerCtx1) => {
+      const options = {
+        memo: 'payroll',
+        timestamp: now(),
+        payouts: list,
+        txoptions: { sort: false }
+      };
+
+      const signature = cosignerCtx.signProposal(CREATE, options);
+
+      return mswallet.createBatchProposal(
+        options,
+        cosignerCtx.toCosigner(),
+        signature
+      );
+    };
+
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+    });
+
+    it('should parse CSV payouts', () => {
+      const csv = [
+        'address,amount,label',
+        `${addr1},0.1,alice`,
+        '',
+        `${addr2},0.25,"bob, ""the"" contractor"`,
+        `${addr1},0.05,alice`,
+        `${addr1},0.05,bonus`
+      ].join('\n');
+
+      const list = payouts.parsePayouts(csv, mswallet.network);
+
+      assert.strictEqual(list.length, 2);
+      assert.strictEqual(list[0].address.toString(), addr1);
+      assert.strictEqual(list[0].value, 0.2e8);
+      assert.strictEqual(list[0].label, 'alice; bonus');
+      assert.strictEqual(list[1].value, 0.25e8);
+      assert.strictEqual(list[1].label, 'bob, "the" contractor');
+    });
+
+    it('should parse quoted CSV fields across lines', () => {
+      const csv = [
+        'address,amount,label',
+        `${addr1},0.1,"alice,`,
+        'invoice ""12"""\r',
+        `${addr2},0.2,bob`
+      ].join('\n');
+
+      assert.deepStrictEqual(payouts.parseCSV(csv), [
+        ['address', 'amount', 'label'],
+        [addr1, '0.1', 'alice,\ninvoice "12"'],
+        [addr2, '0.2', 'bob']
+      ]);
+
+      const list = payouts.parsePayouts(csv, mswallet.network);
+
+      assert.strictEqual(list.length, 2);
+      assert.strictEqual(list[0].label, 'alice,\ninvoice "12"');
+      assert.strictEqual(list[1].label, 'bob');
+    });
+
+    it('should fail parsing bad payouts', () => {
+      const invalid = [
+        ['', 'Payouts are required.'],
+        [`${addr1},0.1\nbad,0.1`, 'Row 2: Invalid address.'],
+        [`${addr1},-1`, 'Row 1: Invalid amount.'],
+        [`${addr1},0`, 'Row 1: Amount is required.'],
+        [`${addr1},0.1,"label`, 'Row 1: Unterminated quote.'],
+        [[{ amount: '0.1' }], 'Row 1: Address is required.']
+      ];
+
+      for (const [list, message] of invalid) {
+        assert.throws(() => {
+          payouts.parsePayouts(list, mswallet.network);
+        }, { message });
+      }
+    });
+
+    it('should create batch proposal with labels', async () => {
+      const [proposal, mtx] = await mkBatch([
+        { address: addr1, amount: '0.1', label: 'alice' },
+        { address: addr2, amount: 0.2, label: 'bob' },
+        { address: addr1, amount: '0.3' }
+      ]);
+
+      assert.strictEqual(proposal.isPending(), true);
+      assert.strictEqual(proposal.labels.length, mtx.outputs.length);
+      assert.strictEqual(mtx.outputs.length, 3);
+
+      const values = mtx.outputs.map(output => output.value);
+      assert.deepStrictEqual(values.slice(0, 2), [0.4e8, 0.2e8]);
+      assert.deepStrictEqual(proposal.labels, ['alice', 'bob', '']);
+
+      const saved = await mswallet.getProposal(proposal.id);
+      assert.deepStrictEqual(saved.labels, proposal.labels);
+      assert.deepStrictEqual(saved.getJSON().labels, proposal.labels);
+      assert.strictEqual(saved.verifyCreateSignature(mswallet.id,
+        cosigner1.authPubKey), true);
+    });
+
+    it('should not create batch proposal with outputs', async () => {
+      const options = {
+        memo: 'payroll',
+        timestamp: now(),
+        payouts: `${addr1},0.1`,
+        txoptions: getTXOptions(0.1)[1]
+      };
+
+      const signature = cosignerCtx1.signProposal(CREATE, options);
+
+      await assert.rejects(mswallet.createBatchProposal(options, cosigner1,
+        signature), {
+        message: 'Batch proposal outputs are set by payouts.'
+      });
+    });
+  });
+
+  describe('Estimate', function() {
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+    });
+
+    it('should estimate proposal without locking coins', async () => {
+      const [txoptions] = getTXOptions(1.5);
+      const estimate = await mswallet.estimateProposal(txoptions);
+
+      assert.strictEqual(estimate.inputs, 2);
+      assert.strictEqual(estimate.coins.length, 2);
+      assert(estimate.fee > 0);
+      assert(estimate.vsize <= estimate.size);
+      assert.strictEqual(estimate.vsize, Math.ceil(estimate.weight / 4));
+
+      for (const coin of estimate.coins) {
+        const outpoint = Outpoint.fromCoin(coin);
+        assert.strictEqual(await mswallet.isLocked(outpoint), false);
+        assert.strictEqual(mswallet.isLockedTXDB(outpoint), false);
+      }
+
+      const pending = await mswallet.getPendingProposals();
+      assert.strictEqual(pending.length, 0);
+
+      // same coins are selected for the proposal.
+      const proposal = await mkProposal(mswallet, cosignerCtx1, 1.5);
+      const tx = await mswallet.getProposalTX(proposal.id);
+      const view = await mswallet.getCoinView(tx);
+
+      assert.strictEqual(tx.getFee(view), estimate.fee);
+      assert.strictEqual(tx.inputs.length, estimate.inputs);
+
+      const sigs1 = await signProposal(mswallet, proposal, cosignerCtxs,
+        cosignerCtx1, WITNESS);
+      const sigs2 = await signProposal(mswallet, proposal, cosignerCtxs,
+        cosignerCtx2, WITNESS);
+
+      await mswallet.approveProposal(proposal.id, cosigner1, sigs1);
+      await mswallet.approveProposal(proposal.id, cosigner2, sigs2);
+
+      const mtx = await mswallet.getProposalMTX(proposal.id);
+      assert(mtx.verify());
+
+      // signatures can be 1-2 bytes shorter than estimated.
+      const signed = mtx.toTX();
+      const diff = estimate.vsize - signed.getVirtualSize();
+
+      assert(diff >= 0 && diff <= 2 * 2 * estimate.inputs,
+        `Bad size estimate: ${estimate.vsize}, ${signed.getVirtualSize()}`);
+      assert.strictEqual(estimate.size - signed.getSize() >= 0, true);
+    });
+
+    it('should fail estimating proposal without funds', async () => {
+      const [txoptions] = getTXOptions(5);
+
+      await assert.rejects(mswallet.estimateProposal(txoptions));
+    });
+  });
+
+  describe('Key rotation', function() {
+    const SUCCESSOR_ID = 'test1-rotated';
+
+    let replacement, rejoin;
+
+    const migrate = async (extra = {}) => {
+      return mswallet.migrate({
+        id: SUCCESSOR_ID,
+        joinPubKey: replacement.joinPubKey,
+        ...extra
+      }, replacement.toCosigner());
+    };
+
+    const mkSweep = async (extra = {}) => {
+      const options = {
+        memo: 'sweep',
+        timestamp: now(),
+        successor: SUCCESSOR_ID,
+        ...extra
+      };
+
+      const signature = cosignerCtx1.signProposal(CREATE, options);
+
+      return mswallet.createSweepProposal(options, cosigner1, signature);
+    };
+
+    const approve = async (proposal) => {
+      for (const [ctx, cosigner] of [
+        [cosignerCtx1, cosigner1],
+        [cosignerCtx2, cosigner2]
+      ]) {
+        const sigs = await signProposal(
+          mswallet,
+          proposal,
+          cosignerCtxs,
+          ctx,
+          WITNESS
+        );
+
+        await mswallet.approveProposal(proposal.id, cosigner, sigs);
+      }
+
+      return mswallet.getProposalTX(proposal.id);
+    };
+
+    beforeEach(async () => {
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+
+      // key of the cosigner1 was compromised.
+      replacement = new CosignerCtx({
+        walletName: SUCCESSOR_ID,
+        name: 'cosigner1'
+      });
+
+      rejoin = new CosignerCtx({
+        walletName: SUCCESSOR_ID,
+        name: 'cosigner2',
+        master: cosignerCtx2.master,
+        authPrivKey: cosignerCtx2.authPrivKey,
+        joinPrivKey: replacement.joinPrivKey
+      });
+    });
+
+    it('should create successor wallet', async () => {
+      await assert.rejects(migrate({ nonce: 1 }), {
+        message: 'Migration nonce does not match.'
+      });
+
+      const successor = await migrate({ nonce: 0 });
+
+      assert.strictEqual(successor.id, SUCCESSOR_ID);
+      assert.strictEqual(mswallet.migrations, 1);
+      assert(successor.joinDeadline > now());
+      assert(successor.joinDeadline <= now() + 7 * 24 * 60 * 60);
+      assert.strictEqual(successor.m, mswallet.m);
+      assert.strictEqual(successor.n, mswallet.n);
+      assert.strictEqual(successor.witness, mswallet.witness);
+      assert.strictEqual(successor.isInitialized(), false);
+      assert.bufferEqual(successor.cosigners[0].key.publicKey,
+        replacement.accountKey.publicKey);
+
+      assert.deepStrictEqual(successor.getMigrationJSON(), {
+        predecessor: TEST_WALLET_ID,
+        successor: null,
+        sweep: null,
+        readOnly: false
+      });
+
+      assert.strictEqual(mswallet.successor, SUCCESSOR_ID);
+      assert.strictEqual(await mswallet.getSuccessor(), successor);
+
+      const data = await msdb.db.get(layout.w.encode(mswallet.wid));
+      const decoded = MultisigWallet.decode(msdb, data);
+      assert.strictEqual(decoded.predecessor, null);
+      assert.strictEqual(decoded.successor, SUCCESSOR_ID);
+      assert.strictEqual(decoded.sweepPID, -1);
+      assert.strictEqual(decoded.readOnly, false);
+      assert.strictEqual(decoded.migrations, 1);
+
+      await assert.rejects(migrate(), {
+        message: 'Wallet already has a successor.'
+      });
+
+      // other cosigners re-join with the new join signatures.
+      const joined = await msdb.join(SUCCESSOR_ID, rejoin.toCosigner());
+      assert.strictEqual(joined.isInitialized(), true);
+    });
+
+    it('should sweep coins to the successor', async () => {
+      await assert.rejects(mkSweep(), {
+        message: 'Wallet is not migrating.'
+      });
+
+      const successor = await migrate();
+
+      await assert.rejects(mkSweep(), {
+        message: 'Successor wallet is not initialized.'
+      });
+
+      await msdb.join(SUCCESSOR_ID, rejoin.toCosigner());
+
+      await assert.rejects(mkSweep({ successor: TEST_WALLET_ID2 }), {
+        message: 'Sweep proposal must pay to the successor.'
+      });
+
+      const pending = await mkProposal(mswallet, cosignerCtx1, 0.5);
+
+      await assert.rejects(mkSweep(), {
+        message: 'Pending proposals must be closed before the sweep.'
+      });
+
+      await mswallet.forceRejectProposal(pending.id);
+
+      const [proposal, mtx] = await mkSweep();
+      const account = await successor.getAccount();
+      const balance = await wallet.getBalance();
+
+      assert.strictEqual(mswallet.sweepPID, proposal.id);
+      assert.strictEqual(mtx.inputs.length, 2);
+      assert.strictEqual(mtx.outputs.length, 1);
+      assert.strictEqual(mtx.outputs[0].getAddress().toString(),
+        account.receiveAddress().toString());
+      assert.strictEqual(mtx.outputs[0].value + mtx.getFee(),
+        balance.confirmed);
+
+      await assert.rejects(mkSweep(), {
+        message: 'Sweep proposal already exists.'
+      });
+
+      const tx = await approve(proposal);
+      assert.strictEqual(mswallet.readOnly, false);
+
+      await wdb.addTX(tx);
+      await sleep(100);
+
+      assert.strictEqual(mswallet.readOnly, true);
+      assert.deepStrictEqual(mswallet.getMigrationJSON(), {
+        predecessor: null,
+        successor: SUCCESSOR_ID,
+        sweep: proposal.id,
+        readOnly: true
+      });
+
+      const coins = await successor.getCoins();
+      assert.strictEqual(coins.length, 1);
+      assert.strictEqual(coins[0].value, mtx.outputs[0].value);
+
+      const data = await msdb.db.get(layout.w.encode(mswallet.wid));
+      assert.strictEqual(MultisigWallet.decode(msdb, data).readOnly, true);
+    });
+
+    it('should not create proposals in read-only wallet', async () => {
+      await migrate();
+      await msdb.join(SUCCESSOR_ID, rejoin.toCosigner());
+
+      const [proposal] = await mkSweep();
+      await wdb.addTX(await approve(proposal));
+      await sleep(100);
+
+      assert.strictEqual(mswallet.readOnly, true);
+
+      const message = 'Wallet is read-only.';
+
+      await assert.rejects(mkProposal(mswallet, cosignerCtx1, 0.5), {
+        message
+      });
+
+      await assert.rejects(mkSweep(), {
+        message: 'No coins to sweep.'
+      });
+
+      await assert.rejects(mswallet.createDraft({
+        memo: 'draft',
+        txoptions: getTXOptions(0.5)[1]
+      }, cosigner1), { message });
+
+      await assert.rejects(migrate(), { message });
+      await assert.rejects(mswallet.cancelMigration(), { message });
+
+      assert.deepStrictEqual(await mswallet.runSchedules(), []);
+    });
+
+    it('should sweep coins received after the sweep', async () => {
+      await migrate();
+      await msdb.join(SUCCESSOR_ID, rejoin.toCosigner());
+
+      const [proposal] = await mkSweep();
+      await wdb.addTX(await approve(proposal));
+      await sleep(100);
+
+      assert.strictEqual(mswallet.readOnly, true);
+
+      await walletUtils.fundWalletBlock(wdb, mswallet, 1);
+
+      const [late, mtx] = await mkSweep();
+
+      assert.strictEqual(mswallet.sweepPID, late.id);
+      assert.strictEqual(mtx.inputs.length, 1);
+
+      await assert.rejects(mkSweep(), {
+        message: 'Sweep proposal already exists.'
+      });
+    });
+
+    it('should exempt sweep from destination and limit rules', async () => {
+      await migrate();
+      await msdb.join(SUCCESSOR_ID, rejoin.toCosigner());
+
+      await mswallet.setPolicy(new SpendingPolicy({
+        dailyLimit: 1e8,
+        addressBook: true
+      }));
+
+      const [proposal, mtx] = await mkSweep();
+
+      assert.strictEqual(mtx.inputs.length, 2);
+      assert(mtx.outputs[0].value > 1e8);
+
+      const tx = await approve(proposal);
+      const approved = await mswallet.getProposal(proposal.id);
+
+      assert.strictEqual(approved.isApproved(), true);
+      assert.strictEqual(approved.m, mswallet.m);
+      assert.bufferEqual(tx.hash(), mtx.hash());
+
+      const outflow = await mswallet.getOutflowStats();
+      assert.strictEqual(outflow.day, 0);
+    });
+
+    it('should verify migration signed by m cosigners', async () => {
+      const options = {
+        successor: SUCCESSOR_ID,
+        joinPubKey: replacement.joinPubKey.toString('hex'),
+        accountKey: replacement.accountKey.xpubkey(),
+        nonce: mswallet.migrations,
+        timestamp: now()
+      };
+
+      const sign = (ctx, cosigner) => ({
+        cosigner: cosigner.id,
+        signature: ctx.signProposal(MIGRATE, options)
+      });
+
+      const sig1 = sign(cosignerCtx1, cosigner1);
+      const sig2 = sign(cosignerCtx2, cosigner2);
+
+      assert.strictEqual(mswallet.verifyMigration(options, [sig1]), false);
+      assert.strictEqual(
+        mswallet.verifyMigration(options, [sig1, sig1]), false);
+      assert.strictEqual(
+        mswallet.verifyMigration(options, [sig1, sig2]), true);
+
+      // other payload types are not accepted.
+      const create = {
+        cosigner: cosigner2.id,
+        signature: cosignerCtx2.signProposal(CREATE, options)
+      };
+
+      assert.strictEqual(
+        mswallet.verifyMigration(options, [sig1, create]), false);
+      assert.strictEqual(
+        mswallet.verifyMigration({ ...options, nonce: 1 }, [sig1, sig2]),
+        false);
+    });
+
+    it('should cancel migration', async () => {
+      await assert.rejects(mswallet.cancelMigration(), {
+        message: 'Wallet is not migrating.'
+      });
+
+      await migrate();
+
+      await assert.rejects(mswallet.cancelMigration(0), {
+        message: 'Migration nonce does not match.'
+      });
+
+      // successor was not initialized, it is removed.
+      await mswallet.cancelMigration(1);
+
+      assert.strictEqual(mswallet.successor, null);
+      assert.strictEqual(mswallet.migrations, 2);
+      assert.strictEqual(await msdb.getWallet(SUCCESSOR_ID), null);
+
+      const data = await msdb.db.get(layout.w.encode(mswallet.wid));
+      const decoded = MultisigWallet.decode(msdb, data);
+      assert.strictEqual(decoded.successor, null);
+      assert.strictEqual(decoded.migrations, 2);
+
+      // old signatures can not start it again.
+      await assert.rejects(migrate({ nonce: 0 }), {
+        message: 'Migration nonce does not match.'
+      });
+
+      const successor = await migrate({ nonce: 2 });
+      await msdb.join(SUCCESSOR_ID, rejoin.toCosigner());
+
+      const [proposal] = await mkSweep();
+
+      await assert.rejects(mswallet.cancelMigration(), {
+        message: 'Sweep proposal must be rejected first.'
+      });
+
+      await mswallet.forceRejectProposal(proposal.id);
+
+      // initialized successor is unlinked.
+      await mswallet.cancelMigration();
+
+      assert.strictEqual(mswallet.successor, null);
+      assert.strictEqual(mswallet.sweepPID, -1);
+      assert.strictEqual(successor.predecessor, null);
+      assert.strictEqual(await msdb.getWallet(SUCCESSOR_ID), successor);
+    });
+  });
+
   describe('Coin lock/unlock', function() {
     const checkLockedStatus = async (coin, options) => {
       const smartCoins = await mswallet.getSmartCoins();
@@ -1220,17 +4123,20 @@ async function mkWallet(msdb, walletName, m, n, witness = true, cosignerCtxs = [
  * @param {CosignerCtx} cosignerCtx
  * @param {Number} btc
  * @param {String} [memo = 'proposal']
+ * @param {Object} [extra] - additional proposal options.
  * @returns {Promise<Proposal>}
  */
 
-async function mkProposal(wallet, cosignerCtx, btc, memo = 'proposal') {
+async function mkProposal(wallet, cosignerCtx, btc, memo = 'proposal',
+  extra = {}) {
   const [txoptions, httpTXOptions] = getTXOptions(btc);
   const cosigner = cosignerCtx.toCosigner();
 
   const options = {
     memo: memo,
     timestamp: now(),
-    txoptions: httpTXOptions
+    txoptions: httpTXOptions,
+    ...extra
   };
 
   const signature = cosignerCtx.signProposal(CREATE, options);
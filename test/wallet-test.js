@@ -5,14 +5,17 @@
 
 const assert = require('bsert');
 const Logger = require('blgr');
-const {wallet, hd, Network} = require('bcoin');
+const {wallet, hd, Network, KeyRing, Script} = require('bcoin');
 const {WalletDB, MasterKey} = wallet;
 const {Mnemonic} = hd;
 
 const MultisigDB = require('../lib/multisigdb');
 const WalletNodeClient = require('../lib/walletclient');
 const MultisigWallet = require('../lib/wallet');
+const layout = require('../lib/layout').msdb;
+const SpendingPolicy = require('../lib/primitives/policy');
 const CosignerCtx = require('./util/cosigner-context');
+const {REMOVE} = require('../lib/common').payloadType;
 
 const NETWORK_NAME = 'regtest';
 const network = Network.get(NETWORK_NAME);
@@ -149,6 +152,51 @@ describe('MultisigWallet', function () {
     }));
   });
 
+  it('should reserialize with spending policy', () => {
+    const cosignerCtx1 = new CosignerCtx({
+      network: network,
+      walletName: WALLET_OPTIONS.id,
+      token: Buffer.alloc(32, 1)
+    });
+
+    const cosignerCtx2 = new CosignerCtx({
+      network: network,
+      walletName: WALLET_OPTIONS.id,
+      token: Buffer.alloc(32, 2),
+      joinPrivKey: cosignerCtx1.joinPrivKey
+    });
+
+    const policy = new SpendingPolicy({
+      thresholds: [{ value: 1e8, m: 2 }],
+      dailyLimit: 5e8,
+      allowlist: [KeyRing.generate().getAddress()],
+      forbiddenTypes: [Script.types.NULLDATA],
+      weight: 2,
+      roles: { finance: 1 }
+    });
+
+    const mswallet1 = new MultisigWallet(TEST_MSDB, {
+      cosigners: [cosignerCtx1.toCosigner(), cosignerCtx2.toCosigner()],
+      joinPubKey: cosignerCtx1.joinPubKey,
+      policy: policy,
+      ...WALLET_OPTIONS
+    });
+
+    mswallet1.master = generateMaster();
+
+    const data = mswallet1.encode();
+    const mswallet2 = MultisigWallet.decode(TEST_MSDB, data);
+
+    assert(mswallet2.policy);
+    assert.bufferEqual(mswallet2.policy.encode(), policy.encode());
+    assert.deepStrictEqual(mswallet2.policy.getJSON(network),
+      policy.getJSON(network));
+    assert.deepStrictEqual(policy.getJSON(network).forbiddenTypes,
+      ['nulldata']);
+    assert.deepStrictEqual(mswallet2.policy.getJSON(network).roles,
+      { finance: 1 });
+  });
+
   it('should create multisig wallet', async () => {
     const cosignerCtx = new CosignerCtx({
       network: network,
@@ -551,6 +599,375 @@ describe('MultisigWallet', function () {
     assert.strictEqual(mswallet.isInitialized(), true);
   });
 
+  it('should remove cosigner before initialization', async () => {
+    const walletName = 'wallet-2of3';
+
+    const cosignerCtx1 = new CosignerCtx({
+      network: network,
+      walletName: walletName,
+      name: 'cosigner1',
+      token: Buffer.alloc(32, 1)
+    });
+
+    const [cosignerCtx2, cosignerCtx3] = [2, 3].map((i) => {
+      return new CosignerCtx({
+        network: network,
+        walletName: walletName,
+        name: `cosigner${i}`,
+        token: Buffer.alloc(32, i),
+        joinPrivKey: cosignerCtx1.joinPrivKey
+      });
+    });
+
+    const mswallet = await msdb.create({
+      id: walletName,
+      m: 2,
+      n: 3,
+      joinPubKey: cosignerCtx1.joinPubKey
+    }, cosignerCtx1.toCosigner());
+
+    await mswallet.join(cosignerCtx2.toCosigner());
+    await mswallet.join(cosignerCtx3.toCosigner());
+
+    // signed by the wallet creator.
+    const removal = {
+      cosigner: 1,
+      accountKey: cosignerCtx2.xpub,
+      nonce: mswallet.removals,
+      timestamp: Math.floor(Date.now() / 1000)
+    };
+
+    const signature = cosignerCtx1.signProposal(REMOVE, removal);
+    assert.strictEqual(mswallet.verifyRemoval(removal, signature), true);
+
+    const badSignature = cosignerCtx2.signProposal(REMOVE, removal);
+    assert.strictEqual(mswallet.verifyRemoval(removal, badSignature), false);
+
+    await assert.rejects(mswallet.leave(0), {
+      message: 'Can not remove wallet creator.'
+    });
+
+    await assert.rejects(mswallet.leave(3), {
+      message: 'Cosigner not found.'
+    });
+
+    let left = null;
+    mswallet.once('leave', (cosigner) => {
+      left = cosigner;
+    });
+
+    await assert.rejects(mswallet.leave(1, removal.nonce + 1), {
+      message: 'Removal nonce does not match.'
+    });
+
+    const removed = await mswallet.leave(1, removal.nonce);
+
+    assert.strictEqual(left, removed);
+    assert.strictEqual(mswallet.removals, 1);
+    assert.strictEqual(mswallet.getJSON().removals, 1);
+
+    const decoded = MultisigWallet.decode(TEST_MSDB, mswallet.encode());
+    assert.strictEqual(decoded.removals, 1);
+    assert.strictEqual(removed.name, 'cosigner2');
+    assert.strictEqual(mswallet.isInitialized(), false);
+    assert.strictEqual(mswallet.cosigners.length, 2);
+    assert.strictEqual(mswallet.cosigners[1].name, 'cosigner3');
+    assert.strictEqual(mswallet.cosigners[1].id, 1);
+
+    const account = await mswallet.wallet.getAccount(0);
+    assert.strictEqual(account.keys.length, 1);
+    assert.strictEqual(account.keys[0].xpubkey(network), cosignerCtx3.xpub);
+
+    // removed cosigner token no longer works.
+    assert.throws(() => mswallet.auth(cosignerCtx2.token), {
+      message: 'Authentication error.'
+    });
+
+    // used removal can not be replayed.
+    await assert.rejects(mswallet.leave(1, removal.nonce), {
+      message: 'Removal nonce does not match.'
+    });
+
+    // cosigner can join again.
+    await mswallet.join(cosignerCtx2.toCosigner());
+    assert.strictEqual(mswallet.isInitialized(), true);
+    assert.strictEqual(mswallet.cosigners[2].name, 'cosigner2');
+
+    await assert.rejects(mswallet.leave(1), {
+      message: 'Can not remove cosigner from initialized wallet.'
+    });
+  });
+
+  it('should join with one-time invites', async () => {
+    const walletName = 'wallet-2of4';
+
+    // invitees sign with the invite keys.
+    const [ctx1, ctx2, ctx3, ctx4, ctx5] = [1, 2, 3, 4, 5].map((i) => {
+      return new CosignerCtx({
+        network: network,
+        walletName: walletName,
+        name: `cosigner${i}`,
+        token: Buffer.alloc(32, i)
+      });
+    });
+
+    const mswallet = await msdb.create({
+      id: walletName,
+      m: 2,
+      n: 4,
+      joinPubKey: ctx1.joinPubKey
+    }, ctx1.toCosigner());
+
+    await assert.rejects(mswallet.createInvites([
+      { joinPubKey: ctx2.joinPubKey },
+      { joinPubKey: ctx3.joinPubKey },
+      { joinPubKey: ctx4.joinPubKey },
+      { joinPubKey: ctx5.joinPubKey }
+    ]), {
+      message: 'Too many invites.'
+    });
+
+    const invites = await mswallet.createInvites([
+      { joinPubKey: ctx2.joinPubKey, name: 'cosigner2' },
+      { joinPubKey: ctx3.joinPubKey, name: 'cosigner3', ttl: 3600 },
+      { joinPubKey: ctx4.joinPubKey, expiresAt: 1 }
+    ]);
+
+    assert.deepStrictEqual(invites.map(invite => invite.id), [0, 1, 2]);
+    assert.strictEqual(mswallet.inviteOnly, true);
+
+    // unused invites take the free slots (expired do not).
+    await assert.rejects(mswallet.createInvites([
+      { joinPubKey: ctx5.joinPubKey },
+      { joinPubKey: ctx1.joinPubKey }
+    ]), {
+      message: 'Too many invites.'
+    });
+
+    // shared join key can no longer be used.
+    const shared = new CosignerCtx({
+      network: network,
+      walletName: walletName,
+      name: 'shared',
+      joinPrivKey: ctx1.joinPrivKey
+    });
+
+    await assert.rejects(mswallet.join(shared.toCosigner()), {
+      message: 'Join requires an invite.'
+    });
+
+    await mswallet.join(ctx2.toCosigner());
+
+    const used = await mswallet.getInvite(0);
+    assert.strictEqual(used.isUsed(), true);
+    assert.strictEqual(used.usedBy, 1);
+
+    // leaked invite key can not be used again.
+    const leaked = new CosignerCtx({
+      network: network,
+      walletName: walletName,
+      name: 'cosigner2',
+      joinPrivKey: ctx2.joinPrivKey
+    });
+
+    await assert.rejects(mswallet.join(leaked.toCosigner()), {
+      message: 'Invite was already used.'
+    });
+
+    const impostor = new CosignerCtx({
+      network: network,
+      walletName: walletName,
+      name: 'impostor',
+      joinPrivKey: ctx3.joinPrivKey
+    });
+
+    await assert.rejects(mswallet.join(impostor.toCosigner()), {
+      message: 'Invite is for another cosigner.'
+    });
+
+    await assert.rejects(mswallet.join(ctx4.toCosigner()), {
+      message: 'Invite has expired.'
+    });
+
+    await assert.rejects(mswallet.join(ctx5.toCosigner()), {
+      message: 'Join requires an invite.'
+    });
+
+    await assert.rejects(mswallet.removeInvite(0), {
+      message: 'Used invite can not be removed.'
+    });
+
+    assert.strictEqual(await mswallet.removeInvite(2), true);
+    assert.strictEqual(await mswallet.removeInvite(2), false);
+
+    await mswallet.join(ctx3.toCosigner());
+
+    assert.strictEqual(mswallet.cosigners.length, 3);
+    assert.strictEqual(mswallet.isInitialized(), false);
+
+    const remaining = await mswallet.getInvites();
+    assert.deepStrictEqual(remaining.map(invite => invite.usedBy), [1, 2]);
+  });
+
+  it('should reject shared join key in invite only wallet', async () => {
+    const walletName = 'wallet-invite-only';
+
+    const [ctx1, ctx2] = [1, 2].map((i) => {
+      return new CosignerCtx({
+        network: network,
+        walletName: walletName,
+        name: `cosigner${i}`,
+        token: Buffer.alloc(32, i)
+      });
+    });
+
+    const shared = new CosignerCtx({
+      network: network,
+      walletName: walletName,
+      name: 'shared',
+      joinPrivKey: ctx1.joinPrivKey
+    });
+
+    const mswallet = await msdb.create({
+      id: walletName,
+      m: 2,
+      n: 2,
+      joinPubKey: ctx1.joinPubKey,
+      inviteOnly: true
+    }, ctx1.toCosigner());
+
+    assert.strictEqual(mswallet.getJSON().inviteOnly, true);
+
+    const decoded = MultisigWallet.decode(TEST_MSDB, mswallet.encode());
+    assert.strictEqual(decoded.inviteOnly, true);
+
+    await assert.rejects(mswallet.join(shared.toCosigner()), {
+      message: 'Join requires an invite.'
+    });
+
+    await mswallet.createInvites([{ joinPubKey: ctx2.joinPubKey }]);
+    await mswallet.join(ctx2.toCosigner());
+
+    assert.strictEqual(mswallet.isInitialized(), true);
+  });
+
+  it('should abandon and purge wallet after join deadline', async () => {
+    const walletName = 'wallet-deadline';
+    const now = Math.floor(Date.now() / 1000);
+    const joinDeadline = now + 100;
+
+    const ctx1 = new CosignerCtx({
+      network: network,
+      walletName: walletName,
+      name: 'cosigner1',
+      token: Buffer.alloc(32, 1)
+    });
+
+    const [ctx2, ctx3] = [2, 3].map((i) => {
+      return new CosignerCtx({
+        network: network,
+        walletName: walletName,
+        name: `cosigner${i}`,
+        token: Buffer.alloc(32, i),
+        joinPrivKey: ctx1.joinPrivKey
+      });
+    });
+
+    const mswallet = await msdb.create({
+      id: walletName,
+      m: 2,
+      n: 3,
+      joinPubKey: ctx1.joinPubKey,
+      joinDeadline: joinDeadline
+    }, ctx1.toCosigner());
+
+    await mswallet.join(ctx2.toCosigner());
+
+    const key = layout.j.encode(joinDeadline, mswallet.wid);
+    assert.strictEqual(await msdb.db.has(key), true);
+
+    assert.strictEqual(mswallet.getJSON().joinDeadline, joinDeadline);
+    assert.strictEqual(mswallet.getJSON().abandoned, false);
+    assert.strictEqual(mswallet.isJoinExpired(now), false);
+    assert.strictEqual(mswallet.isJoinExpired(joinDeadline), true);
+
+    await assert.rejects(mswallet.purge(), {
+      message: 'Wallet is not abandoned.'
+    });
+
+    assert.strictEqual(await msdb.abandonWallets(now), 0);
+
+    let abandoned = null;
+    msdb.once('abandoned', (wallet) => {
+      abandoned = wallet;
+    });
+
+    assert.strictEqual(await msdb.abandonWallets(joinDeadline), 1);
+    assert.strictEqual(await msdb.abandonWallets(joinDeadline), 0);
+
+    assert.strictEqual(abandoned, mswallet);
+    assert.strictEqual(mswallet.abandoned, true);
+    assert.strictEqual(await msdb.db.has(key), false);
+    assert.strictEqual(mswallet.getJSON().abandoned, true);
+
+    const decoded = MultisigWallet.decode(TEST_MSDB, mswallet.encode());
+    assert.strictEqual(decoded.joinDeadline, joinDeadline);
+    assert.strictEqual(decoded.abandoned, true);
+
+    await assert.rejects(mswallet.join(ctx3.toCosigner()), {
+      message: 'Join deadline has passed.'
+    });
+
+    assert.strictEqual(await mswallet.purge(), true);
+    assert.strictEqual(await msdb.getWallet(walletName), null);
+    assert.strictEqual(await wdb.get(walletName), null);
+  });
+
+  it('should clear successor of the predecessor on purge', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const joinDeadline = now + 100;
+
+    const ctx1 = new CosignerCtx({
+      network: network,
+      walletName: 'wallet-prev',
+      name: 'cosigner1'
+    });
+
+    const ctx2 = new CosignerCtx({
+      network: network,
+      walletName: 'wallet-next',
+      name: 'cosigner1'
+    });
+
+    const prev = await msdb.create({
+      id: 'wallet-prev',
+      m: 1,
+      n: 2,
+      joinPubKey: ctx1.joinPubKey
+    }, ctx1.toCosigner());
+
+    const next = await msdb.create({
+      id: 'wallet-next',
+      m: 1,
+      n: 2,
+      joinPubKey: ctx2.joinPubKey,
+      joinDeadline: joinDeadline,
+      predecessor: prev.id
+    }, ctx2.toCosigner());
+
+    prev.successor = next.id;
+    await msdb.save(prev);
+
+    assert.strictEqual(await msdb.abandonWallets(joinDeadline), 1);
+    assert.strictEqual(await next.purge(), true);
+
+    assert.strictEqual(prev.successor, null);
+
+    const raw = await msdb.db.get(layout.w.encode(prev.wid));
+    const decoded = MultisigWallet.decode(TEST_MSDB, raw);
+    assert.strictEqual(decoded.successor, null);
+  });
+
   it('should authenticate user with cosignerToken', async () => {
     const cosignerCtx1 = new CosignerCtx({
       network: network,